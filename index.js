@@ -5,16 +5,34 @@
  * A modern CLI tool for managing Gmail emails with AI capabilities
  */
 const { program } = require("commander");
-const { fetchEmails } = require("./src/fetcher/emailFetcher");
+const {
+  fetchEmails,
+  syncEmails,
+  fetchThread,
+} = require("./src/fetcher/emailFetcher");
 const { getGmailClient } = require("./src/auth/gmailAuth");
 const {
   analyzeEmails,
+  updateThreadSummaries,
+  summarizeEmailThreads,
   generateDailySummary,
 } = require("./src/analyzer/emailAnalyzer");
 const {
   displayEmail,
+  displayThread,
   displayDashboard,
   displayDailySummary,
+  displayAIUsageReport,
+  displayAICacheStats,
+  displayRedactionReport,
+  displayTaxonomy,
+  displayPromptTemplates,
+  displayAccuracyReport,
+  displaySearchResults,
+  displaySavedSearches,
+  displayTagResults,
+  displayMoodTrends,
+  displayFollowUps,
   sendNotifications,
   showLoading,
   typeText,
@@ -36,14 +54,60 @@ const {
 const {
   analyzeEmails: analyzeEmailsAI,
   extractCalendarEventsFromEmails,
-  searchEmailsWithNLP,
   autoTagEmails,
   analyzeEmailSentiment,
   checkNeedsFollowUp,
   generateFullReplyDraft,
   getConfig,
   updateConfig,
+  checkAIConfiguration,
 } = require("./src/ai/geminiAI");
+const { getDefaultModel, listProviders } = require("./src/ai/aiProvider");
+const {
+  setUsageCommand,
+  getTodayUsage,
+  loadUsageSince,
+  buildUsageReport,
+} = require("./src/ai/usageTracker");
+const {
+  getResultCacheStats,
+  pruneResultCache,
+  DEFAULT_CACHE_MAX_AGE_DAYS,
+} = require("./src/ai/resultCache");
+const { executeGmailRequest } = require("./src/utils/requestExecutor");
+const {
+  searchEmails,
+  updateSearchIndex,
+  isSemanticSearchEnabled,
+  DEFAULT_RESULT_LIMIT,
+} = require("./src/search/searchIndex");
+const {
+  saveNamedSearch,
+  useSavedSearch,
+  removeSavedSearch,
+  listSavedSearches,
+} = require("./src/search/savedSearches");
+const {
+  listTemplates,
+  getTemplate,
+  exportDefaultTemplates,
+  getPromptDir,
+} = require("./src/ai/promptTemplates");
+const {
+  loadTaxonomy,
+  getTaxonomyPath,
+  isTopPriority,
+} = require("./src/utils/taxonomyUtils");
+const {
+  recordCorrection,
+  loadCorrectionHistory,
+  buildAccuracyReport,
+} = require("./src/ai/classificationFeedback");
+const {
+  setRedactionOverride,
+  isRedactionEnabled,
+  loadRedactionsSince,
+} = require("./src/ai/piiRedactor");
 const {
   generateICSFile,
   generatePlainTextCalendar,
@@ -51,6 +115,10 @@ const {
 const {
   generateMoodTrendReport,
   exportMoodTrendReport,
+  buildSentimentEntries,
+  buildMoodTrends,
+  getTrendStartDay,
+  DEFAULT_TREND_WEEKS,
 } = require("./src/utils/sentimentUtils");
 const {
   addAccount,
@@ -59,6 +127,8 @@ const {
   displayAccounts,
   ensureAccount,
   getCurrentAccount,
+  setAccountOverride,
+  loadAccountsConfig,
 } = require("./src/utils/accountManager");
 const {
   loadConfig,
@@ -71,11 +141,37 @@ const {
   syncAttachments,
   getAttachmentStats,
   formatFileSize,
+  mayHaveAttachments,
 } = require("./src/attachments/attachmentFetcher");
 const {
   resolveEmailIdentifier,
+  parseAccountIdentifier,
   getEmailReference,
 } = require("./src/utils/emailIdManager");
+const {
+  loadEmails,
+  loadAnalyzedEmails,
+  loadAllAccountsEmails,
+  saveAnalyses,
+  saveTags,
+  saveSentiments,
+  loadSentiments,
+  markFollowUpDone,
+  saveThreads,
+  loadThreads,
+} = require("./src/storage/mailStore");
+const {
+  findFollowUps,
+  getThread,
+  DEFAULT_LOOKBACK_DAYS,
+  DEFAULT_NUDGE_DAYS,
+} = require("./src/followups/followUpTracker");
+const {
+  selectConfidentTags,
+  applyTagLabels,
+  DEFAULT_LABEL_PREFIX,
+  DEFAULT_MIN_CONFIDENCE,
+} = require("./src/labels/labelManager");
 const fs = require("fs-extra");
 const path = require("path");
 const readline = require("readline");
@@ -104,11 +200,36 @@ async function showAuthenticationSuccessArt() {
   );
 }
 
+/**
+ * Resolve the accounts a command should run against
+ * @param {Object} options Command options (--account, --all-accounts)
+ * @returns {Promise<Array>} Accounts to process
+ */
+async function getTargetAccounts(options) {
+  const currentAccount = await ensureAccount(options.account);
+
+  if (!options.allAccounts) {
+    return [currentAccount];
+  }
+
+  const { accounts } = await loadAccountsConfig();
+  return accounts;
+}
+
 // Set up program
 program
   .name("emailmaster")
   .version("1.0.0")
-  .description("AI-powered Gmail management CLI");
+  .description("AI-powered Gmail management CLI")
+  .option("--no-redact", "Send email content to the AI provider unredacted");
+
+// Attribute AI usage to the command being run
+program.hook("preAction", (thisCommand, actionCommand) => {
+  setUsageCommand(actionCommand.name());
+  if (program.opts().redact === false) {
+    setRedactionOverride(false);
+  }
+});
 
 // Help command
 program
@@ -130,11 +251,70 @@ program
   .command("config")
   .description("Configure EmailMaster settings")
   .option("--batch-size <number>", "Set batch size for API calls", parseInt)
+  .option(
+    "--batch-tokens <number>",
+    "Set the token budget per AI analysis request",
+    parseInt
+  )
+  .option(
+    "--ai-concurrency <number>",
+    "Set the number of parallel AI analysis requests",
+    parseInt
+  )
+  .option(
+    "--max-email-tokens <number>",
+    "Set the token budget for a single email in AI prompts",
+    parseInt
+  )
+  .option(
+    "--daily-token-budget <number>",
+    "Set the daily AI token budget per account (0 to remove)",
+    parseInt
+  )
+  .option(
+    "--daily-request-budget <number>",
+    "Set the daily AI request budget per account (0 to remove)",
+    parseInt
+  )
+  .option(
+    "--ai-rpm <number>",
+    'Set the AI requests-per-minute limit (0 for no limit, "default" for the provider default)'
+  )
+  .option(
+    "--cache-days <number>",
+    "Set how many days cached AI results are reused (0 to keep them)",
+    parseInt
+  )
+  .option(
+    "--long-email <strategy>",
+    "Handle emails over the budget by truncating or summarizing (truncate, summarize)"
+  )
   .option(
     "--model <model>",
     "Set AI model (gemini-2.0-flash, gemini-1.5-pro, gemini-1.5-flash)"
   )
+  .option(
+    "--provider <name>",
+    "Set AI provider (gemini, openai, ollama, llamacpp)"
+  )
+  .option(
+    "--provider-url <url>",
+    "Set the AI provider base URL (OpenAI-compatible or local server)"
+  )
   .option("--temp-dir <path>", "Set temporary directory path")
+  .option(
+    "--taxonomy <file>",
+    "Set the taxonomy file with custom priorities, types and tags"
+  )
+  .option("--prompt-dir <path>", "Set the prompt template override directory")
+  .option(
+    "--embedding-model <model>",
+    "Set the embedding model used for semantic search"
+  )
+  .option(
+    "--semantic-search <mode>",
+    "Turn semantic search and embedding at fetch time on or off (on, off)"
+  )
   .option("--show", "Show current configuration")
   .option("--list-models", "List available AI models")
   .action(async (options) => {
@@ -145,8 +325,18 @@ program
         console.log("  • gemini-2.0-flash (Default - Fastest)");
         console.log("  • gemini-1.5-pro (Most capable)");
         console.log("  • gemini-1.5-flash (Balanced speed/quality)");
+        console.log(chalk.bold("\nAI Providers:"));
+        listProviders().forEach((provider) => {
+          console.log(
+            `  • ${provider.name} - ${provider.description} ${chalk.gray(
+              `(default model: ${provider.defaultModel})`
+            )}`
+          );
+        });
         console.log(
-          chalk.gray("\nNote: Claude and OpenAI support coming soon")
+          chalk.gray(
+            "\nUse --provider <name> with --model <model> to switch backends."
+          )
         );
         return;
       }
@@ -161,8 +351,73 @@ program
 
       const updates = {};
       if (options.batchSize) updates.batchSize = options.batchSize;
+      if (options.batchTokens) updates.aiBatchTokens = options.batchTokens;
+      if (options.aiConcurrency) updates.aiConcurrency = options.aiConcurrency;
+      if (options.dailyTokenBudget !== undefined)
+        updates.aiDailyTokenBudget = options.dailyTokenBudget || null;
+      if (options.dailyRequestBudget !== undefined)
+        updates.aiDailyCallBudget = options.dailyRequestBudget || null;
+      if (options.aiRpm !== undefined) {
+        const rpm = options.aiRpm === "default" ? null : Number(options.aiRpm);
+        if (rpm !== null && !(Number.isInteger(rpm) && rpm >= 0)) {
+          console.error(
+            chalk.red(
+              '🚨 Invalid AI request limit. Use a whole number, 0 for no limit or "default".'
+            )
+          );
+          process.exit(1);
+        }
+        updates.aiRequestsPerMinute = rpm;
+      }
+      if (options.cacheDays !== undefined)
+        updates.aiCacheMaxAgeDays = options.cacheDays;
+      if (options.maxEmailTokens)
+        updates.aiMaxEmailTokens = options.maxEmailTokens;
+      if (options.longEmail) {
+        if (!["truncate", "summarize"].includes(options.longEmail)) {
+          console.error(
+            chalk.red(
+              '🚨 Invalid long email strategy. Use "truncate" or "summarize".'
+            )
+          );
+          process.exit(1);
+        }
+        updates.longEmailStrategy = options.longEmail;
+      }
       if (options.model) updates.model = options.model;
+      if (options.provider) {
+        const defaultModel = getDefaultModel(options.provider);
+        if (!defaultModel) {
+          console.error(
+            chalk.red(
+              `🚨 Unknown AI provider "${
+                options.provider
+              }". Available providers: ${listProviders()
+                .map((provider) => provider.name)
+                .join(", ")}`
+            )
+          );
+          process.exit(1);
+        }
+        updates.provider = options.provider.toLowerCase();
+        // A model name from another provider would not work, so reset it
+        if (!options.model) updates.model = defaultModel;
+      }
+      if (options.providerUrl) updates.providerUrl = options.providerUrl;
       if (options.tempDir) updates.tempDir = options.tempDir;
+      if (options.taxonomy) updates.taxonomyFile = options.taxonomy;
+      if (options.promptDir) updates.promptDir = options.promptDir;
+      if (options.embeddingModel)
+        updates.embeddingModel = options.embeddingModel;
+      if (options.semanticSearch) {
+        if (!["on", "off"].includes(options.semanticSearch)) {
+          console.error(
+            chalk.red('🚨 Invalid semantic search mode. Use "on" or "off".')
+          );
+          process.exit(1);
+        }
+        updates.semanticSearch = options.semanticSearch === "on";
+      }
 
       if (Object.keys(updates).length === 0) {
         console.log(
@@ -277,47 +532,104 @@ program
     parseInt,
     10
   )
+  .option("--all", "Fetch every matching email, following all pages")
+  .option("-q, --query <query>", 'Gmail search query (e.g. "is:unread")')
+  .option("--since <date>", "Only fetch emails on or after date (YYYY-MM-DD)")
+  .option("--until <date>", "Only fetch emails on or before date (YYYY-MM-DD)")
+  .option("--label <labels>", "Only fetch emails with labels (comma-separated)")
+  .option(
+    "--concurrency <number>",
+    "Maximum parallel message downloads",
+    parseInt
+  )
+  .option("--account <name>", "Use this account instead of the current one")
+  .option("--all-accounts", "Fetch emails for every configured account")
   .action(async (options) => {
     try {
       console.log(createTitleBox("📥 Fetching Emails"));
 
       // Ensure account exists, prompt for auth if needed
-      await ensureAccount();
+      const accounts = await getTargetAccounts(options);
 
-      // Load configuration
-      const config = await loadConfig();
-      const tempDir = path.join(__dirname, config.tempDir || "./temp");
-      await fs.ensureDir(tempDir);
+      for (const account of accounts) {
+        await setAccountOverride(account.name);
+        if (options.allAccounts) {
+          console.log(
+            chalk.cyan.bold(`\n📧 ${account.name} (${account.email})`)
+          );
+        }
 
-      // Load cached emails to compare count before and after
-      const cachedEmailsPath = path.join(tempDir, "emails.json");
-      let cachedEmailsCount = 0;
-      if (await fs.pathExists(cachedEmailsPath)) {
-        const cachedEmails = await fs.readJson(cachedEmailsPath);
-        cachedEmailsCount = cachedEmails.length;
-      }
+        await showLoading("Connecting to Gmail", 1000);
+        const {
+          emails,
+          added,
+          deleted,
+          updated,
+          matched,
+          query,
+          fullResync,
+          threads,
+        } = await syncEmails({
+          maxResults: options.max,
+          all: options.all,
+          query: options.query,
+          since: options.since,
+          until: options.until,
+          labels: options.label
+            ? options.label.split(",").map((l) => l.trim())
+            : [],
+          concurrency: options.concurrency,
+        });
 
-      await showLoading("Connecting to Gmail", 1000);
-      const emails = await fetchEmails(options.max);
+        if (fullResync) {
+          console.log(chalk.gray("Performed a full sync of your inbox."));
+        }
 
-      // Calculate how many new emails were fetched
-      const newEmailsCount = emails.length - cachedEmailsCount;
+        if (matched !== null) {
+          console.log(
+            chalk.gray(`Query "${query}" matched ${matched} emails.`)
+          );
+        }
 
-      if (newEmailsCount > 0) {
-        console.log(
-          chalk.green(`✓ ${newEmailsCount} new emails fetched successfully.`)
-        );
-      } else {
-        console.log(chalk.blue("✓ No new emails found since last fetch."));
-      }
+        if (added > 0) {
+          console.log(
+            chalk.green(`✓ ${added} new emails fetched successfully.`)
+          );
+        } else {
+          console.log(chalk.blue("✓ No new emails found since last fetch."));
+        }
+
+        if (deleted > 0) {
+          console.log(
+            chalk.yellow(`✓ ${deleted} emails removed (deleted or archived).`)
+          );
+        }
+
+        if (updated > 0) {
+          console.log(
+            chalk.blue(`✓ ${updated} emails updated (labels changed).`)
+          );
+        }
+
+        console.log(chalk.gray(`Total emails in cache: ${emails.length}`));
+        console.log(chalk.green("✓ Emails saved to the local mail store."));
+
+        if (threads && threads.fetched > 0) {
+          console.log(
+            chalk.green(`✓ ${threads.fetched} conversations updated.`)
+          );
+        }
 
-      console.log(chalk.gray(`Total emails in cache: ${emails.length}`));
+        const index = await updateSearchIndex(emails);
+        if (index && index.indexed > 0) {
+          console.log(
+            chalk.green(
+              `✓ ${index.indexed} emails indexed for semantic search.`
+            )
+          );
+        }
+      }
 
-      // Save fetched emails to temporary file
-      await showLoading("Saving emails", 800);
-      const tempEmailsPath = path.join(tempDir, "emails.json");
-      await fs.writeJson(tempEmailsPath, emails, { spaces: 2 });
-      console.log(chalk.green("✓ Emails saved to temporary storage."));
       console.log(
         chalk.blue('\nRun "emailmaster analyze" to analyze these emails.')
       );
@@ -332,44 +644,95 @@ program
   .command("analyze")
   .description("Analyze fetched emails")
   .option("-n, --notify", "Send desktop notifications for urgent emails")
+  .option(
+    "--reanalyze",
+    "Ignore cached AI results and analyze every email again"
+  )
+  .option("--account <name>", "Use this account instead of the current one")
+  .option("--all-accounts", "Analyze emails for every configured account")
   .action(async (options) => {
     try {
       // Ensure account exists, prompt for auth if needed
-      await ensureAccount();
+      const accounts = await getTargetAccounts(options);
 
-      // Load configuration
-      const config = await loadConfig();
-      const tempDir = path.join(__dirname, config.tempDir || "./temp");
-      const tempEmailsPath = path.join(tempDir, "emails.json");
-      const tempAnalyzedPath = path.join(tempDir, "analyzed_emails.json");
+      console.log(createTitleBox("🔍 Analyzing Emails"));
 
-      // Check if emails.json exists
-      if (!(await fs.pathExists(tempEmailsPath))) {
-        console.error(
-          chalk.red('🚨 No emails found. Run "emailmaster fetch" first.')
+      const aiConfig = checkAIConfiguration();
+      if (!aiConfig.configured) {
+        console.log(
+          chalk.yellow(
+            `⚠️  AI provider (${aiConfig.provider}) not configured. Using offline rule-based analysis.`
+          )
         );
-        process.exit(1);
+        console.log(chalk.gray(`💡 Tip: ${aiConfig.setupInstructions}`));
       }
 
-      console.log(createTitleBox("🔍 Analyzing Emails"));
+      const analyzedEmails = [];
+      for (const account of accounts) {
+        await setAccountOverride(account.name);
+
+        // Load emails from the local mail store
+        const emails = await loadEmails();
+        if (emails.length === 0) {
+          if (!options.allAccounts) {
+            console.error(
+              chalk.red('🚨 No emails found. Run "emailmaster fetch" first.')
+            );
+            process.exit(1);
+          }
+          console.log(chalk.gray(`No emails cached for ${account.name}.`));
+          continue;
+        }
+
+        console.log(
+          chalk.blue(
+            options.allAccounts
+              ? `Analyzing ${emails.length} emails for ${account.name}...`
+              : `Analyzing ${emails.length} emails...`
+          )
+        );
+
+        // Analyze emails
+        await showLoading(
+          aiConfig.configured
+            ? "Running AI analysis"
+            : "Running offline analysis",
+          1500
+        );
+        const accountResults = await analyzeEmails(emails, {
+          reanalyze: options.reanalyze,
+        });
+
+        // Save analyzed emails
+        await saveAnalyses(accountResults);
+        analyzedEmails.push(...accountResults);
 
-      // Load emails
-      const emails = await fs.readJson(tempEmailsPath);
-      console.log(chalk.blue(`Analyzing ${emails.length} emails...`));
+        // Summarize conversations with more than one message as a whole
+        const summarized = await summarizeEmailThreads(emails, {
+          reanalyze: options.reanalyze,
+        });
+        if (summarized > 0) {
+          console.log(chalk.green(`✓ ${summarized} threads summarized.`));
+        }
 
-      // Analyze emails
-      await showLoading("Running AI analysis", 1500);
-      const analyzedEmails = await analyzeEmails(emails);
+        // Embed emails fetched while semantic search was unavailable
+        const index = await updateSearchIndex(emails);
+        if (index && index.indexed > 0) {
+          console.log(
+            chalk.green(
+              `✓ ${index.indexed} emails indexed for semantic search.`
+            )
+          );
+        }
+      }
 
-      // Save analyzed emails
-      await fs.writeJson(tempAnalyzedPath, analyzedEmails, { spaces: 2 });
       console.log(chalk.green("✓ Analysis complete. Results saved."));
 
       // Send notifications if requested
       if (options.notify) {
         await showLoading("Sending notifications", 800);
-        const urgentEmails = analyzedEmails.filter(
-          (email) => email.priority === "high"
+        const urgentEmails = analyzedEmails.filter((email) =>
+          isTopPriority(email.classification.priority)
         );
         if (urgentEmails.length > 0) {
           await sendNotifications(urgentEmails);
@@ -396,21 +759,24 @@ program
 program
   .command("dashboard")
   .description("View email dashboard")
-  .action(async () => {
+  .option("--tag <tag>", "Only show emails with this tag")
+  .option("--account <name>", "Use this account instead of the current one")
+  .option("--all-accounts", "Show emails from every configured account")
+  .action(async (options) => {
     try {
       // Ensure account exists, prompt for auth if needed
-      await ensureAccount();
-
-      // Load configuration
-      const config = await loadConfig();
-      const tempDir = path.join(__dirname, config.tempDir || "./temp");
-      const tempAnalyzedPath = path.join(tempDir, "analyzed_emails.json");
+      await ensureAccount(options.account);
 
-      // Check if analyzed_emails.json exists
-      if (!(await fs.pathExists(tempAnalyzedPath))) {
+      // Load analyzed emails from the local mail store
+      const analyzedEmails = options.allAccounts
+        ? await loadAllAccountsEmails({ analyzedOnly: true, tag: options.tag })
+        : await loadAnalyzedEmails({ tag: options.tag });
+      if (analyzedEmails.length === 0) {
         console.error(
           chalk.red(
-            '🚨 No analyzed emails found. Run "emailmaster analyze" first.'
+            options.tag
+              ? `🚨 No analyzed emails tagged "${options.tag}". Run "emailmaster tag" to tag emails.`
+              : '🚨 No analyzed emails found. Run "emailmaster analyze" first.'
           )
         );
         process.exit(1);
@@ -418,9 +784,6 @@ program
 
       console.log(createTitleBox("📊 Email Dashboard"));
 
-      // Load analyzed emails
-      const analyzedEmails = await fs.readJson(tempAnalyzedPath);
-
       // Display dashboard
       await displayDashboard(analyzedEmails);
     } catch (error) {
@@ -434,13 +797,16 @@ program
   .command("view [identifier]")
   .description("View details of a specific email (by number or unique ID)")
   .option("--id <uniqueId>", "View email by unique ID")
+  .option("--account <name>", "Use this account instead of the current one")
   .action(async (identifier, options) => {
     try {
-      // Ensure account exists, prompt for auth if needed
-      await ensureAccount();
-
       // Use --id option if provided, otherwise use the positional argument
-      const emailIdentifier = options.id || identifier;
+      const { account, identifier: emailIdentifier } = parseAccountIdentifier(
+        options.id || identifier || ""
+      );
+
+      // Ensure account exists, prompt for auth if needed
+      await ensureAccount(account || options.account);
 
       if (!emailIdentifier) {
         console.error(
@@ -460,7 +826,12 @@ program
       }
 
       // Display email with both index and unique ID
-      await displayEmail(result.email, result.index, result.uniqueId);
+      const thread = result.email.threadId
+        ? (await loadThreads([result.email.threadId])).get(
+            result.email.threadId
+          )
+        : null;
+      await displayEmail(result.email, result.index, result.uniqueId, thread);
 
       // Auto-generate suggested response if not available
       if (
@@ -498,44 +869,198 @@ program
     }
   });
 
+// Thread command
+program
+  .command("thread <identifier>")
+  .description(
+    "View a whole conversation (by email number, unique ID or thread ID)"
+  )
+  .option("--full", "Show quoted text instead of collapsing it")
+  .option("--refresh", "Fetch the latest messages from Gmail")
+  .option("--account <name>", "Use this account instead of the current one")
+  .action(async (identifier, options) => {
+    try {
+      const { account, identifier: threadIdentifier } =
+        parseAccountIdentifier(identifier);
+
+      // Ensure account exists, prompt for auth if needed
+      const currentAccount = await ensureAccount(account || options.account);
+
+      // Email numbers and IDs resolve to their thread; anything else is a thread ID
+      const resolved = await resolveEmailIdentifier(threadIdentifier);
+      const threadId = resolved.success
+        ? resolved.email.threadId
+        : threadIdentifier;
+      if (!threadId) {
+        console.error(
+          chalk.red(
+            '🚨 This email has no thread. Run "emailmaster fetch" to update it.'
+          )
+        );
+        process.exit(1);
+      }
+
+      let thread = (await loadThreads([threadId])).get(threadId);
+      if (!thread || options.refresh) {
+        const tokenPath = path.join(process.cwd(), currentAccount.tokenPath);
+        const gmail = await getGmailClient(tokenPath);
+        await showLoading("Fetching conversation", 800);
+
+        const fetched = await fetchThread(gmail, threadId);
+        if (!fetched || fetched.messages.length === 0) {
+          console.error(chalk.red(`🚨 Thread not found: ${identifier}`));
+          process.exit(1);
+        }
+        await saveThreads([fetched]);
+        thread = (await loadThreads([threadId])).get(threadId);
+      }
+
+      // Summarize the conversation when its summary is missing or out of date
+      const summaries = await updateThreadSummaries([thread]);
+      if (summaries.has(threadId)) {
+        thread = {
+          ...thread,
+          summary: summaries.get(threadId),
+          summarizedCount: thread.messages.length,
+        };
+      }
+
+      const emails = await loadEmails();
+      displayThread(thread, {
+        full: options.full,
+        indexes: new Map(
+          emails
+            .filter((email) => email.threadId === threadId)
+            .map((email) => [email.id, email.assignedIndex])
+        ),
+      });
+
+      if (!thread.summary && thread.messages.length > 1) {
+        const aiConfig = checkAIConfiguration();
+        console.log(
+          chalk.dim(
+            aiConfig.configured
+              ? "ℹ️ The conversation could not be summarized. Try again later."
+              : `ℹ️ AI provider (${aiConfig.provider}) not configured. ${aiConfig.setupInstructions}`
+          )
+        );
+      }
+    } catch (error) {
+      console.error(chalk.red("🚨 Error viewing thread:"), error.message);
+      process.exit(1);
+    }
+  });
+
+// Classification correction command
+program
+  .command("classify [identifier]")
+  .description(
+    "Correct the priority or type of an email (by number or unique ID)"
+  )
+  .option("--id <uniqueId>", "Correct email by unique ID")
+  .option("-p, --priority <priority>", "Correct priority (e.g. Urgent)")
+  .option("-t, --type <type>", "Correct type (e.g. Work)")
+  .option("--account <name>", "Use this account instead of the current one")
+  .action(async (identifier, options) => {
+    try {
+      const { account, identifier: emailIdentifier } = parseAccountIdentifier(
+        options.id || identifier || ""
+      );
+      await ensureAccount(account || options.account);
+
+      if (!emailIdentifier || (!options.priority && !options.type)) {
+        console.error(
+          chalk.red(
+            "🚨 Please provide an email and a correction. Use: emailmaster classify <number> --priority <priority> --type <type>"
+          )
+        );
+        process.exit(1);
+      }
+
+      const result = await resolveEmailIdentifier(emailIdentifier);
+      if (!result.success) {
+        console.error(chalk.red(`🚨 ${result.error}`));
+        process.exit(1);
+      }
+
+      const before = result.email.classification || {};
+      const corrected = await recordCorrection(result.email, {
+        priority: options.priority,
+        type: options.type,
+      });
+
+      console.log(
+        chalk.green(`✓ Recorded correction for #${result.index}: `) +
+          result.email.subject
+      );
+      if (corrected.classification) {
+        console.log(
+          `${chalk.dim("Priority:")} ${before.priority} → ${
+            corrected.classification.priority
+          }`
+        );
+        console.log(
+          `${chalk.dim("Type:")} ${before.type} → ${
+            corrected.classification.type
+          }`
+        );
+      } else {
+        console.log(
+          chalk.yellow(
+            "This email has not been analyzed yet; the correction applies when it is."
+          )
+        );
+      }
+      console.log(
+        chalk.blue(
+          "Future analyses use this correction as an example and apply it to emails from the same sender."
+        )
+      );
+    } catch (error) {
+      console.error(chalk.red("🚨 Error correcting email:"), error.message);
+      process.exit(1);
+    }
+  });
+
 // List emails command
 program
   .command("list")
   .description("List all emails with their indices and unique IDs")
   .option("--limit <number>", "Limit number of emails to display", parseInt, 20)
+  .option("--tag <tag>", "Only list emails with this tag")
+  .option("--account <name>", "Use this account instead of the current one")
+  .option("--all-accounts", "List emails from every configured account")
   .action(async (options) => {
     try {
       // Ensure account exists, prompt for auth if needed
-      await ensureAccount();
+      await ensureAccount(options.account);
 
-      // Load configuration
-      const config = await loadConfig();
-      const tempDir = path.join(__dirname, config.tempDir || "./temp");
-      const emailsPath = path.join(tempDir, "emails.json");
+      // Load emails from the local mail store
+      const emails = options.allAccounts
+        ? await loadAllAccountsEmails({ tag: options.tag })
+        : await loadEmails({ tag: options.tag });
 
-      // Check if emails.json exists
-      if (!(await fs.pathExists(emailsPath))) {
+      if (emails.length === 0) {
         console.error(
-          chalk.red('🚨 No emails found. Run "emailmaster fetch" first.')
+          chalk.red(
+            options.tag
+              ? `🚨 No emails tagged "${options.tag}". Run "emailmaster tag" to tag emails.`
+              : '🚨 No emails found. Run "emailmaster fetch" first.'
+          )
         );
         process.exit(1);
       }
 
-      // Load emails
-      const emails = await fs.readJson(emailsPath);
-
-      if (emails.length === 0) {
-        console.log(chalk.yellow("📭 No emails found."));
-        return;
-      }
-
       console.log(createTitleBox(`📋 Email List (${emails.length} total)`));
 
       // Display emails with limit
       const displayEmails = emails.slice(0, options.limit);
 
       displayEmails.forEach((email, arrayIndex) => {
-        const index = email.assignedIndex || arrayIndex + 1;
+        // In unified mode, prefix the number with its account ("work:3")
+        const index = email.account
+          ? `${email.account}:${email.assignedIndex || arrayIndex + 1}`
+          : email.assignedIndex || arrayIndex + 1;
         const uniqueId = email.uniqueId || "N/A";
         const date =
           typeof email.date === "string"
@@ -569,7 +1094,9 @@ program
 
       console.log(
         chalk.dim(
-          `\nℹ️ Use "emailmaster view <number>" or "emailmaster view --id <uniqueId>" to view details.`
+          options.allAccounts
+            ? `\nℹ️ Use "emailmaster view <account>:<number>" or "emailmaster reply <account>:<number>" to open an email in its account.`
+            : `\nℹ️ Use "emailmaster view <number>" or "emailmaster view --id <uniqueId>" to view details.`
         )
       );
     } catch (error) {
@@ -582,18 +1109,17 @@ program
 program
   .command("summary")
   .description("Generate daily email summary")
-  .action(async () => {
+  .option("--all-accounts", "Summarize emails from every configured account")
+  .action(async (options) => {
     try {
       // Ensure account exists, prompt for auth if needed
       await ensureAccount();
 
-      // Load configuration
-      const config = await loadConfig();
-      const tempDir = path.join(__dirname, config.tempDir || "./temp");
-      const tempAnalyzedPath = path.join(tempDir, "analyzed_emails.json");
-
-      // Check if analyzed_emails.json exists
-      if (!(await fs.pathExists(tempAnalyzedPath))) {
+      // Load analyzed emails from the local mail store
+      const analyzedEmails = options.allAccounts
+        ? await loadAllAccountsEmails({ analyzedOnly: true })
+        : await loadAnalyzedEmails();
+      if (analyzedEmails.length === 0) {
         console.error(
           chalk.red(
             '🚨 No analyzed emails found. Run "emailmaster analyze" first.'
@@ -604,9 +1130,6 @@ program
 
       console.log(createTitleBox("📋 Daily Email Summary"));
 
-      // Load analyzed emails
-      const analyzedEmails = await fs.readJson(tempAnalyzedPath);
-
       // Generate summary
       await showLoading("Generating summary", 1200);
       const summary = await generateDailySummary(analyzedEmails);
@@ -627,6 +1150,89 @@ program
     }
   });
 
+// Mood command
+program
+  .command("mood")
+  .description("Track the sentiment of your emails over the weeks")
+  .option(
+    "-w, --weeks <number>",
+    "Number of weeks to show",
+    String(DEFAULT_TREND_WEEKS)
+  )
+  .option("--export", "Save the trend report as Markdown")
+  .action(async (options) => {
+    try {
+      // Ensure account exists, prompt for auth if needed
+      await ensureAccount();
+
+      const weeks = parseInt(options.weeks, 10);
+      if (!(weeks > 0)) {
+        console.error(chalk.red("🚨 --weeks must be a positive number."));
+        process.exit(1);
+      }
+
+      // Analyze emails that are not in the sentiment history yet
+      const aiConfig = checkAIConfiguration();
+      if (aiConfig.configured) {
+        const emails = await loadEmails();
+        const analyzed = new Set(
+          (await loadSentiments()).map((entry) => String(entry.emailId))
+        );
+        const pending = emails.filter(
+          (email) => !analyzed.has(String(email.id))
+        );
+
+        if (pending.length > 0) {
+          console.log(
+            chalk.blue(
+              `Analyzing the sentiment of ${pending.length} new emails...`
+            )
+          );
+          await showLoading("Running sentiment analysis", 1200);
+          const entries = buildSentimentEntries(
+            pending,
+            await analyzeEmailSentiment(pending)
+          );
+          await saveSentiments(entries);
+          console.log(
+            chalk.green(`✓ Sentiment saved for ${entries.length} emails.`)
+          );
+        }
+      } else {
+        console.log(
+          chalk.yellow(
+            `⚠️  AI provider (${aiConfig.provider}) not configured. Showing saved sentiment history only.`
+          )
+        );
+        console.log(chalk.gray(`💡 Tip: ${aiConfig.setupInstructions}`));
+      }
+
+      const entries = await loadSentiments({
+        since: getTrendStartDay(weeks),
+      });
+      if (entries.length === 0) {
+        console.error(
+          chalk.red(
+            `🚨 No sentiment history for the last ${weeks} weeks. Run "emailmaster fetch" and then "emailmaster mood" with an AI provider configured.`
+          )
+        );
+        process.exit(1);
+      }
+
+      const report = generateMoodTrendReport(entries);
+      const trends = buildMoodTrends(entries, { weeks });
+      displayMoodTrends(report, trends);
+
+      if (options.export) {
+        const filePath = await exportMoodTrendReport(report, trends);
+        console.log(chalk.green(`\n✓ Mood report saved to: ${filePath}`));
+      }
+    } catch (error) {
+      console.error(chalk.red("🚨 Error tracking mood:"), error.message);
+      process.exit(1);
+    }
+  });
+
 // Export command
 program
   .command("export")
@@ -637,13 +1243,9 @@ program
       // Ensure account exists, prompt for auth if needed
       await ensureAccount();
 
-      // Load configuration
-      const config = await loadConfig();
-      const tempDir = path.join(__dirname, config.tempDir || "./temp");
-      const tempAnalyzedPath = path.join(tempDir, "analyzed_emails.json");
-
-      // Check if analyzed_emails.json exists
-      if (!(await fs.pathExists(tempAnalyzedPath))) {
+      // Load analyzed emails from the local mail store
+      const analyzedEmails = await loadAnalyzedEmails();
+      if (analyzedEmails.length === 0) {
         console.error(
           chalk.red(
             '🚨 No analyzed emails found. Run "emailmaster analyze" first.'
@@ -656,9 +1258,6 @@ program
         createTitleBox(`📤 Exporting Emails (${options.format.toUpperCase()})`)
       );
 
-      // Load analyzed emails
-      const analyzedEmails = await fs.readJson(tempAnalyzedPath);
-
       // Export emails
       await showLoading(`Exporting to ${options.format}`, 800);
 
@@ -697,22 +1296,17 @@ program
       // Ensure account exists
       await ensureAccount();
 
-      // Load configuration
-      const config = await loadConfig();
-      const tempDir = path.join(__dirname, config.tempDir || "./temp");
-
       let emails = [];
 
       if (options.email) {
         // Load single email
-        const emailsPath = path.join(tempDir, "emails.json");
-        if (!(await fs.pathExists(emailsPath))) {
+        const allEmails = await loadEmails();
+        if (allEmails.length === 0) {
           console.error(
             chalk.red('🚨 No emails found. Run "emailmaster fetch" first.')
           );
           process.exit(1);
         }
-        const allEmails = await fs.readJson(emailsPath);
         const emailIndex = parseInt(options.email, 10) - 1;
         if (emailIndex < 0 || emailIndex >= allEmails.length) {
           console.error(chalk.red(`🚨 Email #${options.email} not found.`));
@@ -721,8 +1315,8 @@ program
         emails = [allEmails[emailIndex]];
       } else {
         // Load analyzed emails
-        const analyzedPath = path.join(tempDir, "analyzed_emails.json");
-        if (!(await fs.pathExists(analyzedPath))) {
+        emails = await loadAnalyzedEmails();
+        if (emails.length === 0) {
           console.error(
             chalk.red(
               '🚨 No analyzed emails found. Run "emailmaster analyze" first.'
@@ -730,7 +1324,6 @@ program
           );
           process.exit(1);
         }
-        emails = await fs.readJson(analyzedPath);
       }
 
       await showLoading("Extracting calendar events", 1000);
@@ -829,11 +1422,13 @@ program
       }
 
       // Search for emails
-      const response = await gmail.users.messages.list({
-        userId: "me",
-        q: query,
-        maxResults: 100,
-      });
+      const response = await executeGmailRequest("messages.list", () =>
+        gmail.users.messages.list({
+          userId: "me",
+          q: query,
+          maxResults: 100,
+        })
+      );
 
       const messages = response.data.messages || [];
 
@@ -860,12 +1455,14 @@ program
         // Get details for first few emails to show what would be swept
         const sampleEmails = await Promise.all(
           messages.slice(0, 5).map(async (msg) => {
-            const email = await gmail.users.messages.get({
-              userId: "me",
-              id: msg.id,
-              format: "metadata",
-              metadataHeaders: ["Subject", "From", "Date"],
-            });
+            const email = await executeGmailRequest("messages.get", () =>
+              gmail.users.messages.get({
+                userId: "me",
+                id: msg.id,
+                format: "metadata",
+                metadataHeaders: ["Subject", "From", "Date"],
+              })
+            );
 
             const headers = email.data.payload.headers;
             const subject =
@@ -924,13 +1521,15 @@ program
       const messageIds = messages.map((msg) => msg.id);
 
       // Gmail API batch modify (archive = remove inbox label)
-      await gmail.users.messages.batchModify({
-        userId: "me",
-        requestBody: {
-          ids: messageIds,
-          removeLabelIds: ["INBOX"],
-        },
-      });
+      await executeGmailRequest("messages.batchModify", () =>
+        gmail.users.messages.batchModify({
+          userId: "me",
+          requestBody: {
+            ids: messageIds,
+            removeLabelIds: ["INBOX"],
+          },
+        })
+      );
 
       console.log(
         createSuccessMessage(`Successfully archived ${messages.length} emails!`)
@@ -964,11 +1563,9 @@ program
       await ensureAccount();
 
       // Load analyzed emails to find unsubscribe links
-      const config = await loadConfig();
-      const tempDir = path.join(__dirname, config.tempDir || "./temp");
-      const analyzedPath = path.join(tempDir, "analyzed_emails.json");
+      const emails = await loadAnalyzedEmails();
 
-      if (!(await fs.pathExists(analyzedPath))) {
+      if (emails.length === 0) {
         console.error(
           chalk.red(
             '🚨 No analyzed emails found. Run "emailmaster analyze" first.'
@@ -977,8 +1574,6 @@ program
         process.exit(1);
       }
 
-      const emails = await fs.readJson(analyzedPath);
-
       await showLoading("Scanning emails for unsubscribe links", 1500);
 
       // Extract unsubscribe links from email bodies
@@ -1019,168 +1614,401 @@ program
         return;
       }
 
-      if (options.list) {
-        console.log(
-          chalk.bold(`\n📋 Found ${uniqueLinks.length} mailing lists:`)
-        );
-        uniqueLinks.forEach((item, index) => {
-          console.log(
-            `${index + 1}. ${chalk.cyan(item.domain)} - ${chalk.gray(
-              item.from
-            )}`
-          );
-        });
-        console.log(
-          chalk.blue(`\nTo unsubscribe, run: emailmaster unsubscribe --send 5`)
+      if (options.list) {
+        console.log(
+          chalk.bold(`\n📋 Found ${uniqueLinks.length} mailing lists:`)
+        );
+        uniqueLinks.forEach((item, index) => {
+          console.log(
+            `${index + 1}. ${chalk.cyan(item.domain)} - ${chalk.gray(
+              item.from
+            )}`
+          );
+        });
+        console.log(
+          chalk.blue(`\nTo unsubscribe, run: emailmaster unsubscribe --send 5`)
+        );
+        return;
+      }
+
+      let linksToProcess = [];
+
+      if (options.all) {
+        linksToProcess = uniqueLinks;
+      } else if (options.send) {
+        const count = parseInt(options.send, 10);
+        linksToProcess = uniqueLinks.slice(0, count);
+      } else {
+        console.log(
+          chalk.yellow("Please specify --list, --send <number>, or --all")
+        );
+        return;
+      }
+
+      console.log(
+        chalk.blue(
+          `Processing unsubscribe requests for ${linksToProcess.length} mailing lists...`
+        )
+      );
+
+      // Send unsubscribe requests
+      let successCount = 0;
+      let failCount = 0;
+
+      for (const item of linksToProcess) {
+        try {
+          console.log(`Unsubscribing from ${chalk.cyan(item.domain)}...`);
+
+          // Try to send GET request to unsubscribe link
+          const response = await axios.get(item.link, {
+            timeout: 10000,
+            headers: {
+              "User-Agent": "EmailMaster-CLI/1.0",
+            },
+          });
+
+          if (response.status === 200) {
+            console.log(chalk.green(`✓ Success: ${item.domain}`));
+            successCount++;
+          } else {
+            console.log(
+              chalk.yellow(
+                `⚠️ Uncertain: ${item.domain} (status: ${response.status})`
+              )
+            );
+          }
+        } catch (error) {
+          console.log(chalk.red(`✗ Failed: ${item.domain} - ${error.message}`));
+          failCount++;
+        }
+
+        // Add delay between requests to be respectful
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+
+      console.log(chalk.bold(`\n📊 Unsubscribe Summary:`));
+      console.log(`${chalk.green("Success:")} ${successCount}`);
+      console.log(`${chalk.red("Failed:")} ${failCount}`);
+      console.log(
+        chalk.blue(
+          "Note: Some unsubscribe processes may require email confirmation."
+        )
+      );
+    } catch (error) {
+      console.error(
+        chalk.red("🚨 Error managing unsubscriptions:"),
+        error.message
+      );
+      process.exit(1);
+    }
+  });
+
+// Search command
+program
+  .command("search [query]")
+  .description(
+    "Search emails by meaning, with filters like from:, priority: and tag:"
+  )
+  .option(
+    "-l, --limit <number>",
+    "Maximum number of results",
+    parseInt,
+    DEFAULT_RESULT_LIMIT
+  )
+  .option("--keyword", "Use keyword (BM25) search only")
+  .option("--reindex", "Embed every email again before searching")
+  .option("--save <name>", "Save the query under a name")
+  .option("--run <name>", "Run a saved search")
+  .action(async (queryArg, options) => {
+    try {
+      // Ensure account exists, prompt for auth if needed
+      await ensureAccount();
+
+      if (!queryArg && !options.run) {
+        console.error(
+          chalk.red(
+            '🚨 Provide a search query, or run a saved search with "--run <name>".'
+          )
+        );
+        process.exit(1);
+      }
+      const query = options.run
+        ? (await useSavedSearch(options.run)).query
+        : queryArg;
+      // Saving first rejects a bad name or query before searching
+      if (options.save) {
+        await saveNamedSearch(options.save, query);
+      }
+
+      // Load emails from the local mail store
+      const emails = await loadEmails();
+      if (emails.length === 0) {
+        console.error(
+          chalk.red('🚨 No emails found. Run "emailmaster fetch" first.')
+        );
+        process.exit(1);
+      }
+
+      console.log(createTitleBox("🔎 Searching Emails"));
+      console.log(
+        chalk.blue(
+          options.run
+            ? `Saved search "${options.run}": ${query}`
+            : `Query: "${query}"`
+        )
+      );
+
+      if (!options.keyword && !isSemanticSearchEnabled()) {
+        const aiConfig = checkAIConfiguration();
+        if (!aiConfig.configured) {
+          console.log(
+            chalk.yellow(
+              `⚠️  AI provider (${aiConfig.provider}) not configured. Using keyword search.`
+            )
+          );
+          console.log(chalk.gray(`💡 Tip: ${aiConfig.setupInstructions}`));
+        }
+      }
+
+      await showLoading("Searching", 800);
+      const search = await searchEmails(emails, query, {
+        limit: options.limit,
+        keyword: options.keyword,
+        reindex: options.reindex,
+      });
+      displaySearchResults(search);
+
+      if (options.save) {
+        console.log(
+          chalk.green(
+            `\n✓ Saved as "${options.save}". Run it again with "emailmaster search --run ${options.save}".`
+          )
+        );
+      }
+    } catch (error) {
+      console.error(chalk.red("🚨 Error searching emails:"), error.message);
+      process.exit(1);
+    }
+  });
+
+// Saved searches command
+program
+  .command("searches")
+  .description("List saved searches")
+  .option("--delete <name>", "Delete a saved search")
+  .action(async (options) => {
+    try {
+      // Ensure account exists, prompt for auth if needed
+      await ensureAccount();
+
+      if (options.delete) {
+        await removeSavedSearch(options.delete);
+        console.log(chalk.green(`✓ Deleted saved search "${options.delete}".`));
+        return;
+      }
+
+      displaySavedSearches(await listSavedSearches());
+    } catch (error) {
+      console.error(
+        chalk.red("🚨 Error managing saved searches:"),
+        error.message
+      );
+      process.exit(1);
+    }
+  });
+
+// Tag command
+program
+  .command("tag")
+  .description("Auto-tag cached emails and apply the tags as Gmail labels")
+  .option("-l, --limit <number>", "Only tag the newest emails", parseInt)
+  .option(
+    "--min-confidence <number>",
+    "Lowest confidence (0-100) needed to apply tags",
+    String(DEFAULT_MIN_CONFIDENCE)
+  )
+  .option(
+    "--label-prefix <prefix>",
+    'Parent Gmail label for tag labels ("" for top-level labels)',
+    DEFAULT_LABEL_PREFIX
+  )
+  .option("--dry-run", "Show the suggested tags without saving or labeling")
+  .action(async (options) => {
+    try {
+      // Ensure account exists, prompt for auth if needed
+      await ensureAccount();
+
+      console.log(createTitleBox("📌 Tagging Emails"));
+
+      const aiConfig = checkAIConfiguration();
+      if (!aiConfig.configured) {
+        console.error(
+          chalk.red(
+            `🚨 Auto-tagging needs an AI provider, and ${aiConfig.provider} is not configured.`
+          )
+        );
+        console.log(chalk.gray(`💡 Tip: ${aiConfig.setupInstructions}`));
+        process.exit(1);
+      }
+
+      // Load emails from the local mail store
+      const emails = await loadEmails({ limit: options.limit });
+      if (emails.length === 0) {
+        console.error(
+          chalk.red('🚨 No emails found. Run "emailmaster fetch" first.')
+        );
+        process.exit(1);
+      }
+
+      const minConfidence = parseInt(options.minConfidence, 10);
+      if (Number.isNaN(minConfidence)) {
+        console.error(
+          chalk.red("🚨 --min-confidence must be a number between 0 and 100.")
         );
-        return;
+        process.exit(1);
       }
 
-      let linksToProcess = [];
+      console.log(chalk.blue(`Tagging ${emails.length} emails...`));
+      await showLoading("Running AI tagging", 1200);
+      const selection = selectConfidentTags(
+        await autoTagEmails(emails),
+        minConfidence
+      );
+      displayTagResults(selection, { minConfidence });
 
-      if (options.all) {
-        linksToProcess = uniqueLinks;
-      } else if (options.send) {
-        const count = parseInt(options.send, 10);
-        linksToProcess = uniqueLinks.slice(0, count);
-      } else {
+      if (selection.accepted.length === 0) {
+        return;
+      }
+      if (options.dryRun) {
         console.log(
-          chalk.yellow("Please specify --list, --send <number>, or --all")
+          createWarningMessage(
+            "DRY RUN - No tags were saved and no Gmail labels were changed."
+          )
+        );
+        console.log(
+          chalk.blue(
+            "\nTo apply these tags, run the command again without --dry-run."
+          )
         );
         return;
       }
 
-      console.log(
-        chalk.blue(
-          `Processing unsubscribe requests for ${linksToProcess.length} mailing lists...`
-        )
-      );
-
-      // Send unsubscribe requests
-      let successCount = 0;
-      let failCount = 0;
-
-      for (const item of linksToProcess) {
-        try {
-          console.log(`Unsubscribing from ${chalk.cyan(item.domain)}...`);
+      // Keep tags locally so list, search and dashboard can filter by them
+      for (const { email, tags, confidence } of selection.accepted) {
+        await saveTags(email.id, tags, { source: "ai", confidence });
+      }
 
-          // Try to send GET request to unsubscribe link
-          const response = await axios.get(item.link, {
-            timeout: 10000,
-            headers: {
-              "User-Agent": "EmailMaster-CLI/1.0",
-            },
-          });
+      const account = await getCurrentAccount();
+      const tokenPath = path.join(process.cwd(), account.tokenPath);
+      const gmail = await getGmailClient(tokenPath);
 
-          if (response.status === 200) {
-            console.log(chalk.green(`✓ Success: ${item.domain}`));
-            successCount++;
-          } else {
-            console.log(
-              chalk.yellow(
-                `⚠️ Uncertain: ${item.domain} (status: ${response.status})`
-              )
-            );
-          }
-        } catch (error) {
-          console.log(chalk.red(`✗ Failed: ${item.domain} - ${error.message}`));
-          failCount++;
-        }
+      await showLoading("Applying Gmail labels", 800);
+      const { created, labeled } = await applyTagLabels(
+        gmail,
+        selection.accepted,
+        { prefix: options.labelPrefix }
+      );
 
-        // Add delay between requests to be respectful
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+      if (created.length > 0) {
+        console.log(chalk.green(`✓ Created labels: ${created.join(", ")}`));
       }
-
-      console.log(chalk.bold(`\n📊 Unsubscribe Summary:`));
-      console.log(`${chalk.green("Success:")} ${successCount}`);
-      console.log(`${chalk.red("Failed:")} ${failCount}`);
+      console.log(
+        createSuccessMessage(`Tagged ${labeled} emails in Gmail and locally.`)
+      );
       console.log(
         chalk.blue(
-          "Note: Some unsubscribe processes may require email confirmation."
+          '\nFilter by tag with "emailmaster list --tag <tag>" or "emailmaster search tag:<tag>".'
         )
       );
     } catch (error) {
-      console.error(
-        chalk.red("🚨 Error managing unsubscriptions:"),
-        error.message
-      );
+      console.error(chalk.red("🚨 Error tagging emails:"), error.message);
       process.exit(1);
     }
   });
 
-// Search command
+// Follow-ups command
 program
-  .command("search <query>")
-  .description("Search emails with natural language")
-  .action(async (query) => {
+  .command("followups")
+  .description("List replies you owe and replies you are waiting on")
+  .option(
+    "-d, --days <number>",
+    "Days of received and sent mail to check",
+    String(DEFAULT_LOOKBACK_DAYS)
+  )
+  .option(
+    "--nudge-days <number>",
+    "Days until a reply or nudge is due",
+    String(DEFAULT_NUDGE_DAYS)
+  )
+  .option(
+    "--mark-done <thread>",
+    "Mark a thread as done, by email number or thread ID"
+  )
+  .action(async (options) => {
     try {
       // Ensure account exists, prompt for auth if needed
       await ensureAccount();
 
-      // Load configuration
-      const config = await loadConfig();
-      const tempDir = path.join(__dirname, config.tempDir || "./temp");
-      const tempEmailsPath = path.join(tempDir, "emails.json");
+      const account = await getCurrentAccount();
+      const tokenPath = path.join(process.cwd(), account.tokenPath);
+      const gmail = await getGmailClient(tokenPath);
+
+      if (options.markDone) {
+        // Email numbers and IDs resolve to their thread; anything else is a thread ID
+        const resolved = await resolveEmailIdentifier(options.markDone);
+        const threadId = resolved.success
+          ? resolved.email.threadId
+          : options.markDone;
+        const thread = await getThread(gmail, threadId, account.email);
+        const lastMessage = thread.messages[thread.messages.length - 1];
+        if (!lastMessage) {
+          console.error(chalk.red(`🚨 Thread not found: ${options.markDone}`));
+          process.exit(1);
+        }
+
+        await markFollowUpDone(threadId, lastMessage.id);
+        console.log(
+          chalk.green(
+            `✓ Marked "${lastMessage.subject}" as done. It comes back if a new message arrives.`
+          )
+        );
+        return;
+      }
 
-      // Check if emails.json exists
-      if (!(await fs.pathExists(tempEmailsPath))) {
+      const days = parseInt(options.days, 10);
+      const nudgeDays = parseInt(options.nudgeDays, 10);
+      if (!(days > 0) || !(nudgeDays >= 0)) {
         console.error(
-          chalk.red('🚨 No emails found. Run "emailmaster fetch" first.')
+          chalk.red("🚨 --days and --nudge-days must be positive numbers.")
         );
         process.exit(1);
       }
 
-      console.log(createTitleBox("🔎 Searching Emails"));
-      console.log(chalk.blue(`Query: "${query}"`));
+      console.log(createTitleBox("📨 Follow-ups"));
 
-      // Check AI configuration
-      const { checkAIConfiguration } = require("./src/ai/geminiAI");
       const aiConfig = checkAIConfiguration();
-
       if (!aiConfig.configured) {
         console.log(
           chalk.yellow(
-            "⚠️  Gemini AI not configured. Using simple text search."
+            `⚠️  AI provider (${aiConfig.provider}) not configured. Listing open threads except bulk mail.`
           )
         );
         console.log(chalk.gray(`💡 Tip: ${aiConfig.setupInstructions}`));
       }
 
-      // Load emails
-      const emails = await fs.readJson(tempEmailsPath);
-
-      // Search emails
-      await showLoading("Searching with AI", 1500);
-      const results = await searchEmailsWithNLP(emails, query);
+      // Load emails from the local mail store
+      const emails = await loadEmails();
 
-      if (results.length === 0) {
-        console.log(chalk.yellow("No matching emails found."));
-        if (!aiConfig.configured) {
-          console.log(
-            chalk.gray(
-              "💡 AI search might find more results with proper configuration."
-            )
-          );
-        }
-      } else {
-        console.log(chalk.green(`✓ Found ${results.length} matching emails:`));
-
-        results.forEach((email, index) => {
-          console.log(
-            `\n${chalk.bold(`#${index + 1}:`)} ${chalk.blue(email.subject)}`
-          );
-          console.log(`${chalk.gray("From:")} ${email.from}`);
-          console.log(
-            `${chalk.gray("Date:")} ${new Date(email.date).toLocaleString()}`
-          );
-          if (email.matchReason) {
-            console.log(`${chalk.gray("Match:")} ${email.matchReason}`);
-          }
-        });
-      }
+      await showLoading("Checking threads", 800);
+      const followUps = await findFollowUps(gmail, emails, {
+        accountEmail: account.email,
+        days,
+        nudgeDays,
+      });
+      displayFollowUps(followUps);
     } catch (error) {
-      console.error(chalk.red("🚨 Error searching emails:"), error.message);
-      console.log(chalk.gray("💡 Search fell back to simple text matching."));
+      console.error(chalk.red("🚨 Error checking follow-ups:"), error.message);
+      process.exit(1);
     }
   });
 
@@ -1192,16 +2020,22 @@ program
   .option("-s, --send", "Send the AI-generated reply immediately")
   .option("-m, --manual", "Compose manual reply via CLI prompt")
   .option("-d, --draft", "Save as draft instead of sending")
+  .option("--all", "Reply to all recipients, keeping Cc")
   .option("--message <message>", "Custom reply message content")
+  .option("--account <name>", "Use this account instead of the current one")
   .action(async (emailNumber, options) => {
     try {
       console.log(createTitleBox("📤 Replying to Email"));
 
+      // "work:3" replies from the account the email belongs to
+      const { account, identifier: emailIdentifier } =
+        parseAccountIdentifier(emailNumber);
+
       // Ensure account exists, prompt for auth if needed
-      await ensureAccount();
+      await ensureAccount(account || options.account);
 
       // Convert email number to integer
-      const emailIndex = parseInt(emailNumber, 10);
+      const emailIndex = parseInt(emailIdentifier, 10);
       if (isNaN(emailIndex) || emailIndex <= 0) {
         console.error(
           chalk.red(
@@ -1230,14 +2064,18 @@ program
         message: options.message,
         draft: options.draft,
         send: options.send,
+        all: options.all,
       });
 
       if (result.success) {
         if (result.type === "draft-preview") {
           // Just show the AI draft without sending
           console.log("\n" + chalk.bold.blue("📝 AI REPLY DRAFT") + "\n");
-          console.log(chalk.bold(`To: ${result.email.from}`));
-          console.log(chalk.bold(`Subject: Re: ${result.email.subject}`));
+          console.log(chalk.bold(`To: ${result.recipients.to}`));
+          if (result.recipients.cc) {
+            console.log(chalk.bold(`Cc: ${result.recipients.cc}`));
+          }
+          console.log(chalk.bold(`Subject: ${result.subject}`));
           console.log("\n" + result.message);
 
           // Save draft to file
@@ -1253,19 +2091,20 @@ program
             chalk.blue(
               "\nTo send this reply, use: emailmaster reply " +
                 emailNumber +
+                (options.all ? " --all" : "") +
                 " --ai --send"
             )
           );
         } else if (result.type === "draft") {
           console.log(
             chalk.green(
-              `✓ Draft saved for email from ${result.email.from} on thread "${result.email.subject}"`
+              `✓ Draft saved for ${result.recipients.to} on thread "${result.email.subject}"`
             )
           );
         } else {
           console.log(
             chalk.green(
-              `✓ Replied successfully to email from ${result.email.from} on thread "${result.email.subject}"`
+              `✓ Replied successfully to ${result.recipients.to} on thread "${result.email.subject}"`
             )
           );
         }
@@ -1368,8 +2207,14 @@ program
         const loadingInterval = showLoading("Fetching emails and attachments");
 
         try {
-          // Fetch emails using the fetchEmails function
-          emails = await fetchEmails(parseInt(options.days));
+          // Refresh the cache, then pick emails whose stored MIME metadata
+          // lists attachments within the date range
+          const cutoffDate = moment().subtract(parseInt(options.days), "days");
+          emails = (await fetchEmails()).filter(
+            (email) =>
+              mayHaveAttachments(email) &&
+              moment(email.date).isSameOrAfter(cutoffDate)
+          );
           clearInterval(loadingInterval);
           console.log(
             createInfoMessage(`Found ${emails.length} emails to scan`)
@@ -1394,8 +2239,9 @@ program
           ? options.types.split(",").map((t) => t.trim())
           : [],
         maxFileSize: parseInt(options.maxSize) * 1024 * 1024,
-        organizeByDate: !options.noOrganizeDate,
-        organizeByType: !options.noOrganizeType,
+        organizeByDate: options.organizeDate !== false,
+        organizeByType: options.organizeType !== false,
+        days: options.email || options.id ? null : parseInt(options.days),
       };
 
       // Download attachments
@@ -1462,7 +2308,14 @@ program
     try {
       console.log(createTitleBox("🔄 Syncing Email Attachments"));
 
-      const auth = await getGmailClient();
+      // Ensure account exists, prompt for auth if needed
+      await ensureAccount();
+
+      // Get current account to use the correct token
+      const currentAccount = await getCurrentAccount();
+      const tokenPath = path.join(process.cwd(), currentAccount.tokenPath);
+
+      const auth = await getGmailClient(tokenPath);
       if (!auth) {
         console.error(
           createErrorMessage(
@@ -1476,8 +2329,8 @@ program
       const loadingInterval = showLoading("Syncing attachments");
 
       try {
-        // Fetch all emails (we'll filter by date in sync function)
-        const emails = await fetchEmails(auth, 365); // Look back 1 year
+        // Refresh the email cache; already downloaded files are skipped via the manifest
+        const emails = await fetchEmails();
         clearInterval(loadingInterval);
 
         // Prepare options
@@ -1487,8 +2340,8 @@ program
             ? options.types.split(",").map((t) => t.trim())
             : [],
           maxFileSize: parseInt(options.maxSize) * 1024 * 1024,
-          organizeByDate: !options.noOrganizeDate,
-          organizeByType: !options.noOrganizeType,
+          organizeByDate: options.organizeDate !== false,
+          organizeByType: options.organizeType !== false,
         };
 
         // Sync attachments
@@ -1623,6 +2476,260 @@ program
     }
   });
 
+// Stats commands
+const statsCommand = program
+  .command("stats")
+  .description("Show usage statistics");
+
+statsCommand
+  .command("ai")
+  .description("Show AI requests, tokens and estimated cost over time")
+  .option("-d, --days <number>", "Number of days to include", parseInt, 7)
+  .option("--account <name>", "Use this account instead of the current one")
+  .option("--all-accounts", "Include every configured account")
+  .action(async (options) => {
+    try {
+      const accounts = await getTargetAccounts(options);
+      const config = await loadConfig();
+
+      const rows = [];
+      for (const account of accounts) {
+        const accountRows = await loadUsageSince({
+          days: options.days,
+          account,
+        });
+        accountRows.forEach((row) =>
+          rows.push({ ...row, account: account.name })
+        );
+      }
+
+      displayAIUsageReport(buildUsageReport(rows, config.aiPricing), {
+        days: options.days,
+        today: options.allAccounts ? null : await getTodayUsage(),
+        budgets: {
+          tokens: config.aiDailyTokenBudget,
+          calls: config.aiDailyCallBudget,
+        },
+      });
+    } catch (error) {
+      console.error(chalk.red("🚨 Error showing AI usage:"), error.message);
+      process.exit(1);
+    }
+  });
+
+statsCommand
+  .command("redaction")
+  .description("Show how much personal data was redacted from AI prompts")
+  .option("-d, --days <number>", "Number of days to include", parseInt, 7)
+  .option("--account <name>", "Use this account instead of the current one")
+  .option("--all-accounts", "Include every configured account")
+  .action(async (options) => {
+    try {
+      const accounts = await getTargetAccounts(options);
+      const config = await loadConfig();
+
+      const rows = [];
+      for (const account of accounts) {
+        const accountRows = await loadRedactionsSince({
+          days: options.days,
+          account,
+        });
+        accountRows.forEach((row) =>
+          rows.push(
+            options.allAccounts ? { ...row, account: account.name } : row
+          )
+        );
+      }
+
+      displayRedactionReport(rows, {
+        days: options.days,
+        enabled: isRedactionEnabled(config),
+      });
+    } catch (error) {
+      console.error(
+        chalk.red("🚨 Error showing redaction audit:"),
+        error.message
+      );
+      process.exit(1);
+    }
+  });
+
+statsCommand
+  .command("accuracy")
+  .description("Show classifier accuracy against your corrections")
+  .option("-d, --days <number>", "Only include recent corrections", parseInt)
+  .option("--account <name>", "Use this account instead of the current one")
+  .option("--all-accounts", "Include every configured account")
+  .action(async (options) => {
+    try {
+      const accounts = await getTargetAccounts(options);
+
+      const corrections = [];
+      for (const account of accounts) {
+        const accountRows = await loadCorrectionHistory({
+          days: options.days,
+          account,
+        });
+        accountRows.forEach((row) =>
+          corrections.push({ ...row, account: account.name })
+        );
+      }
+
+      displayAccuracyReport(buildAccuracyReport(corrections), {
+        days: options.days,
+      });
+    } catch (error) {
+      console.error(
+        chalk.red("🚨 Error showing classification accuracy:"),
+        error.message
+      );
+      process.exit(1);
+    }
+  });
+
+// AI result cache commands
+const cacheCommand = program
+  .command("cache")
+  .description("Manage cached AI results");
+
+cacheCommand
+  .command("stats")
+  .description("Show cached AI results by task, model and prompt version")
+  .option("--account <name>", "Use this account instead of the current one")
+  .option("--all-accounts", "Include every configured account")
+  .action(async (options) => {
+    try {
+      const accounts = await getTargetAccounts(options);
+      const config = await loadConfig();
+      const aiConfig = checkAIConfiguration();
+      const model = `${aiConfig.provider}/${aiConfig.model}`;
+
+      const rows = [];
+      for (const account of accounts) {
+        const accountRows = await getResultCacheStats({ model, account });
+        accountRows.forEach((row) =>
+          rows.push(
+            options.allAccounts ? { ...row, account: account.name } : row
+          )
+        );
+      }
+
+      displayAICacheStats(rows, {
+        model,
+        maxAgeDays: config.aiCacheMaxAgeDays ?? DEFAULT_CACHE_MAX_AGE_DAYS,
+      });
+    } catch (error) {
+      console.error(chalk.red("🚨 Error showing AI cache:"), error.message);
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command("prune")
+  .description("Remove expired, stale or all cached AI results")
+  .option(
+    "--older-than <days>",
+    "Remove results created more than this many days ago",
+    parseInt
+  )
+  .option("--stale", "Remove results from other models or prompt versions")
+  .option("--all", "Remove every cached AI result")
+  .option("--account <name>", "Use this account instead of the current one")
+  .option("--all-accounts", "Prune every configured account")
+  .action(async (options) => {
+    try {
+      const accounts = await getTargetAccounts(options);
+      const config = await loadConfig();
+      const aiConfig = checkAIConfiguration();
+
+      // Without options, remove expired and stale results
+      const pruneOptions = {
+        model: `${aiConfig.provider}/${aiConfig.model}`,
+        all: options.all,
+        stale: options.stale,
+        olderThanDays: options.olderThan,
+      };
+      if (!options.all && !options.stale && !options.olderThan) {
+        pruneOptions.stale = true;
+        pruneOptions.olderThanDays =
+          config.aiCacheMaxAgeDays ?? DEFAULT_CACHE_MAX_AGE_DAYS;
+      }
+
+      let removed = 0;
+      for (const account of accounts) {
+        removed += await pruneResultCache({ ...pruneOptions, account });
+      }
+
+      console.log(chalk.green(`✓ Removed ${removed} cached AI results.`));
+    } catch (error) {
+      console.error(chalk.red("🚨 Error pruning AI cache:"), error.message);
+      process.exit(1);
+    }
+  });
+
+// Taxonomy command
+program
+  .command("taxonomy")
+  .description("Show the priorities, types and tags used for classification")
+  .action(async () => {
+    try {
+      const taxonomyPath = getTaxonomyPath();
+      displayTaxonomy(loadTaxonomy(), {
+        path: taxonomyPath,
+        custom: await fs.pathExists(taxonomyPath),
+      });
+    } catch (error) {
+      console.error(chalk.red("🚨 Error showing taxonomy:"), error.message);
+      process.exit(1);
+    }
+  });
+
+// Prompt templates command
+program
+  .command("prompts")
+  .description("List AI prompt templates and their overrides")
+  .option("--show <template>", "Print the template text in use")
+  .option("--export", "Write the default templates to the prompt directory")
+  .action(async (options) => {
+    try {
+      if (options.show) {
+        const template = getTemplate(options.show);
+        console.log(
+          chalk.dim(
+            `# ${options.show} (${
+              template.source === "default" ? "default" : template.source
+            })`
+          )
+        );
+        console.log(template.text);
+        return;
+      }
+
+      if (options.export) {
+        const written = await exportDefaultTemplates();
+        written.forEach((filePath) =>
+          console.log(chalk.green(`✓ Wrote ${filePath}`))
+        );
+        console.log(
+          chalk.blue(
+            written.length > 0
+              ? "Edit these files to customize the prompts; delete one to restore its default."
+              : "Every template already has an override file."
+          )
+        );
+        return;
+      }
+
+      displayPromptTemplates(listTemplates(), { promptDir: getPromptDir() });
+    } catch (error) {
+      console.error(
+        chalk.red("🚨 Error with prompt templates:"),
+        error.message
+      );
+      process.exit(1);
+    }
+  });
+
 // Custom error handling for unknown commands
 program.on("command:*", function () {
   console.error(
@@ -0,0 +1,119 @@
+/**
+ * AI Provider Module
+ * Selects the configured AI backend behind a common text generation interface
+ */
+const {
+  createGeminiProvider,
+  DEFAULT_MODEL: GEMINI_DEFAULT_MODEL,
+} = require("./providers/geminiProvider");
+const {
+  createOpenAIProvider,
+  DEFAULT_MODEL: OPENAI_DEFAULT_MODEL,
+} = require("./providers/openaiProvider");
+const {
+  createOllamaProvider,
+  DEFAULT_MODEL: OLLAMA_DEFAULT_MODEL,
+} = require("./providers/ollamaProvider");
+
+const DEFAULT_PROVIDER = "gemini";
+
+// Registered providers: factory, default model and a short description
+const PROVIDERS = {
+  gemini: {
+    create: createGeminiProvider,
+    defaultModel: GEMINI_DEFAULT_MODEL,
+    description: "Google Gemini API (GEMINI_API_KEY)",
+  },
+  openai: {
+    create: createOpenAIProvider,
+    defaultModel: OPENAI_DEFAULT_MODEL,
+    description: "OpenAI or any OpenAI-compatible API (OPENAI_API_KEY)",
+  },
+  ollama: {
+    create: createOllamaProvider,
+    defaultModel: OLLAMA_DEFAULT_MODEL,
+    description: "Local Ollama server (http://localhost:11434)",
+  },
+  llamacpp: {
+    // llama.cpp's server speaks the OpenAI Chat Completions protocol
+    create: (options) =>
+      createOpenAIProvider({
+        ...options,
+        name: "llamacpp",
+        baseUrl: options.baseUrl || "http://localhost:8080/v1",
+        // The server embeds with whichever model it was started with
+        embeddingModel: options.embeddingModel || options.model,
+        requireApiKey: false,
+      }),
+    defaultModel: "local-model",
+    description: "Local llama.cpp server (http://localhost:8080/v1)",
+  },
+};
+
+// Providers are cached per configuration so clients are reused across calls
+const providerCache = new Map();
+
+/**
+ * Get the AI provider selected in the configuration
+ * @param {Object} config Configuration with provider, model, embeddingModel and providerUrl
+ * @returns {Object} Provider with name, model, generate, generateText, embed and checkConfiguration
+ */
+function getProvider(config = {}) {
+  const providerName = (config.provider || DEFAULT_PROVIDER).toLowerCase();
+  const definition = PROVIDERS[providerName];
+
+  if (!definition) {
+    throw new Error(
+      `Unknown AI provider "${
+        config.provider
+      }". Available providers: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+
+  const options = {
+    model: config.model || definition.defaultModel,
+    embeddingModel: config.embeddingModel,
+    baseUrl: config.providerUrl,
+  };
+  const cacheKey = [
+    providerName,
+    options.model,
+    options.embeddingModel || "",
+    options.baseUrl || "",
+  ].join("|");
+
+  if (!providerCache.has(cacheKey)) {
+    providerCache.set(cacheKey, definition.create(options));
+  }
+
+  return providerCache.get(cacheKey);
+}
+
+/**
+ * Get the default model for a provider
+ * @param {string} providerName Provider name
+ * @returns {string|null} Default model, or null for unknown providers
+ */
+function getDefaultModel(providerName) {
+  const definition = PROVIDERS[(providerName || "").toLowerCase()];
+  return definition ? definition.defaultModel : null;
+}
+
+/**
+ * List the available providers
+ * @returns {Array} Provider names, default models and descriptions
+ */
+function listProviders() {
+  return Object.entries(PROVIDERS).map(([name, definition]) => ({
+    name,
+    defaultModel: definition.defaultModel,
+    description: definition.description,
+  }));
+}
+
+module.exports = {
+  getProvider,
+  getDefaultModel,
+  listProviders,
+  DEFAULT_PROVIDER,
+};
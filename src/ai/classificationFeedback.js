@@ -0,0 +1,300 @@
+/**
+ * Classification Feedback Module
+ * Records user corrections of email classifications and turns them into
+ * few-shot examples, sender overrides and an accuracy report
+ */
+const {
+  saveAnalyses,
+  recordClassificationCorrection,
+  loadClassificationCorrections,
+} = require("../storage/mailStore");
+const { getSenderAddress } = require("../utils/addressUtils");
+const { getPriorityNames, getTypeNames } = require("../utils/taxonomyUtils");
+
+// Recent corrections included in analysis prompts as examples
+const MAX_FEW_SHOT_EXAMPLES = 5;
+
+// Characters of each example's snippet included in prompts
+const EXAMPLE_SNIPPET_LENGTH = 150;
+
+/**
+ * Match a category name against the taxonomy, ignoring case
+ * @param {string} value Name given by the user
+ * @param {Array} names Names defined in the taxonomy
+ * @param {string} label Category label used in the error message
+ * @returns {string} Name as defined in the taxonomy
+ * @throws {Error} With code INVALID_CATEGORY when the name is not defined
+ */
+function resolveCategory(value, names, label) {
+  const name = names.find(
+    (candidate) => candidate.toLowerCase() === String(value).toLowerCase()
+  );
+  if (!name) {
+    const error = new Error(
+      `Unknown ${label} "${value}". Use one of: ${names.join(", ")}`
+    );
+    error.code = "INVALID_CATEGORY";
+    throw error;
+  }
+  return name;
+}
+
+/**
+ * Get the model's own prediction from a classification
+ * Corrected classifications keep the model's values in `predicted`; older
+ * ones without it have no prediction left to measure.
+ * @param {Object} classification Email classification
+ * @returns {Object} Predicted priority and type (empty when unknown)
+ */
+function getModelPrediction(classification) {
+  if (!classification) {
+    return {};
+  }
+  if (!classification.correctedBy) {
+    return { priority: classification.priority, type: classification.type };
+  }
+  return classification.predicted || {};
+}
+
+/**
+ * Record a correction of an email's classification
+ * The stored analysis is updated at once, and the correction is kept for
+ * future prompts and the accuracy report.
+ * @param {Object} email Email object, with its current classification if analyzed
+ * @param {Object} correction Corrected values
+ * @param {string} correction.priority Correct priority
+ * @param {string} correction.type Correct type
+ * @returns {Promise<Object>} Email with the corrected classification
+ * @throws {Error} With code INVALID_CATEGORY when a value is not in the taxonomy
+ */
+async function recordCorrection(email, correction) {
+  const priority = correction.priority
+    ? resolveCategory(correction.priority, getPriorityNames(), "priority")
+    : null;
+  const type = correction.type
+    ? resolveCategory(correction.type, getTypeNames(), "type")
+    : null;
+  if (!priority && !type) {
+    const error = new Error("Specify a priority, a type or both");
+    error.code = "INVALID_CATEGORY";
+    throw error;
+  }
+
+  try {
+    const predicted = getModelPrediction(email.classification);
+    await recordClassificationCorrection({
+      emailId: email.id,
+      sender: getSenderAddress(email.from),
+      subject: email.subject,
+      snippet: email.snippet,
+      predictedPriority: predicted.priority,
+      predictedType: predicted.type,
+      priority,
+      type,
+    });
+
+    if (!email.classification) {
+      return email;
+    }
+    const corrected = {
+      ...email,
+      classification: {
+        ...email.classification,
+        priority: priority || email.classification.priority,
+        type: type || email.classification.type,
+        correctedBy: "user",
+        predicted,
+      },
+    };
+    await saveAnalyses([corrected]);
+    return corrected;
+  } catch (error) {
+    console.error("Error recording classification correction:", error);
+    throw error;
+  }
+}
+
+/**
+ * Load the corrections that guide future classifications
+ * Each sender's most recent corrected priority and type become its overrides.
+ * @returns {Promise<Object>} Corrections by email, overrides by sender and few-shot examples
+ */
+async function loadCorrectionContext() {
+  const corrections = await loadClassificationCorrections();
+  const byEmail = new Map();
+  const bySender = new Map();
+
+  // Corrections are most recent first, so the first value seen wins
+  corrections.forEach((correction) => {
+    byEmail.set(String(correction.emailId), correction);
+    const override = bySender.get(correction.sender) || {};
+    bySender.set(correction.sender, {
+      priority: override.priority || correction.priority,
+      type: override.type || correction.type,
+    });
+  });
+
+  return {
+    byEmail,
+    bySender,
+    examples: corrections.slice(0, MAX_FEW_SHOT_EXAMPLES),
+  };
+}
+
+/**
+ * Format corrections as prompt instructions
+ * Sender rules are only listed for senders of the emails in the prompt.
+ * @param {Object} context Correction context from loadCorrectionContext
+ * @param {Array} emailsData Prepared email data in the prompt
+ * @returns {string} Few-shot examples and sender rules, or "" without corrections
+ */
+function formatCorrectionsForPrompt(context, emailsData = []) {
+  if (!context || context.examples.length === 0) {
+    return "";
+  }
+
+  const describe = (values) =>
+    [
+      values.priority && `priority ${values.priority}`,
+      values.type && `type ${values.type}`,
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+  const examples = context.examples.map((correction) => {
+    const snippet = (correction.snippet || "").slice(0, EXAMPLE_SNIPPET_LENGTH);
+    return `- From ${correction.sender}, subject "${
+      correction.subject
+    }", "${snippet}" => ${describe(correction)}`;
+  });
+  const senders = new Set(
+    emailsData.map((data) => getSenderAddress(data.from))
+  );
+  const rules = [...context.bySender.entries()]
+    .filter(([sender]) => senders.has(sender))
+    .map(([sender, values]) => `- ${sender}: ${describe(values)}`);
+
+  const lines = [
+    "The user corrected these earlier classifications; classify similar emails the same way:",
+    ...examples,
+  ];
+  if (rules.length > 0) {
+    lines.push(
+      "",
+      "Always use these classifications for emails from these senders:",
+      ...rules
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Apply recorded corrections to an analyzed email
+ * A correction of the email itself wins over its sender's overrides. The
+ * model's own values are kept for the accuracy report.
+ * @param {Object} email Analyzed email
+ * @param {Object} context Correction context from loadCorrectionContext
+ * @returns {Object} Email with corrections applied
+ */
+function applyCorrections(email, context) {
+  if (!email.classification || !context) {
+    return email;
+  }
+
+  const own = context.byEmail.get(String(email.id));
+  const sender = context.bySender.get(getSenderAddress(email.from));
+  const correction = own || sender;
+  if (!correction) {
+    return email;
+  }
+
+  return {
+    ...email,
+    classification: {
+      ...email.classification,
+      priority: correction.priority || email.classification.priority,
+      type: correction.type || email.classification.type,
+      correctedBy: own ? "user" : "sender",
+      predicted: getModelPrediction(email.classification),
+    },
+  };
+}
+
+/**
+ * Load the correction history
+ * @param {Object} options Report options
+ * @param {number} options.days Only include corrections from the last days
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Corrections
+ */
+async function loadCorrectionHistory(options = {}) {
+  const since = options.days
+    ? Date.now() - options.days * 24 * 60 * 60 * 1000
+    : 0;
+  return loadClassificationCorrections({ since, account: options.account });
+}
+
+/**
+ * Measure classifier accuracy against the correction history
+ * Only corrections of emails that had a prediction are counted; a correction
+ * that confirms the prediction counts as correct.
+ * @param {Array} corrections Corrections (rows may carry an account name)
+ * @returns {Object} Report with priority and type accuracy, confusion counts and senders
+ */
+function buildAccuracyReport(corrections) {
+  // Count matches between predicted and corrected values of one field
+  const measure = (predictedField, actualField) => {
+    const rows = corrections.filter(
+      (row) => row[predictedField] && row[actualField]
+    );
+    const correct = rows.filter(
+      (row) => row[predictedField] === row[actualField]
+    ).length;
+    return {
+      total: rows.length,
+      correct,
+      accuracy: rows.length > 0 ? correct / rows.length : null,
+    };
+  };
+
+  // Priority corrections as "predicted -> corrected" counts, mistakes only
+  const confusion = {};
+  corrections
+    .filter(
+      (row) =>
+        row.predictedPriority &&
+        row.priority &&
+        row.predictedPriority !== row.priority
+    )
+    .forEach((row) => {
+      const key = `${row.predictedPriority} → ${row.priority}`;
+      confusion[key] = (confusion[key] || 0) + 1;
+    });
+
+  const senders = {};
+  corrections.forEach((row) => {
+    senders[row.sender] = (senders[row.sender] || 0) + 1;
+  });
+
+  return {
+    corrections: corrections.length,
+    priority: measure("predictedPriority", "priority"),
+    type: measure("predictedType", "type"),
+    confusion: Object.entries(confusion)
+      .sort(([, a], [, b]) => b - a)
+      .map(([key, count]) => ({ key, count })),
+    senders: Object.entries(senders)
+      .sort(([, a], [, b]) => b - a)
+      .map(([sender, count]) => ({ sender, count })),
+  };
+}
+
+module.exports = {
+  recordCorrection,
+  loadCorrectionContext,
+  formatCorrectionsForPrompt,
+  applyCorrections,
+  loadCorrectionHistory,
+  buildAccuracyReport,
+  MAX_FEW_SHOT_EXAMPLES,
+};
@@ -1,74 +1,188 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const fs = require("fs-extra");
-const path = require("path");
+const { loadAnalyses, saveAnalyses } = require("../storage/mailStore");
+const { getProvider } = require("./aiProvider");
+const {
+  runStructuredTask,
+  extractJson,
+  getResultItems,
+} = require("./structuredOutput");
+const { estimateTokens } = require("./tokenUtils");
+const { checkDailyBudget, recordUsage } = require("./usageTracker");
+const {
+  createRedactor,
+  isRedactionEnabled,
+  auditRedactions,
+} = require("./piiRedactor");
+const { withResultCache } = require("./resultCache");
+const {
+  cleanEmailBody,
+  getPromptOptions,
+  prepareEmailContent,
+  prepareEmailsForPrompt,
+  packPromptBatches,
+  formatPromptDate,
+  DEFAULT_MAX_EMAIL_TOKENS,
+} = require("./promptBuilder");
+const { mapWithConcurrency } = require("../utils/concurrencyUtils");
+const {
+  loadConfigSync,
+  saveConfig,
+  DEFAULT_CONFIG,
+} = require("../utils/configUtils");
+const { executeRequest, isCircuitOpen } = require("../utils/requestExecutor");
+const { analyzeEmailHeuristically } = require("../analyzer/heuristicAnalyzer");
+const { renderPrompt } = require("./promptTemplates");
+const {
+  loadCorrectionContext,
+  formatCorrectionsForPrompt,
+  applyCorrections,
+} = require("./classificationFeedback");
+const {
+  getPriorityNames,
+  getTypeNames,
+  getTagNames,
+  describeCategories,
+} = require("../utils/taxonomyUtils");
 require("dotenv").config();
 
-// Load configuration dynamically
-function loadConfig() {
-  const configPath = path.join(__dirname, "../../config.json");
-  if (fs.existsSync(configPath)) {
-    return JSON.parse(fs.readFileSync(configPath, "utf8"));
-  }
-  // Return default config if no config file exists
-  return {
-    batchSize: 20,
-    model: "gemini-2.0-flash-exp",
-    tempDir: "./temp",
-  };
+/**
+ * Get the configured AI request rate limit
+ * A limit of 0 turns pacing off; without one the provider's default applies.
+ * @param {Object} config Configuration object
+ * @returns {Object|null} Rate limit override, or null for the default
+ */
+function getAIRateLimit(config) {
+  const limit = config.aiRequestsPerMinute;
+  return typeof limit === "number" ? { limit, intervalMs: 60000 } : null;
 }
 
-// Initialize Gemini API
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+/**
+ * Generate text with the configured AI provider
+ * Every request is checked against the daily budget, rate limited, retried on
+ * transient failures and recorded in the usage ledger; token counts are
+ * estimated when the provider reports none. Unless redaction is disabled,
+ * PII in the prompt is replaced with placeholders that are restored in the
+ * response.
+ * @param {string} prompt Prompt text
+ * @param {Object} options Generation options (e.g. { json: true, schema, retry: true })
+ * @returns {Promise<string>} Model response text
+ */
+async function generateText(prompt, options = {}) {
+  const config = loadConfigSync();
+  const provider = getProvider(config);
+  await checkDailyBudget(config);
+
+  const redactor = isRedactionEnabled(config) ? createRedactor(config) : null;
+  const sentPrompt = redactor ? redactor.redact(prompt) : prompt;
+  if (redactor) {
+    await auditRedactions(redactor.getCounts());
+  }
 
-// Get model instance with current configuration
-function getModel() {
-  const config = loadConfig();
-  const modelName = config.model || "gemini-2.0-flash-exp";
-  return genAI.getGenerativeModel({
-    model: modelName,
-  });
-}
+  return executeRequest(
+    async (attempt) => {
+      const usage = {
+        provider: provider.name,
+        model: provider.model,
+        retry: !!options.retry || attempt > 0,
+      };
 
-// Enhanced JSON parsing with better error handling
-function parseAIResponse(response) {
-  try {
-    // Extract JSON from response - try arrays first, then objects
-    let jsonMatch = response.match(/\[[\s\S]*?\]/);
-
-    if (!jsonMatch) {
-      // Try to find JSON within code blocks
-      jsonMatch = response.match(/```(?:json)?\s*(\[[\s\S]*?\])\s*```/);
-      if (jsonMatch) {
-        jsonMatch[0] = jsonMatch[1];
+      try {
+        const result = await provider.generate(sentPrompt, options);
+        await recordUsage({
+          ...usage,
+          promptTokens: result.usage.promptTokens ?? estimateTokens(sentPrompt),
+          responseTokens:
+            result.usage.responseTokens ?? estimateTokens(result.text),
+        });
+        return redactor
+          ? redactor.restore(result.text, { json: options.json })
+          : result.text;
+      } catch (error) {
+        await recordUsage({ ...usage, error: true });
+        throw error;
       }
+    },
+    {
+      service: provider.name,
+      name: `${provider.name} request`,
+      rateLimit: getAIRateLimit(config),
     }
+  );
+}
 
-    if (!jsonMatch) {
-      // Try to find single object and wrap in array
-      jsonMatch = response.match(/\{[\s\S]*?\}/);
-      if (jsonMatch) {
-        jsonMatch[0] = `[${jsonMatch[0]}]`;
-      }
-    }
+/**
+ * Embed texts with the configured provider's embedding model
+ * Requests go through the same budget, retry, usage and redaction handling
+ * as generateText; embeddings report no response tokens.
+ * @param {Array} texts Texts to embed
+ * @returns {Promise<Array>} One vector per text, in input order
+ */
+async function embedTexts(texts) {
+  const config = loadConfigSync();
+  const provider = getProvider(config);
+  await checkDailyBudget(config);
+
+  const redactor = isRedactionEnabled(config) ? createRedactor(config) : null;
+  const sentTexts = redactor
+    ? texts.map((text) => redactor.redact(text))
+    : texts;
+  if (redactor) {
+    await auditRedactions(redactor.getCounts());
+  }
 
-    if (!jsonMatch) {
-      throw new Error("No JSON found in response");
-    }
+  return executeRequest(
+    async (attempt) => {
+      const usage = {
+        provider: provider.name,
+        model: provider.embeddingModel,
+        retry: attempt > 0,
+      };
 
-    let jsonStr = jsonMatch[0];
+      try {
+        const result = await provider.embed(sentTexts);
+        if (result.vectors.length !== sentTexts.length) {
+          throw new Error(
+            `${provider.name} returned ${result.vectors.length} embeddings for ${sentTexts.length} texts`
+          );
+        }
+        await recordUsage({
+          ...usage,
+          promptTokens:
+            result.usage.promptTokens ?? estimateTokens(sentTexts.join("\n")),
+          responseTokens: 0,
+        });
+        return result.vectors;
+      } catch (error) {
+        await recordUsage({ ...usage, error: true });
+        throw error;
+      }
+    },
+    {
+      service: provider.name,
+      name: `${provider.name} embedding request`,
+      rateLimit: getAIRateLimit(config),
+    }
+  );
+}
 
-    // Clean up common issues with AI responses
-    jsonStr = jsonStr
-      .replace(/[\u201C\u201D]/g, '"') // Replace smart quotes
-      .replace(/[\u2018\u2019]/g, "'") // Replace smart single quotes
-      .replace(/\n/g, " ") // Replace newlines with spaces
-      .replace(/\s+/g, " ") // Collapse multiple spaces
-      .replace(/,(\s*[}\]])/g, "$1") // Remove trailing commas
-      .trim();
+/**
+ * Get the embedding model in use
+ * Vectors from different models cannot be compared, so the index is kept
+ * per provider and model.
+ * @returns {string} Provider and embedding model, e.g. "openai/text-embedding-3-small"
+ */
+function getEmbeddingModel() {
+  const provider = getProvider(loadConfigSync());
+  return `${provider.name}/${provider.embeddingModel}`;
+}
 
-    // Try to parse the cleaned JSON
-    const parsed = JSON.parse(jsonStr);
-    return Array.isArray(parsed) ? parsed : [parsed];
+/**
+ * Parse a JSON array (or single object) from an AI response
+ * @param {string} response Model response text
+ * @returns {Array|null} Parsed items, or null if the response has no valid JSON
+ */
+function parseAIResponse(response) {
+  try {
+    return getResultItems(extractJson(response));
   } catch (error) {
     console.error("Failed to parse AI response:", error.message);
     return null;
@@ -76,436 +190,361 @@ function parseAIResponse(response) {
 }
 
 /**
- * Check if Gemini AI is properly configured
+ * Check whether AI requests should be skipped for the offline path
+ * @returns {boolean} True when no provider is configured or its circuit is open
+ */
+function shouldUseOffline() {
+  const aiConfig = checkAIConfiguration();
+  return !aiConfig.configured || isCircuitOpen(aiConfig.provider);
+}
+
+/**
+ * Check if the configured AI provider is ready to use
  * @returns {Object} Configuration status
  */
 function checkAIConfiguration() {
-  const hasApiKey = !!process.env.GEMINI_API_KEY;
+  const provider = getProvider(loadConfigSync());
   return {
-    configured: hasApiKey,
-    apiKey: hasApiKey ? "✓ Set" : "✗ Missing",
-    setupInstructions: hasApiKey
-      ? null
-      : "Set GEMINI_API_KEY environment variable or create .env file",
+    provider: provider.name,
+    model: provider.model,
+    ...provider.checkConfiguration(),
   };
 }
 
 /**
- * Process emails in batches
+ * Get the prompt options for the current configuration
+ * @returns {Object} Prompt options for the prompt builder
+ */
+function getEmailPromptOptions() {
+  return getPromptOptions(loadConfigSync(), (prompt) => generateText(prompt));
+}
+
+/**
+ * Process emails in token-budgeted batches with bounded concurrency
+ * Email content is cleaned and fitted to the per-email budget, then batches
+ * are packed to stay under the configured request token ceiling.
  * @param {Array} emails Array of email objects
- * @param {Function} processFn Function to process each batch
+ * @param {Function} processFn Called with (emailBatch, emailsData) for each batch
  * @param {Function} progressCallback Optional callback for progress updates
+ * @param {Function} buildPrompt Prompt builder used to measure the instructions
  * @returns {Promise<Array>} Array of processed results
  */
-async function processBatches(emails, processFn, progressCallback = null) {
-  const config = loadConfig();
-  const batchSize = config.batchSize;
-  const results = [];
-  const batches = [];
-
-  // Create batches
-  for (let i = 0; i < emails.length; i += batchSize) {
-    batches.push(emails.slice(i, i + batchSize));
-  }
-
-  // Process each batch
-  for (let i = 0; i < batches.length; i++) {
-    if (progressCallback) {
-      progressCallback(i + 1, batches.length);
+async function processBatches(
+  emails,
+  processFn,
+  progressCallback = null,
+  buildPrompt = null
+) {
+  const config = loadConfigSync();
+  const emailsData = await prepareEmailsForPrompt(
+    emails,
+    getEmailPromptOptions()
+  );
+  const items = emails.map((email, index) => ({
+    email,
+    data: emailsData[index],
+  }));
+  const batches = packPromptBatches(items, {
+    maxTokens: config.aiBatchTokens || DEFAULT_CONFIG.aiBatchTokens,
+    overheadTokens: buildPrompt ? estimateTokens(buildPrompt([])) : 0,
+    maxItems: config.batchSize,
+    getData: (item) => item.data,
+  });
+  let completed = 0;
+
+  const batchResults = await mapWithConcurrency(
+    batches,
+    config.aiConcurrency || DEFAULT_CONFIG.aiConcurrency,
+    async (batch) => {
+      const results = await processFn(
+        batch.map((item) => item.email),
+        batch.map((item) => item.data)
+      );
+      completed++;
+      if (progressCallback) {
+        progressCallback(completed, batches.length);
+      }
+      return results;
     }
+  );
 
-    const batchResults = await processFn(batches[i]);
-    results.push(...batchResults);
-  }
-
-  return results;
+  return batchResults.flat();
 }
 
 /**
- * Classify email priority for a batch of emails
- * @param {Array} emailBatch Batch of email objects
- * @returns {Promise<Array>} Array of classification results
+ * Run a per-email AI task in batches, reusing cached results
+ * Only emails whose content, task, model, prompt version or rendered prompt
+ * instructions (template and taxonomy) have no cached result are sent to the
+ * provider.
+ * @param {Object} task Task definition
+ * @param {string} task.name Task name (a key of PROMPT_VERSIONS in resultCache)
+ * @param {Array} task.emails Array of email objects
+ * @param {Function} task.runBatch Called with (emailBatch, emailsData), resolves to result items with ids
+ * @param {Function} task.buildPrompt Prompt builder used to measure the instructions
+ * @param {string} task.fingerprint Instructions the results depend on (defaults to the empty prompt)
+ * @param {Function} task.progressCallback Optional callback for progress updates
+ * @param {boolean} task.reanalyze Ignore cached results
+ * @returns {Promise<Map>} Results (without ids) keyed by email ID
  */
-async function classifyEmailPriorityBatch(emailBatch) {
-  try {
-    // Prepare batch data for the prompt
-    const emailsData = emailBatch.map((email) => {
-      let dateString;
-      try {
-        if (email.date instanceof Date) {
-          dateString = email.date.toISOString();
-        } else if (typeof email.date === "string") {
-          dateString = email.date;
-        } else {
-          dateString = new Date(email.date).toISOString();
-        }
-      } catch (error) {
-        dateString = new Date().toISOString(); // fallback to current date
-      }
-
-      return {
-        id: email.id,
-        subject: email.subject,
-        from: email.from,
-        date: dateString,
-        content: email.body || email.snippet,
-      };
-    });
+async function runCachedTask(task) {
+  const config = loadConfigSync();
+  const provider = getProvider(config);
+
+  return withResultCache({
+    task: task.name,
+    model: `${provider.name}/${provider.model}`,
+    emails: task.emails,
+    reanalyze: task.reanalyze,
+    maxAgeDays: config.aiCacheMaxAgeDays,
+    fingerprint:
+      task.fingerprint ?? (task.buildPrompt ? task.buildPrompt([]) : ""),
+    compute: async (emails) => {
+      const items = await processBatches(
+        emails,
+        task.runBatch,
+        task.progressCallback,
+        task.buildPrompt
+      );
 
-    const prompt = `
-      Analyze these emails and classify each one's priority as either "Urgent", "Important", or "Normal".
-      Also determine if each contains any action items that require a response or action.
-      
-      Emails:
-      ${JSON.stringify(emailsData, null, 2)}
-      
-      Respond in JSON format only with an array of results, one for each email:
-      [
-        {
-          "id": "email_id_1",
-          "priority": "Urgent|Important|Normal",
-          "priorityConfidence": <number between 0-100>,
-          "type": "Personal|Work|Marketing|Updates|Others",
-          "actionRequired": true|false,
-          "actionConfidence": <number between 0-100>,
-          "actionItems": ["list", "of", "action", "items"]
-        },
-        {
-          "id": "email_id_2",
-          ...
+      // Cached results are shared by emails with the same content, so drop the id
+      const results = new Map();
+      items.forEach((item) => {
+        if (item && item.id !== undefined) {
+          const { id, ...result } = item;
+          results.set(String(id), result);
         }
-      ]
-    `;
-
-    const model = getModel();
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
-
-    console.log("AI Classification Response:", text); // Debug log
-
-    // Use enhanced JSON parsing
-    const classifications = parseAIResponse(text);
-
-    if (classifications && Array.isArray(classifications)) {
-      // Map results back to emails by ID
-      return emailBatch.map((email) => {
-        const classification = classifications.find(
-          (c) => c.id === email.id
-        ) || {
-          priority: "Normal",
-          priorityConfidence: 50,
-          type: "Others",
-          actionRequired: false,
-          actionConfidence: 50,
-          actionItems: [],
-        };
-
-        return {
-          ...email,
-          classification,
-        };
       });
-    }
-
-    // If JSON parsing fails, provide default classification
-    console.warn("Could not parse AI response, using default classification");
-    return emailBatch.map((email) => ({
-      ...email,
-      classification: {
-        priority: "Normal",
-        priorityConfidence: 50,
-        type: "Others",
-        typeConfidence: 50,
-        requiresAction: false,
-        actionConfidence: 50,
-        actionItems: [],
-      },
-    }));
-  } catch (error) {
-    console.error("Error classifying emails batch:", error);
-    // Return default classification on error
-    return emailBatch.map((email) => ({
-      ...email,
-      classification: {
-        priority: "Normal",
-        priorityConfidence: 50,
-        type: "Others",
-        actionRequired: false,
-        actionConfidence: 50,
-        actionItems: [],
-      },
-    }));
-  }
+      return results;
+    },
+  });
 }
 
 /**
- * Generate email summaries for a batch of emails
- * @param {Array} emailBatch Batch of email objects
- * @returns {Promise<Array>} Array of email objects with summaries
+ * Build the JSON schema for the classification of one email
+ * Priority and type enums come from the taxonomy.
+ * @returns {Object} JSON schema
  */
-async function generateEmailSummaryBatch(emailBatch) {
-  try {
-    // Prepare batch data for the prompt
-    const emailsData = emailBatch.map((email) => {
-      let dateString;
-      try {
-        if (email.date instanceof Date) {
-          dateString = email.date.toISOString();
-        } else if (typeof email.date === "string") {
-          dateString = email.date;
-        } else {
-          dateString = new Date(email.date).toISOString();
-        }
-      } catch (error) {
-        dateString = new Date().toISOString(); // fallback to current date
-      }
+function buildClassificationSchema() {
+  return {
+    type: "object",
+    required: [
+      "priority",
+      "priorityConfidence",
+      "type",
+      "actionRequired",
+      "actionConfidence",
+      "actionItems",
+    ],
+    properties: {
+      priority: { type: "string", enum: getPriorityNames() },
+      priorityConfidence: { type: "number", minimum: 0, maximum: 100 },
+      type: { type: "string", enum: getTypeNames() },
+      actionRequired: { type: "boolean" },
+      actionConfidence: { type: "number", minimum: 0, maximum: 100 },
+      actionItems: { type: "array", items: { type: "string" } },
+    },
+  };
+}
 
-      return {
-        id: email.id,
-        subject: email.subject,
-        from: email.from,
-        date: dateString,
-        content: email.body || email.snippet,
-      };
-    });
+const SUMMARY_SCHEMA = {
+  type: "object",
+  required: ["summary", "keyPoints", "deadlines", "estimatedReadingTime"],
+  properties: {
+    summary: { type: "array", items: { type: "string" } },
+    keyPoints: { type: "array", items: { type: "string" } },
+    deadlines: { type: "array", items: { type: "string" } },
+    estimatedReadingTime: { type: "number", minimum: 0 },
+  },
+};
 
-    const prompt = `
-      Summarize each of these emails in bullet points. Extract key points, deadlines, and important information.
-      
-      Emails:
-      ${JSON.stringify(emailsData, null, 2)}
-      
-      Respond in JSON format only with an array of results, one for each email:
-      [
-        {
-          "id": "email_id_1",
-          "summary": ["bullet point 1", "bullet point 2", ...],
-          "keyPoints": ["key point 1", "key point 2", ...],
-          "deadlines": ["deadline 1", "deadline 2", ...],
-          "estimatedReadingTime": <number in minutes>
-        },
-        {
-          "id": "email_id_2",
-          ...
-        }
-      ]
-    `;
-
-    const model = getModel();
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
-
-    console.log("AI Summary Response:", text); // Debug log
-
-    // Use enhanced JSON parsing
-    const summaries = parseAIResponse(text);
-
-    if (summaries && Array.isArray(summaries)) {
-      // Map results back to emails by ID
-      return emailBatch.map((email) => {
-        const summary = summaries.find((s) => s.id === email.id) || {
-          summary: ["Failed to generate summary"],
-          keyPoints: [],
-          deadlines: [],
-          estimatedReadingTime: 1,
-        };
-
-        return {
-          ...email,
-          summary,
-        };
-      });
-    }
+/**
+ * Build the JSON schema for one result item of the combined analysis request
+ * @returns {Object} JSON schema
+ */
+function buildAnalysisSchema() {
+  return {
+    type: "object",
+    required: ["id", "classification", "summary", "suggestedResponse"],
+    properties: {
+      id: { type: "string" },
+      classification: buildClassificationSchema(),
+      summary: SUMMARY_SCHEMA,
+      suggestedResponse: { type: "string" },
+    },
+  };
+}
 
-    // If all parsing attempts fail, use default summaries
-    console.warn("Could not parse AI response, using default summaries");
-    return emailBatch.map((email) => ({
-      ...email,
-      summary: {
-        summary: email.snippet || "No summary available",
-        keyPoints: [],
-        actionRequired: false,
-      },
-    }));
-  } catch (error) {
-    console.error("Error generating summaries batch:", error);
-    // Return default summary on error
-    return emailBatch.map((email) => ({
-      ...email,
-      summary: {
-        summary: ["Failed to generate summary"],
-        keyPoints: [],
-        deadlines: [],
-        estimatedReadingTime: 1,
-      },
-    }));
-  }
+/**
+ * Build the combined analysis prompt
+ * @param {Array} emailsData Prepared email data
+ * @param {string|null} feedback Validation feedback when re-asking
+ * @param {Object|null} corrections Correction context for few-shot examples and sender rules
+ * @returns {string} Prompt text
+ */
+function buildAnalysisPrompt(emailsData, feedback = null, corrections = null) {
+  return renderPrompt("analysis", {
+    priorities: describeCategories("priorities"),
+    priorityNames: getPriorityNames().join("|"),
+    types: describeCategories("types"),
+    typeNames: getTypeNames().join("|"),
+    corrections: formatCorrectionsForPrompt(corrections, emailsData),
+    feedback: feedback || "",
+    emails: JSON.stringify(emailsData, null, 2),
+  });
 }
 
 /**
- * Generate suggested responses for a batch of emails
- * @param {Array} emailBatch Batch of email objects
- * @returns {Promise<Array>} Array of email objects with suggested responses
+ * Request the combined analysis for a batch of prepared emails
+ * @param {Array} emailsData Prepared email data
+ * @param {Object|null} corrections Correction context from classificationFeedback
+ * @returns {Promise<Array>} Valid analysis results with email ids
  */
-async function generateSuggestedResponseBatch(emailBatch) {
+async function requestAnalyses(emailsData, corrections = null) {
   try {
-    // Prepare batch data for the prompt
-    const emailsData = emailBatch.map((email) => {
-      let dateString;
-      try {
-        if (email.date instanceof Date) {
-          dateString = email.date.toISOString();
-        } else if (typeof email.date === "string") {
-          dateString = email.date;
-        } else {
-          dateString = new Date(email.date).toISOString();
-        }
-      } catch (error) {
-        dateString = new Date().toISOString(); // fallback to current date
-      }
-
-      return {
-        id: email.id,
-        subject: email.subject,
-        from: email.from,
-        date: dateString,
-        content: email.body || email.snippet,
-      };
+    const analyses = await runStructuredTask({
+      name: "Analysis",
+      items: emailsData,
+      schema: buildAnalysisSchema(),
+      generate: generateText,
+      buildPrompt: (items, feedback) =>
+        buildAnalysisPrompt(items, feedback, corrections),
     });
+    return [...analyses.values()];
+  } catch (error) {
+    console.error("Error analyzing emails batch:", error);
+    return [];
+  }
+}
 
-    const prompt = `
-      Generate professional responses to each of these emails. The responses should be concise, address any questions or action items,
-      and maintain a professional tone.
-      
-      Emails:
-      ${JSON.stringify(emailsData, null, 2)}
-      
-      Respond in JSON format only with an array of results, one for each email:
-      [
-        {
-          "id": "email_id_1",
-          "suggestedResponse": "Response text here..."
-        },
-        {
-          "id": "email_id_2",
-          ...
-        }
-      ]
-    `;
-
-    const model = getModel();
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
-
-    // Extract JSON from response
-    const jsonMatch = text.match(/\[\s*\{\s*[\s\S]*\}\s*\]/);
-    if (jsonMatch) {
-      const responses = JSON.parse(jsonMatch[0]);
-
-      // Map results back to emails by ID
-      return emailBatch.map((email) => {
-        const responseObj = responses.find((r) => r.id === email.id) || {
-          suggestedResponse: "Failed to generate a suggested response.",
-        };
-
-        return {
-          ...email,
-          suggestedResponse: responseObj.suggestedResponse,
-        };
-      });
-    }
+/**
+ * Attach an analysis result to an email
+ * Emails without a result get offline analysis.
+ * @param {Object} email Email object
+ * @param {Object} analysis Analysis result, if any
+ * @returns {Object} Analyzed email
+ */
+function applyAnalysis(email, analysis) {
+  if (!analysis) {
+    return analyzeEmailHeuristically(email);
+  }
+  return {
+    ...email,
+    classification: analysis.classification,
+    summary: analysis.summary,
+    suggestedResponse: analysis.suggestedResponse,
+  };
+}
 
-    // If all parsing attempts fail, use default responses
-    console.warn("Could not parse AI response, using default responses");
-    return emailBatch.map((email) => ({
-      ...email,
-      suggestedResponse: "Unable to generate response at this time.",
-    }));
+/**
+ * Analyze a batch of emails in a single request
+ * Classification, summary and suggested response come back together, so each
+ * email body is sent once. Emails without a valid result get offline analysis.
+ * @param {Array} emailBatch Batch of email objects
+ * @param {Array} emailsData Prepared email data (prepared here if omitted)
+ * @returns {Promise<Array>} Array of analyzed emails
+ */
+async function analyzeEmailBatch(emailBatch, emailsData = null) {
+  const analyses = await requestAnalyses(
+    emailsData ||
+      (await prepareEmailsForPrompt(emailBatch, getEmailPromptOptions()))
+  );
+
+  // Map results back to emails by ID
+  return emailBatch.map((email) =>
+    applyAnalysis(
+      email,
+      analyses.find((analysis) => analysis.id === String(email.id))
+    )
+  );
+}
+
+/**
+ * Load recorded classification corrections for the current account
+ * Failures to load are logged and analysis continues without them.
+ * @returns {Promise<Object|null>} Correction context, or null if unavailable
+ */
+async function loadCorrections() {
+  try {
+    return await loadCorrectionContext();
   } catch (error) {
-    console.error("Error generating responses batch:", error);
-    // Return default response on error
-    return emailBatch.map((email) => ({
-      ...email,
-      suggestedResponse: "Failed to generate a suggested response.",
-    }));
+    console.warn("Could not load classification corrections:", error.message);
+    return null;
   }
 }
 
 /**
  * Analyze emails with batching
+ * Results are reused while the email content, model and prompt version are
+ * unchanged; stored analyses are updated with the results. Recorded
+ * classification corrections are sent as examples and applied to the results.
  * @param {Array} emails Array of email objects
  * @param {Function} progressCallback Optional callback for progress updates
+ * @param {Object} options Analysis options
+ * @param {boolean} options.reanalyze Ignore cached results
  * @returns {Promise<Array>} Array of analyzed emails
  */
-async function analyzeEmails(emails, progressCallback = null) {
+async function analyzeEmails(emails, progressCallback = null, options = {}) {
   try {
-    // Check if emails have already been analyzed
-    const config = loadConfig();
-    const tempDir = path.join(__dirname, "../../", config.tempDir || "./temp");
-    await fs.ensureDir(tempDir);
-
-    const cacheFile = path.join(tempDir, "analyzed_cache.json");
-    let cache = {};
-
-    if (await fs.pathExists(cacheFile)) {
-      cache = await fs.readJson(cacheFile);
-    }
-
-    // Filter out emails that have already been analyzed
-    const emailsToAnalyze = emails.filter((email) => !cache[email.id]);
-    const cachedEmails = emails
-      .filter((email) => cache[email.id])
-      .map((email) => cache[email.id]);
-
-    if (emailsToAnalyze.length === 0) {
-      return cachedEmails;
+    const corrections = await loadCorrections();
+
+    // Without a usable AI provider, keep stored analyses and analyze the rest offline
+    if (shouldUseOffline()) {
+      const stored = options.reanalyze
+        ? {}
+        : await loadAnalyses(emails.map((email) => email.id));
+      const heuristicEmails = emails
+        .filter((email) => !stored[email.id])
+        .map((email) =>
+          applyCorrections(analyzeEmailHeuristically(email), corrections)
+        );
+      await saveAnalyses(heuristicEmails);
+
+      return [
+        ...heuristicEmails,
+        ...emails
+          .filter((email) => stored[email.id])
+          .map((email) =>
+            applyCorrections(
+              {
+                ...email,
+                classification: stored[email.id].classification,
+                summary: stored[email.id].summary,
+                suggestedResponse: stored[email.id].suggestedResponse,
+              },
+              corrections
+            )
+          ),
+      ];
     }
 
-    // Step 1: Classify emails
-    const classifiedEmails = await processBatches(
-      emailsToAnalyze,
-      classifyEmailPriorityBatch,
-      (batchNum, totalBatches) => {
-        if (progressCallback) {
-          progressCallback("classification", batchNum, totalBatches);
-        }
-      }
-    );
-
-    // Step 2: Generate summaries
-    const summarizedEmails = await processBatches(
-      classifiedEmails,
-      generateEmailSummaryBatch,
-      (batchNum, totalBatches) => {
-        if (progressCallback) {
-          progressCallback("summarization", batchNum, totalBatches);
-        }
-      }
-    );
-
-    // Step 3: Generate suggested responses
-    const analyzedEmails = await processBatches(
-      summarizedEmails,
-      generateSuggestedResponseBatch,
-      (batchNum, totalBatches) => {
+    // Classify, summarize and draft responses in one request per batch.
+    // Corrections stay out of the cache fingerprint so recording one does not
+    // redo every cached analysis; they are applied to cached results below.
+    const analyses = await runCachedTask({
+      name: "analysis",
+      emails,
+      reanalyze: options.reanalyze,
+      buildPrompt: (emailsData) =>
+        buildAnalysisPrompt(emailsData, null, corrections),
+      fingerprint: buildAnalysisPrompt([]),
+      runBatch: (emailBatch, emailsData) =>
+        requestAnalyses(emailsData, corrections),
+      progressCallback: (batchNum, totalBatches) => {
         if (progressCallback) {
-          progressCallback("response generation", batchNum, totalBatches);
+          progressCallback("analysis", batchNum, totalBatches);
         }
-      }
-    );
-
-    // Update cache
-    analyzedEmails.forEach((email) => {
-      cache[email.id] = email;
+      },
     });
 
-    await fs.writeJson(cacheFile, cache);
+    const analyzedEmails = emails.map((email) =>
+      applyCorrections(
+        applyAnalysis(email, analyses.get(String(email.id))),
+        corrections
+      )
+    );
+    await saveAnalyses(analyzedEmails);
 
-    // Combine with cached emails and return
-    return [...analyzedEmails, ...cachedEmails];
+    return analyzedEmails;
   } catch (error) {
     console.error("Error analyzing emails:", error);
     throw error;
@@ -518,46 +557,42 @@ async function analyzeEmails(emails, progressCallback = null) {
  * @returns {Promise<Array>} Array of calendar events
  */
 async function extractCalendarEvents(email) {
-  try {
-    const prompt = `
-      Extract any date/time-based tasks or meetings from this email. Only extract important dates, not every date mentioned.
-      Name the events properly based on context.
-      
-      Email Subject: ${email.subject}
-      From: ${email.from}
-      Date: ${email.date}
-      Content: ${email.body || email.snippet}
-      
-      Respond in JSON format only:
-      {
-        "events": [
-          {
-            "title": "Event title",
-            "date": "YYYY-MM-DD",
-            "time": "HH:MM" (optional),
-            "endTime": "HH:MM" (optional),
-            "description": "Brief description of the event"
-          }
-        ]
-      }
-    `;
-
-    const model = getModel();
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
+  return extractCalendarEventsFromEmails([email]);
+}
 
-    // Extract JSON from response
-    const jsonMatch = text.match(/\\{[\\s\\S]*\\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]).events || [];
-    }
+const CALENDAR_SCHEMA = {
+  type: "object",
+  required: ["id", "events"],
+  properties: {
+    id: { type: "string" },
+    events: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["title", "date"],
+        properties: {
+          title: { type: "string" },
+          date: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" },
+          time: { type: ["string", "null"], pattern: "^\\d{1,2}:\\d{2}$" },
+          endTime: { type: ["string", "null"], pattern: "^\\d{1,2}:\\d{2}$" },
+          description: { type: ["string", "null"] },
+        },
+      },
+    },
+  },
+};
 
-    throw new Error("Failed to parse AI response");
-  } catch (error) {
-    console.error("Error extracting calendar events:", error);
-    return [];
-  }
+/**
+ * Build the calendar event extraction prompt for a batch
+ * @param {Array} emailsData Prepared email data
+ * @param {string|null} feedback Validation feedback when re-asking
+ * @returns {string} Prompt text
+ */
+function buildCalendarPrompt(emailsData, feedback = null) {
+  return renderPrompt("calendar", {
+    feedback: feedback || "",
+    emails: JSON.stringify(emailsData, null, 2),
+  });
 }
 
 /**
@@ -571,350 +606,120 @@ async function extractCalendarEventsFromEmails(
   progressCallback = null
 ) {
   try {
-    const config = loadConfig();
-    // Prepare batch data for the prompt with robust date handling
-    const emailsData = emails.map((email) => {
-      let dateString;
-      if (email.date) {
-        if (typeof email.date === "string") {
-          dateString = email.date;
-        } else if (email.date.toISOString) {
-          dateString = email.date.toISOString();
-        } else if (email.date.toString) {
-          dateString = new Date(email.date.toString()).toISOString();
-        } else {
-          dateString = new Date().toISOString(); // fallback
-        }
-      } else {
-        dateString = new Date().toISOString(); // fallback
-      }
-
-      return {
-        id: email.id,
-        subject: email.subject,
-        from: email.from,
-        date: dateString,
-        content: email.body || email.snippet,
-      };
+    const results = await runCachedTask({
+      name: "calendar",
+      emails,
+      buildPrompt: buildCalendarPrompt,
+      progressCallback,
+      runBatch: (emailBatch, emailsData) =>
+        requestBatchResults({
+          name: "Calendar",
+          items: emailsData,
+          schema: CALENDAR_SCHEMA,
+          buildPrompt: buildCalendarPrompt,
+        }),
     });
 
-    const batchSize = config.batchSize;
-    const allEvents = [];
-    const batches = [];
-
-    // Create batches
-    for (let i = 0; i < emailsData.length; i += batchSize) {
-      batches.push(emailsData.slice(i, i + batchSize));
-    }
-
-    // Process each batch
-    for (let i = 0; i < batches.length; i++) {
-      if (progressCallback) {
-        progressCallback(i + 1, batches.length);
-      }
-
-      const batch = batches[i];
-      const prompt = `
-        Extract any date/time-based tasks or meetings from these emails. Only extract important dates, not every date mentioned.
-        Name the events properly based on context.
-        
-        Emails:
-        ${JSON.stringify(batch, null, 2)}
-        
-        Respond in JSON format only with an array of results, one for each email:
-        [
-          {
-            "id": "email_id_1",
-            "events": [
-              {
-                "title": "Event title",
-                "date": "YYYY-MM-DD",
-                "time": "HH:MM" (optional),
-                "endTime": "HH:MM" (optional),
-                "description": "Brief description of the event"
-              }
-            ]
-          },
-          {
-            "id": "email_id_2",
-            ...
-          }
-        ]
-      `;
-
-      const model = getModel();
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
-
-      // Extract JSON from response
-      const jsonMatch = text.match(/\\[\\s*\\{[\\s\\S]*\\}\\s*\\]/);
-      if (jsonMatch) {
-        const batchResults = JSON.parse(jsonMatch[0]);
-
-        // Collect all events
-        batchResults.forEach((item) => {
-          if (item.events && item.events.length > 0) {
-            allEvents.push(...item.events);
-          }
-        });
-      }
-    }
-
-    return allEvents;
+    // Collect all events
+    return emails.flatMap((email) => {
+      const result = results.get(String(email.id));
+      return result ? result.events : [];
+    });
   } catch (error) {
     console.error("Error extracting calendar events from emails:", error);
     return [];
   }
 }
 
+const TAG_SCHEMA = {
+  type: "object",
+  required: ["id", "tags", "confidence"],
+  properties: {
+    id: { type: "string" },
+    tags: { type: "array", items: { type: "string" } },
+    confidence: { type: "number", minimum: 0, maximum: 100 },
+  },
+};
+
 /**
- * Search emails with natural language query
- * @param {Array} emails Array of email objects
- * @param {string} query Natural language query
- * @returns {Promise<Array>} Array of matching emails
+ * Build the auto-tagging prompt for a batch
+ * @param {Array} emailsData Prepared email data
+ * @param {string|null} feedback Validation feedback when re-asking
+ * @returns {string} Prompt text
  */
-async function searchEmailsWithNLP(emails, query) {
-  try {
-    // Check if API key is available
-    if (!process.env.GEMINI_API_KEY) {
-      console.log(
-        "⚠️  No Gemini API key found. Using simple text search instead."
-      );
-      const lowerQuery = query.toLowerCase();
-      return emails.filter(
-        (email) =>
-          email.subject.toLowerCase().includes(lowerQuery) ||
-          email.from.toLowerCase().includes(lowerQuery) ||
-          (email.snippet && email.snippet.toLowerCase().includes(lowerQuery))
-      );
-    }
-
-    const emailsJson = JSON.stringify(
-      emails.map((email) => ({
-        id: email.id,
-        subject: email.subject,
-        from: email.from,
-        date:
-          email.date instanceof Date ? email.date.toISOString() : email.date,
-        snippet: email.snippet,
-      }))
-    );
-
-    const prompt = `
-      I have a list of emails and a search query. Find emails that match the query.
-      
-      Search query: "${query}"
-      
-      Emails:
-      ${emailsJson}
-      
-      Return the IDs of matching emails in JSON format:
-      {
-        "matchingIds": ["id1", "id2", ...]
-      }
-      
-      Be flexible in interpreting the query. For example, "last month" should match emails from the previous month,
-      "urgent" should match emails that seem urgent even if they don't contain that exact word.
-    `;
-
-    const model = getModel();
-
-    // Retry logic for temporary failures
-    let lastError;
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        const result = await model.generateContent(prompt);
-        const response = result.response;
-        const text = response.text();
-
-        console.log("AI Search Response:", text); // Debug log
-
-        // Try to extract JSON from response with better regex
-        let jsonMatch = text.match(/\{[^{}]*"matchingIds"[^{}]*\}/);
-
-        if (!jsonMatch) {
-          // Try alternative patterns
-          jsonMatch = text.match(/\{[\s\S]*?\}/);
-        }
-
-        if (jsonMatch) {
-          try {
-            const parsedResponse = JSON.parse(jsonMatch[0]);
-            const matchingIds = parsedResponse.matchingIds || [];
-            return emails.filter((email) => matchingIds.includes(email.id));
-          } catch (parseError) {
-            console.error("JSON Parse Error:", parseError);
-            console.error("Raw JSON:", jsonMatch[0]);
-
-            // Fallback: simple text search if AI parsing fails
-            const lowerQuery = query.toLowerCase();
-            return emails.filter(
-              (email) =>
-                email.subject.toLowerCase().includes(lowerQuery) ||
-                email.from.toLowerCase().includes(lowerQuery) ||
-                (email.snippet &&
-                  email.snippet.toLowerCase().includes(lowerQuery))
-            );
-          }
-        }
-
-        // Fallback: simple text search if no JSON found
-        console.log("No JSON found in AI response, using fallback search");
-        const lowerQuery = query.toLowerCase();
-        return emails.filter(
-          (email) =>
-            email.subject.toLowerCase().includes(lowerQuery) ||
-            email.from.toLowerCase().includes(lowerQuery) ||
-            (email.snippet && email.snippet.toLowerCase().includes(lowerQuery))
-        );
-      } catch (error) {
-        lastError = error;
-
-        if (error.status === 503 && attempt < 3) {
-          console.log(
-            `🔄 API overloaded, retrying in ${
-              attempt * 2
-            } seconds... (attempt ${attempt}/3)`
-          );
-          await new Promise((resolve) => setTimeout(resolve, attempt * 2000));
-          continue;
-        }
-
-        // If not a retry-able error or max attempts reached, break
-        break;
-      }
-    }
+function buildTagPrompt(emailsData, feedback = null) {
+  return renderPrompt("tags", {
+    tags: describeCategories("tags"),
+    tagNames: getTagNames().join(", "),
+    feedback: feedback || "",
+    emails: JSON.stringify(emailsData, null, 2),
+  });
+}
 
-    // If we get here, all attempts failed
-    throw lastError;
+/**
+ * Request schema-validated results for a batch
+ * Missing and invalid items are asked for again with the validation errors.
+ * A failed request only loses this batch, so other batches are still
+ * returned and cached.
+ * @param {Object} task Task definition (see runStructuredTask)
+ * @param {string} task.name Task name used in log messages
+ * @param {Array} task.items Prepared items, each with an id
+ * @param {Object} task.schema JSON schema for one result item
+ * @param {Function} task.buildPrompt Builds a prompt from (items, feedback)
+ * @param {string} task.itemName What the items are (default "emails")
+ * @returns {Promise<Array>} Valid result items with ids
+ */
+async function requestBatchResults(task) {
+  try {
+    const results = await runStructuredTask({
+      ...task,
+      generate: generateText,
+    });
+    return [...results.values()];
   } catch (error) {
-    console.error("Error searching emails:", error);
-
-    // Provide more specific error messages
-    if (error.message.includes("fetch failed")) {
-      console.log(
-        "🌐 Network error: Unable to connect to Gemini AI. Using text search fallback."
-      );
-    } else if (error.message.includes("API key")) {
-      console.log(
-        "🔑 API key error: Invalid or missing Gemini API key. Using text search fallback."
-      );
-    } else if (error.message.includes("quota")) {
-      console.log(
-        "📊 Quota exceeded: Gemini API quota limit reached. Using text search fallback."
-      );
-    } else {
-      console.log("⚠️  AI search failed. Using simple text search fallback.");
-    }
-
-    // Final fallback: simple text search
-    const lowerQuery = query.toLowerCase();
-    return emails.filter(
-      (email) =>
-        email.subject.toLowerCase().includes(lowerQuery) ||
-        email.from.toLowerCase().includes(lowerQuery) ||
-        (email.snippet && email.snippet.toLowerCase().includes(lowerQuery))
-    );
+    console.error(`Error in ${task.name} batch:`, error.message);
+    return [];
   }
 }
 
 /**
- * Auto-tag emails with custom labels
+ * Auto-tag emails with the tags defined in the taxonomy
  * @param {Array} emails Array of email objects
  * @param {Function} progressCallback Optional callback for progress updates
  * @returns {Promise<Array>} Array of emails with tags
  */
 async function autoTagEmails(emails, progressCallback = null) {
   try {
-    const batchSize = config.batchSize;
-    const taggedEmails = [];
-    const batches = [];
-
-    // Create batches
-    for (let i = 0; i < emails.length; i += batchSize) {
-      batches.push(emails.slice(i, i + batchSize));
-    }
-
-    // Process each batch
-    for (let i = 0; i < batches.length; i++) {
-      if (progressCallback) {
-        progressCallback(i + 1, batches.length);
-      }
+    const results = await runCachedTask({
+      name: "tags",
+      emails,
+      buildPrompt: buildTagPrompt,
+      progressCallback,
+      runBatch: (emailBatch, emailsData) =>
+        requestBatchResults({
+          name: "Tagging",
+          items: emailsData,
+          schema: TAG_SCHEMA,
+          buildPrompt: buildTagPrompt,
+        }),
+    });
 
-      const batch = batches[i];
-      const emailsData = batch.map((email) => ({
-        id: email.id,
-        subject: email.subject,
-        from: email.from,
-        date: email.date.toISOString(),
-        content: email.body || email.snippet,
-      }));
-
-      const prompt = `
-        Based on the content of these emails, suggest appropriate labels/tags from the following options:
-        - Invoices
-        - Leads
-        - Personal
-        - Projects
-        - Follow-up
-        
-        You can suggest multiple labels if appropriate.
-        
-        Emails:
-        ${JSON.stringify(emailsData, null, 2)}
-        
-        Respond in JSON format only with an array of results, one for each email:
-        [
-          {
-            "id": "email_id_1",
-            "tags": ["tag1", "tag2", ...],
-            "confidence": <number between 0-100>
-          },
-          {
-            "id": "email_id_2",
-            ...
-          }
-        ]
-      `;
-
-      const model = getModel();
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
-
-      // Extract JSON from response
-      const jsonMatch = text.match(/\\[\\s*\\{[\\s\\S]*\\}\\s*\\]/);
-      if (jsonMatch) {
-        const tagsResults = JSON.parse(jsonMatch[0]);
-
-        // Map results back to emails by ID
-        batch.forEach((email) => {
-          const tagsResult = tagsResults.find((t) => t.id === email.id) || {
-            tags: [],
-            confidence: 0,
-          };
-
-          taggedEmails.push({
-            ...email,
-            tags: tagsResult,
-          });
-        });
-      } else {
-        // Return default tags on error
-        batch.forEach((email) => {
-          taggedEmails.push({
-            ...email,
-            tags: {
-              tags: [],
-              confidence: 0,
-            },
-          });
-        });
+    // Map results back to emails by ID, keeping only tags in the taxonomy
+    const tagNames = getTagNames();
+    return emails.map((email) => {
+      const result = results.get(String(email.id));
+      if (!result) {
+        return { ...email, tags: { tags: [], confidence: 0 } };
       }
-    }
-
-    return taggedEmails;
+      const tags = (result.tags || [])
+        .map((tag) =>
+          tagNames.find(
+            (name) => name.toLowerCase() === String(tag).trim().toLowerCase()
+          )
+        )
+        .filter(Boolean);
+      return { ...email, tags: { ...result, tags: [...new Set(tags)] } };
+    });
   } catch (error) {
     console.error("Error auto-tagging emails:", error);
     // Return default tags on error
@@ -928,199 +733,277 @@ async function autoTagEmails(emails, progressCallback = null) {
   }
 }
 
+const SENTIMENT_SCHEMA = {
+  type: "object",
+  required: ["id", "sentiment", "sentimentScore", "type", "stressLevel"],
+  properties: {
+    id: { type: "string" },
+    sentiment: { type: "string", enum: ["positive", "negative", "neutral"] },
+    sentimentScore: { type: "number", minimum: -1, maximum: 1 },
+    type: {
+      type: "string",
+      enum: ["appreciation", "complaint", "request", "information", "other"],
+    },
+    stressLevel: { type: "number", minimum: 0, maximum: 10 },
+  },
+};
+
+/**
+ * Build the sentiment analysis prompt for a batch
+ * @param {Array} emailsData Prepared email data
+ * @param {string|null} feedback Validation feedback when re-asking
+ * @returns {string} Prompt text
+ */
+function buildSentimentPrompt(emailsData, feedback = null) {
+  return renderPrompt("sentiment", {
+    feedback: feedback || "",
+    emails: JSON.stringify(emailsData, null, 2),
+  });
+}
+
 /**
  * Generate email sentiment analysis
+ * Emails without a result (including all of them when the request fails)
+ * are left out, so they can be analyzed again later.
  * @param {Array} emails Array of email objects
  * @param {Function} progressCallback Optional callback for progress updates
  * @returns {Promise<Array>} Array of sentiment analysis results
  */
 async function analyzeEmailSentiment(emails, progressCallback = null) {
   try {
-    const batchSize = config.batchSize;
-    const sentimentResults = [];
-    const batches = [];
-
-    // Create batches
-    for (let i = 0; i < emails.length; i += batchSize) {
-      batches.push(emails.slice(i, i + batchSize));
-    }
-
-    // Process each batch
-    for (let i = 0; i < batches.length; i++) {
-      if (progressCallback) {
-        progressCallback(i + 1, batches.length);
-      }
-
-      const batch = batches[i];
-      const emailsData = batch.map((email) => ({
-        id: email.id,
-        subject: email.subject,
-        from: email.from,
-        date: email.date.toISOString(),
-        content: email.body || email.snippet,
-      }));
-
-      const prompt = `
-        Analyze the sentiment of these emails. Determine if each is positive, negative, or neutral.
-        Also identify if each is an appreciation, complaint, or request.
-        
-        Emails:
-        ${JSON.stringify(emailsData, null, 2)}
-        
-        Respond in JSON format only with an array of results, one for each email:
-        [
-          {
-            "id": "email_id_1",
-            "sentiment": "positive|negative|neutral",
-            "sentimentScore": <number between -1 and 1>,
-            "type": "appreciation|complaint|request|information|other",
-            "stressLevel": <number between 0-10>
-          },
-          {
-            "id": "email_id_2",
-            ...
-          }
-        ]
-      `;
-
-      const model = getModel();
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
-
-      // Extract JSON from response
-      const jsonMatch = text.match(/\\[\\s*\\{[\\s\\S]*\\}\\s*\\]/);
-      if (jsonMatch) {
-        const batchResults = JSON.parse(jsonMatch[0]);
-        sentimentResults.push(...batchResults);
-      }
-    }
+    const results = await runCachedTask({
+      name: "sentiment",
+      emails,
+      buildPrompt: buildSentimentPrompt,
+      progressCallback,
+      runBatch: (emailBatch, emailsData) =>
+        requestBatchResults({
+          name: "Sentiment",
+          items: emailsData,
+          schema: SENTIMENT_SCHEMA,
+          buildPrompt: buildSentimentPrompt,
+        }),
+    });
 
-    return sentimentResults;
+    return emails
+      .filter((email) => results.has(String(email.id)))
+      .map((email) => ({ id: email.id, ...results.get(String(email.id)) }));
   } catch (error) {
     console.error("Error analyzing email sentiment:", error);
-    return emails.map((email) => ({
-      id: email.id,
-      sentiment: "neutral",
-      sentimentScore: 0,
-      type: "other",
-      stressLevel: 5,
-    }));
+    return [];
   }
 }
 
+const FOLLOW_UP_SCHEMA = {
+  type: "object",
+  required: [
+    "id",
+    "needsFollowUp",
+    "confidence",
+    "reason",
+    "suggestedFollowUp",
+  ],
+  properties: {
+    id: { type: "string" },
+    needsFollowUp: { type: "boolean" },
+    confidence: { type: "number", minimum: 0, maximum: 100 },
+    reason: { type: "string" },
+    suggestedFollowUp: { type: "string" },
+  },
+};
+
+/**
+ * Build the follow-up detection prompt for a batch
+ * @param {Array} emailsData Prepared email data
+ * @param {string|null} feedback Validation feedback when re-asking
+ * @returns {string} Prompt text
+ */
+function buildFollowUpPrompt(emailsData, feedback = null) {
+  return renderPrompt("followUp", {
+    feedback: feedback || "",
+    emails: JSON.stringify(emailsData, null, 2),
+  });
+}
+
 /**
  * Check if emails need follow-up
+ * Emails without a result (including all of them when the request fails)
+ * get a null followUp, so callers can tell "no judgement" from "no follow-up".
  * @param {Array} emails Array of email objects
  * @param {Function} progressCallback Optional callback for progress updates
  * @returns {Promise<Array>} Array of emails with follow-up information
  */
 async function checkNeedsFollowUp(emails, progressCallback = null) {
   try {
-    const batchSize = config.batchSize;
-    const followUpResults = [];
-    const batches = [];
+    const results = await runCachedTask({
+      name: "followUp",
+      emails,
+      buildPrompt: buildFollowUpPrompt,
+      progressCallback,
+      runBatch: (emailBatch, emailsData) =>
+        requestBatchResults({
+          name: "Follow-up check",
+          items: emailsData,
+          schema: FOLLOW_UP_SCHEMA,
+          buildPrompt: buildFollowUpPrompt,
+        }),
+    });
 
-    // Create batches
-    for (let i = 0; i < emails.length; i += batchSize) {
-      batches.push(emails.slice(i, i + batchSize));
-    }
+    // Map results back to emails by ID
+    return emails.map((email) => ({
+      ...email,
+      followUp: results.get(String(email.id)) || null,
+    }));
+  } catch (error) {
+    console.error("Error checking follow-up need:", error);
+    return emails.map((email) => ({ ...email, followUp: null }));
+  }
+}
 
-    // Process each batch
-    for (let i = 0; i < batches.length; i++) {
-      if (progressCallback) {
-        progressCallback(i + 1, batches.length);
-      }
+const STRING_LIST_SCHEMA = { type: "array", items: { type: "string" } };
+
+const THREAD_SUMMARY_SCHEMA = {
+  type: "object",
+  required: ["id", "summary", "decisions", "openQuestions", "owes"],
+  properties: {
+    id: { type: "string" },
+    summary: STRING_LIST_SCHEMA,
+    decisions: STRING_LIST_SCHEMA,
+    openQuestions: STRING_LIST_SCHEMA,
+    owes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["who", "what"],
+        properties: {
+          who: { type: "string" },
+          what: { type: "string" },
+        },
+      },
+    },
+  },
+};
 
-      const batch = batches[i];
-      const emailsData = batch.map((email) => ({
-        id: email.id,
-        subject: email.subject,
-        from: email.from,
-        date: email.date.toISOString(),
-        content: email.body || email.snippet,
-      }));
-
-      const prompt = `
-        Analyze these emails and determine if each requires a follow-up response.
-        Consider factors like:
-        - Does it contain questions that need answers?
-        - Does it request information or action?
-        - Does the tone suggest an expectation of response?
-        
-        Emails:
-        ${JSON.stringify(emailsData, null, 2)}
-        
-        Respond in JSON format only with an array of results, one for each email:
-        [
-          {
-            "id": "email_id_1",
-            "needsFollowUp": true|false,
-            "confidence": <number between 0-100>,
-            "reason": "brief explanation",
-            "suggestedFollowUp": "suggested follow-up message"
-          },
-          {
-            "id": "email_id_2",
-            ...
-          }
-        ]
-      `;
-
-      const model = getModel();
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
-
-      // Extract JSON from response
-      const jsonMatch = text.match(/\\[\\s*\\{[\\s\\S]*\\}\\s*\\]/);
-      if (jsonMatch) {
-        const batchResults = JSON.parse(jsonMatch[0]);
-
-        // Map results back to emails
-        batch.forEach((email) => {
-          const followUpResult = batchResults.find(
-            (r) => r.id === email.id
-          ) || {
-            needsFollowUp: false,
-            confidence: 0,
-            reason: "Error analyzing email",
-            suggestedFollowUp: "",
-          };
-
-          followUpResults.push({
-            ...email,
-            followUp: followUpResult,
-          });
-        });
-      } else {
-        // Return default follow-up info on error
-        batch.forEach((email) => {
-          followUpResults.push({
-            ...email,
-            followUp: {
-              needsFollowUp: false,
-              confidence: 0,
-              reason: "Error analyzing email",
-              suggestedFollowUp: "",
-            },
-          });
-        });
-      }
-    }
+/**
+ * Build the thread summary prompt for a batch
+ * @param {Array} threadsData Prepared thread data
+ * @param {string|null} feedback Validation feedback when re-asking
+ * @returns {string} Prompt text
+ */
+function buildThreadSummaryPrompt(threadsData, feedback = null) {
+  return renderPrompt("threadSummary", {
+    feedback: feedback || "",
+    threads: JSON.stringify(threadsData, null, 2),
+  });
+}
 
-    return followUpResults;
+/**
+ * Build the email-shaped item a thread is batched and cached as
+ * The body is the conversation transcript, oldest message first. When it
+ * is over the per-email budget, the oldest messages are left out so the
+ * latest state of the conversation is kept.
+ * @param {Object} thread Thread with id and messages, oldest first
+ * @param {number} maxTokens Token budget for the transcript
+ * @returns {Object} Item with id, subject, from (participants), date and body
+ */
+function buildThreadItem(thread, maxTokens) {
+  const entries = thread.messages.map((message) => {
+    const sender = (message.labelIds || []).includes("SENT")
+      ? `${message.from} (me)`
+      : message.from;
+    return `[${formatPromptDate(message.date)}] ${sender}:\n${
+      cleanEmailBody(message.body) || message.snippet || ""
+    }`;
+  });
+
+  let start = 0;
+  while (
+    start < entries.length - 1 &&
+    estimateTokens(entries.slice(start).join("\n\n")) > maxTokens
+  ) {
+    start++;
+  }
+  const omitted = start > 0 ? [`[${start} earlier messages left out]`] : [];
+  const lastMessage = thread.messages[thread.messages.length - 1];
+
+  return {
+    id: thread.id,
+    subject: thread.messages[0].subject,
+    from: [...new Set(thread.messages.map((message) => message.from))].join(
+      ", "
+    ),
+    date: lastMessage.date,
+    body: [...omitted, ...entries.slice(start)].join("\n\n"),
+  };
+}
+
+/**
+ * Keep the non-empty strings of a list in an AI result
+ * @param {*} value Result value
+ * @returns {Array} Strings
+ */
+function toStringList(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter((item) => typeof item === "string" && item.trim())
+    .map((item) => item.trim());
+}
+
+/**
+ * Summarize conversation threads
+ * Each thread is summarized as a whole: where it stands, what was decided,
+ * which questions are open and who owes what. Results are cached until a
+ * thread gets a new message. Threads without a result (including all of
+ * them when the request fails) are left out.
+ * @param {Array} threads Threads with id and messages, oldest first
+ * @param {Function} progressCallback Optional callback for progress updates
+ * @param {Object} options Summary options
+ * @param {boolean} options.reanalyze Ignore cached results
+ * @returns {Promise<Map>} Summaries (summary, decisions, openQuestions, owes) keyed by thread ID
+ */
+async function summarizeThreads(
+  threads,
+  progressCallback = null,
+  options = {}
+) {
+  try {
+    const config = loadConfigSync();
+    const maxTokens = config.aiMaxEmailTokens || DEFAULT_MAX_EMAIL_TOKENS;
+    const results = await runCachedTask({
+      name: "threadSummary",
+      emails: threads
+        .filter((thread) => thread.messages.length > 0)
+        .map((thread) => buildThreadItem(thread, maxTokens)),
+      reanalyze: options.reanalyze,
+      buildPrompt: buildThreadSummaryPrompt,
+      progressCallback,
+      runBatch: (threadBatch, threadsData) =>
+        requestBatchResults({
+          name: "Thread summary",
+          itemName: "conversations",
+          items: threadsData,
+          schema: THREAD_SUMMARY_SCHEMA,
+          buildPrompt: buildThreadSummaryPrompt,
+        }),
+    });
+
+    const summaries = new Map();
+    results.forEach((result, threadId) =>
+      summaries.set(threadId, {
+        summary: toStringList(result.summary),
+        decisions: toStringList(result.decisions),
+        openQuestions: toStringList(result.openQuestions),
+        owes: result.owes
+          .filter((item) => item.what.trim())
+          .map((item) => ({
+            who: item.who.trim() || "Unknown",
+            what: item.what.trim(),
+          })),
+      })
+    );
+    return summaries;
   } catch (error) {
-    console.error("Error checking follow-up need:", error);
-    return emails.map((email) => ({
-      ...email,
-      followUp: {
-        needsFollowUp: false,
-        confidence: 0,
-        reason: "Error analyzing email",
-        suggestedFollowUp: "",
-      },
-    }));
+    console.error("Error summarizing threads:", error);
+    return new Map();
   }
 }
 
@@ -1131,23 +1014,15 @@ async function checkNeedsFollowUp(emails, progressCallback = null) {
  */
 async function generateFullReplyDraft(email) {
   try {
-    const prompt = `
-      Generate a full professional reply draft for this email, including greeting, body, and closing.
-      The reply should reflect the appropriate urgency, tone (friendly or formal based on context),
-      and address all questions or expected outcomes mentioned.
-      
-      Email Subject: ${email.subject}
-      From: ${email.from}
-      Date: ${email.date}
-      Content: ${email.body || email.snippet}
-      
-      Generate only the reply text, without any additional formatting or explanation.
-    `;
-
-    const model = getModel();
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    return response.text();
+    const content = await prepareEmailContent(email, getEmailPromptOptions());
+    const prompt = renderPrompt("reply", {
+      subject: email.subject,
+      from: email.from,
+      date: formatPromptDate(email.date),
+      content,
+    });
+
+    return await generateText(prompt);
   } catch (error) {
     console.error("Error generating reply draft:", error);
     return "Failed to generate a reply draft.";
@@ -1161,12 +1036,7 @@ async function generateFullReplyDraft(email) {
  */
 async function updateConfig(newConfig) {
   try {
-    const configPath = path.join(__dirname, "../../config.json");
-    const currentConfig = loadConfig();
-    const updatedConfig = { ...currentConfig, ...newConfig };
-    await fs.writeJson(configPath, updatedConfig, { spaces: 2 });
-
-    return updatedConfig;
+    return await saveConfig(newConfig);
   } catch (error) {
     console.error("Error updating configuration:", error);
     throw error;
@@ -1178,22 +1048,24 @@ async function updateConfig(newConfig) {
  * @returns {Object} Current configuration
  */
 function getConfig() {
-  return loadConfig();
+  return loadConfigSync();
 }
 
 module.exports = {
   analyzeEmails,
   extractCalendarEvents,
   extractCalendarEventsFromEmails,
-  searchEmailsWithNLP,
+  embedTexts,
+  getEmbeddingModel,
   autoTagEmails,
   analyzeEmailSentiment,
   checkNeedsFollowUp,
+  summarizeThreads,
   generateFullReplyDraft,
   updateConfig,
   getConfig,
   checkAIConfiguration,
+  shouldUseOffline,
   parseAIResponse,
-  classifyEmailPriorityBatch,
-  generateEmailSummaryBatch,
+  analyzeEmailBatch,
 };
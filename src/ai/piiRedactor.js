@@ -0,0 +1,269 @@
+/**
+ * PII Redactor Module
+ * Replaces personal data in prompts with stable placeholders and restores
+ * the original values in model responses
+ */
+const {
+  recordRedactions,
+  loadRedactionAudit,
+} = require("../storage/mailStore");
+const { getUsageCommand, getLocalDay } = require("./usageTracker");
+
+// Built-in detectors, applied in this order so card numbers are not taken for phones
+const PII_DETECTORS = {
+  email: {
+    label: "EMAIL",
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  iban: {
+    label: "IBAN",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: isValidIban,
+  },
+  card: {
+    label: "CARD",
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: passesLuhnCheck,
+  },
+  phone: {
+    label: "PHONE",
+    pattern:
+      /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g,
+    validate: (value) => {
+      const digits = value.replace(/\D/g, "").length;
+      return digits >= 7 && digits <= 15;
+    },
+  },
+};
+
+const PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9]*_\d+)\]/g;
+
+// Set by the global --no-redact option
+let redactionOverride = null;
+
+// Invalid custom patterns already reported in this process
+const warnedPatterns = new Set();
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} value Card number, possibly with spaces or dashes
+ * @returns {boolean} True if the checksum is valid
+ */
+function passesLuhnCheck(value) {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN with the ISO 13616 mod-97 checksum
+ * @param {string} value IBAN, possibly with spaces
+ * @returns {boolean} True if the checksum is valid
+ */
+function isValidIban(value) {
+  const iban = value.replace(/\s/g, "");
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+
+  // Move the country code and check digits to the end, letters become numbers
+  const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (c) =>
+    String(c.charCodeAt(0) - 55)
+  );
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Build the list of detectors from the configuration
+ * Custom patterns come from redactPatterns in config.json, e.g.
+ * [{ "name": "account", "pattern": "ACC-\\d{6,}", "flags": "i" }].
+ * @param {Object} config Configuration object
+ * @returns {Array} Detectors with type, label, pattern and optional validate
+ */
+function getDetectors(config = {}) {
+  const types = config.redactTypes || Object.keys(PII_DETECTORS);
+  const detectors = types
+    .filter((type) => PII_DETECTORS[type])
+    .map((type) => ({ type, ...PII_DETECTORS[type] }));
+
+  (config.redactPatterns || []).forEach((custom) => {
+    try {
+      const name = String(custom.name || "custom");
+      const flags = (custom.flags || "").replace(/g/g, "");
+      detectors.push({
+        type: name,
+        label: name.toUpperCase().replace(/[^A-Z0-9]+/g, "_"),
+        pattern: new RegExp(custom.pattern, `${flags}g`),
+      });
+    } catch (error) {
+      if (!warnedPatterns.has(custom.pattern)) {
+        warnedPatterns.add(custom.pattern);
+        console.warn(
+          `Ignoring invalid redaction pattern "${custom.name}": ${error.message}`
+        );
+      }
+    }
+  });
+
+  return detectors;
+}
+
+/**
+ * Create a redactor for one prompt
+ * The same value always gets the same placeholder, so the model can still
+ * tell that two mentions refer to the same thing.
+ * @param {Object} config Configuration object (redactTypes, redactPatterns)
+ * @returns {Object} Redactor with redact, restore and getCounts
+ */
+function createRedactor(config = {}) {
+  const detectors = getDetectors(config);
+  const placeholders = new Map(); // value -> placeholder key
+  const values = new Map(); // placeholder key -> value
+  const counts = {};
+  const nextIndex = {};
+
+  /**
+   * Get the placeholder key for a detected value
+   * @param {Object} detector Detector that matched
+   * @param {string} value Matched value
+   * @returns {string} Placeholder key, e.g. EMAIL_1
+   */
+  const getPlaceholder = (detector, value) => {
+    counts[detector.type] = (counts[detector.type] || 0) + 1;
+    if (!placeholders.has(value)) {
+      nextIndex[detector.label] = (nextIndex[detector.label] || 0) + 1;
+      const key = `${detector.label}_${nextIndex[detector.label]}`;
+      placeholders.set(value, key);
+      values.set(key, value);
+    }
+    return placeholders.get(value);
+  };
+
+  return {
+    /**
+     * Replace detected PII with placeholders
+     * @param {string} text Text to redact
+     * @returns {string} Redacted text
+     */
+    redact(text) {
+      return detectors.reduce(
+        (result, detector) =>
+          result.replace(detector.pattern, (match) =>
+            detector.validate && !detector.validate(match)
+              ? match
+              : `[${getPlaceholder(detector, match)}]`
+          ),
+        String(text || "")
+      );
+    },
+
+    /**
+     * Put the original values back in place of placeholders
+     * @param {string} text Model response text
+     * @param {Object} options Restore options
+     * @param {boolean} options.json Escape values for use inside JSON strings
+     * @returns {string} Text with the original values
+     */
+    restore(text, options = {}) {
+      if (!text || values.size === 0) {
+        return text;
+      }
+      return text.replace(PLACEHOLDER_PATTERN, (match, key) => {
+        if (!values.has(key)) {
+          return match;
+        }
+        const value = values.get(key);
+        return options.json ? JSON.stringify(value).slice(1, -1) : value;
+      });
+    },
+
+    /**
+     * Get the number of redacted values by type
+     * @returns {Object} Counts keyed by PII type
+     */
+    getCounts() {
+      return { ...counts };
+    },
+  };
+}
+
+/**
+ * Override the redactPII setting for this process
+ * @param {boolean|null} enabled Whether to redact, or null to use config.json
+ */
+function setRedactionOverride(enabled) {
+  redactionOverride = enabled;
+}
+
+/**
+ * Check whether prompts should be redacted
+ * @param {Object} config Configuration object
+ * @returns {boolean} True unless disabled by --no-redact or redactPII: false
+ */
+function isRedactionEnabled(config = {}) {
+  return redactionOverride ?? config.redactPII !== false;
+}
+
+/**
+ * Add one prompt's redactions to the current account's audit
+ * Failures to record are logged but never interrupt the AI request.
+ * @param {Object} counts Number of redacted values keyed by PII type
+ * @returns {Promise<void>}
+ */
+async function auditRedactions(counts) {
+  if (Object.keys(counts).length === 0) {
+    return;
+  }
+  try {
+    await recordRedactions({
+      day: getLocalDay(),
+      command: getUsageCommand(),
+      counts,
+    });
+  } catch (error) {
+    console.warn("Could not record redaction audit:", error.message);
+  }
+}
+
+/**
+ * Load the redaction audit for the last few days
+ * @param {Object} options Report options
+ * @param {number} options.days Number of days to include (including today)
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Audit rows
+ */
+async function loadRedactionsSince(options = {}) {
+  const since = new Date();
+  since.setDate(since.getDate() - ((options.days || 7) - 1));
+  return loadRedactionAudit({
+    since: getLocalDay(since),
+    account: options.account,
+  });
+}
+
+module.exports = {
+  createRedactor,
+  setRedactionOverride,
+  isRedactionEnabled,
+  auditRedactions,
+  loadRedactionsSince,
+  passesLuhnCheck,
+  isValidIban,
+  PII_DETECTORS,
+};
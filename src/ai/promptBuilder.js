@@ -0,0 +1,304 @@
+/**
+ * Prompt Builder Module
+ * Prepares email content for AI prompts within a token budget
+ */
+const {
+  estimateTokens,
+  createTokenBatches,
+  CHARS_PER_TOKEN,
+} = require("./tokenUtils");
+const { mapWithConcurrency } = require("../utils/concurrencyUtils");
+
+// Defaults used when config.json predates the token settings
+const DEFAULT_MAX_EMAIL_TOKENS = 2000;
+const DEFAULT_LONG_EMAIL_STRATEGY = "truncate";
+
+// Lines that start a quoted reply or forwarded history
+const QUOTE_HEADER_PATTERNS = [
+  /^On .+wrote:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}/i,
+  /^_{5,}\s*$/,
+];
+
+// Lines that start a signature
+const SIGNATURE_PATTERNS = [
+  /^-- ?$/,
+  /^Sent from my (iPhone|iPad|Android|mobile|phone)/i,
+  /^Get Outlook for /i,
+];
+
+/**
+ * Remove quoted replies, forwarded history and signatures from an email body
+ * @param {string} body Email body text
+ * @returns {string} Body with only the new message text
+ */
+function cleanEmailBody(body) {
+  if (!body) {
+    return "";
+  }
+
+  const lines = [];
+  for (const line of String(body).split(/\r?\n/)) {
+    const trimmed = line.trim();
+
+    // Everything after a reply header or signature is history or boilerplate
+    if (
+      (lines.length > 0 &&
+        QUOTE_HEADER_PATTERNS.some((pattern) => pattern.test(trimmed))) ||
+      SIGNATURE_PATTERNS.some((pattern) => pattern.test(trimmed))
+    ) {
+      break;
+    }
+    if (!trimmed.startsWith(">")) {
+      lines.push(line);
+    }
+  }
+
+  return lines
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Split an email body into its new text and the quoted history below it
+ * Unlike cleanEmailBody, signatures stay with the new text.
+ * @param {string} body Email body text
+ * @returns {Object} { text, quotedLines } with the new text and the number of quoted lines
+ */
+function splitQuotedText(body) {
+  const lines = [];
+  let quotedLines = 0;
+  let inHistory = false;
+
+  for (const line of String(body || "").split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (
+      !inHistory &&
+      lines.some((kept) => kept.trim()) &&
+      QUOTE_HEADER_PATTERNS.some((pattern) => pattern.test(trimmed))
+    ) {
+      inHistory = true;
+    }
+    if (inHistory || trimmed.startsWith(">")) {
+      quotedLines += trimmed ? 1 : 0;
+    } else {
+      lines.push(line);
+    }
+  }
+
+  return {
+    text: lines
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim(),
+    quotedLines,
+  };
+}
+
+/**
+ * Truncate text to a token budget
+ * @param {string} text Text to truncate
+ * @param {number} maxTokens Token budget
+ * @returns {string} Text that fits the budget, with a truncation marker
+ */
+function truncateToTokens(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) {
+    return text;
+  }
+
+  const cut = text.substring(0, maxTokens * CHARS_PER_TOKEN);
+  // Prefer to cut at a word boundary
+  const lastSpace = cut.lastIndexOf(" ");
+  const head = lastSpace > cut.length * 0.8 ? cut.substring(0, lastSpace) : cut;
+  const remainingWords = text
+    .substring(head.length)
+    .split(/\s+/)
+    .filter(Boolean).length;
+
+  return `${head} [... ${remainingWords} more words truncated]`;
+}
+
+/**
+ * Split text into chunks of at most the given token size
+ * @param {string} text Text to split
+ * @param {number} chunkTokens Token budget per chunk
+ * @returns {Array} Text chunks
+ */
+function splitIntoChunks(text, chunkTokens) {
+  const chunkChars = chunkTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  let chunk = "";
+
+  // Keep paragraphs together where possible
+  for (const paragraph of text.split(/\n{2,}/)) {
+    if (chunk && chunk.length + paragraph.length + 2 > chunkChars) {
+      chunks.push(chunk);
+      chunk = "";
+    }
+    if (paragraph.length > chunkChars) {
+      for (let i = 0; i < paragraph.length; i += chunkChars) {
+        chunks.push(paragraph.substring(i, i + chunkChars));
+      }
+    } else {
+      chunk = chunk ? `${chunk}\n\n${paragraph}` : paragraph;
+    }
+  }
+  if (chunk) {
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+/**
+ * Condense a long text by summarizing its chunks and joining the summaries
+ * @param {string} text Text to condense
+ * @param {Object} options Condense options
+ * @param {number} options.maxTokens Token budget for the result
+ * @param {Function} options.summarize Resolves a prompt to model text
+ * @returns {Promise<string>} Condensed text within the budget
+ */
+async function summarizeInChunks(text, options) {
+  const { maxTokens, summarize } = options;
+  const chunks = splitIntoChunks(text, maxTokens);
+
+  // Map: summarize each chunk (in order, so one email uses one request at a time)
+  const summaries = [];
+  for (const chunk of chunks) {
+    summaries.push(
+      await summarize(`
+      Summarize this part of a longer email in a few sentences.
+      Keep names, dates, amounts, questions, requests and deadlines.
+      Respond with the summary text only.
+
+      ${chunk}
+    `)
+    );
+  }
+
+  // Reduce: join the partial summaries, truncating if still too long
+  const joined = summaries
+    .map((summary) => (summary || "").trim())
+    .filter(Boolean)
+    .join("\n");
+
+  return truncateToTokens(`[Summary of a long email]\n${joined}`, maxTokens);
+}
+
+/**
+ * Format an email date for a prompt
+ * @param {Date|string|number} date Email date
+ * @returns {string} ISO date string
+ */
+function formatPromptDate(date) {
+  try {
+    if (date instanceof Date) {
+      return date.toISOString();
+    }
+    if (typeof date === "string") {
+      return date;
+    }
+    return new Date(date).toISOString();
+  } catch (error) {
+    return new Date().toISOString(); // fallback to current date
+  }
+}
+
+/**
+ * Get prompt options from the configuration
+ * @param {Object} config Configuration object
+ * @param {Function} summarize Resolves a prompt to model text (for map-reduce)
+ * @returns {Object} Prompt options
+ */
+function getPromptOptions(config, summarize = null) {
+  return {
+    maxEmailTokens: config.aiMaxEmailTokens || DEFAULT_MAX_EMAIL_TOKENS,
+    strategy: config.longEmailStrategy || DEFAULT_LONG_EMAIL_STRATEGY,
+    concurrency: config.aiConcurrency || 1,
+    summarize,
+  };
+}
+
+/**
+ * Prepare an email's content for a prompt
+ * Quoted history and signatures are removed; bodies over the per-email
+ * budget are truncated or, with the "summarize" strategy, map-reduced.
+ * @param {Object} email Email object
+ * @param {Object} options Prompt options from getPromptOptions
+ * @returns {Promise<string>} Prompt-ready content
+ */
+async function prepareEmailContent(email, options) {
+  const content = cleanEmailBody(email.body) || email.snippet || "";
+
+  if (estimateTokens(content) <= options.maxEmailTokens) {
+    return content;
+  }
+
+  if (options.strategy === "summarize" && options.summarize) {
+    try {
+      return await summarizeInChunks(content, {
+        maxTokens: options.maxEmailTokens,
+        summarize: options.summarize,
+      });
+    } catch (error) {
+      console.warn(
+        `Could not summarize long email "${email.subject}", truncating instead: ${error.message}`
+      );
+    }
+  }
+
+  return truncateToTokens(content, options.maxEmailTokens);
+}
+
+/**
+ * Prepare emails for a batch prompt
+ * @param {Array} emails Array of email objects
+ * @param {Object} options Prompt options from getPromptOptions
+ * @returns {Promise<Array>} Email data with ID, subject, sender, ISO date and content
+ */
+async function prepareEmailsForPrompt(emails, options) {
+  return mapWithConcurrency(emails, options.concurrency, async (email) => ({
+    id: String(email.id),
+    subject: email.subject,
+    from: email.from,
+    date: formatPromptDate(email.date),
+    content: await prepareEmailContent(email, options),
+  }));
+}
+
+/**
+ * Pack prepared items into batches under a prompt token ceiling
+ * @param {Array} items Items to pack
+ * @param {Object} options Packing options
+ * @param {number} options.maxTokens Token ceiling per request
+ * @param {number} options.overheadTokens Tokens used by the prompt instructions
+ * @param {number} options.maxItems Maximum number of items per batch
+ * @param {Function} options.getData Returns the prompt data for an item
+ * @returns {Array} Array of batches
+ */
+function packPromptBatches(items, options) {
+  const { maxTokens, overheadTokens = 0, maxItems, getData } = options;
+  return createTokenBatches(items, {
+    // Leave room for the prompt instructions
+    maxTokens: Math.max(maxTokens - overheadTokens, 1),
+    maxItems,
+    countTokens: (item) =>
+      estimateTokens(JSON.stringify(getData ? getData(item) : item, null, 2)),
+  });
+}
+
+module.exports = {
+  cleanEmailBody,
+  splitQuotedText,
+  truncateToTokens,
+  splitIntoChunks,
+  summarizeInChunks,
+  formatPromptDate,
+  getPromptOptions,
+  prepareEmailContent,
+  prepareEmailsForPrompt,
+  packPromptBatches,
+  DEFAULT_MAX_EMAIL_TOKENS,
+};
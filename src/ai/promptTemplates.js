@@ -0,0 +1,304 @@
+/**
+ * Prompt Templates Module
+ * Default prompt templates for every AI task, overridable with
+ * <promptDir>/<name>.txt files that use {{variable}} placeholders
+ */
+const fs = require("fs-extra");
+const path = require("path");
+const { loadConfigSync } = require("../utils/configUtils");
+
+const DEFAULT_TEMPLATES = {
+  analysis: `Analyze each of these emails. For every email:
+- Classify its priority and its type, and list any action items that require a response or action.
+- Summarize it in bullet points and extract key points and deadlines.
+- Write a concise, professional suggested response that addresses any questions or action items.
+
+Priorities, from most to least urgent:
+{{priorities}}
+
+Types:
+{{types}}
+
+{{corrections}}
+{{feedback}}
+Emails:
+{{emails}}
+
+Respond with a JSON object only, with one result per email and the email's exact "id":
+{
+  "results": [
+    {
+      "id": "email_id_1",
+      "classification": {
+        "priority": "{{priorityNames}}",
+        "priorityConfidence": <number between 0-100>,
+        "type": "{{typeNames}}",
+        "actionRequired": true|false,
+        "actionConfidence": <number between 0-100>,
+        "actionItems": ["list", "of", "action", "items"]
+      },
+      "summary": {
+        "summary": ["bullet point 1", "bullet point 2", ...],
+        "keyPoints": ["key point 1", "key point 2", ...],
+        "deadlines": ["deadline 1", "deadline 2", ...],
+        "estimatedReadingTime": <number in minutes>
+      },
+      "suggestedResponse": "Response text here..."
+    }
+  ]
+}
+`,
+
+  calendar: `Extract any date/time-based tasks or meetings from these emails. Only extract important dates, not every date mentioned.
+Name the events properly based on context.
+{{feedback}}
+Emails:
+{{emails}}
+
+Respond with a JSON object only, with one result per email:
+{
+  "results": [
+    {
+      "id": "email_id_1",
+      "events": [
+        {
+          "title": "Event title",
+          "date": "YYYY-MM-DD",
+          "time": "HH:MM" (optional),
+          "endTime": "HH:MM" (optional),
+          "description": "Brief description of the event"
+        }
+      ]
+    }
+  ]
+}
+`,
+
+  tags: `Based on the content of these emails, suggest appropriate labels/tags from the following options:
+{{tags}}
+
+You can suggest multiple labels if appropriate. Only use the tag names listed above.
+{{feedback}}
+Emails:
+{{emails}}
+
+Respond with a JSON object only, with one result per email:
+{
+  "results": [
+    {
+      "id": "email_id_1",
+      "tags": ["tag1", "tag2", ...],
+      "confidence": <number between 0-100>
+    }
+  ]
+}
+`,
+
+  sentiment: `Analyze the sentiment of these emails. Determine if each is positive, negative, or neutral.
+Also identify if each is an appreciation, complaint, or request.
+{{feedback}}
+Emails:
+{{emails}}
+
+Respond with a JSON object only, with one result per email:
+{
+  "results": [
+    {
+      "id": "email_id_1",
+      "sentiment": "positive|negative|neutral",
+      "sentimentScore": <number between -1 and 1>,
+      "type": "appreciation|complaint|request|information|other",
+      "stressLevel": <number between 0-10>
+    }
+  ]
+}
+`,
+
+  followUp: `Analyze these emails and determine if each requires a follow-up response.
+Consider factors like:
+- Does it contain questions that need answers?
+- Does it request information or action?
+- Does the tone suggest an expectation of response?
+{{feedback}}
+Emails:
+{{emails}}
+
+Respond with a JSON object only, with one result per email:
+{
+  "results": [
+    {
+      "id": "email_id_1",
+      "needsFollowUp": true|false,
+      "confidence": <number between 0-100>,
+      "reason": "brief explanation",
+      "suggestedFollowUp": "suggested follow-up message"
+    }
+  ]
+}
+`,
+
+  threadSummary: `Summarize each of these email conversations. Each one lists its messages oldest first, with the date and sender of every message; messages marked "(me)" were sent by the mailbox owner.
+For every conversation:
+- Summarize where it stands in a few bullet points.
+- List the decisions that were made.
+- List the questions that are still open.
+- List who owes what: every request or commitment that is still outstanding, with the person responsible ("me" for the mailbox owner).
+{{feedback}}
+Conversations:
+{{threads}}
+
+Respond with a JSON object only, with one result per conversation and the conversation's exact "id":
+{
+  "results": [
+    {
+      "id": "thread_id_1",
+      "summary": ["bullet point 1", "bullet point 2", ...],
+      "decisions": ["decision 1", ...],
+      "openQuestions": ["question 1", ...],
+      "owes": [
+        { "who": "person responsible", "what": "what they owe" }
+      ]
+    }
+  ]
+}
+`,
+
+  reply: `Generate a full professional reply draft for this email, including greeting, body, and closing.
+The reply should reflect the appropriate urgency, tone (friendly or formal based on context),
+and address all questions or expected outcomes mentioned.
+
+Email Subject: {{subject}}
+From: {{from}}
+Date: {{date}}
+Content: {{content}}
+
+Generate only the reply text, without any additional formatting or explanation.
+`,
+};
+
+// Variables each template is rendered with
+const TEMPLATE_VARIABLES = {
+  analysis: [
+    "priorities",
+    "priorityNames",
+    "types",
+    "typeNames",
+    "corrections",
+    "feedback",
+    "emails",
+  ],
+  calendar: ["feedback", "emails"],
+  tags: ["tags", "tagNames", "feedback", "emails"],
+  sentiment: ["feedback", "emails"],
+  followUp: ["feedback", "emails"],
+  threadSummary: ["feedback", "threads"],
+  reply: ["subject", "from", "date", "content"],
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Get the directory prompt template overrides are read from
+ * @returns {string} Absolute path (promptDir in config.json)
+ */
+function getPromptDir() {
+  const config = loadConfigSync();
+  return path.resolve(process.cwd(), config.promptDir || "./prompts");
+}
+
+/**
+ * Get the override file path of a template
+ * @param {string} name Template name
+ * @returns {string} Absolute file path
+ */
+function getTemplatePath(name) {
+  return path.join(getPromptDir(), `${name}.txt`);
+}
+
+/**
+ * Get a prompt template, preferring an override file
+ * An unreadable override is reported and the default is used instead.
+ * @param {string} name Template name (a key of DEFAULT_TEMPLATES)
+ * @returns {Object} Template text and source ("default" or the file path)
+ */
+function getTemplate(name) {
+  if (!DEFAULT_TEMPLATES[name]) {
+    const error = new Error(`Unknown prompt template: ${name}`);
+    error.code = "UNKNOWN_TEMPLATE";
+    throw error;
+  }
+
+  const filePath = getTemplatePath(name);
+  if (fs.existsSync(filePath)) {
+    try {
+      return { text: fs.readFileSync(filePath, "utf8"), source: filePath };
+    } catch (error) {
+      console.warn(
+        `Could not read prompt template ${filePath}:`,
+        error.message
+      );
+    }
+  }
+  return { text: DEFAULT_TEMPLATES[name], source: "default" };
+}
+
+/**
+ * Render a prompt template
+ * Placeholders without a value are left as they are.
+ * @param {string} name Template name (a key of DEFAULT_TEMPLATES)
+ * @param {Object} variables Values keyed by placeholder name
+ * @returns {string} Prompt text
+ */
+function renderPrompt(name, variables = {}) {
+  return getTemplate(name).text.replace(PLACEHOLDER_PATTERN, (match, key) =>
+    variables[key] === undefined || variables[key] === null
+      ? match
+      : String(variables[key])
+  );
+}
+
+/**
+ * List every prompt template with its source and variables
+ * @returns {Array} Templates with name, source, path and variables
+ */
+function listTemplates() {
+  return Object.keys(DEFAULT_TEMPLATES).map((name) => ({
+    name,
+    source: getTemplate(name).source,
+    path: getTemplatePath(name),
+    variables: TEMPLATE_VARIABLES[name],
+  }));
+}
+
+/**
+ * Write the default templates to the prompt directory for editing
+ * Existing override files are left untouched.
+ * @returns {Promise<Array>} Paths of the files written
+ */
+async function exportDefaultTemplates() {
+  try {
+    const written = [];
+    await fs.ensureDir(getPromptDir());
+    for (const [name, text] of Object.entries(DEFAULT_TEMPLATES)) {
+      const filePath = getTemplatePath(name);
+      if (!(await fs.pathExists(filePath))) {
+        await fs.writeFile(filePath, text);
+        written.push(filePath);
+      }
+    }
+    return written;
+  } catch (error) {
+    console.error("Error exporting prompt templates:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  renderPrompt,
+  getTemplate,
+  listTemplates,
+  exportDefaultTemplates,
+  getPromptDir,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_VARIABLES,
+};
@@ -0,0 +1,146 @@
+/**
+ * Gemini Provider Module
+ * Google Gemini backend for the AI provider layer
+ */
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const DEFAULT_MODEL = "gemini-2.0-flash";
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-004";
+
+/**
+ * Convert a JSON schema to the subset Gemini accepts as a response schema
+ * Nullable type lists become `nullable`; keywords Gemini rejects (pattern,
+ * minimum, maximum) are left out and only checked after the response.
+ * @param {Object} schema JSON schema
+ * @returns {Object} Gemini response schema
+ */
+function toGeminiSchema(schema) {
+  const types = [].concat(schema.type || "string");
+  const type = types.find((name) => name !== "null") || "string";
+  const converted = { type };
+
+  if (types.includes("null")) {
+    converted.nullable = true;
+  }
+  if (schema.description) {
+    converted.description = schema.description;
+  }
+  if (schema.enum && type === "string") {
+    converted.format = "enum";
+    converted.enum = schema.enum;
+  }
+  if (type === "object") {
+    converted.properties = {};
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      converted.properties[key] = toGeminiSchema(property);
+    });
+    if (schema.required) {
+      converted.required = schema.required;
+    }
+  }
+  if (type === "array") {
+    converted.items = toGeminiSchema(schema.items || {});
+  }
+  return converted;
+}
+
+/**
+ * Create a Gemini provider
+ * @param {Object} options Provider options
+ * @param {string} options.model Model name
+ * @param {string} options.embeddingModel Embedding model name
+ * @param {string} options.apiKey API key (defaults to GEMINI_API_KEY)
+ * @returns {Object} Provider with generate, generateText, embed and checkConfiguration
+ */
+function createGeminiProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+  const modelName = options.model || DEFAULT_MODEL;
+  const embeddingModelName = options.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model: modelName,
+    embeddingModel: embeddingModelName,
+
+    /**
+     * Generate a response and report token usage
+     * @param {string} prompt Prompt text
+     * @param {Object} options Generation options
+     * @param {boolean} options.json Request a JSON response
+     * @param {Object} options.schema JSON schema the response must follow
+     * @returns {Promise<Object>} Response text and usage ({ promptTokens, responseTokens })
+     */
+    async generate(prompt, options = {}) {
+      const model = genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: options.json
+          ? {
+              responseMimeType: "application/json",
+              ...(options.schema && {
+                responseSchema: toGeminiSchema(options.schema),
+              }),
+            }
+          : undefined,
+      });
+      const result = await model.generateContent(prompt);
+      const usage = result.response.usageMetadata || {};
+      return {
+        text: result.response.text(),
+        usage: {
+          promptTokens: usage.promptTokenCount,
+          responseTokens: usage.candidatesTokenCount,
+        },
+      };
+    },
+
+    /**
+     * Embed texts as vectors
+     * @param {Array} texts Texts to embed
+     * @returns {Promise<Object>} Vectors in input order and usage ({ promptTokens })
+     */
+    async embed(texts) {
+      const model = genAI.getGenerativeModel({ model: embeddingModelName });
+      const result = await model.batchEmbedContents({
+        requests: texts.map((text) => ({
+          content: { role: "user", parts: [{ text }] },
+        })),
+      });
+      return {
+        vectors: result.embeddings.map((embedding) => embedding.values),
+        usage: { promptTokens: undefined },
+      };
+    },
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt Prompt text
+     * @param {Object} options Generation options
+     * @returns {Promise<string>} Model response text
+     */
+    async generateText(prompt, options = {}) {
+      const { text } = await this.generate(prompt, options);
+      return text;
+    },
+
+    /**
+     * Check whether the provider can be used
+     * @returns {Object} Configuration status
+     */
+    checkConfiguration() {
+      return {
+        configured: !!apiKey,
+        apiKey: apiKey ? "✓ Set" : "✗ Missing",
+        setupInstructions: apiKey
+          ? null
+          : "Set GEMINI_API_KEY environment variable or create .env file",
+      };
+    },
+  };
+}
+
+module.exports = {
+  createGeminiProvider,
+  DEFAULT_MODEL,
+  DEFAULT_EMBEDDING_MODEL,
+};
@@ -0,0 +1,60 @@
+/**
+ * Provider HTTP Utilities Module
+ * Shared request helpers for HTTP-based AI providers
+ */
+const axios = require("axios");
+
+// Local models can take a while to answer large prompts
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * POST a JSON body to an AI provider endpoint
+ * Errors are rethrown with the HTTP status on `error.status` so callers can
+ * treat every provider's failures the same way.
+ * @param {string} url Endpoint URL
+ * @param {Object} body Request body
+ * @param {Object} options Request options
+ * @param {Object} options.headers Extra request headers
+ * @param {number} options.timeout Request timeout in milliseconds
+ * @param {string} options.providerName Provider name used in error messages
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function postJson(url, body, options = {}) {
+  try {
+    const response = await axios.post(url, body, {
+      headers: { "Content-Type": "application/json", ...options.headers },
+      timeout: options.timeout || DEFAULT_TIMEOUT_MS,
+    });
+    return response.data;
+  } catch (error) {
+    const status = error.response ? error.response.status : undefined;
+    const detail =
+      error.response && error.response.data && error.response.data.error
+        ? error.response.data.error.message || error.response.data.error
+        : error.message;
+
+    const providerError = new Error(
+      `${options.providerName || "AI provider"} request failed${
+        status ? ` (${status})` : ""
+      }: ${detail}`
+    );
+    providerError.status = status;
+    providerError.headers = error.response ? error.response.headers : {};
+    throw providerError;
+  }
+}
+
+/**
+ * Remove trailing slashes from a base URL
+ * @param {string} url Base URL
+ * @returns {string} Normalized URL
+ */
+function trimBaseUrl(url) {
+  return url.replace(/\/+$/, "");
+}
+
+module.exports = {
+  postJson,
+  trimBaseUrl,
+  DEFAULT_TIMEOUT_MS,
+};
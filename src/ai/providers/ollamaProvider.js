@@ -0,0 +1,110 @@
+/**
+ * Ollama Provider Module
+ * Local model backend using the Ollama generate API
+ */
+const { postJson, trimBaseUrl } = require("./httpUtils");
+
+const DEFAULT_MODEL = "llama3.1";
+const DEFAULT_EMBEDDING_MODEL = "nomic-embed-text";
+const DEFAULT_BASE_URL = "http://localhost:11434";
+
+/**
+ * Create an Ollama provider
+ * @param {Object} options Provider options
+ * @param {string} options.model Model name (must be pulled with `ollama pull`)
+ * @param {string} options.embeddingModel Embedding model name (also pulled)
+ * @param {string} options.baseUrl Ollama server URL (defaults to OLLAMA_HOST)
+ * @returns {Object} Provider with generate, generateText, embed and checkConfiguration
+ */
+function createOllamaProvider(options = {}) {
+  const modelName = options.model || DEFAULT_MODEL;
+  const embeddingModelName = options.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+  const baseUrl = trimBaseUrl(
+    options.baseUrl || process.env.OLLAMA_HOST || DEFAULT_BASE_URL
+  );
+
+  return {
+    name: "ollama",
+    model: modelName,
+    embeddingModel: embeddingModelName,
+
+    /**
+     * Generate a response and report token usage
+     * @param {string} prompt Prompt text
+     * @param {Object} options Generation options
+     * @param {boolean} options.json Request a JSON response
+     * @param {Object} options.schema JSON schema the response must follow
+     * (structured outputs, Ollama 0.5 and later)
+     * @returns {Promise<Object>} Response text and usage ({ promptTokens, responseTokens })
+     */
+    async generate(prompt, options = {}) {
+      const data = await postJson(
+        `${baseUrl}/api/generate`,
+        {
+          model: modelName,
+          prompt,
+          stream: false,
+          ...(options.json && { format: options.schema || "json" }),
+          options: { temperature: 0.2 },
+        },
+        { providerName: "ollama" }
+      );
+
+      return {
+        text: data.response || "",
+        usage: {
+          promptTokens: data.prompt_eval_count,
+          responseTokens: data.eval_count,
+        },
+      };
+    },
+
+    /**
+     * Embed texts as vectors
+     * @param {Array} texts Texts to embed
+     * @returns {Promise<Object>} Vectors in input order and usage ({ promptTokens })
+     */
+    async embed(texts) {
+      const data = await postJson(
+        `${baseUrl}/api/embed`,
+        { model: embeddingModelName, input: texts },
+        { providerName: "ollama" }
+      );
+
+      return {
+        vectors: data.embeddings || [],
+        usage: { promptTokens: data.prompt_eval_count },
+      };
+    },
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt Prompt text
+     * @param {Object} options Generation options
+     * @returns {Promise<string>} Model response text
+     */
+    async generateText(prompt, options = {}) {
+      const { text } = await this.generate(prompt, options);
+      return text;
+    },
+
+    /**
+     * Check whether the provider can be used
+     * @returns {Object} Configuration status
+     */
+    checkConfiguration() {
+      return {
+        configured: true,
+        apiKey: "Not required",
+        setupInstructions: null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createOllamaProvider,
+  DEFAULT_MODEL,
+  DEFAULT_EMBEDDING_MODEL,
+  DEFAULT_BASE_URL,
+};
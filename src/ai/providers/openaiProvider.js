@@ -0,0 +1,147 @@
+/**
+ * OpenAI-Compatible Provider Module
+ * Chat Completions backend for OpenAI and compatible servers (e.g. llama.cpp)
+ */
+const { postJson, trimBaseUrl } = require("./httpUtils");
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small";
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Build the response_format of a JSON request
+ * Schemas are not strict: strict mode only accepts a subset of JSON schema,
+ * and results are validated after the response either way.
+ * @param {Object} options Generation options (schema is optional)
+ * @returns {Object} Chat Completions response_format
+ */
+function getResponseFormat(options) {
+  if (!options.schema) {
+    return { type: "json_object" };
+  }
+  return {
+    type: "json_schema",
+    json_schema: { name: "results", schema: options.schema, strict: false },
+  };
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} options Provider options
+ * @param {string} options.name Provider name reported to callers
+ * @param {string} options.model Model name
+ * @param {string} options.embeddingModel Embedding model name
+ * @param {string} options.baseUrl API base URL including the /v1 prefix
+ * @param {string} options.apiKey API key (defaults to OPENAI_API_KEY)
+ * @param {boolean} options.requireApiKey Whether requests need an API key
+ * @returns {Object} Provider with generate, generateText, embed and checkConfiguration
+ */
+function createOpenAIProvider(options = {}) {
+  const name = options.name || "openai";
+  const modelName = options.model || DEFAULT_MODEL;
+  const embeddingModelName = options.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+  const baseUrl = trimBaseUrl(
+    options.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL
+  );
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  const requireApiKey = options.requireApiKey !== false;
+
+  return {
+    name,
+    model: modelName,
+    embeddingModel: embeddingModelName,
+
+    /**
+     * Generate a response and report token usage
+     * @param {string} prompt Prompt text
+     * @param {Object} options Generation options
+     * @param {boolean} options.json Request a JSON response
+     * @param {Object} options.schema JSON schema the response must follow
+     * (sent as a json_schema response format, which llama.cpp turns into a
+     * grammar)
+     * @returns {Promise<Object>} Response text and usage ({ promptTokens, responseTokens })
+     */
+    async generate(prompt, options = {}) {
+      const data = await postJson(
+        `${baseUrl}/chat/completions`,
+        {
+          model: modelName,
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.2,
+          ...(options.json && { response_format: getResponseFormat(options) }),
+        },
+        {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          providerName: name,
+        }
+      );
+
+      const choice = data.choices && data.choices[0];
+      const usage = data.usage || {};
+      return {
+        text: choice && choice.message ? choice.message.content || "" : "",
+        usage: {
+          promptTokens: usage.prompt_tokens,
+          responseTokens: usage.completion_tokens,
+        },
+      };
+    },
+
+    /**
+     * Embed texts as vectors
+     * @param {Array} texts Texts to embed
+     * @returns {Promise<Object>} Vectors in input order and usage ({ promptTokens })
+     */
+    async embed(texts) {
+      const data = await postJson(
+        `${baseUrl}/embeddings`,
+        { model: embeddingModelName, input: texts },
+        {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          providerName: name,
+        }
+      );
+
+      const usage = data.usage || {};
+      return {
+        vectors: [...(data.data || [])]
+          .sort((a, b) => a.index - b.index)
+          .map((item) => item.embedding),
+        usage: { promptTokens: usage.prompt_tokens },
+      };
+    },
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt Prompt text
+     * @param {Object} options Generation options
+     * @returns {Promise<string>} Model response text
+     */
+    async generateText(prompt, options = {}) {
+      const { text } = await this.generate(prompt, options);
+      return text;
+    },
+
+    /**
+     * Check whether the provider can be used
+     * @returns {Object} Configuration status
+     */
+    checkConfiguration() {
+      const configured = !requireApiKey || !!apiKey;
+      return {
+        configured,
+        apiKey: apiKey ? "✓ Set" : requireApiKey ? "✗ Missing" : "Not required",
+        setupInstructions: configured
+          ? null
+          : "Set OPENAI_API_KEY environment variable or create .env file",
+      };
+    },
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  DEFAULT_MODEL,
+  DEFAULT_EMBEDDING_MODEL,
+  DEFAULT_BASE_URL,
+};
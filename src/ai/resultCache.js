@@ -0,0 +1,221 @@
+/**
+ * AI Result Cache Module
+ * Caches per-email AI results keyed on the normalised email content, the
+ * task, the model, the task's prompt version and the rendered instructions
+ */
+const crypto = require("crypto");
+const { cleanEmailBody } = require("./promptBuilder");
+const {
+  getCachedAIResults,
+  saveCachedAIResults,
+  getAICacheStats,
+  pruneAICache,
+} = require("../storage/mailStore");
+
+// Bump a task's version whenever its prompt or schema changes, so results
+// produced by the old prompt are no longer reused
+const PROMPT_VERSIONS = {
+  analysis: 3,
+  tags: 3,
+  sentiment: 3,
+  followUp: 3,
+  calendar: 3,
+  threadSummary: 2,
+};
+
+// Cached results older than this are redone (aiCacheMaxAgeDays in config.json)
+const DEFAULT_CACHE_MAX_AGE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} text Text to hash
+ * @returns {string} Hex digest
+ */
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Collapse whitespace so formatting-only differences share a cache entry
+ * @param {string} text Text to normalise
+ * @returns {string} Normalised text
+ */
+function normalizeText(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Hash the content of an email that AI prompts are built from
+ * @param {Object} email Email object
+ * @returns {string} Content hash
+ */
+function hashEmailContent(email) {
+  return sha256(
+    [email.subject, email.from, cleanEmailBody(email.body) || email.snippet]
+      .map(normalizeText)
+      .join("\n")
+  );
+}
+
+/**
+ * Get the cache key for an email and task
+ * @param {string} task Task name (a key of PROMPT_VERSIONS)
+ * @param {string} model Provider and model name, e.g. "gemini/gemini-2.0-flash"
+ * @param {Object} email Email object
+ * @param {string} fingerprint Prompt instructions without emails, so custom
+ * templates and taxonomies get their own results
+ * @returns {string} Cache key
+ */
+function getCacheKey(task, model, email, fingerprint = "") {
+  return sha256(
+    [
+      task,
+      model,
+      PROMPT_VERSIONS[task],
+      sha256(fingerprint),
+      hashEmailContent(email),
+    ].join("\n")
+  );
+}
+
+/**
+ * Get the creation time before which cached results are expired
+ * @param {number} maxAgeDays Maximum age in days (0 keeps results forever)
+ * @returns {number} Cutoff time in ms, or 0 when results never expire
+ */
+function getExpiryCutoff(maxAgeDays) {
+  const days = maxAgeDays ?? DEFAULT_CACHE_MAX_AGE_DAYS;
+  return days > 0 ? Date.now() - days * DAY_MS : 0;
+}
+
+/**
+ * Get per-email results for a task, computing only those not cached
+ * Cache failures are logged but never interrupt the task.
+ * @param {Object} options Cache options
+ * @param {string} options.task Task name (a key of PROMPT_VERSIONS)
+ * @param {string} options.model Provider and model name
+ * @param {Array} options.emails Array of email objects
+ * @param {Function} options.compute Resolves emails to a Map of results by email ID
+ * @param {boolean} options.reanalyze Ignore cached results
+ * @param {number} options.maxAgeDays Maximum age of cached results in days
+ * @param {string} options.fingerprint Prompt instructions the results depend on
+ * @returns {Promise<Map>} Results keyed by email ID
+ */
+async function withResultCache(options) {
+  const { task, model, emails, compute, reanalyze = false } = options;
+  const keys = emails.map((email) =>
+    getCacheKey(task, model, email, options.fingerprint)
+  );
+  const cutoff = getExpiryCutoff(options.maxAgeDays);
+
+  let cached = new Map();
+  if (!reanalyze) {
+    try {
+      cached = await getCachedAIResults([...new Set(keys)], {
+        createdAfter: cutoff,
+      });
+    } catch (error) {
+      console.warn("Could not read the AI result cache:", error.message);
+    }
+  }
+
+  const results = new Map();
+  const misses = [];
+  emails.forEach((email, index) => {
+    const result = cached.get(keys[index]);
+    if (result) {
+      results.set(String(email.id), result);
+    } else {
+      misses.push(index);
+    }
+  });
+
+  if (misses.length === 0) {
+    return results;
+  }
+
+  const computed = await compute(misses.map((index) => emails[index]));
+  const entries = [];
+  misses.forEach((index) => {
+    const id = String(emails[index].id);
+    const result = computed.get(id);
+    if (result) {
+      results.set(id, result);
+      entries.push({
+        key: keys[index],
+        task,
+        model,
+        promptVersion: PROMPT_VERSIONS[task],
+        result,
+      });
+    }
+  });
+
+  try {
+    await saveCachedAIResults(entries);
+    if (cutoff) {
+      await pruneAICache({ createdBefore: cutoff });
+    }
+  } catch (error) {
+    console.warn("Could not update the AI result cache:", error.message);
+  }
+
+  return results;
+}
+
+/**
+ * Get AI result cache statistics for an account
+ * @param {Object} options Stats options
+ * @param {string} options.model Current provider and model name
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Rows by task, model and prompt version, flagged when stale
+ */
+async function getResultCacheStats(options = {}) {
+  const rows = await getAICacheStats({ account: options.account });
+  return rows.map((row) => ({
+    ...row,
+    stale:
+      row.model !== options.model ||
+      row.promptVersion !== PROMPT_VERSIONS[row.task],
+  }));
+}
+
+/**
+ * Prune the AI result cache for an account
+ * @param {Object} options Prune options
+ * @param {string} options.model Current provider and model name
+ * @param {number} options.olderThanDays Remove results created more than this many days ago
+ * @param {boolean} options.stale Remove results from other models or prompt versions
+ * @param {boolean} options.all Remove every cached result
+ * @param {Object} options.account Account to prune (defaults to the current account)
+ * @returns {Promise<number>} Number of removed results
+ */
+async function pruneResultCache(options = {}) {
+  const keep = {};
+  Object.entries(PROMPT_VERSIONS).forEach(([task, promptVersion]) => {
+    keep[task] = { model: options.model, promptVersion };
+  });
+
+  return pruneAICache({
+    account: options.account,
+    all: options.all,
+    createdBefore: options.olderThanDays
+      ? getExpiryCutoff(options.olderThanDays)
+      : null,
+    keep: options.stale ? keep : null,
+  });
+}
+
+module.exports = {
+  withResultCache,
+  getCacheKey,
+  hashEmailContent,
+  getResultCacheStats,
+  pruneResultCache,
+  PROMPT_VERSIONS,
+  DEFAULT_CACHE_MAX_AGE_DAYS,
+};
@@ -0,0 +1,320 @@
+/**
+ * Structured Output Module
+ * JSON extraction, schema validation and repair re-asks for batched AI tasks
+ */
+
+// Number of follow-up requests for items that were missing or invalid
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Find the end of the JSON value starting at an opening bracket
+ * Brackets inside strings are ignored, so nested arrays and objects are kept whole.
+ * @param {string} text Text containing JSON
+ * @param {number} start Index of the opening bracket
+ * @returns {number} Index of the matching closing bracket, or -1 if unbalanced
+ */
+function findClosingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === "[" || char === "{") {
+      stack.push(char === "[" ? "]" : "}");
+    } else if (char === "]" || char === "}") {
+      if (stack.pop() !== char) {
+        return -1;
+      }
+      if (stack.length === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Repair common JSON mistakes made by language models
+ * @param {string} jsonStr JSON text
+ * @returns {string} Repaired JSON text
+ */
+function repairJson(jsonStr) {
+  return jsonStr
+    .replace(/[“”]/g, '"') // Smart quotes
+    .replace(/[‘’]/g, "'") // Smart single quotes
+    .replace(/,(\s*[}\]])/g, "$1") // Trailing commas
+    .replace(/\r?\n/g, " ") // Raw newlines inside strings
+    .trim();
+}
+
+/**
+ * Extract the first JSON value from a model response
+ * @param {string} text Model response text
+ * @returns {*} Parsed JSON value
+ * @throws {Error} When the response contains no parseable JSON
+ */
+function extractJson(text) {
+  if (!text || typeof text !== "string") {
+    throw new Error("Empty AI response");
+  }
+
+  // Prefer the contents of a fenced code block when there is one
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const source = fenced ? fenced[1] : text;
+
+  const start = source.search(/[[{]/);
+  if (start === -1) {
+    throw new Error("No JSON found in response");
+  }
+
+  const end = findClosingBracket(source, start);
+  const jsonStr = source.substring(start, end === -1 ? source.length : end + 1);
+
+  try {
+    return JSON.parse(jsonStr);
+  } catch (error) {
+    return JSON.parse(repairJson(jsonStr));
+  }
+}
+
+/**
+ * Get the result items from a parsed response
+ * Accepts a bare array, a single item, or an object wrapping the array.
+ * @param {*} parsed Parsed JSON value
+ * @returns {Array} Result items
+ */
+function getResultItems(parsed) {
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+  if (parsed && typeof parsed === "object") {
+    if (Array.isArray(parsed.results)) {
+      return parsed.results;
+    }
+    const arrays = Object.values(parsed).filter(Array.isArray);
+    if (!("id" in parsed) && arrays.length === 1) {
+      return arrays[0];
+    }
+    return [parsed];
+  }
+  return [];
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value Value to inspect
+ * @returns {string} JSON schema type name
+ */
+function getType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON schema
+ * Supports type, enum, pattern, required, properties, items, minimum and
+ * maximum.
+ * @param {*} value Value to validate
+ * @param {Object} schema JSON schema
+ * @param {string} pathName Path used in error messages
+ * @returns {Array} Validation error messages (empty when valid)
+ */
+function validateSchema(value, schema, pathName = "value") {
+  const errors = [];
+  const type = getType(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(
+      (t) => t === type || (t === "number" && type === "integer")
+    );
+    if (!matches) {
+      errors.push(`${pathName} must be ${allowed.join(" or ")}, got ${type}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pathName} must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (type === "string" && schema.pattern) {
+    if (!new RegExp(schema.pattern).test(value)) {
+      errors.push(`${pathName} must match ${schema.pattern}`);
+    }
+  }
+
+  if (type === "number" || type === "integer") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${pathName} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${pathName} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (type === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${pathName}.${key} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validateSchema(value[key], propSchema, `${pathName}.${key}`)
+        );
+      }
+    });
+  }
+
+  if (type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(
+        ...validateSchema(item, schema.items, `${pathName}[${index}]`)
+      );
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Describe invalid items so the model can correct them
+ * @param {Object} errorsById Validation errors keyed by item ID
+ * @param {string} itemName What the items are, e.g. "emails"
+ * @returns {string} Feedback text for the re-ask prompt
+ */
+function formatFeedback(errorsById, itemName) {
+  const lines = Object.entries(errorsById).map(
+    ([id, errors]) => `- ${id}: ${errors.join("; ")}`
+  );
+  return `Your previous answer was missing or invalid for these ${itemName}:\n${lines.join(
+    "\n"
+  )}\nReturn corrected results for these ${itemName} only.`;
+}
+
+/**
+ * Run a batched AI task with schema validation and repair re-asks
+ * Results are matched to inputs by ID. Items that are missing or fail
+ * validation are asked for again on their own, with the validation errors.
+ * @param {Object} task Task definition
+ * @param {Array} task.items Input items, each with an id
+ * @param {Object} task.schema JSON schema for one result item (must require id)
+ * @param {Function} task.buildPrompt Builds a prompt from (items, feedback)
+ * @param {Function} task.generate Sends a prompt with options, resolves to text
+ * @param {string} task.name Task name used in log messages
+ * @param {string} task.itemName What the items are (default "emails")
+ * @returns {Promise<Map>} Valid results keyed by item ID
+ */
+async function runStructuredTask(task) {
+  const {
+    items,
+    schema,
+    buildPrompt,
+    generate,
+    name = "AI task",
+    itemName = "emails",
+  } = task;
+  const results = new Map();
+  const responseSchema = {
+    type: "object",
+    required: ["results"],
+    properties: { results: { type: "array", items: schema } },
+  };
+
+  let pending = items;
+  let feedback = null;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    let text;
+    try {
+      text = await generate(buildPrompt(pending, feedback), {
+        json: true,
+        schema: responseSchema,
+        retry: attempt > 0,
+      });
+    } catch (error) {
+      // The first request has nothing to fall back on
+      if (attempt === 0) {
+        throw error;
+      }
+      console.warn(`${name}: repair request failed: ${error.message}`);
+      break;
+    }
+
+    let resultItems = [];
+    try {
+      resultItems = getResultItems(extractJson(text));
+    } catch (error) {
+      console.warn(`${name}: could not parse AI response: ${error.message}`);
+    }
+
+    const pendingIds = new Set(pending.map((item) => String(item.id)));
+    const errorsById = {};
+
+    resultItems.forEach((result, index) => {
+      const id = result && result.id !== undefined ? String(result.id) : null;
+      if (!id || !pendingIds.has(id) || results.has(id)) {
+        return;
+      }
+      // Models sometimes echo numeric-looking IDs as numbers
+      const item = { ...result, id };
+      const errors = validateSchema(item, schema, `results[${index}]`);
+      if (errors.length === 0) {
+        results.set(id, item);
+      } else {
+        errorsById[id] = errors;
+      }
+    });
+
+    pending = pending.filter((item) => !results.has(String(item.id)));
+    if (pending.length === 0) {
+      break;
+    }
+
+    pending.forEach((item) => {
+      const id = String(item.id);
+      if (!errorsById[id]) {
+        errorsById[id] = ["no result returned"];
+      }
+    });
+    feedback = formatFeedback(errorsById, itemName);
+  }
+
+  if (pending.length > 0) {
+    console.warn(
+      `${name}: no valid result for ${pending.length} of ${items.length} ${itemName}`
+    );
+  }
+
+  return results;
+}
+
+module.exports = {
+  runStructuredTask,
+  extractJson,
+  getResultItems,
+  validateSchema,
+  MAX_REPAIR_ATTEMPTS,
+};
@@ -0,0 +1,62 @@
+/**
+ * Token Utilities Module
+ * Token estimates and token-budgeted batching for AI requests
+ */
+
+// Rough average for English text across common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split items into batches that fit a token budget
+ * An item larger than the budget is placed in a batch on its own.
+ * @param {Array} items Items to batch
+ * @param {Object} options Batching options
+ * @param {number} options.maxTokens Token budget per batch
+ * @param {number} options.maxItems Maximum number of items per batch
+ * @param {Function} options.countTokens Returns the token estimate for an item
+ * @returns {Array} Array of batches
+ */
+function createTokenBatches(items, options) {
+  const { maxTokens, maxItems = Infinity, countTokens } = options;
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+
+  items.forEach((item) => {
+    const tokens = countTokens(item);
+    if (
+      batch.length > 0 &&
+      (batchTokens + tokens > maxTokens || batch.length >= maxItems)
+    ) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
+    }
+    batch.push(item);
+    batchTokens += tokens;
+  });
+
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+module.exports = {
+  estimateTokens,
+  createTokenBatches,
+  CHARS_PER_TOKEN,
+};
@@ -0,0 +1,246 @@
+/**
+ * AI Usage Tracker Module
+ * Records AI requests in the per-account usage ledger, enforces daily
+ * budgets and estimates cost
+ */
+const { recordAIUsage, loadAIUsage } = require("../storage/mailStore");
+
+// USD per million tokens, used when config.json has no aiPricing entry
+const MODEL_PRICING = {
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash-exp": { input: 0.1, output: 0.4 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "gemini-1.5-pro": { input: 1.25, output: 5.0 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10.0 },
+};
+
+// Local providers cost nothing per token
+const FREE_PROVIDERS = ["ollama", "llamacpp"];
+
+// CLI command attributed to AI requests made by this process
+let currentCommand = "other";
+
+/**
+ * Set the CLI command that AI usage is attributed to
+ * @param {string} command Command name
+ */
+function setUsageCommand(command) {
+  currentCommand = command || "other";
+}
+
+/**
+ * Get the CLI command that AI usage is attributed to
+ * @returns {string} Command name
+ */
+function getUsageCommand() {
+  return currentCommand;
+}
+
+/**
+ * Get a local date as YYYY-MM-DD
+ * @param {Date} date Date to format
+ * @returns {string} Local date string
+ */
+function getLocalDay(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Record one AI request in the current account's usage ledger
+ * Failures to record are logged but never interrupt the AI request.
+ * @param {Object} usage Request usage
+ * @param {string} usage.provider AI provider name
+ * @param {string} usage.model Model name
+ * @param {number} usage.promptTokens Prompt tokens used
+ * @param {number} usage.responseTokens Response tokens used
+ * @param {boolean} usage.retry Whether the request was a retry
+ * @param {boolean} usage.error Whether the request failed
+ * @returns {Promise<void>}
+ */
+async function recordUsage(usage) {
+  try {
+    await recordAIUsage({
+      ...usage,
+      day: getLocalDay(),
+      command: currentCommand,
+    });
+  } catch (error) {
+    console.warn("Could not record AI usage:", error.message);
+  }
+}
+
+/**
+ * Get today's usage totals for the current account
+ * @returns {Promise<Object>} Calls and tokens used today
+ */
+async function getTodayUsage() {
+  const today = getLocalDay();
+  const rows = await loadAIUsage({ since: today });
+  return rows
+    .filter((row) => row.day === today)
+    .reduce(
+      (totals, row) => ({
+        calls: totals.calls + row.calls,
+        tokens: totals.tokens + row.promptTokens + row.responseTokens,
+      }),
+      { calls: 0, tokens: 0 }
+    );
+}
+
+/**
+ * Throw if the current account has used up today's AI budget
+ * Budgets are optional: aiDailyTokenBudget and aiDailyCallBudget in config.json.
+ * @param {Object} config Configuration object
+ * @returns {Promise<void>}
+ * @throws {Error} With code AI_BUDGET_EXCEEDED when a budget is exhausted
+ */
+async function checkDailyBudget(config) {
+  const tokenBudget = config.aiDailyTokenBudget;
+  const callBudget = config.aiDailyCallBudget;
+  if (!tokenBudget && !callBudget) {
+    return;
+  }
+
+  const today = await getTodayUsage();
+  let message = null;
+  if (tokenBudget && today.tokens >= tokenBudget) {
+    message = `Daily AI token budget of ${tokenBudget} reached (${today.tokens} used)`;
+  } else if (callBudget && today.calls >= callBudget) {
+    message = `Daily AI request budget of ${callBudget} reached (${today.calls} used)`;
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.code = "AI_BUDGET_EXCEEDED";
+    throw error;
+  }
+}
+
+/**
+ * Get the price of a model in USD per million tokens
+ * @param {string} provider AI provider name
+ * @param {string} model Model name
+ * @param {Object} pricing Price overrides from config (aiPricing)
+ * @returns {Object|null} Input and output prices, or null if unknown
+ */
+function getModelPricing(provider, model, pricing = {}) {
+  if (pricing[model]) {
+    return pricing[model];
+  }
+  if (FREE_PROVIDERS.includes(provider)) {
+    return { input: 0, output: 0 };
+  }
+  return MODEL_PRICING[model] || null;
+}
+
+/**
+ * Estimate the cost of a usage row
+ * @param {Object} row Usage row with provider, model and token counts
+ * @param {Object} pricing Price overrides from config (aiPricing)
+ * @returns {number|null} Estimated cost in USD, or null if the model has no price
+ */
+function estimateCost(row, pricing = {}) {
+  const price = getModelPricing(row.provider, row.model, pricing);
+  if (!price) {
+    return null;
+  }
+  return (
+    (row.promptTokens * price.input + row.responseTokens * price.output) /
+    1000000
+  );
+}
+
+/**
+ * Load usage rows for the last few days
+ * @param {Object} options Report options
+ * @param {number} options.days Number of days to include (including today)
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Usage rows
+ */
+async function loadUsageSince(options = {}) {
+  const since = new Date();
+  since.setDate(since.getDate() - ((options.days || 7) - 1));
+  return loadAIUsage({ since: getLocalDay(since), account: options.account });
+}
+
+/**
+ * Summarize usage rows by day, command, model and account
+ * @param {Array} rows Usage rows (rows may carry an account name)
+ * @param {Object} pricing Price overrides from config (aiPricing)
+ * @returns {Object} Report with byDay, byCommand, byModel, byAccount and totals
+ */
+function buildUsageReport(rows, pricing = {}) {
+  const groups = { byDay: {}, byCommand: {}, byModel: {}, byAccount: {} };
+  const emptyTotals = () => ({
+    calls: 0,
+    retries: 0,
+    errors: 0,
+    promptTokens: 0,
+    responseTokens: 0,
+    cost: 0,
+    unpriced: false,
+  });
+  const totals = emptyTotals();
+
+  // Add a row's counts and cost to a running total
+  const addUsage = (target, row, cost) => {
+    target.calls += row.calls;
+    target.retries += row.retries;
+    target.errors += row.errors;
+    target.promptTokens += row.promptTokens;
+    target.responseTokens += row.responseTokens;
+    if (cost === null) {
+      target.unpriced = true;
+    } else {
+      target.cost += cost;
+    }
+  };
+
+  rows.forEach((row) => {
+    const cost = estimateCost(row, pricing);
+    const keys = {
+      byDay: row.day,
+      byCommand: row.command,
+      byModel: `${row.provider}/${row.model}`,
+      byAccount: row.account,
+    };
+
+    Object.entries(keys).forEach(([group, key]) => {
+      if (key) {
+        groups[group][key] = groups[group][key] || emptyTotals();
+        addUsage(groups[group][key], row, cost);
+      }
+    });
+    addUsage(totals, row, cost);
+  });
+
+  // Convert groups to arrays sorted by key
+  const toList = (group) =>
+    Object.entries(group)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, values]) => ({ key, ...values }));
+
+  return {
+    byDay: toList(groups.byDay),
+    byCommand: toList(groups.byCommand),
+    byModel: toList(groups.byModel),
+    byAccount: toList(groups.byAccount),
+    totals,
+  };
+}
+
+module.exports = {
+  setUsageCommand,
+  getUsageCommand,
+  recordUsage,
+  checkDailyBudget,
+  getTodayUsage,
+  estimateCost,
+  loadUsageSince,
+  buildUsageReport,
+  getLocalDay,
+  MODEL_PRICING,
+};
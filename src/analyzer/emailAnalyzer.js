@@ -1,4 +1,14 @@
-const { analyzeEmails: analyzeEmailsAI } = require("../ai/geminiAI");
+const {
+  analyzeEmails: analyzeEmailsAI,
+  summarizeThreads,
+  shouldUseOffline,
+} = require("../ai/geminiAI");
+const { loadThreads, saveThreadSummaries } = require("../storage/mailStore");
+const { analyzeEmailHeuristically } = require("./heuristicAnalyzer");
+const {
+  comparePriorities,
+  countByPriority,
+} = require("../utils/taxonomyUtils");
 
 /**
  * Analyze a single email
@@ -12,60 +22,90 @@ async function analyzeEmail(email) {
     return results[0];
   } catch (error) {
     console.error(`Error analyzing email "${email.subject}":`, error.message);
-    // Return email with basic analysis if AI fails
-    return {
-      ...email,
-      classification: {
-        priority: "medium",
-        priorityConfidence: 0,
-        type: "general",
-        actionRequired: false,
-        actionConfidence: 0,
-        actionItems: [],
-      },
-      summary: {
-        summary: ["Unable to generate summary"],
-        keyPoints: [],
-        deadlines: [],
-        estimatedReadingTime: 1,
-      },
-      suggestedResponse: "Unable to generate response.",
-    };
+    // Fall back to rule-based analysis if AI fails
+    return analyzeEmailHeuristically(email);
   }
 }
 
 /**
  * Analyze multiple emails
  * @param {Array} emails Array of email objects
+ * @param {Object} options Analysis options
+ * @param {boolean} options.reanalyze Ignore cached AI results
  * @returns {Promise<Array>} Array of analyzed emails
  */
-async function analyzeEmails(emails) {
+async function analyzeEmails(emails, options = {}) {
   console.log(`Analyzing ${emails.length} emails...`);
 
-  // Process emails in batches to avoid overwhelming the AI service
-  const batchSize = 3;
-  const analyzedEmails = [];
+  // Batching and concurrency are handled by the AI layer
+  let analyzedEmails;
+  try {
+    analyzedEmails = await analyzeEmailsAI(
+      emails,
+      (stage, batchNum, totalBatches) => {
+        console.log(`Analyzed batch ${batchNum} of ${totalBatches}`);
+      },
+      { reanalyze: options.reanalyze }
+    );
+  } catch (error) {
+    console.error("Error analyzing emails:", error.message);
+    // Fall back to rule-based analysis if AI fails
+    analyzedEmails = emails.map(analyzeEmailHeuristically);
+  }
 
-  for (let i = 0; i < emails.length; i += batchSize) {
-    const batch = emails.slice(i, i + batchSize);
-    const batchResults = await Promise.all(batch.map(analyzeEmail));
-    analyzedEmails.push(...batchResults);
+  // Sort emails by priority, in taxonomy order
+  return analyzedEmails.sort((a, b) =>
+    comparePriorities(a.classification.priority, b.classification.priority)
+  );
+}
 
-    console.log(
-      `Analyzed ${Math.min(i + batchSize, emails.length)} of ${
-        emails.length
-      } emails`
-    );
+/**
+ * Summarize multi-message threads whose summary is missing or out of date
+ * A summary is out of date once the thread has more messages than it
+ * covers. New summaries are saved with the stored threads.
+ * @param {Array} threads Stored threads (from loadThreads)
+ * @param {Object} options Summary options
+ * @param {boolean} options.reanalyze Summarize every thread again
+ * @returns {Promise<Map>} New summaries keyed by thread ID (empty when AI is offline)
+ */
+async function updateThreadSummaries(threads, options = {}) {
+  const pending = threads.filter(
+    (thread) =>
+      thread.messages.length > 1 &&
+      (options.reanalyze || thread.summarizedCount !== thread.messages.length)
+  );
+  if (pending.length === 0 || shouldUseOffline()) {
+    return new Map();
   }
 
-  // Sort emails by priority
-  return analyzedEmails.sort((a, b) => {
-    const priorityOrder = { Urgent: 0, Important: 1, Normal: 2 };
-    return (
-      priorityOrder[a.classification.priority] -
-      priorityOrder[b.classification.priority]
-    );
+  const summaries = await summarizeThreads(pending, null, {
+    reanalyze: options.reanalyze,
   });
+  await saveThreadSummaries(
+    pending
+      .filter((thread) => summaries.has(thread.id))
+      .map((thread) => ({
+        threadId: thread.id,
+        summary: summaries.get(thread.id),
+        messageCount: thread.messages.length,
+      }))
+  );
+  return summaries;
+}
+
+/**
+ * Summarize the multi-message threads that emails belong to
+ * @param {Array} emails Emails whose threads to summarize
+ * @param {Object} options Summary options (reanalyze)
+ * @returns {Promise<number>} Number of threads summarized
+ */
+async function summarizeEmailThreads(emails, options = {}) {
+  const threadIds = [
+    ...new Set(emails.map((email) => email.threadId).filter(Boolean)),
+  ];
+  const threads = await loadThreads(threadIds);
+  const summaries = await updateThreadSummaries([...threads.values()], options);
+  return summaries.size;
 }
 
 /**
@@ -74,12 +114,8 @@ async function analyzeEmails(emails) {
  * @returns {Object} Daily summary report
  */
 function generateDailySummary(analyzedEmails) {
-  // Count emails by priority
-  const priorityCounts = {
-    Urgent: 0,
-    Important: 0,
-    Normal: 0,
-  };
+  // Count emails by priority, in taxonomy order
+  const priorityCounts = countByPriority(analyzedEmails);
 
   // Find actionable emails
   const actionableEmails = [];
@@ -87,12 +123,19 @@ function generateDailySummary(analyzedEmails) {
   // Find time-sensitive emails
   const timeSensitiveEmails = [];
 
+  // Count emails per account (unified multi-account view only)
+  const accountCounts = {};
+
   analyzedEmails.forEach((email) => {
     const priority = email.classification.priority;
-    priorityCounts[priority]++;
+
+    if (email.account) {
+      accountCounts[email.account] = (accountCounts[email.account] || 0) + 1;
+    }
 
     if (email.classification.actionRequired) {
       actionableEmails.push({
+        account: email.account,
         subject: email.subject,
         from: email.from,
         priority,
@@ -102,6 +145,7 @@ function generateDailySummary(analyzedEmails) {
 
     if (email.summary.deadlines && email.summary.deadlines.length > 0) {
       timeSensitiveEmails.push({
+        account: email.account,
         subject: email.subject,
         from: email.from,
         priority,
@@ -114,6 +158,7 @@ function generateDailySummary(analyzedEmails) {
     date: new Date(),
     totalEmails: analyzedEmails.length,
     priorityCounts,
+    accountCounts,
     actionableEmails,
     timeSensitiveEmails,
   };
@@ -122,5 +167,7 @@ function generateDailySummary(analyzedEmails) {
 module.exports = {
   analyzeEmail,
   analyzeEmails,
+  updateThreadSummaries,
+  summarizeEmailThreads,
   generateDailySummary,
 };
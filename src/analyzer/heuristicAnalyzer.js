@@ -0,0 +1,400 @@
+/**
+ * Heuristic Analyzer Module
+ * Rule-based email analysis used when no AI provider is available
+ */
+const { cleanEmailBody } = require("../ai/promptBuilder");
+const { getPriorityForLevel, resolveType } = require("../utils/taxonomyUtils");
+
+// Average adult reading speed used for reading time estimates
+const WORDS_PER_MINUTE = 200;
+
+// Only the start of long bodies is scanned
+const MAX_SCAN_LENGTH = 5000;
+
+// Keywords that push priority up, with their weights
+const URGENT_PATTERNS = [
+  /\burgent(ly)?\b/i,
+  /\basap\b/i,
+  /\bimmediate(ly)?\b/i,
+  /\bcritical\b/i,
+  /\bemergency\b/i,
+  /\baction required\b/i,
+  /\btime[- ]sensitive\b/i,
+  /\bfinal (notice|reminder)\b/i,
+  /\b(outage|down|security alert|suspicious (sign-in|activity))\b/i,
+];
+
+const IMPORTANT_PATTERNS = [
+  /\bdeadline\b/i,
+  /\bdue (date|on|by)\b/i,
+  /\bmeeting\b/i,
+  /\binvoice\b/i,
+  /\bcontract\b/i,
+  /\b(approve|approval|sign[- ]off)\b/i,
+  /\breview\b/i,
+  /\bplease (respond|reply|confirm)\b/i,
+  /\breminder\b/i,
+  /\binterview\b/i,
+  /\bpayment\b/i,
+];
+
+// Senders and headers that indicate bulk or automated mail
+const AUTOMATED_SENDER_PATTERN =
+  /\b(no-?reply|do-?not-?reply|notifications?|newsletter|marketing|mailer|news|updates|info)@/i;
+const MARKETING_PATTERNS = [
+  /\bunsubscribe\b/i,
+  /\b(\d+% off|sale|discount|promo(tion)?|coupon|deal|offer|limited time)\b/i,
+  /\bview (this email )?in (your )?browser\b/i,
+];
+const UPDATES_PATTERNS = [
+  /\b(receipt|order|shipped|delivered|tracking|statement|notification|alert|verify|verification|password|sign-in|login)\b/i,
+];
+const WORK_PATTERNS = [
+  /\b(meeting|project|deadline|invoice|client|team|report|proposal|contract|quarter|sprint|review|agenda|schedule)\b/i,
+];
+const PERSONAL_DOMAINS =
+  /@(gmail|googlemail|yahoo|hotmail|outlook|live|icloud|me|aol|proton(mail)?)\./i;
+
+// Sentences that ask the reader to do something
+const ACTION_PATTERN =
+  /\b(please|kindly|could you|can you|would you|will you|need you to|make sure|don't forget|do not forget|remember to|let me know|action required|required to|must|asap)\b/i;
+
+// Deadline phrases: "by Friday", "due on 5 March", "deadline: 2024-03-05", "before EOD"
+const DAY_NAMES =
+  "monday|tuesday|wednesday|thursday|friday|saturday|sunday|mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun";
+const MONTH_NAMES =
+  "january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec";
+const DATE_EXPRESSION = [
+  "today",
+  "tonight",
+  "tomorrow",
+  "eod",
+  "eow",
+  "cob",
+  "end of (the )?(day|week|month)",
+  "close of business",
+  "(this |next )?(" + DAY_NAMES + ")",
+  "(next|this) week",
+  "(" + MONTH_NAMES + ")\\.? \\d{1,2}(st|nd|rd|th)?(,? \\d{4})?",
+  "\\d{1,2}(st|nd|rd|th)? (of )?(" + MONTH_NAMES + ")\\.?( \\d{4})?",
+  "\\d{4}-\\d{2}-\\d{2}",
+  "\\d{1,2}/\\d{1,2}(/\\d{2,4})?",
+].join("|");
+const DEADLINE_PATTERN = new RegExp(
+  `\\b(?:by|due(?: on| by)?|deadline(?: is|:)?|before|no later than|until)\\s+(?:the\\s+)?(${DATE_EXPRESSION})(?:\\s+at\\s+\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?)?`,
+  "gi"
+);
+
+// Deadline phrases that mean "within about a day"
+const IMMINENT_DEADLINE_PATTERN =
+  /\b(today|tonight|tomorrow|eod|cob|end of (the )?day|close of business)\b/i;
+
+/**
+ * Get the text of an email that heuristics should scan
+ * Quoted replies and signatures are skipped.
+ * @param {Object} email Email object
+ * @returns {string} Text to scan
+ */
+function getScanText(email) {
+  const body = (email.body || email.snippet || "").slice(0, MAX_SCAN_LENGTH);
+  return cleanEmailBody(body);
+}
+
+/**
+ * Split text into trimmed sentences
+ * @param {string} text Text to split
+ * @returns {Array} Sentences
+ */
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.replace(/\s+/g, " ").trim())
+    .filter((sentence) => sentence.length > 3);
+}
+
+/**
+ * Shorten a sentence for display
+ * @param {string} sentence Sentence text
+ * @param {number} maxLength Maximum length
+ * @returns {string} Shortened sentence
+ */
+function truncate(sentence, maxLength = 120) {
+  return sentence.length > maxLength
+    ? sentence.substring(0, maxLength - 3) + "..."
+    : sentence;
+}
+
+/**
+ * Check whether an email looks like bulk or automated mail
+ * @param {Object} email Email object
+ * @returns {boolean} True for newsletters, notifications and mailing lists
+ */
+function isBulkMail(email) {
+  const headers = email.headers || {};
+  return (
+    !!headers.listUnsubscribe ||
+    /^(bulk|list|junk)$/i.test(headers.precedence || "") ||
+    /^auto-/i.test(headers.autoSubmitted || "") ||
+    AUTOMATED_SENDER_PATTERN.test(email.from || "") ||
+    (email.labelIds || []).some((label) =>
+      ["CATEGORY_PROMOTIONS", "CATEGORY_SOCIAL", "CATEGORY_FORUMS"].includes(
+        label
+      )
+    )
+  );
+}
+
+/**
+ * Read the sender's priority from the Importance / X-Priority / Priority headers
+ * @param {Object} email Email object
+ * @returns {number} 1 for high, -1 for low, 0 when unset
+ */
+function getHeaderPriority(email) {
+  const headers = email.headers || {};
+  const importance = (headers.importance || "").toLowerCase();
+  const priority = (headers.priority || "").toLowerCase();
+  const xPriority = parseInt(headers.xPriority, 10);
+
+  if (
+    importance === "high" ||
+    priority === "urgent" ||
+    xPriority === 1 ||
+    xPriority === 2
+  ) {
+    return 1;
+  }
+  if (
+    importance === "low" ||
+    priority === "non-urgent" ||
+    xPriority === 4 ||
+    xPriority === 5
+  ) {
+    return -1;
+  }
+  return 0;
+}
+
+/**
+ * Extract deadline phrases from text
+ * @param {string} text Text to scan
+ * @returns {Array} Unique deadline phrases (at most 5)
+ */
+function extractDeadlines(text) {
+  const deadlines = [];
+  const seen = new Set();
+
+  for (const match of text.matchAll(DEADLINE_PATTERN)) {
+    const phrase = match[0].replace(/\s+/g, " ").trim();
+    const key = phrase.toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      deadlines.push(phrase);
+    }
+    if (deadlines.length >= 5) {
+      break;
+    }
+  }
+
+  return deadlines;
+}
+
+/**
+ * Extract sentences that ask the reader to do something
+ * @param {string} text Text to scan
+ * @returns {Array} Action items (at most 5)
+ */
+function extractActionItems(text) {
+  return splitSentences(text)
+    .filter(
+      (sentence) =>
+        ACTION_PATTERN.test(sentence) ||
+        (sentence.endsWith("?") && /\b(you|your)\b/i.test(sentence))
+    )
+    .filter((sentence) => !/\bunsubscribe\b/i.test(sentence))
+    .slice(0, 5)
+    .map((sentence) => truncate(sentence));
+}
+
+/**
+ * Estimate reading time from word count
+ * @param {Object} email Email object
+ * @returns {number} Reading time in minutes (at least 1)
+ */
+function estimateReadingTime(email) {
+  const words = (email.body || email.snippet || "")
+    .split(/\s+/)
+    .filter(Boolean).length;
+  return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+}
+
+/**
+ * Classify the type of an email
+ * @param {Object} email Email object
+ * @param {string} text Text to scan
+ * @returns {string} Personal, Work, Marketing, Updates or Others
+ */
+function classifyType(email, text) {
+  const content = `${email.subject || ""}\n${text}`;
+
+  if (isBulkMail(email) && MARKETING_PATTERNS.some((p) => p.test(content))) {
+    return "Marketing";
+  }
+  if (
+    UPDATES_PATTERNS.some((p) => p.test(content)) &&
+    (isBulkMail(email) || AUTOMATED_SENDER_PATTERN.test(email.from || ""))
+  ) {
+    return "Updates";
+  }
+  if (isBulkMail(email)) {
+    return MARKETING_PATTERNS.some((p) => p.test(content))
+      ? "Marketing"
+      : "Updates";
+  }
+  if (WORK_PATTERNS.some((p) => p.test(content))) {
+    return "Work";
+  }
+  if (PERSONAL_DOMAINS.test(email.from || "")) {
+    return "Personal";
+  }
+  return "Others";
+}
+
+/**
+ * Classify an email's priority, type and required actions
+ * Built-in types missing from a custom taxonomy fall back to its last type.
+ * @param {Object} email Email object
+ * @returns {Object} Classification in the same shape as the AI classifier
+ */
+function classifyEmail(email) {
+  const text = getScanText(email);
+  const content = `${email.subject || ""}\n${text}`;
+  const deadlines = extractDeadlines(content);
+  const actionItems = extractActionItems(text);
+  const bulk = isBulkMail(email);
+
+  let score = getHeaderPriority(email) * 2;
+  score += Math.min(
+    URGENT_PATTERNS.filter((pattern) => pattern.test(content)).length * 2,
+    4
+  );
+  score += Math.min(
+    IMPORTANT_PATTERNS.filter((pattern) => pattern.test(content)).length,
+    2
+  );
+  if (deadlines.length > 0) {
+    score += deadlines.some((d) => IMMINENT_DEADLINE_PATTERN.test(d)) ? 2 : 1;
+  }
+  if (bulk) {
+    score -= 3;
+  }
+
+  // Scores map to high, medium and low urgency in the configured priorities
+  const priority = getPriorityForLevel(score >= 4 ? 0 : score >= 2 ? 1 : 2);
+  const actionRequired =
+    !bulk && (actionItems.length > 0 || deadlines.length > 0);
+
+  return {
+    priority,
+    // Rules are less certain than a model, so confidence is capped
+    priorityConfidence: Math.min(80, 50 + Math.abs(score) * 5),
+    type: resolveType(classifyType(email, text)),
+    actionRequired,
+    actionConfidence: actionRequired
+      ? Math.min(80, 50 + actionItems.length * 10)
+      : bulk
+      ? 70
+      : 50,
+    actionItems: actionRequired ? actionItems : [],
+    source: "heuristic",
+  };
+}
+
+/**
+ * Summarize an email from its first meaningful sentences
+ * @param {Object} email Email object
+ * @returns {Object} Summary in the same shape as the AI summarizer
+ */
+function summarizeEmail(email) {
+  const text = getScanText(email);
+  const sentences = splitSentences(text).filter(
+    // Skip greetings and sign-offs
+    (sentence) =>
+      !/^(hi|hello|hey|dear|thanks|thank you|regards|best|cheers|sincerely)\b[^.!?]{0,30}[,!.]?$/i.test(
+        sentence
+      )
+  );
+
+  const summary = sentences.slice(0, 2).map((sentence) => truncate(sentence));
+  const keyPoints = sentences
+    .slice(2)
+    .filter(
+      (sentence) =>
+        IMPORTANT_PATTERNS.some((pattern) => pattern.test(sentence)) ||
+        URGENT_PATTERNS.some((pattern) => pattern.test(sentence)) ||
+        /\d/.test(sentence)
+    )
+    .slice(0, 3)
+    .map((sentence) => truncate(sentence));
+
+  return {
+    summary:
+      summary.length > 0
+        ? summary
+        : [truncate(email.snippet || email.subject || "No content")],
+    keyPoints,
+    deadlines: extractDeadlines(`${email.subject || ""}\n${text}`),
+    estimatedReadingTime: estimateReadingTime(email),
+  };
+}
+
+/**
+ * Build a template reply for an analyzed email
+ * @param {Object} email Email object
+ * @param {Object} classification Heuristic classification
+ * @param {Object} summary Heuristic summary
+ * @returns {string} Suggested response
+ */
+function suggestResponse(email, classification, summary) {
+  const senderName = (email.from || "")
+    .replace(/<.*>/, "")
+    .replace(/"/g, "")
+    .trim()
+    .split(/\s+/)[0];
+  const greeting =
+    senderName && !senderName.includes("@") ? `Hi ${senderName},` : "Hi,";
+
+  if (!classification.actionRequired) {
+    return `${greeting}\n\nThanks for the update.\n\nBest regards`;
+  }
+
+  const deadline =
+    summary.deadlines.length > 0 ? ` ${summary.deadlines[0]}` : "";
+  return `${greeting}\n\nThanks for your email. I'll take care of this and get back to you${deadline}.\n\nBest regards`;
+}
+
+/**
+ * Analyze an email without an AI provider
+ * @param {Object} email Email object
+ * @returns {Object} Email with classification, summary and suggestedResponse
+ */
+function analyzeEmailHeuristically(email) {
+  const classification = classifyEmail(email);
+  const summary = summarizeEmail(email);
+
+  return {
+    ...email,
+    classification,
+    summary,
+    suggestedResponse: suggestResponse(email, classification, summary),
+  };
+}
+
+module.exports = {
+  analyzeEmailHeuristically,
+  classifyEmail,
+  summarizeEmail,
+  extractActionItems,
+  extractDeadlines,
+  estimateReadingTime,
+  isBulkMail,
+};
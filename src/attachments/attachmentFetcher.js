@@ -0,0 +1,459 @@
+/**
+ * Attachment Fetcher Module
+ * Handles downloading, organizing and tracking email attachments
+ */
+const fs = require("fs-extra");
+const path = require("path");
+const moment = require("moment");
+const { getSenderAddress } = require("../utils/addressUtils");
+const { executeGmailRequest } = require("../utils/requestExecutor");
+const { parsePayload, findPart } = require("../fetcher/mimeParser");
+
+// Manifest file kept inside the output directory
+const MANIFEST_FILENAME = ".attachments_manifest.json";
+
+// Extensions that refer to the same file type
+const TYPE_ALIASES = {
+  jpeg: "jpg",
+  tif: "tiff",
+  htm: "html",
+};
+
+// Fallback extensions for attachments without a usable filename extension
+const MIME_EXTENSIONS = {
+  "application/pdf": "pdf",
+  "application/msword": "doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+  "application/vnd.ms-excel": "xls",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+  "application/vnd.ms-powerpoint": "ppt",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation":
+    "pptx",
+  "application/zip": "zip",
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "text/plain": "txt",
+  "text/csv": "csv",
+  "text/calendar": "ics",
+};
+
+/**
+ * Format a byte count as a human readable size
+ * @param {number} bytes Size in bytes
+ * @returns {string} Formatted size (e.g. "1.5 MB")
+ */
+function formatFileSize(bytes) {
+  if (!bytes || bytes <= 0) {
+    return "0 B";
+  }
+
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const exponent = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(1024)),
+    units.length - 1
+  );
+  const value = bytes / Math.pow(1024, exponent);
+
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
+
+/**
+ * Decode base64url encoded attachment data
+ * @param {string} data Base64url encoded data
+ * @returns {Buffer} Decoded data
+ */
+function decodeAttachmentData(data) {
+  return Buffer.from(data.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+/**
+ * Normalize a file type so aliases compare equal
+ * @param {string} type File type or extension
+ * @returns {string} Normalized file type
+ */
+function normalizeFileType(type) {
+  const lowerType = (type || "").toLowerCase().replace(/^\./, "");
+  return TYPE_ALIASES[lowerType] || lowerType;
+}
+
+/**
+ * Determine the file type of an attachment
+ * @param {string} filename Attachment filename
+ * @param {string} mimeType Attachment MIME type
+ * @returns {string} File type (extension without dot)
+ */
+function getFileType(filename, mimeType) {
+  const extension = path.extname(filename || "").slice(1);
+  if (extension) {
+    return normalizeFileType(extension);
+  }
+
+  return MIME_EXTENSIONS[(mimeType || "").toLowerCase()] || "other";
+}
+
+/**
+ * Make a filename safe to write on any platform
+ * @param {string} filename Original filename
+ * @returns {string} Sanitized filename
+ */
+function sanitizeFilename(filename) {
+  const sanitized = (filename || "")
+    .replace(/[<>:"/\\|?*\x00-\x1F]/g, "_")
+    .replace(/^\.+/, "")
+    .trim();
+  return sanitized || "attachment";
+}
+
+/**
+ * Check whether a cached email may have attachments to download
+ * Emails cached before attachment metadata was stored are kept as candidates.
+ * @param {Object} email Email object
+ * @returns {boolean} True unless the stored metadata lists no attachments
+ */
+function mayHaveAttachments(email) {
+  return !email.attachments || email.attachments.length > 0;
+}
+
+/**
+ * Get the full message payload for an email, fetching it if not cached
+ * @param {Object} gmail Gmail API client
+ * @param {Object} email Email object
+ * @returns {Promise<Object>} Message payload
+ */
+async function getMessagePayload(gmail, email) {
+  if (email.raw && email.raw.payload) {
+    return email.raw.payload;
+  }
+
+  const response = await executeGmailRequest("messages.get", () =>
+    gmail.users.messages.get({
+      userId: "me",
+      id: email.id,
+      format: "full",
+    })
+  );
+  email.raw = response.data;
+  return response.data.payload;
+}
+
+/**
+ * Get the attachments of an email from the metadata stored by the MIME parser
+ * @param {Object} gmail Gmail API client
+ * @param {Object} email Email object
+ * @returns {Promise<Array>} Attachment descriptors
+ */
+async function getEmailAttachments(gmail, email) {
+  if (email.attachments) {
+    return email.attachments;
+  }
+
+  return parsePayload(await getMessagePayload(gmail, email)).attachments;
+}
+
+/**
+ * Download the base64url encoded data of an attachment
+ * @param {Object} gmail Gmail API client
+ * @param {Object} email Email object
+ * @param {Object} attachment Attachment descriptor
+ * @returns {Promise<string>} Base64url encoded data
+ */
+async function getAttachmentData(gmail, email, attachment) {
+  if (attachment.attachmentId) {
+    const response = await executeGmailRequest("messages.attachments.get", () =>
+      gmail.users.messages.attachments.get({
+        userId: "me",
+        messageId: email.id,
+        id: attachment.attachmentId,
+      })
+    );
+    return response.data.data;
+  }
+
+  // Small attachments are sent inline in the message payload
+  const part = findPart(
+    await getMessagePayload(gmail, email),
+    attachment.partId
+  );
+  if (!part || !part.body || !part.body.data) {
+    throw new Error("Attachment data not found in message");
+  }
+  return part.body.data;
+}
+
+/**
+ * Load the attachment manifest from an output directory
+ * @param {string} outputDir Attachments output directory
+ * @returns {Promise<Object|null>} Manifest, or null if none exists
+ */
+async function loadManifest(outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+
+  if (await fs.pathExists(manifestPath)) {
+    return await fs.readJson(manifestPath);
+  }
+
+  return null;
+}
+
+/**
+ * Save the attachment manifest to an output directory
+ * @param {string} outputDir Attachments output directory
+ * @param {Object} manifest Manifest to save
+ * @returns {Promise<void>}
+ */
+async function saveManifest(outputDir, manifest) {
+  await fs.ensureDir(outputDir);
+  await fs.writeJson(path.join(outputDir, MANIFEST_FILENAME), manifest, {
+    spaces: 2,
+  });
+}
+
+/**
+ * Build the manifest key for an attachment
+ * Gmail attachment IDs change between requests, so the part ID is used instead
+ * @param {string} messageId Gmail message ID
+ * @param {Object} attachment Attachment part descriptor
+ * @returns {string} Manifest key
+ */
+function getAttachmentKey(messageId, attachment) {
+  return `${messageId}:${attachment.partId || attachment.filename}`;
+}
+
+/**
+ * Resolve a destination path that does not overwrite an existing file
+ * @param {string} directory Target directory
+ * @param {string} filename Desired filename
+ * @returns {Promise<string>} Available file path
+ */
+async function getAvailablePath(directory, filename) {
+  const extension = path.extname(filename);
+  const baseName = path.basename(filename, extension);
+  let candidate = path.join(directory, filename);
+  let counter = 1;
+
+  while (await fs.pathExists(candidate)) {
+    candidate = path.join(directory, `${baseName} (${counter})${extension}`);
+    counter++;
+  }
+
+  return candidate;
+}
+
+/**
+ * Download attachments from a list of emails
+ * @param {Object} gmail Gmail API client
+ * @param {Array} emails Array of email objects
+ * @param {Object} options Download options
+ * @param {string} options.outputDir Output directory
+ * @param {Array} options.fileTypes Allowed file types (empty for all)
+ * @param {number} options.maxFileSize Maximum file size in bytes
+ * @param {boolean} options.organizeByDate Create YYYY-MM subdirectories
+ * @param {boolean} options.organizeByType Create per-type subdirectories
+ * @param {number} options.days Only scan emails from the last N days
+ * @param {boolean} options.skipExisting Skip attachments already in the manifest
+ * @returns {Promise<Object>} Download results
+ */
+async function fetchAttachments(gmail, emails, options = {}) {
+  const outputDir = path.resolve(options.outputDir || "./attachments");
+  const fileTypes = (options.fileTypes || []).map(normalizeFileType);
+  const maxFileSize = options.maxFileSize || 25 * 1024 * 1024;
+  const organizeByDate = options.organizeByDate !== false;
+  const organizeByType = options.organizeByType !== false;
+
+  const manifest = (await loadManifest(outputDir)) || {
+    lastSync: null,
+    files: [],
+  };
+  const knownKeys = new Set(manifest.files.map((file) => file.key));
+
+  const results = {
+    totalFiles: 0,
+    totalSize: 0,
+    downloaded: [],
+    skipped: [],
+    errors: [],
+  };
+
+  const cutoffDate = options.days
+    ? moment().subtract(options.days, "days").toDate()
+    : null;
+
+  for (const email of emails) {
+    const emailDate = new Date(email.date);
+    if ((cutoffDate && emailDate < cutoffDate) || !mayHaveAttachments(email)) {
+      continue;
+    }
+
+    let attachments;
+    try {
+      attachments = await getEmailAttachments(gmail, email);
+    } catch (error) {
+      results.errors.push({
+        filename: email.subject,
+        messageId: email.id,
+        error: error.message,
+      });
+      continue;
+    }
+
+    for (const attachment of attachments) {
+      const key = getAttachmentKey(email.id, attachment);
+      const type = getFileType(attachment.filename, attachment.mimeType);
+
+      if (options.skipExisting && knownKeys.has(key)) {
+        results.skipped.push({
+          filename: attachment.filename,
+          reason: "already downloaded",
+        });
+        continue;
+      }
+
+      if (fileTypes.length > 0 && !fileTypes.includes(type)) {
+        results.skipped.push({
+          filename: attachment.filename,
+          reason: `type ${type} not selected`,
+        });
+        continue;
+      }
+
+      if (attachment.size > maxFileSize) {
+        results.skipped.push({
+          filename: attachment.filename,
+          reason: `exceeds ${formatFileSize(maxFileSize)}`,
+        });
+        continue;
+      }
+
+      try {
+        const buffer = decodeAttachmentData(
+          await getAttachmentData(gmail, email, attachment)
+        );
+
+        // Sizes reported in the payload are estimates, re-check the real size
+        if (buffer.length > maxFileSize) {
+          results.skipped.push({
+            filename: attachment.filename,
+            reason: `exceeds ${formatFileSize(maxFileSize)}`,
+          });
+          continue;
+        }
+
+        let targetDir = outputDir;
+        if (organizeByDate) {
+          const month = isNaN(emailDate)
+            ? "unknown-date"
+            : moment(emailDate).format("YYYY-MM");
+          targetDir = path.join(targetDir, month);
+        }
+        if (organizeByType) {
+          targetDir = path.join(targetDir, type);
+        }
+
+        await fs.ensureDir(targetDir);
+        const filePath = await getAvailablePath(
+          targetDir,
+          sanitizeFilename(attachment.filename)
+        );
+        await fs.writeFile(filePath, buffer);
+
+        const record = {
+          key,
+          messageId: email.id,
+          filename: attachment.filename,
+          path: path.relative(outputDir, filePath),
+          type,
+          mimeType: attachment.mimeType,
+          size: buffer.length,
+          sender: getSenderAddress(email.from),
+          subject: email.subject,
+          emailDate: isNaN(emailDate) ? null : emailDate.toISOString(),
+          downloadedAt: new Date().toISOString(),
+        };
+
+        manifest.files = manifest.files.filter((file) => file.key !== key);
+        manifest.files.push(record);
+        knownKeys.add(key);
+
+        results.downloaded.push(record);
+        results.totalFiles++;
+        results.totalSize += buffer.length;
+      } catch (error) {
+        results.errors.push({
+          filename: attachment.filename,
+          messageId: email.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  manifest.lastSync = new Date().toISOString();
+  await saveManifest(outputDir, manifest);
+
+  return results;
+}
+
+/**
+ * Download only attachments that are not yet in the manifest
+ * @param {Object} gmail Gmail API client
+ * @param {Array} emails Array of email objects
+ * @param {Object} options Download options (see fetchAttachments)
+ * @returns {Promise<Object>} Download results
+ */
+async function syncAttachments(gmail, emails, options = {}) {
+  return fetchAttachments(gmail, emails, { ...options, skipExisting: true });
+}
+
+/**
+ * Get statistics about downloaded attachments
+ * @param {string} outputDir Attachments output directory
+ * @returns {Promise<Object>} Attachment statistics
+ */
+async function getAttachmentStats(outputDir = "./attachments") {
+  const resolvedDir = path.resolve(outputDir);
+  const manifest = await loadManifest(resolvedDir);
+
+  if (!manifest) {
+    return { error: `No attachment manifest found in ${outputDir}` };
+  }
+
+  const stats = {
+    totalFiles: 0,
+    totalSize: 0,
+    lastSync: manifest.lastSync,
+    fileTypes: {},
+    byMonth: {},
+    byEmailSender: {},
+  };
+
+  for (const file of manifest.files) {
+    // Ignore files the user has deleted since they were downloaded
+    if (!(await fs.pathExists(path.join(resolvedDir, file.path)))) {
+      continue;
+    }
+
+    stats.totalFiles++;
+    stats.totalSize += file.size || 0;
+    stats.fileTypes[file.type] = (stats.fileTypes[file.type] || 0) + 1;
+
+    const month = file.emailDate
+      ? moment(file.emailDate).format("YYYY-MM")
+      : "unknown";
+    stats.byMonth[month] = (stats.byMonth[month] || 0) + 1;
+
+    stats.byEmailSender[file.sender] =
+      (stats.byEmailSender[file.sender] || 0) + 1;
+  }
+
+  return stats;
+}
+
+module.exports = {
+  fetchAttachments,
+  syncAttachments,
+  getAttachmentStats,
+  formatFileSize,
+  mayHaveAttachments,
+};
@@ -1,17 +1,48 @@
 const { getGmailClient } = require("../auth/gmailAuth");
 const { getCurrentAccount } = require("../utils/accountManager");
 const { updateEmailMapping } = require("../utils/emailIdManager");
-const fs = require("fs-extra");
+const { parsePayload } = require("./mimeParser");
+const { mapWithConcurrency } = require("../utils/concurrencyUtils");
+const { executeGmailRequest } = require("../utils/requestExecutor");
+const { loadConfig } = require("../utils/configUtils");
+const {
+  loadEmails,
+  replaceEmails,
+  getMeta,
+  setMeta,
+  saveThreads,
+  loadThreads,
+  pruneThreads,
+} = require("../storage/mailStore");
 const path = require("path");
-
-/**
- * Decode base64 encoded email content
- * @param {string} encodedBody Base64 encoded email body
- * @returns {string} Decoded email body
- */
-function decodeBase64(encodedBody) {
-  return Buffer.from(encodedBody, "base64").toString("utf-8");
-}
+const moment = require("moment");
+
+// Query used for the regular inbox sync
+const DEFAULT_QUERY = "in:inbox";
+
+// Largest page size accepted by users.messages.list
+const MAX_PAGE_SIZE = 500;
+
+// Labels that take a message out of the cache, even when it was backfilled
+const DISCARDED_LABELS = ["TRASH", "SPAM"];
+
+// Default number of parallel users.messages.get requests
+const DEFAULT_CONCURRENCY = 10;
+
+// Extra headers kept for offline priority and bulk-mail detection, and for
+// threading and addressing replies
+const EXTRA_HEADERS = {
+  importance: "Importance",
+  xPriority: "X-Priority",
+  priority: "Priority",
+  precedence: "Precedence",
+  listUnsubscribe: "List-Unsubscribe",
+  autoSubmitted: "Auto-Submitted",
+  messageId: "Message-ID",
+  references: "References",
+  replyTo: "Reply-To",
+  cc: "Cc",
+};
 
 /**
  * Extract email headers
@@ -41,33 +72,33 @@ function parseMessage(message) {
   const to = getHeader(headers, "To");
   const date = getHeader(headers, "Date");
 
-  // Extract email body
-  let body = "";
-
-  if (payload.parts) {
-    // Multipart email
-    const textPart = payload.parts.find(
-      (part) => part.mimeType === "text/plain" || part.mimeType === "text/html"
-    );
-
-    if (textPart && textPart.body.data) {
-      body = decodeBase64(textPart.body.data);
+  const extraHeaders = {};
+  Object.entries(EXTRA_HEADERS).forEach(([key, name]) => {
+    const value = getHeader(headers, name);
+    if (value) {
+      extraHeaders[key] = value;
     }
-  } else if (payload.body && payload.body.data) {
-    // Simple email
-    body = decodeBase64(payload.body.data);
-  }
+  });
+
+  // Extract the readable body and part metadata from the MIME tree
+  const { body, bodyFormat, attachments, inlineParts } = parsePayload(payload);
 
   return {
     id: message.id,
     threadId: message.threadId,
+    labelIds: message.labelIds || [],
+    isUnread: (message.labelIds || []).includes("UNREAD"),
     subject,
     from,
     to,
     date: new Date(date),
     body,
+    bodyFormat,
+    attachments,
+    inlineParts,
     snippet: message.snippet,
-    raw: message, // Keep raw message for reference
+    headers: extraHeaders,
+    raw: message, // Full message for in-process use, never persisted
   };
 }
 
@@ -76,23 +107,14 @@ function parseMessage(message) {
  * @returns {Promise<Object>} Cache metadata
  */
 async function loadCacheMetadata() {
-  const fs = require("fs-extra");
-  const path = require("path");
-  const { loadConfig } = require("../utils/configUtils");
-
   try {
-    const config = await loadConfig();
-    const tempDir = path.join(process.cwd(), config.tempDir || "./temp");
-    const metadataPath = path.join(tempDir, "cache_metadata.json");
-
-    if (await fs.pathExists(metadataPath)) {
-      return await fs.readJson(metadataPath);
-    }
-
-    return { lastFetchedId: null, lastFetchedTimestamp: null };
+    return await getMeta("cache_metadata", {
+      historyId: null,
+      lastSyncedAt: null,
+    });
   } catch (error) {
     console.error("Error loading cache metadata:", error);
-    return { lastFetchedId: null, lastFetchedTimestamp: null };
+    return { historyId: null, lastSyncedAt: null };
   }
 }
 
@@ -102,17 +124,8 @@ async function loadCacheMetadata() {
  * @returns {Promise<void>}
  */
 async function saveCacheMetadata(metadata) {
-  const fs = require("fs-extra");
-  const path = require("path");
-  const { loadConfig } = require("../utils/configUtils");
-
   try {
-    const config = await loadConfig();
-    const tempDir = path.join(process.cwd(), config.tempDir || "./temp");
-    const metadataPath = path.join(tempDir, "cache_metadata.json");
-
-    await fs.ensureDir(tempDir);
-    await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+    await setMeta("cache_metadata", metadata);
   } catch (error) {
     console.error("Error saving cache metadata:", error);
     throw error;
@@ -124,20 +137,8 @@ async function saveCacheMetadata(metadata) {
  * @returns {Promise<Array>} Cached emails
  */
 async function loadCachedEmails() {
-  const fs = require("fs-extra");
-  const path = require("path");
-  const { loadConfig } = require("../utils/configUtils");
-
   try {
-    const config = await loadConfig();
-    const tempDir = path.join(process.cwd(), config.tempDir || "./temp");
-    const emailsPath = path.join(tempDir, "emails.json");
-
-    if (await fs.pathExists(emailsPath)) {
-      return await fs.readJson(emailsPath);
-    }
-
-    return [];
+    return await loadEmails();
   } catch (error) {
     console.error("Error loading cached emails:", error);
     return [];
@@ -145,22 +146,13 @@ async function loadCachedEmails() {
 }
 
 /**
- * Save emails to cache
+ * Save emails to the local mail store
  * @param {Array} emails Emails to cache
  * @returns {Promise<void>}
  */
 async function saveEmailsToCache(emails) {
-  const fs = require("fs-extra");
-  const path = require("path");
-  const { loadConfig } = require("../utils/configUtils");
-
   try {
-    const config = await loadConfig();
-    const tempDir = path.join(process.cwd(), config.tempDir || "./temp");
-    const emailsPath = path.join(tempDir, "emails.json");
-
-    await fs.ensureDir(tempDir);
-    await fs.writeJson(emailsPath, emails, { spaces: 2 });
+    await replaceEmails(emails);
   } catch (error) {
     console.error("Error saving emails to cache:", error);
     throw error;
@@ -168,92 +160,572 @@ async function saveEmailsToCache(emails) {
 }
 
 /**
- * Fetch emails from Gmail
- * @param {number} maxResults Maximum number of emails to fetch
- * @returns {Promise<Array>} Array of parsed email objects
+ * Check whether a Gmail API error is a 404 (expired history ID or deleted message)
+ * @param {Error} error Gmail API error
+ * @returns {boolean} True if the resource was not found
  */
-async function fetchEmails(maxResults = 10) {
-  try {
-    // Get current account to use the correct token
-    const currentAccount = await getCurrentAccount();
-    const tokenPath = path.join(process.cwd(), currentAccount.tokenPath);
+function isNotFoundError(error) {
+  const status = Number(
+    error.code || (error.response && error.response.status)
+  );
+  return status === 404;
+}
 
-    const gmail = await getGmailClient(tokenPath);
-    const metadata = await loadCacheMetadata();
-    const cachedEmails = await loadCachedEmails();
+/**
+ * Fetch and parse a single message
+ * @param {Object} gmail Gmail API client
+ * @param {string} messageId Gmail message ID
+ * @returns {Promise<Object|null>} Parsed email, or null if it no longer exists
+ */
+async function fetchMessage(gmail, messageId) {
+  try {
+    const res = await executeGmailRequest("messages.get", () =>
+      gmail.users.messages.get({
+        userId: "me",
+        id: messageId,
+        format: "full",
+      })
+    );
+    return parseMessage(res.data);
+  } catch (error) {
+    // Message was deleted between listing and fetching
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
 
-    // Build query to fetch only new emails
-    let query = "in:inbox";
-    if (metadata.lastFetchedTimestamp) {
-      // Convert timestamp to seconds for Gmail API query
-      const timestamp = Math.floor(
-        new Date(metadata.lastFetchedTimestamp).getTime() / 1000
-      );
-      query += ` after:${timestamp}`;
+/**
+ * Fetch the current labels of a message
+ * @param {Object} gmail Gmail API client
+ * @param {string} messageId Gmail message ID
+ * @returns {Promise<Array|null>} Label IDs, or null if the message no longer exists
+ */
+async function fetchLabelIds(gmail, messageId) {
+  try {
+    const res = await executeGmailRequest("messages.get", () =>
+      gmail.users.messages.get({
+        userId: "me",
+        id: messageId,
+        format: "minimal",
+      })
+    );
+    return res.data.labelIds || [];
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
     }
+    throw error;
+  }
+}
 
-    // List messages in user's inbox
-    const response = await gmail.users.messages.list({
-      userId: "me",
-      maxResults: maxResults,
-      q: query,
-    });
+/**
+ * Check whether a message with these labels stays in the cache
+ * Inbox messages stay while they are in the inbox; messages cached by a
+ * --query/--label backfill stay until they are trashed, marked as spam or
+ * deleted.
+ * @param {Object} email Cached email (or undefined for an unknown message)
+ * @param {Array} labelIds Current label IDs of the message
+ * @returns {boolean} True if the message stays cached
+ */
+function isKeptInCache(email, labelIds) {
+  if (email && email.backfilled) {
+    return !labelIds.some((id) => DISCARDED_LABELS.includes(id));
+  }
+  return labelIds.includes("INBOX");
+}
+
+/**
+ * Parse a --since/--until date option
+ * @param {string|Date} value Date value (e.g. "2024-01-31")
+ * @param {string} optionName Option name used in error messages
+ * @returns {moment.Moment} Parsed date
+ */
+function parseDateOption(value, optionName) {
+  const date = moment(value, [moment.ISO_8601, "YYYY-MM-DD", "YYYY/MM/DD"]);
+  if (!date.isValid()) {
+    throw new Error(
+      `Invalid ${optionName} date "${value}". Use the format YYYY-MM-DD.`
+    );
+  }
+  return date;
+}
+
+/**
+ * Build a Gmail search query from fetch options
+ * @param {Object} options Fetch options
+ * @param {string} options.query Raw Gmail search string
+ * @param {string|Date} options.since Only emails on or after this date
+ * @param {string|Date} options.until Only emails on or before this date
+ * @param {Array} options.labels Label names to filter by
+ * @returns {string} Gmail search query
+ */
+function buildSearchQuery(options = {}) {
+  const parts = [];
+  const labels = options.labels || [];
+
+  if (options.query) {
+    parts.push(options.query);
+  }
+
+  labels.forEach((label) => {
+    // Gmail search uses dashes for spaces and slashes in label names
+    parts.push(`label:${label.trim().replace(/[\s/]+/g, "-")}`);
+  });
+
+  if (parts.length === 0) {
+    parts.push(DEFAULT_QUERY);
+  }
+
+  if (options.since) {
+    const since = parseDateOption(options.since, "--since").startOf("day");
+    parts.push(`after:${since.unix()}`);
+  }
+
+  if (options.until) {
+    // Gmail's before: is exclusive, so include the whole --until day
+    const until = parseDateOption(options.until, "--until")
+      .startOf("day")
+      .add(1, "day");
+    parts.push(`before:${until.unix()}`);
+  }
+
+  return parts.join(" ");
+}
+
+/**
+ * List message IDs matching a query, following page tokens
+ * @param {Object} gmail Gmail API client
+ * @param {string} query Gmail search query
+ * @param {Object} options Listing options
+ * @param {number} options.maxResults Maximum number of IDs to return
+ * @param {boolean} options.all Ignore maxResults and list every match
+ * @returns {Promise<Array>} Array of message IDs
+ */
+async function listMessageIds(gmail, query, { maxResults = 10, all = false }) {
+  const ids = [];
+  let pageToken;
+
+  do {
+    const remaining = all ? MAX_PAGE_SIZE : maxResults - ids.length;
+    const response = await executeGmailRequest("messages.list", () =>
+      gmail.users.messages.list({
+        userId: "me",
+        q: query,
+        maxResults: Math.min(MAX_PAGE_SIZE, remaining),
+        pageToken,
+      })
+    );
+
+    (response.data.messages || []).forEach((message) => ids.push(message.id));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && (all || ids.length < maxResults));
+
+  return all ? ids : ids.slice(0, maxResults);
+}
+
+/**
+ * Fetch and parse messages with a bounded number of parallel requests
+ * @param {Object} gmail Gmail API client
+ * @param {Array} messageIds Gmail message IDs
+ * @param {number} concurrency Maximum number of parallel requests
+ * @returns {Promise<Array>} Parsed emails (deleted messages are skipped)
+ */
+async function fetchMessages(gmail, messageIds, concurrency) {
+  const emails = await mapWithConcurrency(messageIds, concurrency, (id) =>
+    fetchMessage(gmail, id)
+  );
+  return emails.filter(Boolean);
+}
+
+/**
+ * Resync the cache with the inbox, keeping cached messages still in it
+ * Every inbox message ID is listed so cached messages outside the newest
+ * maxResults are kept; only the newest messages not cached yet are fetched.
+ * Backfilled messages outside the inbox are kept while they still exist.
+ * @param {Object} gmail Gmail API client
+ * @param {Array} cachedEmails Currently cached emails
+ * @param {Object} options Listing options (maxResults, all, concurrency)
+ * @returns {Promise<Object>} Sync result with emails and new history ID
+ */
+async function fullSync(gmail, cachedEmails, options) {
+  // Read the history ID first so changes made while listing are not lost
+  const profile = await executeGmailRequest("getProfile", () =>
+    gmail.users.getProfile({ userId: "me" })
+  );
+
+  const inboxIds = await listMessageIds(gmail, DEFAULT_QUERY, { all: true });
+  const inbox = new Set(inboxIds);
+  const unread = new Set(
+    await listMessageIds(gmail, `${DEFAULT_QUERY} is:unread`, { all: true })
+  );
 
-    const messages = response.data.messages || [];
+  // Labels of kept messages may have changed while the history was unavailable
+  const kept = cachedEmails
+    .filter((email) => inbox.has(email.id))
+    .map((email) => {
+      const labelIds = (email.labelIds || []).filter((id) => id !== "UNREAD");
+      if (unread.has(email.id)) {
+        labelIds.push("UNREAD");
+      }
+      return { ...email, labelIds, isUnread: unread.has(email.id) };
+    });
 
-    if (messages.length === 0) {
-      console.log("No new emails found since last fetch.");
-      // Ensure cached emails have unique IDs and indices
-      const { emails: emailsWithIds } = await updateEmailMapping(cachedEmails);
-      await saveEmailsToCache(emailsWithIds);
-      return emailsWithIds;
+  const backfilled = cachedEmails.filter(
+    (email) => email.backfilled && !inbox.has(email.id)
+  );
+  const backfilledLabels = await mapWithConcurrency(
+    backfilled,
+    options.concurrency,
+    (email) => fetchLabelIds(gmail, email.id)
+  );
+  backfilled.forEach((email, index) => {
+    const labelIds = backfilledLabels[index];
+    if (labelIds && isKeptInCache(email, labelIds)) {
+      kept.push({ ...email, labelIds, isUnread: labelIds.includes("UNREAD") });
     }
+  });
+
+  const keptIds = new Set(kept.map((email) => email.id));
+  const newest = options.all ? inboxIds : inboxIds.slice(0, options.maxResults);
+  const emails = await fetchMessages(
+    gmail,
+    newest.filter((id) => !keptIds.has(id)),
+    options.concurrency
+  );
 
-    // Fetch full message details for each email
-    const newEmails = await Promise.all(
-      messages.map(async (message) => {
-        const res = await gmail.users.messages.get({
-          userId: "me",
-          id: message.id,
-          format: "full",
-        });
+  return {
+    emails: [...kept, ...emails],
+    historyId: profile.data.historyId,
+  };
+}
 
-        return parseMessage(res.data);
+/**
+ * Apply mailbox changes since the stored history ID to the cached emails
+ * @param {Object} gmail Gmail API client
+ * @param {Array} cachedEmails Currently cached emails
+ * @param {string} startHistoryId History ID of the last sync
+ * @param {number} concurrency Maximum number of parallel message requests
+ * @returns {Promise<Object>} Sync result with emails, change counts and new history ID
+ */
+async function incrementalSync(
+  gmail,
+  cachedEmails,
+  startHistoryId,
+  concurrency
+) {
+  const emailsById = new Map(cachedEmails.map((email) => [email.id, email]));
+  const toFetch = new Set();
+  const deleted = new Set();
+  const updated = new Set();
+  let historyId = startHistoryId;
+  let pageToken;
+
+  do {
+    const response = await executeGmailRequest("history.list", () =>
+      gmail.users.history.list({
+        userId: "me",
+        startHistoryId,
+        pageToken,
       })
     );
 
-    // Update cache metadata with the most recent email's ID and timestamp
-    if (newEmails.length > 0) {
-      // Sort emails by date (newest first)
-      newEmails.sort((a, b) => new Date(b.date) - new Date(a.date));
+    (response.data.history || []).forEach((record) => {
+      (record.messagesAdded || []).forEach(({ message }) => {
+        if ((message.labelIds || []).includes("INBOX")) {
+          toFetch.add(message.id);
+          deleted.delete(message.id);
+        }
+      });
 
-      const newestEmail = newEmails[0];
-      await saveCacheMetadata({
-        lastFetchedId: newestEmail.id,
-        lastFetchedTimestamp: new Date(newestEmail.date).toISOString(),
+      (record.messagesDeleted || []).forEach(({ message }) => {
+        toFetch.delete(message.id);
+        deleted.add(message.id);
       });
+
+      [...(record.labelsAdded || []), ...(record.labelsRemoved || [])].forEach(
+        ({ message }) => {
+          const labelIds = message.labelIds || [];
+          const cached = emailsById.get(message.id);
+
+          if (!isKeptInCache(cached, labelIds)) {
+            // Archived or moved out of the inbox (or trashed, if backfilled)
+            if (cached) {
+              deleted.add(message.id);
+            }
+            toFetch.delete(message.id);
+            return;
+          }
+
+          if (cached) {
+            deleted.delete(message.id);
+            emailsById.set(message.id, {
+              ...cached,
+              labelIds,
+              isUnread: labelIds.includes("UNREAD"),
+            });
+            updated.add(message.id);
+          } else {
+            // Moved back into the inbox
+            toFetch.add(message.id);
+          }
+        }
+      );
+    });
+
+    historyId = response.data.historyId || historyId;
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  deleted.forEach((id) => emailsById.delete(id));
+
+  const newEmails = await fetchMessages(
+    gmail,
+    [...toFetch].filter((id) => !emailsById.has(id)),
+    concurrency
+  );
+
+  newEmails.forEach((email) => emailsById.set(email.id, email));
+
+  return {
+    emails: [...emailsById.values()],
+    historyId,
+    added: newEmails.length,
+    deleted: [...deleted].filter((id) =>
+      cachedEmails.some((email) => email.id === id)
+    ).length,
+    updated: [...updated].filter((id) => emailsById.has(id)).length,
+  };
+}
+
+/**
+ * Fetch a whole conversation
+ * @param {Object} gmail Gmail API client
+ * @param {string} threadId Gmail thread ID
+ * @returns {Promise<Object|null>} Thread with id, historyId and parsed messages (oldest first, drafts left out), or null if it no longer exists
+ */
+async function fetchThread(gmail, threadId) {
+  try {
+    const res = await executeGmailRequest("threads.get", () =>
+      gmail.users.threads.get({
+        userId: "me",
+        id: threadId,
+        format: "full",
+      })
+    );
+    const messages = (res.data.messages || [])
+      .filter((message) => !(message.labelIds || []).includes("DRAFT"))
+      .map((message) => {
+        const { raw, ...email } = parseMessage(message);
+        return email;
+      })
+      .sort((a, b) => a.date - b.date);
+
+    return { id: threadId, historyId: res.data.historyId, messages };
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
     }
+    throw error;
+  }
+}
 
-    // Combine cached emails with new emails, avoiding duplicates
-    const newEmailIds = new Set(newEmails.map((email) => email.id));
-    const uniqueCachedEmails = cachedEmails.filter(
-      (email) => !newEmailIds.has(email.id)
+/**
+ * Store the conversations of cached emails
+ * Only threads that are not stored yet, or are missing one of the cached
+ * emails, are fetched again. Threads no cached email belongs to are removed.
+ * @param {Object} gmail Gmail API client
+ * @param {Array} emails Cached emails
+ * @param {number} concurrency Maximum parallel thread requests
+ * @returns {Promise<Object>} Threads fetched and threads total
+ */
+async function syncThreads(gmail, emails, concurrency) {
+  const stored = await loadThreads();
+  const emailIdsByThread = new Map();
+  emails
+    .filter((email) => email.threadId)
+    .forEach((email) =>
+      emailIdsByThread.set(email.threadId, [
+        ...(emailIdsByThread.get(email.threadId) || []),
+        email.id,
+      ])
     );
-    const allEmails = [...newEmails, ...uniqueCachedEmails];
+
+  const staleIds = [...emailIdsByThread].filter(([threadId, emailIds]) => {
+    const thread = stored.get(threadId);
+    if (!thread) {
+      return true;
+    }
+    const messageIds = new Set(thread.messages.map((message) => message.id));
+    return emailIds.some((id) => !messageIds.has(id));
+  });
+
+  const threads = (
+    await mapWithConcurrency(staleIds, concurrency, ([threadId]) =>
+      fetchThread(gmail, threadId)
+    )
+  ).filter(Boolean);
+  await saveThreads(threads);
+  await pruneThreads([...emailIdsByThread.keys()]);
+
+  return { fetched: threads.length, total: emailIdsByThread.size };
+}
+
+/**
+ * Synchronize the local cache with Gmail
+ * Uses the History API when a history ID is stored, otherwise does a full sync.
+ * When a query, date range, label or --all is given, matching messages are
+ * additionally backfilled into the cache.
+ * @param {Object|number} options Fetch options, or maxResults for a plain sync
+ * @param {number} options.maxResults Maximum number of emails to list
+ * @param {boolean} options.all Follow every page instead of stopping at maxResults
+ * @param {string} options.query Raw Gmail search string
+ * @param {string|Date} options.since Only emails on or after this date
+ * @param {string|Date} options.until Only emails on or before this date
+ * @param {Array} options.labels Label names to filter by
+ * @param {number} options.concurrency Maximum parallel message requests
+ * @returns {Promise<Object>} Sync result with emails, change counts and threads fetched
+ */
+async function syncEmails(options = {}) {
+  try {
+    if (typeof options === "number") {
+      options = { maxResults: options };
+    }
+
+    const config = await loadConfig();
+    const listOptions = {
+      maxResults: options.maxResults || 10,
+      all: !!options.all,
+      concurrency:
+        options.concurrency || config.fetchConcurrency || DEFAULT_CONCURRENCY,
+    };
+    const query = buildSearchQuery(options);
+    const isBackfill = listOptions.all || query !== DEFAULT_QUERY;
+
+    // Get current account to use the correct token
+    const currentAccount = await getCurrentAccount();
+    const tokenPath = path.join(process.cwd(), currentAccount.tokenPath);
+
+    const gmail = await getGmailClient(tokenPath);
+    const metadata = await loadCacheMetadata();
+    const cachedEmails = await loadCachedEmails();
+
+    let result = null;
+
+    if (metadata.historyId) {
+      try {
+        result = await incrementalSync(
+          gmail,
+          cachedEmails,
+          metadata.historyId,
+          listOptions.concurrency
+        );
+      } catch (error) {
+        if (!isNotFoundError(error)) {
+          throw error;
+        }
+        console.log("Sync history has expired, performing a full resync.");
+      }
+    }
+
+    let fullResync = false;
+    if (!result) {
+      // A plain --all backfill is the full sync itself
+      const { emails, historyId } = await fullSync(gmail, cachedEmails, {
+        ...listOptions,
+        all: query === DEFAULT_QUERY && listOptions.all,
+      });
+      const cachedIds = new Set(cachedEmails.map((email) => email.id));
+      const fetchedIds = new Set(emails.map((email) => email.id));
+      result = {
+        emails,
+        historyId,
+        added: emails.filter((email) => !cachedIds.has(email.id)).length,
+        deleted: cachedEmails.filter((email) => !fetchedIds.has(email.id))
+          .length,
+        updated: 0,
+      };
+      fullResync = true;
+    }
+
+    let matched = null;
+    if (isBackfill) {
+      const knownIds = new Set(result.emails.map((email) => email.id));
+      const messageIds = await listMessageIds(gmail, query, listOptions);
+      const backfilled = (
+        await fetchMessages(
+          gmail,
+          messageIds.filter((id) => !knownIds.has(id)),
+          listOptions.concurrency
+        )
+      ).map((email) => ({ ...email, backfilled: true }));
+
+      const cachedIds = new Set(cachedEmails.map((email) => email.id));
+      result.emails.push(...backfilled);
+      result.added += backfilled.filter(
+        (email) => !cachedIds.has(email.id)
+      ).length;
+      matched = messageIds.length;
+    }
+
+    // Sort emails by date (newest first)
+    result.emails.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    await saveCacheMetadata({
+      historyId: result.historyId,
+      lastSyncedAt: new Date().toISOString(),
+    });
 
     // Update email mapping with unique IDs and persistent indices
-    const { emails: emailsWithIds } = await updateEmailMapping(allEmails);
+    const { emails: emailsWithIds } = await updateEmailMapping(result.emails);
 
     // Save all emails to cache
     await saveEmailsToCache(emailsWithIds);
 
-    return emailsWithIds;
+    // Conversations are kept for the thread view and thread summaries; a
+    // failure here leaves the fetched emails in place
+    let threads = null;
+    try {
+      threads = await syncThreads(
+        gmail,
+        emailsWithIds,
+        listOptions.concurrency
+      );
+    } catch (error) {
+      console.warn("Could not fetch email threads:", error.message);
+    }
+
+    return {
+      emails: emailsWithIds,
+      added: result.added,
+      deleted: result.deleted,
+      updated: result.updated,
+      matched,
+      query,
+      fullResync,
+      threads,
+    };
   } catch (error) {
-    console.error("Error fetching emails:", error);
+    console.error("Error syncing emails:", error);
     throw error;
   }
 }
 
+/**
+ * Fetch emails from Gmail
+ * @param {Object|number} options Fetch options (see syncEmails) or maxResults
+ * @returns {Promise<Array>} Array of parsed email objects
+ */
+async function fetchEmails(options = {}) {
+  const { emails } = await syncEmails(options);
+  return emails;
+}
+
 module.exports = {
   fetchEmails,
+  syncEmails,
+  fetchThread,
+  parseMessage,
+  buildSearchQuery,
 };
@@ -0,0 +1,312 @@
+/**
+ * MIME Parser Module
+ * Walks Gmail message payloads to extract readable bodies and part metadata
+ */
+
+// Named HTML entities that commonly appear in email bodies
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  bull: "•",
+  middot: "·",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  euro: "€",
+  pound: "£",
+  yen: "¥",
+  cent: "¢",
+  deg: "°",
+  times: "×",
+};
+
+/**
+ * Get a header value from a message part
+ * @param {Object} part Message part
+ * @param {string} name Header name
+ * @returns {string} Header value or empty string
+ */
+function getPartHeader(part, name) {
+  const header = (part.headers || []).find(
+    (h) => h.name.toLowerCase() === name.toLowerCase()
+  );
+  return header ? header.value : "";
+}
+
+/**
+ * Read a parameter (e.g. charset) from a structured header value
+ * @param {string} headerValue Header value such as a Content-Type
+ * @param {string} param Parameter name
+ * @returns {string} Parameter value or empty string
+ */
+function getHeaderParam(headerValue, param) {
+  const match = (headerValue || "").match(
+    new RegExp(`${param}\\s*=\\s*"?([^";]+)"?`, "i")
+  );
+  return match ? match[1].trim() : "";
+}
+
+/**
+ * Decode text that is still quoted-printable encoded
+ * @param {Buffer} buffer Raw bytes
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeQuotedPrintable(buffer) {
+  const text = buffer.toString("latin1").replace(/=\r?\n/g, "");
+  const bytes = [];
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "=" && /^[0-9A-F]{2}$/i.test(text.substr(i + 1, 2))) {
+      bytes.push(parseInt(text.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Convert bytes to a string using the given charset
+ * @param {Buffer} buffer Raw bytes
+ * @param {string} charset Charset label from the Content-Type header
+ * @returns {string} Decoded text
+ */
+function decodeCharset(buffer, charset) {
+  const label = (charset || "utf-8").toLowerCase();
+
+  try {
+    return new TextDecoder(label).decode(buffer);
+  } catch (error) {
+    // Unknown charset label, fall back to UTF-8
+    return new TextDecoder("utf-8").decode(buffer);
+  }
+}
+
+/**
+ * Decode the body data of a message part to text
+ * Gmail returns part data base64url encoded with the transfer encoding
+ * usually removed; some senders' parts still arrive quoted-printable.
+ * @param {Object} part Message part
+ * @returns {string} Decoded text
+ */
+function decodePartData(part) {
+  if (!part.body || !part.body.data) {
+    return "";
+  }
+
+  let buffer = Buffer.from(part.body.data, "base64url");
+
+  const transferEncoding = getPartHeader(
+    part,
+    "Content-Transfer-Encoding"
+  ).toLowerCase();
+  if (
+    transferEncoding === "quoted-printable" &&
+    /=(\r?\n|[0-9A-F]{2})/.test(buffer.toString("latin1"))
+  ) {
+    buffer = decodeQuotedPrintable(buffer);
+  }
+
+  const charset = getHeaderParam(
+    getPartHeader(part, "Content-Type"),
+    "charset"
+  );
+  return decodeCharset(buffer, charset);
+}
+
+/**
+ * Decode HTML entities
+ * @param {string} text Text containing HTML entities
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const codePoint =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff
+        ? String.fromCodePoint(codePoint)
+        : entity;
+    }
+    const named = HTML_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+/**
+ * Convert an HTML body to readable plain text
+ * @param {string} html HTML content
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  if (!html) {
+    return "";
+  }
+
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    // Keep link targets that differ from the link text
+    .replace(
+      /<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi,
+      (match, href, label) => {
+        const labelText = label.replace(/<[^>]+>/g, "").trim();
+        if (!labelText || href.startsWith("mailto:") || labelText === href) {
+          return labelText || href.replace(/^mailto:/, "");
+        }
+        return `${labelText} (${href})`;
+      }
+    )
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n• ")
+    .replace(/<\/(p|div|tr|h[1-6]|ul|ol|table|blockquote)>/gi, "\n")
+    .replace(/<(p|div|tr|h[1-6]|table|blockquote)[^>]*>/gi, "\n")
+    .replace(/<\/t[dh]>/gi, "\t")
+    .replace(/<[^>]+>/g, "");
+
+  text = decodeHtmlEntities(text)
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t ]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n");
+
+  return text.trim();
+}
+
+/**
+ * Walk a message payload and extract bodies, attachments and inline parts
+ * @param {Object} payload Gmail message payload
+ * @returns {Object} Parsed content: { body, bodyFormat, attachments, inlineParts }
+ */
+function parsePayload(payload) {
+  const plainParts = [];
+  const htmlParts = [];
+  const attachments = [];
+  const inlineParts = [];
+
+  const walk = (part) => {
+    if (!part) {
+      return;
+    }
+
+    const mimeType = (part.mimeType || "").toLowerCase();
+    const disposition = getPartHeader(
+      part,
+      "Content-Disposition"
+    ).toLowerCase();
+    const contentId = getPartHeader(part, "Content-ID").replace(/^<|>$/g, "");
+    const body = part.body || {};
+
+    if (mimeType.startsWith("multipart/")) {
+      (part.parts || []).forEach(walk);
+      return;
+    }
+
+    const isAttachment =
+      disposition.startsWith("attachment") ||
+      (!!part.filename && !disposition.startsWith("inline"));
+
+    if (isAttachment) {
+      attachments.push({
+        partId: part.partId,
+        filename: part.filename || "attachment",
+        mimeType,
+        size: body.size || 0,
+        attachmentId: body.attachmentId || null,
+      });
+      return;
+    }
+
+    const isTextBody =
+      (mimeType === "text/plain" || mimeType === "text/html") &&
+      !contentId &&
+      !part.filename;
+
+    if (isTextBody) {
+      const text = decodePartData(part);
+      if (mimeType === "text/plain") {
+        plainParts.push(text);
+      } else {
+        htmlParts.push(text);
+      }
+      return;
+    }
+
+    // Inline message/rfc822 content such as forwarded emails
+    if (part.parts) {
+      part.parts.forEach(walk);
+      return;
+    }
+
+    if (contentId || disposition.startsWith("inline") || part.filename) {
+      inlineParts.push({
+        partId: part.partId,
+        filename: part.filename || "",
+        mimeType,
+        size: body.size || 0,
+        contentId,
+        attachmentId: body.attachmentId || null,
+      });
+    }
+  };
+
+  walk(payload);
+
+  const plainBody = plainParts.join("\n\n").trim();
+  if (plainBody) {
+    return { body: plainBody, bodyFormat: "text", attachments, inlineParts };
+  }
+
+  return {
+    body: htmlToText(htmlParts.join("\n")),
+    bodyFormat: htmlParts.length > 0 ? "html" : "text",
+    attachments,
+    inlineParts,
+  };
+}
+
+/**
+ * Find a part of a message payload by its part ID
+ * @param {Object} payload Gmail message payload
+ * @param {string} partId Part ID (e.g. "1.2")
+ * @returns {Object|null} Matching part, or null if none exists
+ */
+function findPart(payload, partId) {
+  if (!payload) {
+    return null;
+  }
+  if (payload.partId === partId) {
+    return payload;
+  }
+
+  for (const part of payload.parts || []) {
+    const match = findPart(part, partId);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parsePayload,
+  findPart,
+  htmlToText,
+  decodePartData,
+  getPartHeader,
+};
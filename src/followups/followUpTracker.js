@@ -0,0 +1,247 @@
+/**
+ * Follow-up Tracker Module
+ * Finds threads where you owe a reply and threads where you are waiting on
+ * someone else, from the thread's last message and the AI's follow-up check
+ */
+const { executeGmailRequest } = require("../utils/requestExecutor");
+const { mapWithConcurrency } = require("../utils/concurrencyUtils");
+const { getSenderAddress } = require("../utils/addressUtils");
+const { checkNeedsFollowUp, shouldUseOffline } = require("../ai/geminiAI");
+const { isBulkMail } = require("../analyzer/heuristicAnalyzer");
+const { loadCompletedFollowUps } = require("../storage/mailStore");
+
+// Days of received and sent mail checked for open threads
+const DEFAULT_LOOKBACK_DAYS = 14;
+
+// Days after which an open thread is due for a reply or a nudge
+const DEFAULT_NUDGE_DAYS = 3;
+
+// Sent messages listed when looking for threads waiting on others
+const MAX_SENT_MESSAGES = 100;
+
+// Parallel users.threads.get requests
+const THREAD_CONCURRENCY = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a header value from a Gmail message
+ * @param {Object} message Gmail message with payload headers
+ * @param {string} name Header name
+ * @returns {string} Header value, or "" if missing
+ */
+function getHeader(message, name) {
+  const header = ((message.payload && message.payload.headers) || []).find(
+    (candidate) => candidate.name.toLowerCase() === name.toLowerCase()
+  );
+  return header ? header.value : "";
+}
+
+/**
+ * Fetch a thread's messages, oldest first
+ * @param {Object} gmail Gmail API client
+ * @param {string} threadId Gmail thread ID
+ * @param {string} accountEmail Address of the account, to recognise your messages
+ * @returns {Promise<Object>} Thread with id and messages (id, threadId, subject, from, to, date, snippet, labelIds, headers, fromMe)
+ */
+async function getThread(gmail, threadId, accountEmail) {
+  const response = await executeGmailRequest("threads.get", () =>
+    gmail.users.threads.get({
+      userId: "me",
+      id: threadId,
+      format: "metadata",
+      metadataHeaders: [
+        "From",
+        "To",
+        "Subject",
+        "Date",
+        "List-Unsubscribe",
+        "Precedence",
+        "Auto-Submitted",
+      ],
+    })
+  );
+
+  const messages = (response.data.messages || [])
+    // Drafts are not part of the conversation yet
+    .filter((message) => !(message.labelIds || []).includes("DRAFT"))
+    .map((message) => {
+      const from = getHeader(message, "From");
+      return {
+        id: message.id,
+        threadId,
+        subject: getHeader(message, "Subject") || "No Subject",
+        from,
+        to: getHeader(message, "To"),
+        date: new Date(
+          Number(message.internalDate) || getHeader(message, "Date")
+        ),
+        snippet: message.snippet || "",
+        labelIds: message.labelIds || [],
+        // Bulk-mail headers, named as on cached emails
+        headers: {
+          listUnsubscribe: getHeader(message, "List-Unsubscribe"),
+          precedence: getHeader(message, "Precedence"),
+          autoSubmitted: getHeader(message, "Auto-Submitted"),
+        },
+        fromMe:
+          (message.labelIds || []).includes("SENT") ||
+          getSenderAddress(from) === String(accountEmail || "").toLowerCase(),
+      };
+    })
+    .sort((a, b) => a.date - b.date);
+
+  return { id: threadId, messages };
+}
+
+/**
+ * Find the threads of recent sent messages
+ * @param {Object} gmail Gmail API client
+ * @param {number} days Days of sent mail to check
+ * @returns {Promise<Array>} Thread IDs
+ */
+async function listSentThreadIds(gmail, days) {
+  const response = await executeGmailRequest("messages.list", () =>
+    gmail.users.messages.list({
+      userId: "me",
+      q: `in:sent newer_than:${days}d`,
+      maxResults: MAX_SENT_MESSAGES,
+    })
+  );
+  return [
+    ...new Set(
+      (response.data.messages || []).map((message) => message.threadId)
+    ),
+  ];
+}
+
+/**
+ * Get the due date and deadline of an open thread
+ * A deadline found by the analysis is shown with the due date, which is
+ * the last message's date plus the nudge days.
+ * @param {Object} lastMessage Last message of the thread
+ * @param {Object|undefined} email Cached email for the last message, if analyzed
+ * @param {number} nudgeDays Days until a reply or nudge is due
+ * @returns {Object} { dueDate, deadline }
+ */
+function getDueDate(lastMessage, email, nudgeDays) {
+  const deadlines = (email && email.summary && email.summary.deadlines) || [];
+  return {
+    dueDate: new Date(lastMessage.date.getTime() + nudgeDays * DAY_MS),
+    deadline: deadlines[0] || null,
+  };
+}
+
+/**
+ * Find open follow-ups in both directions
+ * Threads whose last message came from someone else are replies you owe;
+ * threads whose last message is yours are waiting on the other side. The
+ * AI's follow-up check decides whether the last message expects a reply;
+ * threads it could not judge (or every thread, without an AI provider) are
+ * listed on thread state alone, leaving out incoming bulk mail. Threads
+ * marked as done stay hidden until a new message arrives.
+ * @param {Object} gmail Gmail API client
+ * @param {Array} emails Cached emails
+ * @param {Object} options Tracker options
+ * @param {string} options.accountEmail Address of the account
+ * @param {number} options.days Days of mail to check (default 14)
+ * @param {number} options.nudgeDays Days until a follow-up is due (default 3)
+ * @returns {Promise<Object>} { owed, waiting } with follow-ups sorted overdue and oldest first
+ */
+async function findFollowUps(gmail, emails, options = {}) {
+  const days = options.days || DEFAULT_LOOKBACK_DAYS;
+  const nudgeDays = options.nudgeDays ?? DEFAULT_NUDGE_DAYS;
+  const now = Date.now();
+  const since = now - days * DAY_MS;
+
+  // Threads of recent received mail, plus threads of recent sent mail
+  const emailsById = new Map(emails.map((email) => [String(email.id), email]));
+  const threadIds = new Set(
+    emails
+      .filter((email) => email.threadId && new Date(email.date) >= since)
+      .map((email) => email.threadId)
+  );
+  (await listSentThreadIds(gmail, days)).forEach((id) => threadIds.add(id));
+
+  const completed = await loadCompletedFollowUps();
+  const threads = await mapWithConcurrency(
+    [...threadIds],
+    THREAD_CONCURRENCY,
+    (threadId) => getThread(gmail, threadId, options.accountEmail)
+  );
+
+  // Keep threads that are still open and not marked as done
+  const open = threads
+    .filter((thread) => thread.messages.length > 0)
+    .map((thread) => ({
+      thread,
+      lastMessage: thread.messages[thread.messages.length - 1],
+    }))
+    .filter(
+      ({ thread, lastMessage }) =>
+        completed.get(thread.id) !== lastMessage.id &&
+        lastMessage.date.getTime() >= since
+    );
+
+  // Judge the last message of each thread, with the full body when cached
+  const judgements = new Map();
+  if (!shouldUseOffline() && open.length > 0) {
+    const checked = await checkNeedsFollowUp(
+      open.map(
+        ({ lastMessage }) =>
+          emailsById.get(String(lastMessage.id)) || lastMessage
+      )
+    );
+    checked.forEach((email) =>
+      judgements.set(String(email.id), email.followUp)
+    );
+  }
+
+  const owed = [];
+  const waiting = [];
+  open.forEach(({ thread, lastMessage }) => {
+    const judgement = judgements.get(String(lastMessage.id));
+    if (judgement && !judgement.needsFollowUp) {
+      return;
+    }
+
+    // Without a judgement, newsletters and notifications need no reply
+    const email = emailsById.get(String(lastMessage.id));
+    if (!judgement && !lastMessage.fromMe && isBulkMail(lastMessage)) {
+      return;
+    }
+
+    const { dueDate, deadline } = getDueDate(lastMessage, email, nudgeDays);
+    const followUp = {
+      threadId: thread.id,
+      subject: lastMessage.subject,
+      counterpart: lastMessage.fromMe ? lastMessage.to : lastMessage.from,
+      lastMessage,
+      email,
+      messageCount: thread.messages.length,
+      ageDays: Math.floor((now - lastMessage.date.getTime()) / DAY_MS),
+      dueDate,
+      deadline,
+      overdue: dueDate.getTime() <= now,
+      reason: judgement
+        ? judgement.reason
+        : lastMessage.fromMe
+        ? "No reply since your last message"
+        : "Their message is the latest in the thread",
+      suggestedFollowUp: judgement ? judgement.suggestedFollowUp : "",
+      judgedBy: judgement ? "ai" : "thread",
+    };
+    (lastMessage.fromMe ? waiting : owed).push(followUp);
+  });
+
+  const byUrgency = (a, b) =>
+    Number(b.overdue) - Number(a.overdue) || b.ageDays - a.ageDays;
+  return { owed: owed.sort(byUrgency), waiting: waiting.sort(byUrgency) };
+}
+
+module.exports = {
+  findFollowUps,
+  getThread,
+  DEFAULT_LOOKBACK_DAYS,
+  DEFAULT_NUDGE_DAYS,
+};
@@ -0,0 +1,157 @@
+/**
+ * Label Manager Module
+ * Turns auto-tagging results into Gmail labels: picks the confident tags,
+ * creates missing labels and applies them to messages in batches
+ */
+const { executeGmailRequest } = require("../utils/requestExecutor");
+
+// Parent label that tag labels are nested under by default
+const DEFAULT_LABEL_PREFIX = "EmailMaster";
+
+// Tags below this confidence (0-100) are not applied by default
+const DEFAULT_MIN_CONFIDENCE = 60;
+
+// Largest number of message IDs accepted by users.messages.batchModify
+const MAX_BATCH_MODIFY_IDS = 1000;
+
+/**
+ * Build the Gmail label name for a tag
+ * @param {string} tag Tag name
+ * @param {string} prefix Parent label name, or "" for a top-level label
+ * @returns {string} Label name, e.g. "EmailMaster/Invoices"
+ */
+function getTagLabelName(tag, prefix = DEFAULT_LABEL_PREFIX) {
+  return prefix ? `${prefix}/${tag}` : tag;
+}
+
+/**
+ * Split auto-tagged emails into confident and uncertain results
+ * @param {Array} taggedEmails Emails from autoTagEmails, with tags.tags and tags.confidence
+ * @param {number} minConfidence Lowest confidence (0-100) to accept
+ * @returns {Object} { accepted, skipped } arrays of { email, tags, confidence }
+ */
+function selectConfidentTags(
+  taggedEmails,
+  minConfidence = DEFAULT_MIN_CONFIDENCE
+) {
+  const accepted = [];
+  const skipped = [];
+
+  taggedEmails.forEach((email) => {
+    const result = email.tags || {};
+    const tags = result.tags || [];
+    if (tags.length === 0) {
+      return;
+    }
+    const confidence = Number(result.confidence) || 0;
+    const entry = { email, tags, confidence };
+    (confidence >= minConfidence ? accepted : skipped).push(entry);
+  });
+
+  return { accepted, skipped };
+}
+
+/**
+ * Find Gmail labels by name, creating the ones that do not exist yet
+ * Names are matched ignoring case, as Gmail does.
+ * @param {Object} gmail Gmail API client
+ * @param {Array} names Label names
+ * @returns {Promise<Object>} { ids: Map of name to label ID, created: names created }
+ */
+async function ensureLabels(gmail, names) {
+  const response = await executeGmailRequest("labels.list", () =>
+    gmail.users.labels.list({ userId: "me" })
+  );
+  const existing = new Map(
+    (response.data.labels || []).map((label) => [
+      label.name.toLowerCase(),
+      label.id,
+    ])
+  );
+
+  const ids = new Map();
+  const created = [];
+  for (const name of names) {
+    let id = existing.get(name.toLowerCase());
+    if (!id) {
+      const label = await executeGmailRequest("labels.create", () =>
+        gmail.users.labels.create({
+          userId: "me",
+          requestBody: {
+            name,
+            labelListVisibility: "labelShow",
+            messageListVisibility: "show",
+          },
+        })
+      );
+      id = label.data.id;
+      existing.set(name.toLowerCase(), id);
+      created.push(name);
+    }
+    ids.set(name, id);
+  }
+
+  return { ids, created };
+}
+
+/**
+ * Apply tags to Gmail messages as labels
+ * Messages are grouped by tag so each label needs as few batchModify calls
+ * as possible. Labels are only added; existing labels are left in place.
+ * @param {Object} gmail Gmail API client
+ * @param {Array} entries Accepted results with email and tags
+ * @param {Object} options Label options
+ * @param {string} options.prefix Parent label name (default "EmailMaster")
+ * @returns {Promise<Object>} Labels created and messages labeled
+ */
+async function applyTagLabels(gmail, entries, options = {}) {
+  const prefix =
+    options.prefix !== undefined ? options.prefix : DEFAULT_LABEL_PREFIX;
+
+  // Message IDs by label name
+  const messagesByLabel = new Map();
+  entries.forEach(({ email, tags }) =>
+    tags.forEach((tag) => {
+      const name = getTagLabelName(tag, prefix);
+      messagesByLabel.set(name, [
+        ...(messagesByLabel.get(name) || []),
+        email.id,
+      ]);
+    })
+  );
+  if (messagesByLabel.size === 0) {
+    return { created: [], labeled: 0 };
+  }
+
+  // The parent label is created first so Gmail nests the tag labels under it
+  const names = [...messagesByLabel.keys()];
+  const { ids, created } = await ensureLabels(
+    gmail,
+    prefix ? [prefix, ...names] : names
+  );
+
+  for (const [name, messageIds] of messagesByLabel) {
+    for (let i = 0; i < messageIds.length; i += MAX_BATCH_MODIFY_IDS) {
+      await executeGmailRequest("messages.batchModify", () =>
+        gmail.users.messages.batchModify({
+          userId: "me",
+          requestBody: {
+            ids: messageIds.slice(i, i + MAX_BATCH_MODIFY_IDS),
+            addLabelIds: [ids.get(name)],
+          },
+        })
+      );
+    }
+  }
+
+  return { created, labeled: entries.length };
+}
+
+module.exports = {
+  getTagLabelName,
+  selectConfidentTags,
+  ensureLabels,
+  applyTagLabels,
+  DEFAULT_LABEL_PREFIX,
+  DEFAULT_MIN_CONFIDENCE,
+};
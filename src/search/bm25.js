@@ -0,0 +1,135 @@
+/**
+ * BM25 Module
+ * Lexical ranking of text passages with the Okapi BM25 formula, used for
+ * keyword search when semantic search is unavailable
+ */
+
+// Term frequency saturation and document length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common to tell emails apart
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "that",
+  "the",
+  "this",
+  "to",
+  "was",
+  "with",
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Normalise a word to the form it is indexed under
+ * English plurals are reduced to the singular so "invoices" matches "invoice".
+ * @param {string} word Word to normalise
+ * @returns {string} Lower-case term
+ */
+function normalizeTerm(word) {
+  const term = word.toLowerCase();
+  if (term.length <= 3 || /(?:ss|us|is)$/.test(term)) {
+    return term;
+  }
+  if (term.endsWith("ies")) {
+    return `${term.slice(0, -3)}y`;
+  }
+  if (/(?:ch|sh|x|z)es$/.test(term)) {
+    return term.slice(0, -2);
+  }
+  return term.endsWith("s") ? term.slice(0, -1) : term;
+}
+
+/**
+ * Split text into indexed terms
+ * @param {string} text Text to split
+ * @returns {Array} Terms, without stop words
+ */
+function tokenize(text) {
+  return (String(text || "").match(WORD_PATTERN) || [])
+    .filter((word) => !STOP_WORDS.has(word.toLowerCase()))
+    .map(normalizeTerm);
+}
+
+/**
+ * Create a BM25 index over documents
+ * @param {Array} documents Documents with a text property; other properties are kept
+ * @returns {Object} Index with search
+ */
+function createBm25Index(documents) {
+  const entries = documents.map((document) => {
+    const terms = tokenize(document.text);
+    const frequencies = new Map();
+    terms.forEach((term) =>
+      frequencies.set(term, (frequencies.get(term) || 0) + 1)
+    );
+    return { document, length: terms.length, frequencies };
+  });
+
+  // Number of documents each term appears in
+  const documentFrequencies = new Map();
+  entries.forEach((entry) =>
+    entry.frequencies.forEach((_, term) =>
+      documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1)
+    )
+  );
+  const averageLength =
+    entries.reduce((total, entry) => total + entry.length, 0) /
+      (entries.length || 1) || 1;
+
+  return {
+    /**
+     * Rank documents against a query
+     * @param {string} query Search query
+     * @returns {Array} Matching documents with score and matched terms, best first
+     */
+    search(query) {
+      const queryTerms = [...new Set(tokenize(query))];
+
+      return entries
+        .map((entry) => {
+          let score = 0;
+          const terms = [];
+          queryTerms.forEach((term) => {
+            const frequency = entry.frequencies.get(term);
+            if (!frequency) {
+              return;
+            }
+            const count = documentFrequencies.get(term);
+            const idf = Math.log(
+              1 + (entries.length - count + 0.5) / (count + 0.5)
+            );
+            score +=
+              (idf * frequency * (K1 + 1)) /
+              (frequency + K1 * (1 - B + (B * entry.length) / averageLength));
+            terms.push(term);
+          });
+          return { ...entry.document, score, terms };
+        })
+        .filter((result) => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+    },
+  };
+}
+
+module.exports = {
+  createBm25Index,
+  tokenize,
+  normalizeTerm,
+};
@@ -0,0 +1,393 @@
+/**
+ * Query Parser Module
+ * Parses the local search query language (field filters, quoted phrases,
+ * AND/OR/NOT and parentheses) and matches parsed queries against emails
+ */
+const moment = require("moment");
+const { getPriorityNames, getTypeNames } = require("../utils/taxonomyUtils");
+const { tokenize } = require("./bm25");
+
+// Filters by field: each checks the parsed value against an email
+const FIELDS = [
+  "from",
+  "to",
+  "subject",
+  "priority",
+  "type",
+  "tag",
+  "has",
+  "is",
+  "before",
+  "after",
+];
+
+// Values accepted by has: and is:
+const HAS_VALUES = ["attachment"];
+const IS_VALUES = ["actionable", "unread", "read"];
+
+// A leading "-" negates the term or parenthesised group that follows it
+const TOKEN_PATTERN =
+  /\s*(-)?(?:(\()|(\))|(?:(\w+):)?(?:"([^"]*)"?|([^\s()"]+)))?/y;
+
+/**
+ * Create a query syntax error
+ * @param {string} message Error message
+ * @returns {Error} Error with code INVALID_QUERY
+ */
+function createQueryError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_QUERY";
+  return error;
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} query Query text
+ * @returns {Array} Tokens: parentheses, operators and terms
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  const text = String(query || "").trim();
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw createQueryError(
+        `Could not read the query near "${text.slice(TOKEN_PATTERN.lastIndex)}"`
+      );
+    }
+    const [, negated, open, close, field, phrase, word] = match;
+    const hasTerm = phrase !== undefined || word !== undefined;
+    const isOperator =
+      !field && phrase === undefined && ["AND", "OR", "NOT"].includes(word);
+
+    if (negated && (close || isOperator || (!open && !hasTerm))) {
+      throw createQueryError(
+        'A "-" must be followed by a search term or a "(" group'
+      );
+    }
+    if (!open && !close && !hasTerm) {
+      throw createQueryError(
+        `Could not read the query near "${text.slice(match.index)}"`
+      );
+    }
+
+    if (negated) {
+      tokens.push({ type: "NOT" });
+    }
+    if (open || close) {
+      tokens.push({ type: open ? "(" : ")" });
+    } else if (isOperator) {
+      tokens.push({ type: word });
+    } else {
+      tokens.push({
+        type: "term",
+        field: field ? field.toLowerCase() : null,
+        value: phrase !== undefined ? phrase : word,
+        phrase: phrase !== undefined,
+      });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Match a category name against the taxonomy, ignoring case
+ * @param {string} value Name in the query
+ * @param {Array} names Names defined in the taxonomy
+ * @param {string} field Field name used in the error message
+ * @returns {string} Name as defined in the taxonomy
+ */
+function resolveName(value, names, field) {
+  const name = names.find(
+    (candidate) => candidate.toLowerCase() === value.toLowerCase()
+  );
+  if (!name) {
+    throw createQueryError(
+      `Unknown ${field} "${value}". Use one of: ${names.join(", ")}`
+    );
+  }
+  return name;
+}
+
+/**
+ * Validate a field filter and convert its value for matching
+ * @param {Object} token Term token with field and value
+ * @returns {Object} Field node
+ */
+function parseField(token) {
+  const { field, value } = token;
+  if (!FIELDS.includes(field)) {
+    throw createQueryError(
+      `Unknown search field "${field}:". Use one of: ${FIELDS.map(
+        (name) => `${name}:`
+      ).join(", ")}`
+    );
+  }
+  if (!value) {
+    throw createQueryError(`Missing value for "${field}:"`);
+  }
+
+  switch (field) {
+    case "priority":
+      return {
+        type: "field",
+        field,
+        value: resolveName(value, getPriorityNames(), "priority"),
+      };
+    case "type":
+      return {
+        type: "field",
+        field,
+        value: resolveName(value, getTypeNames(), "type"),
+      };
+    case "has":
+    case "is": {
+      const allowed = field === "has" ? HAS_VALUES : IS_VALUES;
+      const normalized = value.toLowerCase().replace(/s$/, "");
+      if (!allowed.includes(normalized)) {
+        throw createQueryError(
+          `Unknown value "${field}:${value}". Use ${allowed
+            .map((name) => `${field}:${name}`)
+            .join(" or ")}`
+        );
+      }
+      return { type: "field", field, value: normalized };
+    }
+    case "before":
+    case "after": {
+      const date = moment(value, ["YYYY-MM-DD", "YYYY/MM/DD"], true);
+      if (!date.isValid()) {
+        throw createQueryError(
+          `Invalid date "${field}:${value}". Use the format YYYY-MM-DD.`
+        );
+      }
+      return { type: "field", field, value: date.startOf("day").valueOf() };
+    }
+    default:
+      return { type: "field", field, value: value.toLowerCase() };
+  }
+}
+
+/**
+ * Parse a search query
+ * Terms next to each other must all match; OR, NOT (or a leading "-") and
+ * parentheses combine them. Quoted text matches as a phrase.
+ * @param {string} query Query text, e.g. 'from:alice (invoice OR receipt) -is:read'
+ * @returns {Object|null} Query tree, or null for an empty query
+ * @throws {Error} With code INVALID_QUERY when the query cannot be parsed
+ */
+function parseQuery(query) {
+  const tokens = tokenizeQuery(query);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  // primary := "(" or-expression ")" | term
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw createQueryError("The query ends where a search term was expected");
+    }
+    if (token.type === "(") {
+      const node = parseOr();
+      if (!peek() || peek().type !== ")") {
+        throw createQueryError("Missing closing parenthesis");
+      }
+      position++;
+      return node;
+    }
+    if (token.type !== "term") {
+      throw createQueryError(`Unexpected "${token.type}" in the query`);
+    }
+    return token.field
+      ? parseField(token)
+      : { type: "text", value: token.value, phrase: token.phrase };
+  };
+
+  // unary := NOT unary | primary
+  const parseUnary = () => {
+    if (peek() && peek().type === "NOT") {
+      position++;
+      return { type: "not", node: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  // and := unary (AND? unary)*
+  const parseAnd = () => {
+    const nodes = [parseUnary()];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") {
+        position++;
+      }
+      nodes.push(parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: "and", nodes };
+  };
+
+  // or := and (OR and)*
+  const parseOr = () => {
+    const nodes = [parseAnd()];
+    while (peek() && peek().type === "OR") {
+      position++;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: "or", nodes };
+  };
+
+  if (tokens.length === 0) {
+    return null;
+  }
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw createQueryError(`Unexpected "${peek().type}" in the query`);
+  }
+  return tree;
+}
+
+/**
+ * Separate a query's free words from its filters
+ * Plain words at the top level of the query rank the results (by meaning
+ * when semantic search is available); field filters, phrases and words
+ * under OR or NOT must match exactly.
+ * @param {Object|null} tree Query tree from parseQuery
+ * @returns {Object} { filter: query tree or null, text: words to rank by }
+ */
+function splitQuery(tree) {
+  const isFreeWord = (node) => node.type === "text" && !node.phrase;
+
+  if (!tree) {
+    return { filter: null, text: "" };
+  }
+  if (isFreeWord(tree)) {
+    return { filter: null, text: tree.value };
+  }
+  if (tree.type !== "and") {
+    return { filter: tree, text: "" };
+  }
+
+  const words = tree.nodes.filter(isFreeWord);
+  const filters = tree.nodes.filter((node) => !isFreeWord(node));
+  return {
+    filter: filters.length > 0 ? { type: "and", nodes: filters } : null,
+    text: words.map((node) => node.value).join(" "),
+  };
+}
+
+/**
+ * Collect the words in a query tree that can be highlighted in results
+ * @param {Object|null} tree Query tree from parseQuery
+ * @returns {Array} Normalised terms from plain words and phrases
+ */
+function getHighlightTerms(tree) {
+  if (!tree || tree.type === "not" || tree.type === "field") {
+    return [];
+  }
+  if (tree.type === "text") {
+    return tokenize(tree.value);
+  }
+  return [...new Set(tree.nodes.flatMap(getHighlightTerms))];
+}
+
+/**
+ * Get the searchable text of an email, in lower case
+ * @param {Object} email Email object
+ * @returns {string} Subject, sender, recipients and body with collapsed whitespace
+ */
+function getSearchText(email) {
+  return [email.subject, email.from, email.to, email.body || email.snippet]
+    .join("\n")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/**
+ * Check whether an email matches a query tree
+ * @param {Object} tree Query tree from parseQuery
+ * @param {Object} email Email object, with its classification if analyzed
+ * @param {Object} context Match context
+ * @param {Object} context.tags Tags keyed by email ID (from loadTags)
+ * @returns {boolean} True if the email matches
+ */
+function matchesQuery(tree, email, context = {}) {
+  // Text and terms are only computed once per email
+  let searchText = null;
+  let terms = null;
+
+  const match = (node) => {
+    switch (node.type) {
+      case "and":
+        return node.nodes.every(match);
+      case "or":
+        return node.nodes.some(match);
+      case "not":
+        return !match(node.node);
+      case "text":
+        searchText = searchText || getSearchText(email);
+        if (node.phrase) {
+          return searchText.includes(
+            node.value.replace(/\s+/g, " ").toLowerCase()
+          );
+        }
+        terms = terms || new Set(tokenize(searchText));
+        return tokenize(node.value).every((term) => terms.has(term));
+      default:
+        return matchesField(node, email, context);
+    }
+  };
+
+  return match(tree);
+}
+
+/**
+ * Check whether an email matches a field filter
+ * @param {Object} node Field node from parseQuery
+ * @param {Object} email Email object
+ * @param {Object} context Match context with tags keyed by email ID
+ * @returns {boolean} True if the email matches
+ */
+function matchesField(node, email, context) {
+  const classification = email.classification || {};
+  const date = email.date ? new Date(email.date).getTime() : NaN;
+
+  switch (node.field) {
+    case "from":
+    case "to":
+    case "subject":
+      return String(email[node.field] || "")
+        .toLowerCase()
+        .includes(node.value);
+    case "priority":
+      return classification.priority === node.value;
+    case "type":
+      return classification.type === node.value;
+    case "tag":
+      return ((context.tags || {})[email.id] || []).some(
+        (tag) => tag.toLowerCase() === node.value
+      );
+    case "has":
+      return (email.attachments || []).length > 0;
+    case "is":
+      if (node.value === "actionable") {
+        return !!classification.actionRequired;
+      }
+      return node.value === "unread" ? !!email.isUnread : !email.isUnread;
+    case "before":
+      return date < node.value;
+    case "after":
+      return date >= node.value;
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  parseQuery,
+  splitQuery,
+  matchesQuery,
+  getHighlightTerms,
+  FIELDS,
+};
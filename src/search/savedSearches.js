@@ -0,0 +1,88 @@
+/**
+ * Saved Searches Module
+ * Named search queries that can be listed and run again
+ */
+const {
+  saveSearch,
+  loadSavedSearches,
+  recordSearchRun,
+  deleteSavedSearch,
+} = require("../storage/mailStore");
+const { parseQuery } = require("./queryParser");
+
+const SEARCH_NAME_PATTERN = /^[\w-]+$/;
+
+/**
+ * Create an error for an unknown saved search
+ * @param {string} name Search name
+ * @returns {Error} Error with code SEARCH_NOT_FOUND
+ */
+function createNotFoundError(name) {
+  const error = new Error(
+    `No saved search named "${name}". Run "emailmaster searches" to list them.`
+  );
+  error.code = "SEARCH_NOT_FOUND";
+  return error;
+}
+
+/**
+ * Save a search query under a name
+ * The query is parsed first, so only valid queries are saved.
+ * @param {string} name Search name (letters, digits, "-" and "_")
+ * @param {string} query Search query
+ * @returns {Promise<void>}
+ * @throws {Error} With code INVALID_SEARCH_NAME or INVALID_QUERY
+ */
+async function saveNamedSearch(name, query) {
+  if (!SEARCH_NAME_PATTERN.test(name || "")) {
+    const error = new Error(
+      `Invalid search name "${name}". Use letters, digits, "-" and "_".`
+    );
+    error.code = "INVALID_SEARCH_NAME";
+    throw error;
+  }
+  parseQuery(query);
+  await saveSearch(name, query);
+}
+
+/**
+ * Get a saved search and record that it is being run
+ * @param {string} name Search name
+ * @returns {Promise<Object>} Saved search with name and query
+ * @throws {Error} With code SEARCH_NOT_FOUND when no search has the name
+ */
+async function useSavedSearch(name) {
+  const [search] = await loadSavedSearches({ name });
+  if (!search) {
+    throw createNotFoundError(name);
+  }
+  await recordSearchRun(name);
+  return search;
+}
+
+/**
+ * Delete a saved search
+ * @param {string} name Search name
+ * @returns {Promise<void>}
+ * @throws {Error} With code SEARCH_NOT_FOUND when no search has the name
+ */
+async function removeSavedSearch(name) {
+  if (!(await deleteSavedSearch(name))) {
+    throw createNotFoundError(name);
+  }
+}
+
+/**
+ * List saved searches
+ * @returns {Promise<Array>} Saved searches with name, query, createdAt, lastRunAt and runs
+ */
+async function listSavedSearches() {
+  return loadSavedSearches();
+}
+
+module.exports = {
+  saveNamedSearch,
+  useSavedSearch,
+  removeSavedSearch,
+  listSavedSearches,
+};
@@ -0,0 +1,399 @@
+/**
+ * Search Index Module
+ * Splits emails into passages, keeps their embeddings in a local vector
+ * index and ranks passages against a query, by nearest neighbours when an
+ * embedding model is available and with BM25 otherwise
+ */
+const {
+  loadEmbeddingHashes,
+  saveEmbeddings,
+  loadEmbeddings,
+  pruneEmbeddings,
+  loadTags,
+} = require("../storage/mailStore");
+const {
+  embedTexts,
+  getEmbeddingModel,
+  shouldUseOffline,
+} = require("../ai/geminiAI");
+const { cleanEmailBody, splitIntoChunks } = require("../ai/promptBuilder");
+const { hashEmailContent } = require("../ai/resultCache");
+const { mapWithConcurrency } = require("../utils/concurrencyUtils");
+const { loadConfigSync } = require("../utils/configUtils");
+const { createBm25Index, tokenize, normalizeTerm } = require("./bm25");
+const {
+  parseQuery,
+  splitQuery,
+  matchesQuery,
+  getHighlightTerms,
+} = require("./queryParser");
+
+// Token size of each embedded passage
+const PASSAGE_TOKENS = 200;
+
+// Long emails are only indexed up to this many passages
+const MAX_PASSAGES_PER_EMAIL = 20;
+
+// Passages sent per embedding request
+const EMBEDDING_BATCH_SIZE = 64;
+
+// Results returned when no limit is given
+const DEFAULT_RESULT_LIMIT = 10;
+
+// Characters of the matching passage shown with each result
+const EXCERPT_LENGTH = 300;
+
+/**
+ * Check whether semantic search is enabled and an AI provider is available
+ * @returns {boolean} False when semanticSearch is off in config.json or AI is offline
+ */
+function isSemanticSearchEnabled() {
+  return loadConfigSync().semanticSearch !== false && !shouldUseOffline();
+}
+
+/**
+ * Split an email's cleaned body into passages
+ * @param {Object} email Email object
+ * @returns {Array} Passage texts (at least one, possibly empty)
+ */
+function buildPassages(email) {
+  const body = cleanEmailBody(email.body) || email.snippet || "";
+  const passages = splitIntoChunks(body, PASSAGE_TOKENS)
+    .map((passage) => passage.trim())
+    .filter(Boolean)
+    .slice(0, MAX_PASSAGES_PER_EMAIL);
+  return passages.length > 0 ? passages : [""];
+}
+
+/**
+ * Build the text embedded for a passage
+ * The subject and sender give each passage the context of its email.
+ * @param {Object} email Email object
+ * @param {string} passage Passage text
+ * @returns {string} Text to embed
+ */
+function getEmbeddingInput(email, passage) {
+  return [
+    `Subject: ${email.subject || ""}`,
+    `From: ${email.from || ""}`,
+    "",
+    passage,
+  ].join("\n");
+}
+
+/**
+ * Scale a vector to unit length, so cosine similarity is a dot product
+ * @param {Array|Float32Array} vector Vector
+ * @returns {Float32Array} Unit vector
+ */
+function normalizeVector(vector) {
+  const length = Math.sqrt(
+    vector.reduce((total, value) => total + value * value, 0)
+  );
+  return Float32Array.from(vector, (value) => (length ? value / length : 0));
+}
+
+/**
+ * Compute the dot product of two vectors
+ * @param {Float32Array} a Vector
+ * @param {Float32Array} b Vector
+ * @returns {number} Dot product
+ */
+function dotProduct(a, b) {
+  let total = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    total += a[i] * b[i];
+  }
+  return total;
+}
+
+/**
+ * Group items into embedding batches without splitting an email's passages
+ * @param {Array} emails Emails to embed
+ * @returns {Array} Batches of { email, passages }
+ */
+function buildEmbeddingBatches(emails) {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+
+  emails.forEach((email) => {
+    const passages = buildPassages(email);
+    if (batch.length > 0 && size + passages.length > EMBEDDING_BATCH_SIZE) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push({ email, passages });
+    size += passages.length;
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+/**
+ * Embed emails that are new or changed since they were last indexed
+ * Each batch is saved as soon as it is embedded, so an interrupted run
+ * keeps its progress. Embeddings from other models are removed.
+ * @param {Array} emails Emails to index
+ * @param {Object} options Index options
+ * @param {boolean} options.reindex Embed every email again
+ * @returns {Promise<Object>} Embedding model, emails indexed and emails total
+ */
+async function indexEmails(emails, options = {}) {
+  const model = getEmbeddingModel();
+  const indexed = options.reindex
+    ? new Map()
+    : await loadEmbeddingHashes(model);
+  const pending = emails.filter(
+    (email) => indexed.get(email.id) !== hashEmailContent(email)
+  );
+
+  const config = loadConfigSync();
+  await mapWithConcurrency(
+    buildEmbeddingBatches(pending),
+    config.aiConcurrency || 3,
+    async (batch) => {
+      const inputs = batch.flatMap(({ email, passages }) =>
+        passages.map((passage) => getEmbeddingInput(email, passage))
+      );
+      const vectors = await embedTexts(inputs);
+
+      let offset = 0;
+      await saveEmbeddings(
+        batch.map(({ email, passages }) => {
+          const entry = {
+            emailId: email.id,
+            model,
+            contentHash: hashEmailContent(email),
+            passages: passages.map((text, index) => ({
+              text,
+              vector: normalizeVector(vectors[offset + index]),
+            })),
+          };
+          offset += passages.length;
+          return entry;
+        })
+      );
+    }
+  );
+  await pruneEmbeddings(model);
+
+  return { model, indexed: pending.length, total: emails.length };
+}
+
+/**
+ * Bring the semantic search index up to date after a fetch or analysis
+ * Indexing is skipped when semantic search is unavailable, and failures are
+ * reported without interrupting the command.
+ * @param {Array} emails Emails in the local mail store
+ * @returns {Promise<Object|null>} Index result, or null if nothing was indexed
+ */
+async function updateSearchIndex(emails) {
+  if (!isSemanticSearchEnabled()) {
+    return null;
+  }
+  try {
+    return await indexEmails(emails);
+  } catch (error) {
+    console.warn("Could not update the semantic search index:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Cut the part of a passage around the first query term
+ * @param {string} text Passage text
+ * @param {Array} terms Normalised query terms
+ * @returns {string} Excerpt, with ellipses where text was cut
+ */
+function getExcerpt(text, terms) {
+  const passage = text.replace(/\s+/g, " ").trim();
+  if (passage.length <= EXCERPT_LENGTH) {
+    return passage;
+  }
+
+  let start = 0;
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = wordPattern.exec(passage)) !== null) {
+    if (terms.includes(normalizeTerm(match[0]))) {
+      // Show some text before the first match
+      start = Math.max(0, match.index - EXCERPT_LENGTH / 4);
+      break;
+    }
+  }
+  start = Math.min(start, passage.length - EXCERPT_LENGTH);
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = start + EXCERPT_LENGTH < passage.length ? "…" : "";
+  return prefix + passage.substring(start, start + EXCERPT_LENGTH) + suffix;
+}
+
+/**
+ * Keep each email's best passage and build the result list
+ * @param {Array} matches Passage matches with email, passage and score
+ * @param {Array} terms Normalised query terms
+ * @returns {Array} Results with email, score, excerpt and terms, best first
+ */
+function rankByEmail(matches, terms) {
+  const best = new Map();
+  matches.forEach((match) => {
+    const current = best.get(match.email.id);
+    if (!current || match.score > current.score) {
+      best.set(match.email.id, match);
+    }
+  });
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score)
+    .map((match) => ({
+      email: match.email,
+      score: match.score,
+      excerpt: getExcerpt(match.passage, terms),
+      terms,
+    }));
+}
+
+/**
+ * Rank emails by the similarity of their passages to the query embedding
+ * Emails not indexed yet are embedded first.
+ * @param {Array} emails Emails to search
+ * @param {string} query Words to search for
+ * @param {Array} terms Normalised terms to highlight
+ * @param {Object} options Search options (reindex)
+ * @returns {Promise<Array>} Ranked results
+ */
+async function semanticSearch(emails, query, terms, options) {
+  await indexEmails(emails, { reindex: options.reindex });
+  const [queryVector] = await embedTexts([query]);
+  const target = normalizeVector(queryVector);
+
+  const emailsById = new Map(emails.map((email) => [String(email.id), email]));
+  const matches = (await loadEmbeddings(getEmbeddingModel()))
+    .filter((passage) => emailsById.has(passage.emailId))
+    .map((passage) => ({
+      email: emailsById.get(passage.emailId),
+      passage: passage.text,
+      score: dotProduct(target, passage.vector),
+    }))
+    // Vectors pointing away from the query are unrelated to it
+    .filter((match) => match.score > 0);
+
+  return rankByEmail(matches, terms);
+}
+
+/**
+ * Rank emails by BM25 over their subject, sender and passages
+ * @param {Array} emails Emails to search
+ * @param {string} query Words to search for
+ * @param {Array} terms Normalised terms to highlight
+ * @returns {Array} Ranked results
+ */
+function keywordSearch(emails, query, terms) {
+  const index = createBm25Index(
+    emails.flatMap((email) =>
+      buildPassages(email).map((passage) => ({
+        email,
+        passage,
+        text: `${email.subject || ""}\n${email.from || ""}\n${passage}`,
+      }))
+    )
+  );
+  return rankByEmail(index.search(query), terms);
+}
+
+/**
+ * List emails that match a query's filters, newest first
+ * @param {Array} emails Matching emails
+ * @param {Array} terms Normalised terms to highlight
+ * @returns {Array} Results with email, excerpt and terms (no score)
+ */
+function listByDate(emails, terms) {
+  return [...emails]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .map((email) => {
+      const passages = buildPassages(email);
+      const passage =
+        passages.find((text) =>
+          tokenize(text).some((term) => terms.includes(term))
+        ) || passages[0];
+      return {
+        email,
+        score: null,
+        excerpt: getExcerpt(passage, terms),
+        terms,
+      };
+    });
+}
+
+/**
+ * Search emails with the local query language
+ * Field filters, phrases and OR/NOT terms select the emails; plain words
+ * rank them, semantically when possible and by keywords otherwise. Without
+ * plain words, matching emails are listed newest first.
+ * @param {Array} emails Emails to search
+ * @param {string} query Search query, e.g. 'from:alice priority:Urgent budget'
+ * @param {Object} options Search options
+ * @param {number} options.limit Maximum number of results
+ * @param {boolean} options.keyword Use keyword search even if semantic search is available
+ * @param {boolean} options.reindex Embed every email again before searching
+ * @returns {Promise<Object>} Search method ("semantic", "keyword" or "filter"), embedding model, total matches and results
+ * @throws {Error} With code INVALID_QUERY when the query cannot be parsed
+ */
+async function searchEmails(emails, query, options = {}) {
+  const limit = options.limit || DEFAULT_RESULT_LIMIT;
+  const tree = parseQuery(query);
+  const { filter, text } = splitQuery(tree);
+  const terms = getHighlightTerms(tree);
+
+  let candidates = emails;
+  if (filter) {
+    const tags = await loadTags();
+    candidates = emails.filter((email) =>
+      matchesQuery(filter, email, { tags })
+    );
+  }
+
+  // Limit the results and report how many matched in total
+  const respond = (method, model, results) => ({
+    method,
+    model,
+    total: results.length,
+    results: results.slice(0, limit),
+  });
+
+  if (!text) {
+    return respond("filter", null, listByDate(candidates, terms));
+  }
+
+  if (!options.keyword && isSemanticSearchEnabled()) {
+    try {
+      return respond(
+        "semantic",
+        getEmbeddingModel(),
+        await semanticSearch(candidates, text, terms, options)
+      );
+    } catch (error) {
+      console.warn(
+        "Semantic search failed, using keyword search instead:",
+        error.message
+      );
+    }
+  }
+
+  return respond("keyword", null, keywordSearch(candidates, text, terms));
+}
+
+module.exports = {
+  searchEmails,
+  indexEmails,
+  updateSearchIndex,
+  isSemanticSearchEnabled,
+  buildPassages,
+  DEFAULT_RESULT_LIMIT,
+};
@@ -0,0 +1,1488 @@
+/**
+ * Mail Store Module
+ * SQLite-backed local storage for messages, analyses, tags, ID mappings,
+ * AI usage, cached AI results, the redaction audit, classification
+ * corrections, the semantic search index, saved searches, sentiment
+ * history, completed follow-ups and conversation threads, kept in a
+ * separate database per account
+ */
+const Database = require("better-sqlite3");
+const fs = require("fs-extra");
+const path = require("path");
+const { loadConfig } = require("../utils/configUtils");
+const { getPriorityNames, getPriorityRank } = require("../utils/taxonomyUtils");
+const {
+  loadAccountsConfig,
+  getCurrentAccount,
+  getAccountDataDir,
+} = require("../utils/accountManager");
+
+// Database file name inside the temp directory
+const DATABASE_FILENAME = "emailmaster.db";
+
+// Files from the shared, pre-account cache layout
+const LEGACY_FILES = [
+  DATABASE_FILENAME,
+  `${DATABASE_FILENAME}-wal`,
+  `${DATABASE_FILENAME}-shm`,
+  "emails.json",
+  "email_id_mapping.json",
+  "analyzed_cache.json",
+  "analyzed_emails.json",
+  "cache_metadata.json",
+];
+
+// Schema migrations, applied in order and tracked by PRAGMA user_version
+const MIGRATIONS = [
+  `
+  CREATE TABLE messages (
+    id TEXT PRIMARY KEY,
+    thread_id TEXT,
+    subject TEXT,
+    from_addr TEXT,
+    to_addr TEXT,
+    date INTEGER,
+    snippet TEXT,
+    body TEXT,
+    label_ids TEXT NOT NULL DEFAULT '[]',
+    is_unread INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL DEFAULT '{}',
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_messages_date ON messages (date);
+  CREATE INDEX idx_messages_thread ON messages (thread_id);
+  CREATE INDEX idx_messages_from ON messages (from_addr);
+
+  CREATE TABLE analyses (
+    email_id TEXT PRIMARY KEY,
+    priority TEXT,
+    type TEXT,
+    action_required INTEGER NOT NULL DEFAULT 0,
+    classification TEXT,
+    summary TEXT,
+    suggested_response TEXT,
+    analyzed_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_analyses_priority ON analyses (priority);
+
+  CREATE TABLE tags (
+    email_id TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'user',
+    confidence INTEGER,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (email_id, tag)
+  );
+  CREATE INDEX idx_tags_tag ON tags (tag);
+
+  CREATE TABLE id_mappings (
+    unique_id TEXT PRIMARY KEY,
+    idx INTEGER NOT NULL UNIQUE
+  );
+
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  `
+  CREATE TABLE ai_usage (
+    day TEXT NOT NULL,
+    command TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    calls INTEGER NOT NULL DEFAULT 0,
+    retries INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    response_tokens INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, command, provider, model)
+  );
+  `,
+  `
+  CREATE TABLE ai_cache (
+    cache_key TEXT PRIMARY KEY,
+    task TEXT NOT NULL,
+    model TEXT NOT NULL,
+    prompt_version INTEGER NOT NULL,
+    result TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_used_at INTEGER NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX idx_ai_cache_task ON ai_cache (task, model, prompt_version);
+  `,
+  `
+  CREATE TABLE redaction_audit (
+    day TEXT NOT NULL,
+    command TEXT NOT NULL,
+    type TEXT NOT NULL,
+    prompts INTEGER NOT NULL DEFAULT 0,
+    redacted INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, command, type)
+  );
+  `,
+  `
+  CREATE TABLE classification_corrections (
+    email_id TEXT PRIMARY KEY,
+    sender TEXT NOT NULL,
+    subject TEXT,
+    snippet TEXT,
+    predicted_priority TEXT,
+    predicted_type TEXT,
+    priority TEXT,
+    type TEXT,
+    corrected_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_corrections_sender ON classification_corrections (sender);
+  `,
+  `
+  CREATE TABLE embeddings (
+    email_id TEXT NOT NULL,
+    model TEXT NOT NULL,
+    passage INTEGER NOT NULL,
+    content_hash TEXT NOT NULL,
+    text TEXT NOT NULL,
+    vector BLOB NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (email_id, model, passage)
+  );
+  CREATE INDEX idx_embeddings_model ON embeddings (model);
+  `,
+  `
+  CREATE TABLE saved_searches (
+    name TEXT PRIMARY KEY,
+    query TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_run_at INTEGER,
+    runs INTEGER NOT NULL DEFAULT 0
+  );
+  `,
+  `
+  CREATE TABLE sentiments (
+    email_id TEXT PRIMARY KEY,
+    sender TEXT,
+    day TEXT NOT NULL,
+    sentiment TEXT NOT NULL,
+    score REAL NOT NULL,
+    type TEXT NOT NULL,
+    stress_level REAL NOT NULL,
+    analyzed_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_sentiments_day ON sentiments (day);
+  `,
+  `
+  CREATE TABLE followups_done (
+    thread_id TEXT PRIMARY KEY,
+    last_message_id TEXT NOT NULL,
+    done_at INTEGER NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE threads (
+    thread_id TEXT PRIMARY KEY,
+    history_id TEXT,
+    messages TEXT NOT NULL DEFAULT '[]',
+    summary TEXT,
+    summarized_count INTEGER,
+    updated_at INTEGER NOT NULL
+  );
+  `,
+];
+
+// Fields stored in dedicated columns rather than the JSON data column
+const MESSAGE_COLUMNS = [
+  "id",
+  "threadId",
+  "subject",
+  "from",
+  "to",
+  "date",
+  "snippet",
+  "body",
+  "labelIds",
+  "isUnread",
+];
+
+// Fields that belong to other tables or should never be persisted
+const NON_MESSAGE_FIELDS = [
+  "raw",
+  "account",
+  "accountEmail",
+  "uniqueId",
+  "assignedIndex",
+  "classification",
+  "summary",
+  "suggestedResponse",
+];
+
+// Open connections keyed by account data directory
+const databases = new Map();
+
+/**
+ * Parse a JSON column value
+ * @param {string} value JSON text
+ * @param {*} fallback Value returned when the column is empty or invalid
+ * @returns {*} Parsed value
+ */
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Convert an email object to a messages table row
+ * @param {Object} email Email object
+ * @returns {Object} Row values
+ */
+function emailToRow(email) {
+  const data = {};
+  Object.keys(email).forEach((key) => {
+    if (!MESSAGE_COLUMNS.includes(key) && !NON_MESSAGE_FIELDS.includes(key)) {
+      data[key] = email[key];
+    }
+  });
+
+  const date = email.date ? new Date(email.date).getTime() : null;
+
+  return {
+    id: email.id,
+    thread_id: email.threadId || null,
+    subject: email.subject || "",
+    from_addr: email.from || "",
+    to_addr: email.to || "",
+    date: Number.isNaN(date) ? null : date,
+    snippet: email.snippet || "",
+    body: email.body || "",
+    label_ids: JSON.stringify(email.labelIds || []),
+    is_unread: email.isUnread ? 1 : 0,
+    data: JSON.stringify(data),
+    updated_at: Date.now(),
+  };
+}
+
+/**
+ * Convert a joined messages/analyses row to an email object
+ * @param {Object} row Database row
+ * @returns {Object} Email object
+ */
+function rowToEmail(row) {
+  const email = {
+    ...parseJson(row.data, {}),
+    id: row.id,
+    threadId: row.thread_id,
+    labelIds: parseJson(row.label_ids, []),
+    isUnread: !!row.is_unread,
+    subject: row.subject,
+    from: row.from_addr,
+    to: row.to_addr,
+    date: row.date !== null ? new Date(row.date) : null,
+    body: row.body,
+    snippet: row.snippet,
+  };
+
+  if (row.idx !== null && row.idx !== undefined) {
+    email.uniqueId = row.id;
+    email.assignedIndex = row.idx;
+  }
+
+  if (row.analyzed_at !== null && row.analyzed_at !== undefined) {
+    email.classification = parseJson(row.classification, {});
+    email.summary = parseJson(row.summary, {});
+    email.suggestedResponse = row.suggested_response;
+  }
+
+  return email;
+}
+
+/**
+ * Apply pending schema migrations
+ * @param {Database} db Database connection
+ */
+function migrateSchema(db) {
+  const currentVersion = db.pragma("user_version", { simple: true });
+
+  for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[version]);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+/**
+ * Import the legacy JSON cache files into the store (runs once)
+ * @param {Database} db Database connection
+ * @param {string} dataDir Directory containing the legacy JSON files
+ * @returns {Promise<boolean>} True if any legacy data was imported
+ */
+async function importLegacyJson(db, dataDir) {
+  const imported = db
+    .prepare("SELECT value FROM meta WHERE key = 'legacy_json_imported'")
+    .get();
+  if (imported) {
+    return false;
+  }
+
+  const readLegacy = async (filename) => {
+    const filePath = path.join(dataDir, filename);
+    if (!(await fs.pathExists(filePath))) {
+      return null;
+    }
+    try {
+      return await fs.readJson(filePath);
+    } catch (error) {
+      console.error(`Skipping unreadable legacy file ${filename}:`, error);
+      return null;
+    }
+  };
+
+  const emails = (await readLegacy("emails.json")) || [];
+  const mapping = await readLegacy("email_id_mapping.json");
+  const analyzedCache = (await readLegacy("analyzed_cache.json")) || {};
+  const analyzedEmails = (await readLegacy("analyzed_emails.json")) || [];
+  const metadata = await readLegacy("cache_metadata.json");
+
+  const analyses = [...Object.values(analyzedCache), ...analyzedEmails].filter(
+    (email) => email && email.id && email.classification
+  );
+
+  const foundLegacyData =
+    emails.length > 0 || !!mapping || analyses.length > 0 || !!metadata;
+
+  db.transaction(() => {
+    const insertMessage = db.prepare(`
+      INSERT OR REPLACE INTO messages
+        (id, thread_id, subject, from_addr, to_addr, date, snippet, body,
+         label_ids, is_unread, data, updated_at)
+      VALUES
+        (@id, @thread_id, @subject, @from_addr, @to_addr, @date, @snippet,
+         @body, @label_ids, @is_unread, @data, @updated_at)
+    `);
+    emails
+      .filter((email) => email && email.id)
+      .forEach((email) => insertMessage.run(emailToRow(email)));
+
+    if (mapping && mapping.idToIndex) {
+      const insertMapping = db.prepare(
+        "INSERT OR IGNORE INTO id_mappings (unique_id, idx) VALUES (?, ?)"
+      );
+      Object.entries(mapping.idToIndex).forEach(([uniqueId, index]) =>
+        insertMapping.run(uniqueId, index)
+      );
+    }
+
+    analyses.forEach((email) => upsertAnalysisRow(db, email));
+
+    if (metadata) {
+      db.prepare(
+        "INSERT OR REPLACE INTO meta (key, value) VALUES ('cache_metadata', ?)"
+      ).run(JSON.stringify(metadata));
+    }
+
+    db.prepare(
+      "INSERT OR REPLACE INTO meta (key, value) VALUES ('legacy_json_imported', ?)"
+    ).run(JSON.stringify(new Date().toISOString()));
+  })();
+
+  return foundLegacyData;
+}
+
+/**
+ * Move a cache left over from before per-account storage into an account's directory
+ * The first account to open its store claims the shared files.
+ * @param {string} tempDir Shared temp directory
+ * @param {string} accountDir Account data directory
+ * @returns {Promise<void>}
+ */
+async function claimSharedCache(tempDir, accountDir) {
+  if (await fs.pathExists(path.join(accountDir, DATABASE_FILENAME))) {
+    return;
+  }
+
+  for (const filename of LEGACY_FILES) {
+    const sharedPath = path.join(tempDir, filename);
+    if (await fs.pathExists(sharedPath)) {
+      await fs.move(sharedPath, path.join(accountDir, filename));
+    }
+  }
+}
+
+/**
+ * Open an account's store, creating and migrating it on first use
+ * @param {Object} account Account object (defaults to the current account)
+ * @returns {Promise<Database>} Database connection
+ */
+async function getDatabase(account = null) {
+  const currentAccount = await getCurrentAccount();
+  const targetAccount = account || currentAccount;
+  const accountDir = await getAccountDataDir(targetAccount);
+  if (databases.has(accountDir)) {
+    return databases.get(accountDir);
+  }
+
+  const config = await loadConfig();
+  const tempDir = path.join(process.cwd(), config.tempDir || "./temp");
+  await fs.ensureDir(accountDir);
+
+  // Only the account in use can claim a cache from before per-account storage
+  if (targetAccount.name === currentAccount.name) {
+    await claimSharedCache(tempDir, accountDir);
+  }
+
+  const db = new Database(path.join(accountDir, DATABASE_FILENAME));
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  migrateSchema(db);
+
+  if (await importLegacyJson(db, accountDir)) {
+    console.log("Imported existing JSON cache into the local mail store.");
+  }
+
+  databases.set(accountDir, db);
+  return db;
+}
+
+/**
+ * Close all open store connections
+ */
+function closeStore() {
+  databases.forEach((db) => db.close());
+  databases.clear();
+}
+
+/**
+ * Build the WHERE clause that keeps emails with a tag
+ * @param {string} tag Tag name (matched ignoring case), or undefined for all emails
+ * @returns {string} SQL condition with one parameter, or "" without a tag
+ */
+function getTagCondition(tag) {
+  return tag
+    ? "WHERE m.id IN (SELECT email_id FROM tags WHERE tag = ? COLLATE NOCASE)"
+    : "";
+}
+
+/**
+ * Load cached emails, newest first, including any stored analysis
+ * @param {Object} options Query options
+ * @param {number} options.limit Maximum number of emails to return
+ * @param {string} options.tag Only include emails with this tag
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Array of email objects
+ */
+async function loadEmails(options = {}) {
+  const db = await getDatabase(options.account);
+  const rows = db
+    .prepare(
+      `SELECT m.*, i.idx, a.classification, a.summary, a.suggested_response,
+              a.analyzed_at
+       FROM messages m
+       LEFT JOIN id_mappings i ON i.unique_id = m.id
+       LEFT JOIN analyses a ON a.email_id = m.id
+       ${getTagCondition(options.tag)}
+       ORDER BY m.date DESC
+       LIMIT ?`
+    )
+    .all(...(options.tag ? [options.tag] : []), options.limit || -1);
+
+  return rows.map(rowToEmail);
+}
+
+/**
+ * Load emails that have been analyzed, ordered by priority then date
+ * @param {Object} options Query options
+ * @param {string} options.tag Only include emails with this tag
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Array of analyzed email objects
+ */
+async function loadAnalyzedEmails(options = {}) {
+  const db = await getDatabase(options.account);
+
+  // Sort by the taxonomy's priority order; unknown priorities come last
+  const priorities = getPriorityNames();
+  const rows = db
+    .prepare(
+      `SELECT m.*, i.idx, a.classification, a.summary, a.suggested_response,
+              a.analyzed_at
+       FROM messages m
+       JOIN analyses a ON a.email_id = m.id
+       LEFT JOIN id_mappings i ON i.unique_id = m.id
+       ${getTagCondition(options.tag)}
+       ORDER BY CASE a.priority
+         ${priorities.map((_, rank) => `WHEN ? THEN ${rank}`).join(" ")}
+         ELSE ${priorities.length} END, m.date DESC`
+    )
+    .all(...(options.tag ? [options.tag] : []), ...priorities);
+
+  return rows.map(rowToEmail);
+}
+
+/**
+ * Load emails from every configured account, tagged with the account they belong to
+ * @param {Object} options Query options
+ * @param {boolean} options.analyzedOnly Only include analyzed emails
+ * @param {string} options.tag Only include emails with this tag
+ * @returns {Promise<Array>} Emails sorted by priority (analyzed) or date
+ */
+async function loadAllAccountsEmails(options = {}) {
+  const { accounts } = await loadAccountsConfig();
+  const emails = [];
+
+  for (const account of accounts) {
+    const accountEmails = options.analyzedOnly
+      ? await loadAnalyzedEmails({ account, tag: options.tag })
+      : await loadEmails({ account, tag: options.tag });
+
+    accountEmails.forEach((email) =>
+      emails.push({
+        ...email,
+        account: account.name,
+        accountEmail: account.email,
+      })
+    );
+  }
+
+  return emails.sort((a, b) => {
+    if (options.analyzedOnly) {
+      const priorityA = getPriorityRank(a.classification.priority);
+      const priorityB = getPriorityRank(b.classification.priority);
+      if (priorityA !== priorityB) {
+        return priorityA - priorityB;
+      }
+    }
+    return new Date(b.date) - new Date(a.date);
+  });
+}
+
+/**
+ * Get a single email by Gmail message ID
+ * @param {string} id Gmail message ID
+ * @returns {Promise<Object|null>} Email object or null
+ */
+async function getEmail(id) {
+  const db = await getDatabase();
+  const row = db
+    .prepare(
+      `SELECT m.*, i.idx, a.classification, a.summary, a.suggested_response,
+              a.analyzed_at
+       FROM messages m
+       LEFT JOIN id_mappings i ON i.unique_id = m.id
+       LEFT JOIN analyses a ON a.email_id = m.id
+       WHERE m.id = ?`
+    )
+    .get(id);
+
+  return row ? rowToEmail(row) : null;
+}
+
+/**
+ * Replace the cached message set, keeping analyses for messages that remain
+ * @param {Array} emails Complete list of emails to cache
+ * @returns {Promise<void>}
+ */
+async function replaceEmails(emails) {
+  const db = await getDatabase();
+  const upsert = db.prepare(`
+    INSERT INTO messages
+      (id, thread_id, subject, from_addr, to_addr, date, snippet, body,
+       label_ids, is_unread, data, updated_at)
+    VALUES
+      (@id, @thread_id, @subject, @from_addr, @to_addr, @date, @snippet,
+       @body, @label_ids, @is_unread, @data, @updated_at)
+    ON CONFLICT(id) DO UPDATE SET
+      thread_id = excluded.thread_id,
+      subject = excluded.subject,
+      from_addr = excluded.from_addr,
+      to_addr = excluded.to_addr,
+      date = excluded.date,
+      snippet = excluded.snippet,
+      body = excluded.body,
+      label_ids = excluded.label_ids,
+      is_unread = excluded.is_unread,
+      data = excluded.data,
+      updated_at = excluded.updated_at
+  `);
+
+  db.transaction(() => {
+    db.exec("CREATE TEMP TABLE IF NOT EXISTS keep_ids (id TEXT PRIMARY KEY)");
+    db.exec("DELETE FROM keep_ids");
+    const keep = db.prepare("INSERT OR IGNORE INTO keep_ids (id) VALUES (?)");
+
+    emails.forEach((email) => {
+      upsert.run(emailToRow(email));
+      keep.run(email.id);
+    });
+
+    db.exec("DELETE FROM messages WHERE id NOT IN (SELECT id FROM keep_ids)");
+    db.exec(
+      "DELETE FROM analyses WHERE email_id NOT IN (SELECT id FROM messages)"
+    );
+    db.exec("DELETE FROM tags WHERE email_id NOT IN (SELECT id FROM messages)");
+    db.exec(
+      "DELETE FROM embeddings WHERE email_id NOT IN (SELECT id FROM messages)"
+    );
+  })();
+}
+
+/**
+ * Insert or update the analysis row for an email
+ * @param {Database} db Database connection
+ * @param {Object} email Analyzed email object
+ */
+function upsertAnalysisRow(db, email) {
+  const classification = email.classification || {};
+  db.prepare(
+    `INSERT OR REPLACE INTO analyses
+       (email_id, priority, type, action_required, classification, summary,
+        suggested_response, analyzed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    email.id,
+    classification.priority || null,
+    classification.type || null,
+    classification.actionRequired ? 1 : 0,
+    JSON.stringify(classification),
+    JSON.stringify(email.summary || {}),
+    email.suggestedResponse || null,
+    Date.now()
+  );
+}
+
+/**
+ * Save analysis results for emails
+ * @param {Array} analyzedEmails Emails with classification, summary and suggestedResponse
+ * @returns {Promise<void>}
+ */
+async function saveAnalyses(analyzedEmails) {
+  const db = await getDatabase();
+  db.transaction(() => {
+    analyzedEmails
+      .filter((email) => email && email.id && email.classification)
+      .forEach((email) => upsertAnalysisRow(db, email));
+  })();
+}
+
+/**
+ * Load stored analyses keyed by email ID
+ * @param {Array} emailIds Email IDs to look up (all when omitted)
+ * @returns {Promise<Object>} Map of email ID to analysis fields
+ */
+async function loadAnalyses(emailIds = null) {
+  const db = await getDatabase();
+  const rows = db.prepare("SELECT * FROM analyses").all();
+  const wanted = emailIds ? new Set(emailIds) : null;
+  const analyses = {};
+
+  rows
+    .filter((row) => !wanted || wanted.has(row.email_id))
+    .forEach((row) => {
+      analyses[row.email_id] = {
+        classification: parseJson(row.classification, {}),
+        summary: parseJson(row.summary, {}),
+        suggestedResponse: row.suggested_response,
+        analyzedAt: new Date(row.analyzed_at),
+      };
+    });
+
+  return analyses;
+}
+
+/**
+ * Replace the tags of an email from a given source
+ * @param {string} emailId Email ID
+ * @param {Array} tags Tag names
+ * @param {Object} options Tag options
+ * @param {string} options.source Where the tags came from (e.g. "ai", "user")
+ * @param {number} options.confidence Confidence score (0-100)
+ * @returns {Promise<void>}
+ */
+async function saveTags(emailId, tags, options = {}) {
+  const db = await getDatabase();
+  const source = options.source || "user";
+
+  db.transaction(() => {
+    db.prepare("DELETE FROM tags WHERE email_id = ? AND source = ?").run(
+      emailId,
+      source
+    );
+    const insert = db.prepare(
+      `INSERT OR REPLACE INTO tags (email_id, tag, source, confidence, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    );
+    tags.forEach((tag) =>
+      insert.run(emailId, tag, source, options.confidence ?? null, Date.now())
+    );
+  })();
+}
+
+/**
+ * Load tags grouped by email ID
+ * @returns {Promise<Object>} Map of email ID to array of tag names
+ */
+async function loadTags() {
+  const db = await getDatabase();
+  const tagsByEmail = {};
+
+  db.prepare("SELECT email_id, tag FROM tags ORDER BY tag")
+    .all()
+    .forEach((row) => {
+      (tagsByEmail[row.email_id] = tagsByEmail[row.email_id] || []).push(
+        row.tag
+      );
+    });
+
+  return tagsByEmail;
+}
+
+/**
+ * Load the email index mapping
+ * @returns {Promise<Object>} Mapping with indexToId, idToIndex and nextIndex
+ */
+async function loadIdMapping() {
+  const db = await getDatabase();
+  const mapping = { indexToId: {}, idToIndex: {}, nextIndex: 1 };
+
+  db.prepare("SELECT unique_id, idx FROM id_mappings")
+    .all()
+    .forEach((row) => {
+      mapping.indexToId[row.idx] = row.unique_id;
+      mapping.idToIndex[row.unique_id] = row.idx;
+      mapping.nextIndex = Math.max(mapping.nextIndex, row.idx + 1);
+    });
+
+  return mapping;
+}
+
+/**
+ * Save the email index mapping
+ * @param {Object} mapping Mapping with an idToIndex object
+ * @returns {Promise<void>}
+ */
+async function saveIdMapping(mapping) {
+  const db = await getDatabase();
+  const insert = db.prepare(
+    "INSERT OR REPLACE INTO id_mappings (unique_id, idx) VALUES (?, ?)"
+  );
+
+  db.transaction(() => {
+    Object.entries(mapping.idToIndex).forEach(([uniqueId, index]) =>
+      insert.run(uniqueId, index)
+    );
+  })();
+}
+
+/**
+ * Read a metadata value
+ * @param {string} key Metadata key
+ * @param {*} defaultValue Value returned when the key is not set
+ * @returns {Promise<*>} Stored value
+ */
+async function getMeta(key, defaultValue = null) {
+  const db = await getDatabase();
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? parseJson(row.value, defaultValue) : defaultValue;
+}
+
+/**
+ * Write a metadata value
+ * @param {string} key Metadata key
+ * @param {*} value JSON-serializable value
+ * @returns {Promise<void>}
+ */
+async function setMeta(key, value) {
+  const db = await getDatabase();
+  db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)").run(
+    key,
+    JSON.stringify(value)
+  );
+}
+
+/**
+ * Add one AI request to the usage ledger
+ * @param {Object} entry Usage entry
+ * @param {string} entry.day Local date (YYYY-MM-DD)
+ * @param {string} entry.command CLI command that made the request
+ * @param {string} entry.provider AI provider name
+ * @param {string} entry.model Model name
+ * @param {number} entry.promptTokens Prompt tokens used
+ * @param {number} entry.responseTokens Response tokens used
+ * @param {boolean} entry.retry Whether the request was a retry
+ * @param {boolean} entry.error Whether the request failed
+ * @returns {Promise<void>}
+ */
+async function recordAIUsage(entry) {
+  const db = await getDatabase();
+  db.prepare(
+    `INSERT INTO ai_usage
+       (day, command, provider, model, calls, retries, errors, prompt_tokens,
+        response_tokens)
+     VALUES (@day, @command, @provider, @model, 1, @retries, @errors,
+             @prompt_tokens, @response_tokens)
+     ON CONFLICT(day, command, provider, model) DO UPDATE SET
+       calls = calls + 1,
+       retries = retries + excluded.retries,
+       errors = errors + excluded.errors,
+       prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+       response_tokens = response_tokens + excluded.response_tokens`
+  ).run({
+    day: entry.day,
+    command: entry.command,
+    provider: entry.provider,
+    model: entry.model,
+    retries: entry.retry ? 1 : 0,
+    errors: entry.error ? 1 : 0,
+    prompt_tokens: entry.promptTokens || 0,
+    response_tokens: entry.responseTokens || 0,
+  });
+}
+
+/**
+ * Load AI usage ledger rows
+ * @param {Object} options Query options
+ * @param {string} options.since First local date to include (YYYY-MM-DD)
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Usage rows ordered by day
+ */
+async function loadAIUsage(options = {}) {
+  const db = await getDatabase(options.account);
+  return db
+    .prepare(
+      `SELECT day, command, provider, model, calls, retries, errors,
+              prompt_tokens AS promptTokens, response_tokens AS responseTokens
+       FROM ai_usage
+       WHERE day >= ?
+       ORDER BY day, command, model`
+    )
+    .all(options.since || "");
+}
+
+/**
+ * Add the redactions made in one prompt to the audit
+ * Only counts are stored, never the redacted values.
+ * @param {Object} entry Audit entry
+ * @param {string} entry.day Local date (YYYY-MM-DD)
+ * @param {string} entry.command CLI command that sent the prompt
+ * @param {Object} entry.counts Number of redacted values keyed by PII type
+ * @returns {Promise<void>}
+ */
+async function recordRedactions(entry) {
+  const db = await getDatabase();
+  const upsert = db.prepare(
+    `INSERT INTO redaction_audit (day, command, type, prompts, redacted)
+     VALUES (?, ?, ?, 1, ?)
+     ON CONFLICT(day, command, type) DO UPDATE SET
+       prompts = prompts + 1,
+       redacted = redacted + excluded.redacted`
+  );
+
+  db.transaction(() => {
+    Object.entries(entry.counts).forEach(([type, count]) =>
+      upsert.run(entry.day, entry.command, type, count)
+    );
+  })();
+}
+
+/**
+ * Load redaction audit rows
+ * @param {Object} options Query options
+ * @param {string} options.since First local date to include (YYYY-MM-DD)
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Audit rows with day, command, type, prompts and redacted
+ */
+async function loadRedactionAudit(options = {}) {
+  const db = await getDatabase(options.account);
+  return db
+    .prepare(
+      `SELECT day, command, type, prompts, redacted
+       FROM redaction_audit
+       WHERE day >= ?
+       ORDER BY day, command, type`
+    )
+    .all(options.since || "");
+}
+
+/**
+ * Record a user correction of an email's classification
+ * Correcting an email again updates the corrected fields but keeps the
+ * original prediction, so accuracy is measured against the classifier.
+ * @param {Object} correction Correction entry
+ * @param {string} correction.emailId Email ID
+ * @param {string} correction.sender Sender address
+ * @param {string} correction.subject Email subject
+ * @param {string} correction.snippet Email snippet
+ * @param {string} correction.predictedPriority Priority before the correction
+ * @param {string} correction.predictedType Type before the correction
+ * @param {string} correction.priority Corrected priority (null to leave as is)
+ * @param {string} correction.type Corrected type (null to leave as is)
+ * @returns {Promise<void>}
+ */
+async function recordClassificationCorrection(correction) {
+  const db = await getDatabase();
+  db.prepare(
+    `INSERT INTO classification_corrections
+       (email_id, sender, subject, snippet, predicted_priority, predicted_type,
+        priority, type, corrected_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(email_id) DO UPDATE SET
+       priority = COALESCE(excluded.priority, priority),
+       type = COALESCE(excluded.type, type),
+       corrected_at = excluded.corrected_at`
+  ).run(
+    correction.emailId,
+    correction.sender,
+    correction.subject || null,
+    correction.snippet || null,
+    correction.predictedPriority || null,
+    correction.predictedType || null,
+    correction.priority || null,
+    correction.type || null,
+    Date.now()
+  );
+}
+
+/**
+ * Load classification corrections, most recent first
+ * @param {Object} options Query options
+ * @param {number} options.since Only include corrections made after this time (ms)
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Corrections
+ */
+async function loadClassificationCorrections(options = {}) {
+  const db = await getDatabase(options.account);
+  return db
+    .prepare(
+      `SELECT email_id AS emailId, sender, subject, snippet,
+              predicted_priority AS predictedPriority,
+              predicted_type AS predictedType, priority, type,
+              corrected_at AS correctedAt
+       FROM classification_corrections
+       WHERE corrected_at >= ?
+       ORDER BY corrected_at DESC`
+    )
+    .all(options.since || 0);
+}
+
+/**
+ * Look up cached AI results and mark them as used
+ * @param {Array} keys Cache keys
+ * @param {Object} options Lookup options
+ * @param {number} options.createdAfter Ignore entries created before this time (ms)
+ * @returns {Promise<Map>} Cached results keyed by cache key
+ */
+async function getCachedAIResults(keys, options = {}) {
+  const db = await getDatabase();
+  const select = db.prepare(
+    "SELECT result FROM ai_cache WHERE cache_key = ? AND created_at >= ?"
+  );
+  const touch = db.prepare(
+    "UPDATE ai_cache SET hits = hits + 1, last_used_at = ? WHERE cache_key = ?"
+  );
+  const results = new Map();
+  const now = Date.now();
+
+  db.transaction(() => {
+    keys.forEach((key) => {
+      const row = select.get(key, options.createdAfter || 0);
+      if (row) {
+        results.set(key, parseJson(row.result, null));
+        touch.run(now, key);
+      }
+    });
+  })();
+
+  return results;
+}
+
+/**
+ * Save AI results to the cache
+ * @param {Array} entries Entries with key, task, model, promptVersion and result
+ * @returns {Promise<void>}
+ */
+async function saveCachedAIResults(entries) {
+  const db = await getDatabase();
+  const upsert = db.prepare(
+    `INSERT OR REPLACE INTO ai_cache
+       (cache_key, task, model, prompt_version, result, created_at,
+        last_used_at, hits)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 0)`
+  );
+  const now = Date.now();
+
+  db.transaction(() => {
+    entries.forEach((entry) =>
+      upsert.run(
+        entry.key,
+        entry.task,
+        entry.model,
+        entry.promptVersion,
+        JSON.stringify(entry.result),
+        now,
+        now
+      )
+    );
+  })();
+}
+
+/**
+ * Get the content hash each email was embedded from
+ * @param {string} model Embedding model
+ * @returns {Promise<Map>} Content hashes keyed by email ID
+ */
+async function loadEmbeddingHashes(model) {
+  const db = await getDatabase();
+  const rows = db
+    .prepare(
+      "SELECT DISTINCT email_id, content_hash FROM embeddings WHERE model = ?"
+    )
+    .all(model);
+  return new Map(rows.map((row) => [row.email_id, row.content_hash]));
+}
+
+/**
+ * Save the embedded passages of emails, replacing any earlier ones
+ * Vectors are stored as little-endian 32-bit floats.
+ * @param {Array} entries Entries with emailId, model, contentHash and passages ({ text, vector })
+ * @returns {Promise<void>}
+ */
+async function saveEmbeddings(entries) {
+  const db = await getDatabase();
+  const remove = db.prepare(
+    "DELETE FROM embeddings WHERE email_id = ? AND model = ?"
+  );
+  const insert = db.prepare(
+    `INSERT INTO embeddings
+       (email_id, model, passage, content_hash, text, vector, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  const now = Date.now();
+
+  db.transaction(() => {
+    entries.forEach((entry) => {
+      remove.run(entry.emailId, entry.model);
+      entry.passages.forEach((passage, index) =>
+        insert.run(
+          entry.emailId,
+          entry.model,
+          index,
+          entry.contentHash,
+          passage.text,
+          Buffer.from(Float32Array.from(passage.vector).buffer),
+          now
+        )
+      );
+    });
+  })();
+}
+
+/**
+ * Load the embedded passages of every email
+ * @param {string} model Embedding model
+ * @returns {Promise<Array>} Passages with emailId, passage, text and vector (Float32Array)
+ */
+async function loadEmbeddings(model) {
+  const db = await getDatabase();
+  return db
+    .prepare(
+      `SELECT email_id, passage, text, vector FROM embeddings
+       WHERE model = ?
+       ORDER BY email_id, passage`
+    )
+    .all(model)
+    .map((row) => ({
+      emailId: row.email_id,
+      passage: row.passage,
+      text: row.text,
+      // Copy so the floats are aligned regardless of the buffer's offset
+      vector: new Float32Array(new Uint8Array(row.vector).buffer),
+    }));
+}
+
+/**
+ * Delete embeddings made with other models
+ * @param {string} model Embedding model to keep
+ * @returns {Promise<number>} Number of deleted passages
+ */
+async function pruneEmbeddings(model) {
+  const db = await getDatabase();
+  const result = db
+    .prepare("DELETE FROM embeddings WHERE model != ?")
+    .run(model);
+  return result.changes;
+}
+
+/**
+ * Save a search query under a name, replacing any search with that name
+ * @param {string} name Search name
+ * @param {string} query Search query
+ * @returns {Promise<void>}
+ */
+async function saveSearch(name, query) {
+  const db = await getDatabase();
+  db.prepare(
+    `INSERT INTO saved_searches (name, query, created_at)
+     VALUES (?, ?, ?)
+     ON CONFLICT(name) DO UPDATE SET
+       query = excluded.query,
+       created_at = excluded.created_at`
+  ).run(name, query, Date.now());
+}
+
+/**
+ * Load saved searches
+ * @param {Object} options Query options
+ * @param {string} options.name Only load the search with this name
+ * @returns {Promise<Array>} Saved searches with name, query, createdAt, lastRunAt and runs
+ */
+async function loadSavedSearches(options = {}) {
+  const db = await getDatabase();
+  return db
+    .prepare(
+      `SELECT name, query, created_at AS createdAt, last_run_at AS lastRunAt,
+              runs
+       FROM saved_searches
+       WHERE ? IS NULL OR name = ?
+       ORDER BY name`
+    )
+    .all(options.name ?? null, options.name ?? null);
+}
+
+/**
+ * Record that a saved search was run
+ * @param {string} name Search name
+ * @returns {Promise<void>}
+ */
+async function recordSearchRun(name) {
+  const db = await getDatabase();
+  db.prepare(
+    "UPDATE saved_searches SET runs = runs + 1, last_run_at = ? WHERE name = ?"
+  ).run(Date.now(), name);
+}
+
+/**
+ * Delete a saved search
+ * @param {string} name Search name
+ * @returns {Promise<boolean>} True if a search was deleted
+ */
+async function deleteSavedSearch(name) {
+  const db = await getDatabase();
+  const result = db
+    .prepare("DELETE FROM saved_searches WHERE name = ?")
+    .run(name);
+  return result.changes > 0;
+}
+
+/**
+ * Save email sentiment results
+ * Rows are kept after their emails leave the cache, so trends cover more
+ * history than the inbox sync.
+ * @param {Array} entries Results with emailId, sender, day (YYYY-MM-DD of the email), sentiment, score, type and stressLevel
+ * @returns {Promise<void>}
+ */
+async function saveSentiments(entries) {
+  const db = await getDatabase();
+  const insert = db.prepare(
+    `INSERT OR REPLACE INTO sentiments
+       (email_id, sender, day, sentiment, score, type, stress_level,
+        analyzed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const now = Date.now();
+
+  db.transaction(() => {
+    entries.forEach((entry) =>
+      insert.run(
+        entry.emailId,
+        entry.sender || null,
+        entry.day,
+        entry.sentiment,
+        entry.score,
+        entry.type,
+        entry.stressLevel,
+        now
+      )
+    );
+  })();
+}
+
+/**
+ * Load sentiment results, oldest first
+ * @param {Object} options Query options
+ * @param {string} options.since Only include emails from this day on (YYYY-MM-DD)
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Results with emailId, sender, day, sentiment, score, type and stressLevel
+ */
+async function loadSentiments(options = {}) {
+  const db = await getDatabase(options.account);
+  return db
+    .prepare(
+      `SELECT email_id AS emailId, sender, day, sentiment, score, type,
+              stress_level AS stressLevel
+       FROM sentiments
+       WHERE day >= ?
+       ORDER BY day, email_id`
+    )
+    .all(options.since || "");
+}
+
+/**
+ * Mark a thread's follow-up as done
+ * @param {string} threadId Gmail thread ID
+ * @param {string} lastMessageId ID of the thread's last message when it was marked
+ * @returns {Promise<void>}
+ */
+async function markFollowUpDone(threadId, lastMessageId) {
+  const db = await getDatabase();
+  db.prepare(
+    `INSERT OR REPLACE INTO followups_done (thread_id, last_message_id, done_at)
+     VALUES (?, ?, ?)`
+  ).run(threadId, lastMessageId, Date.now());
+}
+
+/**
+ * Load threads whose follow-ups were marked as done
+ * @returns {Promise<Map>} Last message ID at the time, keyed by thread ID
+ */
+async function loadCompletedFollowUps() {
+  const db = await getDatabase();
+  return new Map(
+    db
+      .prepare("SELECT thread_id, last_message_id FROM followups_done")
+      .all()
+      .map((row) => [row.thread_id, row.last_message_id])
+  );
+}
+
+/**
+ * Save conversation threads, replacing their stored messages
+ * A thread's summary is kept until a new one is saved, so it stays
+ * available offline; its summarized message count tells whether it is
+ * out of date.
+ * @param {Array} threads Threads with id, historyId and messages
+ * @returns {Promise<void>}
+ */
+async function saveThreads(threads) {
+  const db = await getDatabase();
+  const upsert = db.prepare(
+    `INSERT INTO threads (thread_id, history_id, messages, updated_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(thread_id) DO UPDATE SET
+       history_id = excluded.history_id,
+       messages = excluded.messages,
+       updated_at = excluded.updated_at`
+  );
+  const now = Date.now();
+
+  db.transaction(() => {
+    threads.forEach((thread) =>
+      upsert.run(
+        thread.id,
+        thread.historyId || null,
+        JSON.stringify(
+          thread.messages.map(({ raw, inlineParts, ...message }) => message)
+        ),
+        now
+      )
+    );
+  })();
+}
+
+/**
+ * Load stored conversation threads
+ * @param {Array|null} threadIds Thread IDs to load, or null for all
+ * @returns {Promise<Map>} Threads (id, historyId, messages oldest first, summary, summarizedCount, updatedAt) keyed by thread ID
+ */
+async function loadThreads(threadIds = null) {
+  const db = await getDatabase();
+  const rows = db
+    .prepare(
+      `SELECT thread_id, history_id, messages, summary, summarized_count,
+              updated_at
+       FROM threads`
+    )
+    .all();
+  const wanted = threadIds ? new Set(threadIds.map(String)) : null;
+
+  return new Map(
+    rows
+      .filter((row) => !wanted || wanted.has(row.thread_id))
+      .map((row) => [
+        row.thread_id,
+        {
+          id: row.thread_id,
+          historyId: row.history_id,
+          messages: parseJson(row.messages, []).map((message) => ({
+            ...message,
+            date: message.date ? new Date(message.date) : null,
+          })),
+          summary: parseJson(row.summary, null),
+          summarizedCount: row.summarized_count,
+          updatedAt: row.updated_at,
+        },
+      ])
+  );
+}
+
+/**
+ * Save AI summaries of conversation threads
+ * @param {Array} entries Summaries with threadId, summary and messageCount (messages summarized)
+ * @returns {Promise<void>}
+ */
+async function saveThreadSummaries(entries) {
+  const db = await getDatabase();
+  const update = db.prepare(
+    "UPDATE threads SET summary = ?, summarized_count = ? WHERE thread_id = ?"
+  );
+
+  db.transaction(() => {
+    entries.forEach((entry) =>
+      update.run(
+        JSON.stringify(entry.summary),
+        entry.messageCount,
+        entry.threadId
+      )
+    );
+  })();
+}
+
+/**
+ * Delete threads that no cached email belongs to
+ * @param {Array} threadIds Thread IDs to keep
+ * @returns {Promise<number>} Number of deleted threads
+ */
+async function pruneThreads(threadIds) {
+  const db = await getDatabase();
+  const keep = new Set(threadIds.map(String));
+  const remove = db.prepare("DELETE FROM threads WHERE thread_id = ?");
+  let deleted = 0;
+
+  db.transaction(() => {
+    db.prepare("SELECT thread_id FROM threads")
+      .all()
+      .filter((row) => !keep.has(row.thread_id))
+      .forEach((row) => {
+        deleted += remove.run(row.thread_id).changes;
+      });
+  })();
+  return deleted;
+}
+
+/**
+ * Get AI cache statistics grouped by task, model and prompt version
+ * @param {Object} options Query options
+ * @param {Object} options.account Account to read (defaults to the current account)
+ * @returns {Promise<Array>} Rows with entry counts, hits, size and dates
+ */
+async function getAICacheStats(options = {}) {
+  const db = await getDatabase(options.account);
+  return db
+    .prepare(
+      `SELECT task, model, prompt_version AS promptVersion,
+              COUNT(*) AS entries, SUM(hits) AS hits,
+              SUM(LENGTH(result)) AS bytes,
+              MIN(created_at) AS oldest, MAX(last_used_at) AS lastUsed
+       FROM ai_cache
+       GROUP BY task, model, prompt_version
+       ORDER BY task, model, prompt_version`
+    )
+    .all();
+}
+
+/**
+ * Delete AI cache entries
+ * @param {Object} options Prune options
+ * @param {number} options.createdBefore Delete entries created before this time (ms)
+ * @param {Object} options.keep Delete entries not matching { task: { model, promptVersion } }
+ * @param {boolean} options.all Delete every entry
+ * @param {Object} options.account Account to prune (defaults to the current account)
+ * @returns {Promise<number>} Number of deleted entries
+ */
+async function pruneAICache(options = {}) {
+  const db = await getDatabase(options.account);
+
+  if (options.all) {
+    return db.prepare("DELETE FROM ai_cache").run().changes;
+  }
+
+  let deleted = 0;
+  db.transaction(() => {
+    if (options.createdBefore) {
+      deleted += db
+        .prepare("DELETE FROM ai_cache WHERE created_at < ?")
+        .run(options.createdBefore).changes;
+    }
+    if (options.keep) {
+      const rows = db
+        .prepare("SELECT DISTINCT task, model, prompt_version FROM ai_cache")
+        .all();
+      const remove = db.prepare(
+        "DELETE FROM ai_cache WHERE task = ? AND model = ? AND prompt_version = ?"
+      );
+      rows.forEach((row) => {
+        const current = options.keep[row.task];
+        if (
+          !current ||
+          current.model !== row.model ||
+          current.promptVersion !== row.prompt_version
+        ) {
+          deleted += remove.run(
+            row.task,
+            row.model,
+            row.prompt_version
+          ).changes;
+        }
+      });
+    }
+  })();
+
+  return deleted;
+}
+
+module.exports = {
+  getDatabase,
+  closeStore,
+  loadEmails,
+  loadAnalyzedEmails,
+  loadAllAccountsEmails,
+  getEmail,
+  replaceEmails,
+  saveAnalyses,
+  loadAnalyses,
+  saveTags,
+  loadTags,
+  loadIdMapping,
+  saveIdMapping,
+  getMeta,
+  setMeta,
+  recordAIUsage,
+  loadAIUsage,
+  recordRedactions,
+  loadRedactionAudit,
+  recordClassificationCorrection,
+  loadClassificationCorrections,
+  getCachedAIResults,
+  saveCachedAIResults,
+  getAICacheStats,
+  pruneAICache,
+  loadEmbeddingHashes,
+  saveEmbeddings,
+  loadEmbeddings,
+  pruneEmbeddings,
+  saveSearch,
+  loadSavedSearches,
+  recordSearchRun,
+  deleteSavedSearch,
+  saveSentiments,
+  loadSentiments,
+  markFollowUpDone,
+  loadCompletedFollowUps,
+  saveThreads,
+  loadThreads,
+  saveThreadSummaries,
+  pruneThreads,
+};
@@ -2,6 +2,14 @@ const chalk = require("chalk");
 const Table = require("cli-table3");
 const notifier = require("node-notifier");
 const readline = require("readline");
+const {
+  getPriorityLevel,
+  isTopPriority,
+  countByPriority,
+} = require("../utils/taxonomyUtils");
+const { normalizeTerm } = require("../search/bm25");
+const { formatTrendLine, formatScore } = require("../utils/sentimentUtils");
+const { splitQuotedText } = require("../ai/promptBuilder");
 
 // Instagram-inspired color palette
 const instagramColors = {
@@ -32,16 +40,18 @@ const pinkGradient = (text) => chalk.hex(instagramColors.pink)(text);
 
 /**
  * Format priority with color and icon
+ * Colors follow the priority's position in the taxonomy: the first is red,
+ * the last green and any in between yellow.
  * @param {string} priority Email priority
  * @returns {string} Colored priority string with icon
  */
 function formatPriority(priority) {
-  switch (priority) {
-    case "Urgent":
+  switch (getPriorityLevel(priority)) {
+    case "high":
       return pinkGradient("🔴 " + priority);
-    case "Important":
+    case "medium":
       return chalk.hex(instagramColors.orange).bold("🟡 " + priority);
-    case "Normal":
+    case "low":
       return chalk.hex(instagramColors.blue)("🟢 " + priority);
     default:
       return chalk.gray(priority);
@@ -295,8 +305,9 @@ async function showLoading(message, duration = 1500) {
  * @param {Object} email Analyzed email object
  * @param {number} index Email index number
  * @param {string} uniqueId Email unique identifier
+ * @param {Object|null} thread Stored thread the email belongs to, if any
  */
-function displayEmail(email, index, uniqueId) {
+function displayEmail(email, index, uniqueId, thread = null) {
   const emailRef =
     index && uniqueId
       ? ` (#${index} | ID: ${uniqueId.substring(0, 8)}...)`
@@ -321,12 +332,30 @@ function displayEmail(email, index, uniqueId) {
     );
   }
 
+  // Point to the conversation when the email is part of one
+  if (thread && thread.messages.length > 1) {
+    console.log(
+      `🔹 ${chalk.dim("Thread:")} ${
+        thread.messages.length
+      } messages (${chalk.cyan(
+        `emailmaster thread ${index || email.threadId}`
+      )})`
+    );
+  }
+
   // Only show classification if it exists (analyzed emails)
   if (email.classification && email.classification.priority) {
+    const correctedBy = email.classification.correctedBy;
     console.log(
       `🔹 ${chalk.dim("Priority:")} ${formatPriority(
         email.classification.priority
-      )}`
+      )}${
+        correctedBy
+          ? chalk.gray(
+              correctedBy === "user" ? " (corrected)" : " (sender rule)"
+            )
+          : ""
+      }`
     );
 
     console.log(createSeparator());
@@ -415,6 +444,12 @@ function displayEmail(email, index, uniqueId) {
 
   console.log(createSeparator());
 
+  // Earlier messages of the conversation, summarized
+  if (thread && thread.summary) {
+    displayThreadSummary(thread);
+    console.log(createSeparator());
+  }
+
   // Suggested response
   if (email.suggestedResponse && email.suggestedResponse !== "undefined") {
     console.log(createSectionTitle("Suggested Response:"));
@@ -433,6 +468,111 @@ function displayEmail(email, index, uniqueId) {
   }
 }
 
+/**
+ * Display the AI summary of a conversation thread
+ * @param {Object} thread Stored thread with summary and summarizedCount
+ */
+function displayThreadSummary(thread) {
+  const summary = thread.summary;
+  console.log(createSectionTitle("Thread Summary:"));
+  if (thread.summarizedCount < thread.messages.length) {
+    console.log(
+      chalk.gray(
+        `Covers the first ${thread.summarizedCount} of ${thread.messages.length} messages.`
+      )
+    );
+  }
+  summary.summary.forEach((point) => {
+    console.log(`${chalk.blue(">")} ${point}`);
+  });
+
+  [
+    ["Decisions:", summary.decisions, chalk.green("✓")],
+    ["Open Questions:", summary.openQuestions, chalk.yellow("?")],
+    [
+      "Who Owes What:",
+      summary.owes.map(({ who, what }) => `${chalk.cyan(who)}: ${what}`),
+      chalk.magenta("•"),
+    ],
+  ]
+    .filter(([, items]) => items.length > 0)
+    .forEach(([title, items, bullet]) => {
+      console.log("\n" + createSectionTitle(title));
+      items.forEach((item) => {
+        console.log(`${bullet} ${item}`);
+      });
+    });
+}
+
+/**
+ * Display a conversation thread, oldest message first
+ * Quoted history in each message is collapsed unless options.full is set.
+ * @param {Object} thread Thread with id, messages and, once analyzed, summary
+ * @param {Object} options Display options
+ * @param {boolean} options.full Show quoted text
+ * @param {Map} options.indexes Email numbers keyed by message ID, for cached emails
+ */
+function displayThread(thread, options = {}) {
+  const indexes = options.indexes || new Map();
+  const messages = thread.messages;
+  console.log(
+    createTitleBox(`🧵 Thread: ${messages[0].subject || "No Subject"}`)
+  );
+
+  console.log(`🔹 ${chalk.dim("Messages:")} ${messages.length}`);
+  console.log(
+    `🔹 ${chalk.dim("Participants:")} ${[
+      ...new Set(messages.map((message) => message.from)),
+    ].join(", ")}`
+  );
+  console.log(`🔹 ${chalk.dim("Thread ID:")} ${chalk.cyan(thread.id)}`);
+  console.log(createSeparator());
+
+  let collapsed = false;
+  messages.forEach((message, position) => {
+    const index = indexes.get(message.id);
+    console.log(
+      chalk.cyan.bold(`${position + 1}. ${message.from}`) +
+        ((message.labelIds || []).includes("SENT")
+          ? chalk.green(" (you)")
+          : "") +
+        chalk.gray(
+          ` · ${message.date ? message.date.toLocaleString() : "Unknown date"}`
+        ) +
+        (index ? chalk.gray(` · #${index}`) : "")
+    );
+
+    const { text, quotedLines } = options.full
+      ? { text: (message.body || "").trim(), quotedLines: 0 }
+      : splitQuotedText(message.body);
+    console.log(text || chalk.italic(message.snippet || "(no text)"));
+    if (quotedLines > 0) {
+      console.log(chalk.gray(`… ${quotedLines} quoted lines hidden`));
+      collapsed = true;
+    }
+
+    if (message.attachments && message.attachments.length > 0) {
+      console.log(
+        chalk.gray(
+          `📎 ${message.attachments
+            .map((attachment) => attachment.filename)
+            .join(", ")}`
+        )
+      );
+    }
+    console.log(createSeparator());
+  });
+
+  if (thread.summary) {
+    displayThreadSummary(thread);
+    console.log(createSeparator());
+  }
+
+  if (collapsed) {
+    console.log(chalk.gray("Add --full to show quoted text."));
+  }
+}
+
 /**
  * Display dashboard of analyzed emails
  * @param {Array} emails Array of analyzed emails
@@ -440,9 +580,13 @@ function displayEmail(email, index, uniqueId) {
 function displayDashboard(emails) {
   console.log(createTitleBox("📊 Inbox Health Dashboard"));
 
+  // Emails from the unified multi-account view carry their account name
+  const showAccount = emails.some((email) => email.account);
+
   // Create table for email summary
   const table = new Table({
     head: [
+      ...(showAccount ? [chalk.bold("Account")] : []),
       chalk.bold("Priority"),
       chalk.bold("Subject"),
       chalk.bold("From"),
@@ -458,6 +602,7 @@ function displayDashboard(emails) {
   // Add emails to table
   emails.forEach((email) => {
     table.push([
+      ...(showAccount ? [chalk.magenta(email.account)] : []),
       formatPriority(email.classification.priority),
       email.subject.length > 27
         ? email.subject.substring(0, 24) + "..."
@@ -473,21 +618,779 @@ function displayDashboard(emails) {
   console.log(table.toString());
 
   // Display counts by priority
-  const priorityCounts = {
-    Urgent: 0,
-    Important: 0,
-    Normal: 0,
+  console.log("\n" + createSectionTitle("Email Counts:"));
+  displayPriorityCounts(countByPriority(emails));
+  console.log(`${chalk.blue("Total:")} ${emails.length}`);
+
+  if (showAccount) {
+    const accountCounts = {};
+    emails.forEach((email) => {
+      accountCounts[email.account] = (accountCounts[email.account] || 0) + 1;
+    });
+
+    console.log("\n" + createSectionTitle("Emails by Account:"));
+    Object.entries(accountCounts).forEach(([account, count]) => {
+      console.log(`${chalk.magenta(`${account}:`)} ${count}`);
+    });
+  }
+}
+
+/**
+ * Display the AI usage and cost report
+ * @param {Object} report Usage report from buildUsageReport
+ * @param {Object} options Display options
+ * @param {number} options.days Number of days covered
+ * @param {Object} options.today Today's calls and tokens for the current account
+ * @param {Object} options.budgets Daily token and call budgets (if configured)
+ */
+function displayAIUsageReport(report, options = {}) {
+  console.log(createTitleBox("🤖 AI Usage Report"));
+  console.log(`${chalk.dim("Period:")} last ${options.days} days`);
+
+  if (report.totals.calls === 0) {
+    console.log(chalk.yellow("\nNo AI requests recorded in this period."));
+    return;
+  }
+
+  const formatCost = (usage) =>
+    usage.unpriced && usage.cost === 0
+      ? chalk.gray("n/a")
+      : `$${usage.cost.toFixed(4)}${usage.unpriced ? "*" : ""}`;
+
+  // One table per breakdown, with the same usage columns
+  const printTable = (title, label, entries) => {
+    const table = new Table({
+      head: [
+        chalk.bold(label),
+        chalk.bold("Requests"),
+        chalk.bold("Retries"),
+        chalk.bold("Errors"),
+        chalk.bold("Prompt Tokens"),
+        chalk.bold("Response Tokens"),
+        chalk.bold("Est. Cost"),
+      ],
+      style: {
+        head: [], // Disable colors in header
+        border: [], // Disable colors for borders
+      },
+    });
+
+    entries.forEach((usage) => {
+      table.push([
+        usage.key,
+        usage.calls,
+        usage.retries,
+        usage.errors > 0 ? chalk.red(usage.errors) : 0,
+        usage.promptTokens.toLocaleString(),
+        usage.responseTokens.toLocaleString(),
+        formatCost(usage),
+      ]);
+    });
+
+    console.log("\n" + createSectionTitle(title));
+    console.log(table.toString());
   };
 
-  emails.forEach((email) => {
-    priorityCounts[email.classification.priority]++;
+  printTable("Usage by Day:", "Day", report.byDay);
+  printTable("Usage by Command:", "Command", report.byCommand);
+  printTable("Usage by Model:", "Model", report.byModel);
+  if (report.byAccount.length > 1) {
+    printTable("Usage by Account:", "Account", report.byAccount);
+  }
+
+  const { totals } = report;
+  console.log("\n" + createSectionTitle("Totals:"));
+  console.log(`${chalk.blue("Requests:")} ${totals.calls}`);
+  console.log(
+    `${chalk.blue("Tokens:")} ${(
+      totals.promptTokens + totals.responseTokens
+    ).toLocaleString()}`
+  );
+  console.log(`${chalk.blue("Estimated Cost:")} ${formatCost(totals)}`);
+  if (totals.unpriced) {
+    console.log(
+      chalk.gray(
+        "* Some models have no known price. Add them to aiPricing in config.json."
+      )
+    );
+  }
+
+  const { budgets = {}, today } = options;
+  if (today && (budgets.tokens || budgets.calls)) {
+    console.log("\n" + createSectionTitle("Today's Budget:"));
+    if (budgets.tokens) {
+      console.log(
+        `${chalk.blue(
+          "Tokens:"
+        )} ${today.tokens.toLocaleString()} / ${budgets.tokens.toLocaleString()}`
+      );
+    }
+    if (budgets.calls) {
+      console.log(
+        `${chalk.blue("Requests:")} ${today.calls} / ${budgets.calls}`
+      );
+    }
+  }
+}
+
+/**
+ * Display classifier accuracy against the correction history
+ * @param {Object} report Accuracy report from buildAccuracyReport
+ * @param {Object} options Display options
+ * @param {number} options.days Number of days included, or null for all
+ */
+function displayAccuracyReport(report, options = {}) {
+  console.log(createTitleBox("🎯 Classification Accuracy"));
+  console.log(
+    `${chalk.dim("Period:")} ${
+      options.days ? `last ${options.days} days` : "all corrections"
+    }`
+  );
+
+  if (report.corrections === 0) {
+    console.log(
+      chalk.yellow(
+        '\nNo corrections recorded. Use "emailmaster classify <number> --priority <priority>" to correct an email.'
+      )
+    );
+    return;
+  }
+
+  // Format accuracy as "87.5% (7 of 8)"
+  const formatAccuracy = (measure) => {
+    if (measure.accuracy === null) {
+      return chalk.gray("no data");
+    }
+    const percent = `${(measure.accuracy * 100).toFixed(1)}%`;
+    const color =
+      measure.accuracy >= 0.8
+        ? chalk.green
+        : measure.accuracy >= 0.5
+        ? chalk.yellow
+        : chalk.red;
+    return `${color(percent)} (${measure.correct} of ${measure.total})`;
+  };
+
+  console.log(`${chalk.dim("Corrections:")} ${report.corrections}`);
+  console.log(
+    `${chalk.blue("Priority accuracy:")} ${formatAccuracy(report.priority)}`
+  );
+  console.log(`${chalk.blue("Type accuracy:")} ${formatAccuracy(report.type)}`);
+
+  if (report.confusion.length > 0) {
+    console.log("\n" + createSectionTitle("Priority Mistakes:"));
+    const table = new Table({
+      head: [chalk.bold("Predicted → Corrected"), chalk.bold("Emails")],
+      style: {
+        head: [], // Disable colors in header
+        border: [], // Disable colors for borders
+      },
+    });
+    report.confusion.forEach((row) => table.push([row.key, row.count]));
+    console.log(table.toString());
+  }
+
+  console.log("\n" + createSectionTitle("Most Corrected Senders:"));
+  report.senders.slice(0, 5).forEach((row) => {
+    console.log(`${chalk.magenta(`${row.sender}:`)} ${row.count}`);
   });
+}
 
-  console.log("\n" + createSectionTitle("Email Counts:"));
-  console.log(`${chalk.red("Urgent:")} ${priorityCounts.Urgent}`);
-  console.log(`${chalk.yellow("Important:")} ${priorityCounts.Important}`);
-  console.log(`${chalk.green("Normal:")} ${priorityCounts.Normal}`);
-  console.log(`${chalk.blue("Total:")} ${emails.length}`);
+/**
+ * Display weekly mood trends, overall and per sender
+ * @param {Object} report Mood report from generateMoodTrendReport
+ * @param {Object} trends Weekly trends from buildMoodTrends
+ */
+function displayMoodTrends(report, trends) {
+  console.log(createTitleBox("😊 Inbox Mood"));
+  console.log(
+    `${chalk.dim("Period:")} ${trends.weeks.length} weeks since ${
+      trends.startDay
+    } (${report.totalEmails} emails)`
+  );
+
+  // Color a score by its sign
+  const colorScore = (score) => {
+    const text = formatScore(score);
+    if (score === null || Math.abs(score) < 0.1) {
+      return chalk.gray(text);
+    }
+    return score > 0 ? chalk.green(text) : chalk.red(text);
+  };
+  const formatStress = (stress) =>
+    stress === null ? chalk.gray("n/a") : `${stress.toFixed(1)}/10`;
+
+  console.log(
+    `${chalk.blue("Overall trend:")} ${
+      report.overallTrend
+    }, average ${colorScore(trends.overall.averageScore)}`
+  );
+  console.log(
+    `${chalk.blue("Stress level:")} ${report.stressCategory} (${formatStress(
+      trends.overall.averageStress
+    )})`
+  );
+
+  console.log("\n" + createSectionTitle("Week by Week:"));
+  console.log(
+    `${chalk.dim("Sentiment")}  ${formatTrendLine(
+      trends.weeks.map((week) => week.averageScore),
+      -1,
+      1
+    )}`
+  );
+  console.log(
+    `${chalk.dim("Stress   ")}  ${formatTrendLine(
+      trends.weeks.map((week) => week.averageStress),
+      0,
+      10
+    )}`
+  );
+  console.log(
+    chalk.gray(
+      `           One character per week, oldest first; "·" marks weeks without emails`
+    )
+  );
+
+  const { current, previous, earlier } = trends.comparison;
+  console.log("\n" + createSectionTitle("This Week Compared:"));
+  const comparison = new Table({
+    head: [
+      chalk.bold("Period"),
+      chalk.bold("Emails"),
+      chalk.bold("Avg Sentiment"),
+      chalk.bold("Avg Stress"),
+    ],
+    style: {
+      head: [], // Disable colors in header
+      border: [], // Disable colors for borders
+    },
+  });
+  [
+    ["This week", current],
+    ["Previous week", previous],
+    ["Earlier weeks", earlier],
+  ].forEach(([label, summary]) =>
+    comparison.push([
+      label,
+      summary.emails,
+      colorScore(summary.averageScore),
+      formatStress(summary.averageStress),
+    ])
+  );
+  console.log(comparison.toString());
+
+  if (trends.senders.length > 0) {
+    console.log("\n" + createSectionTitle("Senders:"));
+    const senders = new Table({
+      head: [
+        chalk.bold("Sender"),
+        chalk.bold("Emails"),
+        chalk.bold("Avg Sentiment"),
+        chalk.bold("Trend"),
+      ],
+      style: {
+        head: [], // Disable colors in header
+        border: [], // Disable colors for borders
+      },
+    });
+    trends.senders.forEach((sender) =>
+      senders.push([
+        sender.sender,
+        sender.emails,
+        colorScore(sender.averageScore),
+        formatTrendLine(
+          sender.weeks.map((week) => week.averageScore),
+          -1,
+          1
+        ),
+      ])
+    );
+    console.log(senders.toString());
+  }
+}
+
+/**
+ * Display open follow-ups in both directions, with nudges for overdue ones
+ * @param {Object} followUps Results from findFollowUps
+ * @param {Array} followUps.owed Threads waiting for your reply
+ * @param {Array} followUps.waiting Threads where you wait for a reply
+ */
+function displayFollowUps(followUps) {
+  const { owed, waiting } = followUps;
+
+  // Refer to a thread by its email number when cached, else its thread ID
+  const formatReference = (followUp) =>
+    followUp.email && followUp.email.assignedIndex
+      ? chalk.cyan(`#${followUp.email.assignedIndex}`)
+      : chalk.gray(followUp.threadId);
+  const formatDue = (followUp) => {
+    const due = followUp.dueDate.toLocaleDateString();
+    const text = followUp.overdue ? chalk.red(`${due} (overdue)`) : due;
+    return followUp.deadline
+      ? `${text}\n${chalk.yellow(followUp.deadline)}`
+      : text;
+  };
+  const shorten = (text, length) =>
+    text.length > length ? text.substring(0, length - 3) + "..." : text;
+
+  const sections = [
+    {
+      title: `Replies You Owe (${owed.length})`,
+      party: "From",
+      followUps: owed,
+      empty: "Nothing waiting for your reply.",
+      nudge: (followUp) =>
+        `Reply to ${followUp.counterpart} about "${followUp.subject}"`,
+    },
+    {
+      title: `Waiting on Others (${waiting.length})`,
+      party: "To",
+      followUps: waiting,
+      empty: "No sent emails waiting for a reply.",
+      nudge: (followUp) =>
+        `Nudge ${followUp.counterpart} about "${followUp.subject}"`,
+    },
+  ];
+
+  sections.forEach((section) => {
+    console.log("\n" + createSectionTitle(section.title));
+    if (section.followUps.length === 0) {
+      console.log(chalk.green(section.empty));
+      return;
+    }
+
+    const table = new Table({
+      head: [
+        chalk.bold("Thread"),
+        chalk.bold("Subject"),
+        chalk.bold(section.party),
+        chalk.bold("Age"),
+        chalk.bold("Due"),
+      ],
+      style: {
+        head: [], // Disable colors in header
+        border: [], // Disable colors for borders
+      },
+    });
+    section.followUps.forEach((followUp) =>
+      table.push([
+        formatReference(followUp),
+        shorten(followUp.subject, 30),
+        shorten(followUp.counterpart, 25),
+        `${followUp.ageDays}d`,
+        formatDue(followUp),
+      ])
+    );
+    console.log(table.toString());
+
+    section.followUps
+      .filter((followUp) => followUp.overdue)
+      .forEach((followUp) => {
+        console.log(
+          chalk.yellow(`🔔 ${section.nudge(followUp)}`) +
+            chalk.gray(` (${followUp.reason})`)
+        );
+        if (followUp.suggestedFollowUp) {
+          console.log(
+            chalk.gray(`   Suggested: ${followUp.suggestedFollowUp}`)
+          );
+        }
+      });
+  });
+
+  if (owed.length + waiting.length > 0) {
+    console.log(
+      chalk.gray(
+        '\nMark one as done with "emailmaster followups --mark-done <thread>".'
+      )
+    );
+  }
+}
+
+/**
+ * Highlight the words of a text that match query terms
+ * @param {string} text Text to highlight
+ * @param {Array} terms Normalised query terms
+ * @returns {string} Text with matching words highlighted
+ */
+function highlightTerms(text, terms) {
+  return text.replace(/[\p{L}\p{N}]+/gu, (word) =>
+    terms.includes(normalizeTerm(word)) ? chalk.yellow.bold(word) : word
+  );
+}
+
+/**
+ * Display ranked search results with their matching passages
+ * @param {Object} search Search result from searchEmails
+ * @param {string} search.method "semantic", "keyword" or "filter"
+ * @param {number} search.total Number of matching emails before the limit
+ * @param {Array} search.results Results with email, score, excerpt and terms
+ */
+function displaySearchResults(search) {
+  const methods = {
+    semantic: `Semantic search (${search.model}), scored by similarity`,
+    keyword: "Keyword search (BM25), scored by relevance",
+    filter: "Filtered search, newest first",
+  };
+  console.log(chalk.gray(methods[search.method]));
+
+  if (search.results.length === 0) {
+    console.log(chalk.yellow("No matching emails found."));
+    return;
+  }
+
+  console.log(
+    chalk.green(
+      search.total > search.results.length
+        ? `✓ Found ${search.total} matching emails, showing the first ${search.results.length}:`
+        : `✓ Found ${search.total} matching emails:`
+    )
+  );
+  search.results.forEach((result, index) => {
+    const { email } = result;
+    const score =
+      result.score === null
+        ? ""
+        : ` ${chalk.gray(`(score ${result.score.toFixed(2)})`)}`;
+    console.log(
+      `\n${chalk.bold(`#${index + 1}:`)} ${chalk.blue(email.subject)}${score}`
+    );
+    console.log(`${chalk.gray("Email:")} ${email.assignedIndex || email.id}`);
+    console.log(`${chalk.gray("From:")} ${email.from}`);
+    console.log(
+      `${chalk.gray("Date:")} ${new Date(email.date).toLocaleString()}`
+    );
+    if (result.excerpt) {
+      console.log(
+        `${chalk.gray("Match:")} ${highlightTerms(
+          result.excerpt,
+          result.terms
+        )}`
+      );
+    }
+  });
+}
+
+/**
+ * Display saved searches
+ * @param {Array} searches Saved searches with name, query, lastRunAt and runs
+ */
+function displaySavedSearches(searches) {
+  console.log(createTitleBox("🔖 Saved Searches"));
+
+  if (searches.length === 0) {
+    console.log(
+      chalk.yellow(
+        '\nNo saved searches. Use "emailmaster search <query> --save <name>" to save one.'
+      )
+    );
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.bold("Name"),
+      chalk.bold("Query"),
+      chalk.bold("Runs"),
+      chalk.bold("Last Run"),
+    ],
+    style: {
+      head: [], // Disable colors in header
+      border: [], // Disable colors for borders
+    },
+  });
+  searches.forEach((search) => {
+    table.push([
+      chalk.cyan(search.name),
+      search.query,
+      search.runs,
+      search.lastRunAt
+        ? new Date(search.lastRunAt).toLocaleDateString()
+        : chalk.gray("never"),
+    ]);
+  });
+  console.log(table.toString());
+  console.log(chalk.gray('\nRun one with "emailmaster search --run <name>".'));
+}
+
+/**
+ * Display auto-tagging results
+ * @param {Object} selection Results from selectConfidentTags
+ * @param {Array} selection.accepted Results at or above the confidence threshold
+ * @param {Array} selection.skipped Results below the confidence threshold
+ * @param {Object} options Display options
+ * @param {number} options.minConfidence Confidence threshold (0-100)
+ */
+function displayTagResults(selection, options = {}) {
+  const { accepted, skipped } = selection;
+  if (accepted.length === 0 && skipped.length === 0) {
+    console.log(chalk.yellow("\nNo tags suggested for these emails."));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.bold("Email"),
+      chalk.bold("Subject"),
+      chalk.bold("Tags"),
+      chalk.bold("Confidence"),
+    ],
+    style: {
+      head: [], // Disable colors in header
+      border: [], // Disable colors for borders
+    },
+  });
+  [...accepted, ...skipped].forEach(({ email, tags, confidence }) => {
+    const isAccepted = confidence >= options.minConfidence;
+    table.push([
+      chalk.cyan(`#${email.assignedIndex || "?"}`),
+      email.subject.length > 37
+        ? email.subject.substring(0, 34) + "..."
+        : email.subject,
+      isAccepted ? tags.join(", ") : chalk.gray(tags.join(", ")),
+      isAccepted ? formatConfidence(confidence) : chalk.gray(`${confidence}%`),
+    ]);
+  });
+  console.log(table.toString());
+
+  if (skipped.length > 0) {
+    console.log(
+      chalk.gray(
+        `${skipped.length} emails below ${options.minConfidence}% confidence are not tagged (greyed out).`
+      )
+    );
+  }
+}
+
+/**
+ * Display the PII redaction audit
+ * @param {Array} rows Audit rows with day, command, type, prompts and redacted
+ * @param {Object} options Display options
+ * @param {number} options.days Number of days included
+ * @param {boolean} options.enabled Whether redaction is currently enabled
+ */
+function displayRedactionReport(rows, options = {}) {
+  console.log(createTitleBox("🔒 PII Redaction Audit"));
+  console.log(`${chalk.dim("Period:")} last ${options.days} days`);
+  console.log(
+    `${chalk.dim("Redaction:")} ${
+      options.enabled ? chalk.green("enabled") : chalk.red("disabled")
+    }`
+  );
+
+  if (rows.length === 0) {
+    console.log(chalk.yellow("\nNo personal data redacted in this period."));
+    return;
+  }
+
+  const showAccount = rows.some((row) => row.account);
+  const table = new Table({
+    head: [
+      ...(showAccount ? [chalk.bold("Account")] : []),
+      chalk.bold("Day"),
+      chalk.bold("Command"),
+      chalk.bold("Type"),
+      chalk.bold("Prompts"),
+      chalk.bold("Redacted"),
+    ],
+    style: {
+      head: [], // Disable colors in header
+      border: [], // Disable colors for borders
+    },
+  });
+
+  const totals = {};
+  rows.forEach((row) => {
+    table.push([
+      ...(showAccount ? [row.account] : []),
+      row.day,
+      row.command,
+      row.type,
+      row.prompts,
+      row.redacted,
+    ]);
+    totals[row.type] = (totals[row.type] || 0) + row.redacted;
+  });
+
+  console.log(table.toString());
+  console.log("\n" + createSectionTitle("Totals by Type:"));
+  Object.entries(totals).forEach(([type, count]) => {
+    console.log(`${chalk.blue(`${type}:`)} ${count}`);
+  });
+  console.log(
+    chalk.gray("Only counts are kept; redacted values are never stored.")
+  );
+}
+
+/**
+ * Display AI result cache statistics
+ * @param {Array} rows Cache rows by task, model and prompt version
+ * @param {Object} options Display options
+ * @param {string} options.model Current provider and model name
+ * @param {number} options.maxAgeDays Days cached results are reused (0 for no limit)
+ */
+function displayAICacheStats(rows, options = {}) {
+  console.log(createTitleBox("💾 AI Result Cache"));
+  console.log(`${chalk.dim("Current model:")} ${options.model}`);
+  console.log(
+    `${chalk.dim("Results reused for:")} ${
+      options.maxAgeDays ? `${options.maxAgeDays} days` : "no limit"
+    }`
+  );
+
+  if (rows.length === 0) {
+    console.log(chalk.yellow("\nThe AI result cache is empty."));
+    return;
+  }
+
+  const showAccount = rows.some((row) => row.account);
+  const table = new Table({
+    head: [
+      ...(showAccount ? [chalk.bold("Account")] : []),
+      chalk.bold("Task"),
+      chalk.bold("Model"),
+      chalk.bold("Prompt"),
+      chalk.bold("Entries"),
+      chalk.bold("Hits"),
+      chalk.bold("Size"),
+      chalk.bold("Oldest"),
+      chalk.bold("Last Used"),
+    ],
+    style: {
+      head: [], // Disable colors in header
+      border: [], // Disable colors for borders
+    },
+  });
+
+  rows.forEach((row) => {
+    table.push([
+      ...(showAccount ? [row.account] : []),
+      row.task,
+      row.stale ? chalk.gray(row.model) : row.model,
+      row.stale
+        ? chalk.gray(`v${row.promptVersion}*`)
+        : `v${row.promptVersion}`,
+      row.entries,
+      row.hits,
+      `${(row.bytes / 1024).toFixed(1)} KB`,
+      new Date(row.oldest).toLocaleDateString(),
+      new Date(row.lastUsed).toLocaleDateString(),
+    ]);
+  });
+
+  console.log(table.toString());
+
+  const totals = rows.reduce(
+    (sum, row) => ({
+      entries: sum.entries + row.entries,
+      hits: sum.hits + row.hits,
+    }),
+    { entries: 0, hits: 0 }
+  );
+  console.log(
+    `${chalk.blue("Entries:")} ${totals.entries}  ${chalk.blue("Reused:")} ${
+      totals.hits
+    } times`
+  );
+  if (rows.some((row) => row.stale)) {
+    console.log(
+      chalk.gray(
+        '* From another model or prompt version. Remove with "emailmaster cache prune --stale".'
+      )
+    );
+  }
+}
+
+/**
+ * Display the classification taxonomy
+ * @param {Object} taxonomy Taxonomy with priorities, types and tags
+ * @param {Object} options Display options
+ * @param {string} options.path Taxonomy file path
+ * @param {boolean} options.custom Whether the taxonomy file exists
+ */
+function displayTaxonomy(taxonomy, options = {}) {
+  console.log(createTitleBox("📚 Classification Taxonomy"));
+  console.log(
+    `${chalk.dim("Source:")} ${
+      options.custom ? options.path : `built-in (create ${options.path})`
+    }`
+  );
+
+  const sections = [
+    ["Priorities (most urgent first)", taxonomy.priorities],
+    ["Types", taxonomy.types],
+    ["Tags", taxonomy.tags],
+  ];
+  sections.forEach(([title, categories]) => {
+    console.log("\n" + createSectionTitle(`${title}:`));
+    categories.forEach((category) => {
+      const name =
+        title === sections[0][0]
+          ? formatPriority(category.name)
+          : chalk.bold(category.name);
+      console.log(
+        category.description
+          ? `${name} ${chalk.dim(`- ${category.description}`)}`
+          : name
+      );
+      if (category.examples.length > 0) {
+        console.log(chalk.gray(`   e.g. ${category.examples.join("; ")}`));
+      }
+    });
+  });
+}
+
+/**
+ * Display prompt templates and where each is loaded from
+ * @param {Array} templates Templates with name, source, path and variables
+ * @param {Object} options Display options
+ * @param {string} options.promptDir Directory override files are read from
+ */
+function displayPromptTemplates(templates, options = {}) {
+  console.log(createTitleBox("📝 Prompt Templates"));
+  console.log(`${chalk.dim("Override directory:")} ${options.promptDir}`);
+
+  const table = new Table({
+    head: [
+      chalk.bold("Template"),
+      chalk.bold("Source"),
+      chalk.bold("Variables"),
+    ],
+    style: {
+      head: [], // Disable colors in header
+      border: [], // Disable colors for borders
+    },
+  });
+
+  templates.forEach((template) => {
+    table.push([
+      template.name,
+      template.source === "default"
+        ? chalk.gray("default")
+        : chalk.green("custom"),
+      template.variables.map((name) => `{{${name}}}`).join(" "),
+    ]);
+  });
+
+  console.log(table.toString());
+  console.log(
+    chalk.gray(
+      'Override a template with <directory>/<template>.txt. Run "emailmaster prompts --export" to start from the defaults.'
+    )
+  );
+}
+
+/**
+ * Display email counts per priority, colored like formatPriority
+ * @param {Object} priorityCounts Counts keyed by priority, in taxonomy order
+ */
+function displayPriorityCounts(priorityCounts) {
+  const colors = { high: chalk.red, medium: chalk.yellow, low: chalk.green };
+  Object.entries(priorityCounts).forEach(([priority, count]) => {
+    const color = colors[getPriorityLevel(priority)] || chalk.gray;
+    console.log(`${color(`${priority}:`)} ${count}`);
+  });
 }
 
 /**
@@ -502,17 +1405,23 @@ function displayDailySummary(summary) {
 
   // Display priority counts
   console.log("\n" + createSectionTitle("Email Counts:"));
-  console.log(`${chalk.red("Urgent:")} ${summary.priorityCounts.Urgent}`);
-  console.log(
-    `${chalk.yellow("Important:")} ${summary.priorityCounts.Important}`
-  );
-  console.log(`${chalk.green("Normal:")} ${summary.priorityCounts.Normal}`);
+  displayPriorityCounts(summary.priorityCounts);
+
+  // Display per-account counts for the unified multi-account view
+  const showAccount = Object.keys(summary.accountCounts || {}).length > 0;
+  if (showAccount) {
+    console.log("\n" + createSectionTitle("Emails by Account:"));
+    Object.entries(summary.accountCounts).forEach(([account, count]) => {
+      console.log(`${chalk.magenta(`${account}:`)} ${count}`);
+    });
+  }
 
   // Display actionable emails
   if (summary.actionableEmails.length > 0) {
     console.log("\n" + createSectionTitle("Actionable Emails:"));
     const actionTable = new Table({
       head: [
+        ...(showAccount ? [chalk.bold("Account")] : []),
         chalk.bold("Priority"),
         chalk.bold("Subject"),
         chalk.bold("From"),
@@ -526,6 +1435,7 @@ function displayDailySummary(summary) {
 
     summary.actionableEmails.forEach((email) => {
       actionTable.push([
+        ...(showAccount ? [chalk.magenta(email.account)] : []),
         formatPriority(email.priority),
         email.subject.length > 22
           ? email.subject.substring(0, 19) + "..."
@@ -547,6 +1457,7 @@ function displayDailySummary(summary) {
     console.log("\n" + createSectionTitle("Time-Sensitive Emails:"));
     const timeTable = new Table({
       head: [
+        ...(showAccount ? [chalk.bold("Account")] : []),
         chalk.bold("Priority"),
         chalk.bold("Subject"),
         chalk.bold("From"),
@@ -560,6 +1471,7 @@ function displayDailySummary(summary) {
 
     summary.timeSensitiveEmails.forEach((email) => {
       timeTable.push([
+        ...(showAccount ? [chalk.magenta(email.account)] : []),
         formatPriority(email.priority),
         email.subject.length > 22
           ? email.subject.substring(0, 19) + "..."
@@ -578,7 +1490,7 @@ function displayDailySummary(summary) {
 }
 
 /**
- * Send desktop notification for urgent emails
+ * Send desktop notification for emails with the most urgent priority
  * @param {Array} emails Array of analyzed emails
  */
 function sendNotifications(emails) {
@@ -589,15 +1501,15 @@ function sendNotifications(emails) {
     return;
   }
 
-  const urgentEmails = emails.filter(
-    (email) => email.classification.priority === "Urgent"
+  const urgentEmails = emails.filter((email) =>
+    isTopPriority(email.classification.priority)
   );
 
   if (urgentEmails.length > 0) {
     notifier.notify({
-      title: `📬 ${urgentEmails.length} Urgent Email${
-        urgentEmails.length > 1 ? "s" : ""
-      }`,
+      title: `📬 ${urgentEmails.length} ${
+        urgentEmails[0].classification.priority
+      } Email${urgentEmails.length > 1 ? "s" : ""}`,
       message: urgentEmails.map((email) => email.subject).join("\n"),
       icon: null,
       sound: true,
@@ -607,8 +1519,20 @@ function sendNotifications(emails) {
 
 module.exports = {
   displayEmail,
+  displayThread,
   displayDashboard,
   displayDailySummary,
+  displayAIUsageReport,
+  displayAICacheStats,
+  displayTaxonomy,
+  displayPromptTemplates,
+  displayAccuracyReport,
+  displaySearchResults,
+  displaySavedSearches,
+  displayTagResults,
+  displayMoodTrends,
+  displayFollowUps,
+  displayRedactionReport,
   sendNotifications,
   showLoading,
   typeText,
@@ -56,20 +56,30 @@ function generateMainHelp() {
       chalk.gray("                     ") +
       chalk.white("Download emails from Gmail")
   );
-  content.push(chalk.gray("│  Options: ") + chalk.yellow("--max <number>"));
+  content.push(
+    chalk.gray("│  Options: ") +
+      chalk.yellow("--max <number>, --all, --query <query>, --label <labels>")
+  );
+  content.push(
+    chalk.gray("│           ") +
+      chalk.yellow("--since <date>, --until <date>, --concurrency <number>")
+  );
   content.push("");
   content.push(
     chalk.cyan("┌─ emailmaster analyze") +
       chalk.gray("                   ") +
       chalk.white("AI-powered email analysis")
   );
-  content.push(chalk.gray("│  Options: ") + chalk.yellow("--notify"));
+  content.push(
+    chalk.gray("│  Options: ") + chalk.yellow("--notify, --reanalyze")
+  );
   content.push("");
   content.push(
     chalk.cyan("┌─ emailmaster dashboard") +
       chalk.gray("                 ") +
       chalk.white("Interactive email dashboard")
   );
+  content.push(chalk.gray("│  Options: ") + chalk.yellow("--tag <tag>"));
   content.push("");
   content.push(
     chalk.cyan("┌─ emailmaster summary") +
@@ -89,18 +99,63 @@ function generateMainHelp() {
     chalk.gray("│            ") + chalk.yellow("emailmaster view --id abcd1234")
   );
   content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster thread <id>") +
+      chalk.gray("             ") +
+      chalk.white("View a whole conversation")
+  );
+  content.push(chalk.gray("│  Options: ") + chalk.yellow("--full, --refresh"));
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster classify <id>") +
+      chalk.gray("           ") +
+      chalk.white("Correct an email's priority or type")
+  );
+  content.push(
+    chalk.gray("│  Options: ") +
+      chalk.yellow("--priority <priority>, --type <type>, --id <uniqueId>")
+  );
+  content.push("");
   content.push(
     chalk.cyan("┌─ emailmaster list") +
       chalk.gray("                   ") +
       chalk.white("List all emails with IDs")
   );
-  content.push(chalk.gray("│  Options: ") + chalk.yellow("--limit <number>"));
+  content.push(
+    chalk.gray("│  Options: ") + chalk.yellow("--limit <number>, --tag <tag>")
+  );
   content.push("");
   content.push(
     chalk.cyan("┌─ emailmaster search <query>") +
       chalk.gray("           ") +
-      chalk.white("Smart email search")
+      chalk.white("Search emails by meaning")
+  );
+  content.push(
+    chalk.gray("│  Options: ") +
+      chalk.yellow(
+        "--limit <number>, --keyword, --reindex, --save <name>, --run <name>"
+      )
+  );
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster searches") +
+      chalk.gray("                 ") +
+      chalk.white("List saved searches")
+  );
+  content.push(chalk.gray("│  Options: ") + chalk.yellow("--delete <name>"));
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster tag") +
+      chalk.gray("                      ") +
+      chalk.white("Auto-tag emails as Gmail labels")
+  );
+  content.push(
+    chalk.gray("│  Options: ") +
+      chalk.yellow(
+        "--limit <number>, --min-confidence <number>, --label-prefix <prefix>"
+      )
   );
+  content.push(chalk.gray("│           ") + chalk.yellow("--dry-run"));
   content.push("");
 
   // Account Management
@@ -129,6 +184,25 @@ function generateMainHelp() {
       chalk.gray("                ") +
       chalk.white("List all accounts")
   );
+  content.push(
+    chalk.gray("│  Each account keeps its own cache; add ") +
+      chalk.yellow("--account <name>") +
+      chalk.gray(" to fetch, list,")
+  );
+  content.push(
+    chalk.gray("│  view, analyze, dashboard or reply to use another account")
+  );
+  content.push(
+    chalk.gray("│  Unified inbox: ") +
+      chalk.yellow("--all-accounts") +
+      chalk.gray(" on fetch, analyze, list, dashboard, summary")
+  );
+  content.push(
+    chalk.gray("│  Open a unified entry with ") +
+      chalk.yellow("emailmaster view work:3") +
+      chalk.gray(" or ") +
+      chalk.yellow("reply work:3")
+  );
   content.push("");
 
   // Export & Calendar
@@ -157,7 +231,28 @@ function generateMainHelp() {
   );
   content.push(
     chalk.gray("│  Options: ") +
-      chalk.yellow("--ai, --send, --manual, --draft, --message <msg>")
+      chalk.yellow("--ai, --send, --manual, --draft, --message <msg>, --all")
+  );
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster followups") +
+      chalk.gray("                ") +
+      chalk.white("Replies owed and awaited")
+  );
+  content.push(
+    chalk.gray("│  Options: ") +
+      chalk.yellow(
+        "--days <number>, --nudge-days <number>, --mark-done <thread>"
+      )
+  );
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster mood") +
+      chalk.gray("                     ") +
+      chalk.white("Sentiment trends over the weeks")
+  );
+  content.push(
+    chalk.gray("│  Options: ") + chalk.yellow("--weeks <number>, --export")
   );
   content.push("");
 
@@ -235,6 +330,95 @@ function generateMainHelp() {
         "--batch-size <number>, --model <model>, --temp-dir <path>, --show, --list-models"
       )
   );
+  content.push(
+    chalk.gray("│           ") +
+      chalk.yellow(
+        "--provider <gemini|openai|ollama|llamacpp>, --provider-url <url>"
+      )
+  );
+  content.push(
+    chalk.gray("│           ") +
+      chalk.yellow("--batch-tokens <number>, --ai-concurrency <number>")
+  );
+  content.push(
+    chalk.gray("│           ") +
+      chalk.yellow(
+        "--max-email-tokens <number>, --long-email <truncate|summarize>"
+      )
+  );
+  content.push(
+    chalk.gray("│           ") +
+      chalk.yellow(
+        "--daily-token-budget <number>, --daily-request-budget <number>"
+      )
+  );
+  content.push(
+    chalk.gray("│           ") +
+      chalk.yellow("--ai-rpm <number>, --cache-days <number>")
+  );
+  content.push(
+    chalk.gray("│           ") +
+      chalk.yellow("--taxonomy <file>, --prompt-dir <path>")
+  );
+  content.push(
+    chalk.gray("│           ") +
+      chalk.yellow("--embedding-model <model>, --semantic-search <on|off>")
+  );
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster stats ai") +
+      chalk.gray("                ") +
+      chalk.white("AI usage and estimated cost")
+  );
+  content.push(
+    chalk.gray("│  Options: ") +
+      chalk.yellow("--days <number>, --account <name>, --all-accounts")
+  );
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster stats redaction") +
+      chalk.gray("         ") +
+      chalk.white("PII redacted from AI prompts")
+  );
+  content.push(
+    chalk.gray("│  Options: ") +
+      chalk.yellow("--days <number>, --account <name>, --all-accounts")
+  );
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster stats accuracy") +
+      chalk.gray("          ") +
+      chalk.white("Classifier accuracy from corrections")
+  );
+  content.push(
+    chalk.gray("│  Options: ") +
+      chalk.yellow("--days <number>, --account <name>, --all-accounts")
+  );
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster cache stats|prune") +
+      chalk.gray("       ") +
+      chalk.white("Cached AI results")
+  );
+  content.push(
+    chalk.gray("│  Options: ") +
+      chalk.yellow("--older-than <days>, --stale, --all, --all-accounts")
+  );
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster taxonomy") +
+      chalk.gray("                ") +
+      chalk.white("Custom priorities, types and tags")
+  );
+  content.push("");
+  content.push(
+    chalk.cyan("┌─ emailmaster prompts") +
+      chalk.gray("                 ") +
+      chalk.white("AI prompt templates and overrides")
+  );
+  content.push(
+    chalk.gray("│  Options: ") + chalk.yellow("--show <template>, --export")
+  );
   content.push("");
 
   // Global Options
@@ -243,6 +427,9 @@ function generateMainHelp() {
   content.push(chalk.white("  --version, -v        Display version"));
   content.push(chalk.white("  --verbose            Detailed output"));
   content.push(chalk.white("  --no-color           Disable colored output"));
+  content.push(
+    chalk.white("  --no-redact          Send email content to AI unredacted")
+  );
   content.push("");
 
   // Examples
@@ -282,22 +469,84 @@ function generateCommandHelp(command) {
     case "fetch":
       content.push(createTitleBox("📥 Fetch Command Help"));
       content.push(
-        chalk.white("Retrieve emails from Gmail with smart caching\n")
+        chalk.white("Retrieve emails from Gmail with smart caching")
+      );
+      content.push(
+        chalk.gray(
+          "After the first full sync, only changes (new, deleted, archived and\nread/unread emails) are pulled using the Gmail History API.\n"
+        )
       );
       content.push(chalk.cyan.bold("USAGE:"));
       content.push(chalk.white("  emailmaster fetch [options]\n"));
       content.push(chalk.cyan.bold("OPTIONS:"));
       content.push(
         chalk.white(
-          "  --max <number>       Maximum emails to fetch (default: 10)"
+          "  --max <number>       Maximum emails to fetch without --all (default: 10)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --all                Follow every page of results (backfill)"
+        )
+      );
+      content.push(
+        chalk.white(
+          '  --query <query>      Raw Gmail search (e.g. "label:clients is:unread")'
+        )
+      );
+      content.push(
+        chalk.white("  --since <date>       Only emails on or after YYYY-MM-DD")
+      );
+      content.push(
+        chalk.white(
+          "  --until <date>       Only emails on or before YYYY-MM-DD"
+        )
+      );
+      content.push(
+        chalk.white("  --label <labels>     Only emails with these labels")
+      );
+      content.push(
+        chalk.white(
+          "  --concurrency <n>    Parallel message downloads (default: 10)"
         )
       );
+      content.push(
+        chalk.white(
+          "  --account <name>     Use this account instead of the current one"
+        )
+      );
+      content.push(
+        chalk.white("  --all-accounts       Fetch for every configured account")
+      );
       content.push(chalk.white("  --help, -h           Show command help\n"));
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white("  • Incremental sync of new and changed emails")
+      );
+      content.push(
+        chalk.white(
+          "  • Emails found by --query/--label stay cached until trashed"
+        )
+      );
+      content.push(
+        chalk.white("  • Whole conversations are kept for the thread view")
+      );
+      content.push(
+        chalk.white("  • New emails are embedded for semantic search\n")
+      );
       content.push(chalk.cyan.bold("EXAMPLES:"));
       content.push(chalk.gray("  # Fetch default 10 emails"));
       content.push(chalk.white("  emailmaster fetch"));
       content.push(chalk.gray("  # Fetch last 50 emails"));
       content.push(chalk.white("  emailmaster fetch --max 50"));
+      content.push(
+        chalk.gray("  # Backfill all unread client emails from January")
+      );
+      content.push(
+        chalk.white(
+          '  emailmaster fetch --all --query "label:clients is:unread" --since 2024-01-01 --until 2024-01-31'
+        )
+      );
       break;
 
     case "analyze":
@@ -313,12 +562,43 @@ function generateCommandHelp(command) {
           "  --notify             Send desktop notifications for urgent emails"
         )
       );
+      content.push(
+        chalk.white(
+          "  --account <name>     Use this account instead of the current one"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --reanalyze          Ignore cached AI results and analyze again"
+        )
+      );
+      content.push(
+        chalk.white("  --all-accounts       Analyze every configured account")
+      );
       content.push(chalk.white("  --help, -h           Show command help\n"));
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(chalk.white("  • Priority, type and action item detection"));
+      content.push(chalk.white("  • Summaries, deadlines and reading time"));
+      content.push(
+        chalk.white(
+          "  • Thread summaries: decisions, open questions, who owes what"
+        )
+      );
+      content.push(
+        chalk.white("  • Results cached by content, model and prompt version")
+      );
+      content.push(
+        chalk.white(
+          "  • Offline rule-based analysis when no AI provider is set\n"
+        )
+      );
       content.push(chalk.cyan.bold("EXAMPLES:"));
       content.push(chalk.gray("  # Analyze emails"));
       content.push(chalk.white("  emailmaster analyze"));
       content.push(chalk.gray("  # Analyze with notifications"));
       content.push(chalk.white("  emailmaster analyze --notify"));
+      content.push(chalk.gray("  # Analyze again after improving prompts"));
+      content.push(chalk.white("  emailmaster analyze --reanalyze"));
       break;
 
     case "commands":
@@ -349,13 +629,24 @@ function generateCommandHelp(command) {
           "  view <id>                  Display email by number or unique ID"
         )
       );
+      content.push(
+        chalk.white("  thread <id>                View a whole conversation")
+      );
       content.push(
         chalk.white(
           "  list                       List all emails with indices and IDs"
         )
       );
       content.push(
-        chalk.white("  search <query>             Smart email search\n")
+        chalk.white("  search <query>             Search emails by meaning")
+      );
+      content.push(
+        chalk.white("  searches                   List saved searches")
+      );
+      content.push(
+        chalk.white(
+          "  tag                        Auto-tag emails as Gmail labels\n"
+        )
       );
 
       content.push(chalk.cyan.bold("🔐 ACCOUNT MANAGEMENT:"));
@@ -386,7 +677,15 @@ function generateCommandHelp(command) {
         chalk.white("  calendar-export            Extract calendar events")
       );
       content.push(
-        chalk.white("  reply <number>             AI-powered email replies\n")
+        chalk.white("  reply <number>             AI-powered email replies")
+      );
+      content.push(
+        chalk.white("  followups                  Replies owed and awaited")
+      );
+      content.push(
+        chalk.white(
+          "  mood                       Sentiment trends over the weeks\n"
+        )
       );
 
       content.push(chalk.cyan.bold("📎 ATTACHMENT MANAGEMENT:"));
@@ -415,7 +714,30 @@ function generateCommandHelp(command) {
         chalk.white("  unsubscribe                Smart unsubscribe assistant")
       );
       content.push(
-        chalk.white("  config                     Configure AI settings\n")
+        chalk.white("  config                     Configure AI settings")
+      );
+      content.push(
+        chalk.white("  stats ai                   AI usage and estimated cost")
+      );
+      content.push(
+        chalk.white("  stats redaction            PII redacted from AI prompts")
+      );
+      content.push(
+        chalk.white("  stats accuracy             Classifier accuracy report")
+      );
+      content.push(
+        chalk.white("  cache stats|prune          Manage cached AI results")
+      );
+      content.push(
+        chalk.white(
+          "  taxonomy                   Show classification categories"
+        )
+      );
+      content.push(
+        chalk.white("  classify <id>              Correct a classification")
+      );
+      content.push(
+        chalk.white("  prompts                    Manage AI prompt templates\n")
       );
 
       content.push(
@@ -461,44 +783,315 @@ function generateCommandHelp(command) {
       );
       break;
 
-    case "attachments":
-      content.push(createTitleBox("📎 Attachments Command Help"));
-      content.push(chalk.white("Manage email attachments efficiently\n"));
-      content.push(chalk.cyan.bold("AVAILABLE COMMANDS:"));
-      content.push(
-        chalk.white("  attachments-fetch    Download all attachments")
-      );
-      content.push(
-        chalk.white("  attachments-sync     Sync new attachments only")
-      );
+    case "stats":
+      content.push(createTitleBox("📈 Stats Command Help"));
       content.push(
-        chalk.white("  attachments-stats    View attachment statistics\n")
+        chalk.white(
+          "AI requests, tokens and estimated cost per day, command and model,\nthe audit of personal data redacted from AI prompts, and classifier\naccuracy measured against your corrections\n"
+        )
       );
-      content.push(chalk.cyan.bold("EXAMPLES:"));
-      content.push(chalk.gray("  # Download all attachments"));
-      content.push(chalk.white("  emailmaster attachments-fetch"));
-      content.push(chalk.gray("  # Sync only new attachments"));
-      content.push(chalk.white("  emailmaster attachments-sync"));
-      break;
-
-    case "view":
-      content.push(createTitleBox("👁️ View Command Help"));
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster stats ai [options]"));
+      content.push(chalk.white("  emailmaster stats redaction [options]"));
+      content.push(chalk.white("  emailmaster stats accuracy [options]\n"));
+      content.push(chalk.cyan.bold("OPTIONS:"));
       content.push(
         chalk.white(
-          "Display detailed email content with unique identifier support\n"
+          "  --days, -d <number>  Number of days to include (default: 7, accuracy: all)"
         )
       );
-      content.push(chalk.cyan.bold("USAGE:"));
-      content.push(chalk.white("  emailmaster view <identifier>"));
-      content.push(chalk.white("  emailmaster view --id <uniqueId>\n"));
-      content.push(chalk.cyan.bold("PARAMETERS:"));
       content.push(
         chalk.white(
-          "  <identifier>         Email number (e.g., 1, 2, 3) or unique ID"
+          "  --account <name>     Use this account instead of the current one"
         )
       );
       content.push(
-        chalk.white("  --id <uniqueId>      View by specific unique ID\n")
+        chalk.white("  --all-accounts       Include every configured account")
+      );
+      content.push(chalk.white("  --help, -h           Show command help\n"));
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white("  • Usage ledger kept per account, day and command")
+      );
+      content.push(
+        chalk.white("  • Optional daily budgets (config --daily-token-budget)")
+      );
+      content.push(
+        chalk.white(
+          "  • Cost estimates from built-in prices or aiPricing in config.json"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Redaction counts by PII type (values are never stored)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Accuracy, common mistakes and most corrected senders\n"
+        )
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Show the last 7 days"));
+      content.push(chalk.white("  emailmaster stats ai"));
+      content.push(chalk.gray("  # Show the last 30 days for every account"));
+      content.push(
+        chalk.white("  emailmaster stats ai --days 30 --all-accounts")
+      );
+      content.push(chalk.gray("  # Show what was redacted this week"));
+      content.push(chalk.white("  emailmaster stats redaction"));
+      content.push(chalk.gray("  # Show accuracy over the last 30 days"));
+      content.push(chalk.white("  emailmaster stats accuracy --days 30"));
+      break;
+
+    case "classify":
+      content.push(createTitleBox("🎯 Classify Command Help"));
+      content.push(
+        chalk.white(
+          "Correct an email's priority or type so future analysis learns from it\n"
+        )
+      );
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(
+        chalk.white("  emailmaster classify <identifier> [options]")
+      );
+      content.push(
+        chalk.white("  emailmaster classify --id <uniqueId> [options]\n")
+      );
+      content.push(chalk.cyan.bold("OPTIONS:"));
+      content.push(
+        chalk.white(
+          "  --priority, -p <priority>  Correct priority (from the taxonomy)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --type, -t <type>          Correct type (from the taxonomy)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --id <uniqueId>            Classify by specific unique ID"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --account <name>           Use this account instead of the current one\n"
+        )
+      );
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(chalk.white("  • Updates the stored analysis at once"));
+      content.push(
+        chalk.white(
+          "  • Recent corrections become examples in analysis prompts"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Later emails from the same sender get the corrected values"
+        )
+      );
+      content.push(
+        chalk.white("  • Measure accuracy with 'emailmaster stats accuracy'\n")
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Mark email 3 as urgent work"));
+      content.push(
+        chalk.white("  emailmaster classify 3 --priority Urgent --type Work")
+      );
+      content.push(chalk.gray("  # Correct only the type"));
+      content.push(
+        chalk.white("  emailmaster classify --id abcd1234 -t Marketing")
+      );
+      break;
+
+    case "cache":
+      content.push(createTitleBox("💾 Cache Command Help"));
+      content.push(
+        chalk.white(
+          "Cached AI results for analysis, tags, sentiment, follow-ups and calendar\n"
+        )
+      );
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster cache stats [options]"));
+      content.push(chalk.white("  emailmaster cache prune [options]\n"));
+      content.push(chalk.cyan.bold("OPTIONS:"));
+      content.push(
+        chalk.white(
+          "  --older-than <days>  Remove results created more than <days> ago"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --stale              Remove results from other models or prompts"
+        )
+      );
+      content.push(
+        chalk.white("  --all                Remove every cached result")
+      );
+      content.push(
+        chalk.white(
+          "  --account <name>     Use this account instead of the current one"
+        )
+      );
+      content.push(
+        chalk.white("  --all-accounts       Include every configured account")
+      );
+      content.push(chalk.white("  --help, -h           Show command help\n"));
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white(
+          "  • Keyed on email content, task, model and prompt version"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Results expire after 30 days (config --cache-days, 0 to keep)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • prune without options removes expired and stale results\n"
+        )
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Show cache entries and hits"));
+      content.push(chalk.white("  emailmaster cache stats"));
+      content.push(chalk.gray("  # Remove results from previous models"));
+      content.push(chalk.white("  emailmaster cache prune --stale"));
+      content.push(chalk.gray("  # Clear the cache for every account"));
+      content.push(
+        chalk.white("  emailmaster cache prune --all --all-accounts")
+      );
+      break;
+
+    case "taxonomy":
+      content.push(createTitleBox("📚 Taxonomy Command Help"));
+      content.push(
+        chalk.white(
+          "Priorities, email types and tags used to classify emails\n"
+        )
+      );
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster taxonomy\n"));
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white(
+          "  • Define categories in taxonomy.json (config --taxonomy <file>)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Each category has a name, description and optional examples"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Priorities are listed most urgent first; the first is red, the last green"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Lists left out of the file keep the built-in categories\n"
+        )
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Show the categories in use"));
+      content.push(chalk.white("  emailmaster taxonomy"));
+      content.push(chalk.gray("  # Use a shared team taxonomy"));
+      content.push(
+        chalk.white("  emailmaster config --taxonomy ./team/taxonomy.json")
+      );
+      break;
+
+    case "prompts":
+      content.push(createTitleBox("📝 Prompts Command Help"));
+      content.push(chalk.white("Prompt templates used for every AI request\n"));
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster prompts [options]\n"));
+      content.push(chalk.cyan.bold("OPTIONS:"));
+      content.push(
+        chalk.white("  --show <template>    Print the template text in use")
+      );
+      content.push(
+        chalk.white(
+          "  --export             Write the default templates to the prompt directory"
+        )
+      );
+      content.push(chalk.white("  --help, -h           Show command help\n"));
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white(
+          "  • Override a template with prompts/<template>.txt (config --prompt-dir)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • {{variable}} placeholders are filled in, e.g. {{emails}}, {{priorities}}"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Changing a template or the taxonomy invalidates cached AI results\n"
+        )
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # List templates and their variables"));
+      content.push(chalk.white("  emailmaster prompts"));
+      content.push(chalk.gray("  # Start customizing from the defaults"));
+      content.push(chalk.white("  emailmaster prompts --export"));
+      content.push(chalk.gray("  # Print the analysis template in use"));
+      content.push(chalk.white("  emailmaster prompts --show analysis"));
+      break;
+
+    case "attachments":
+      content.push(createTitleBox("📎 Attachments Command Help"));
+      content.push(chalk.white("Manage email attachments efficiently\n"));
+      content.push(chalk.cyan.bold("AVAILABLE COMMANDS:"));
+      content.push(
+        chalk.white("  attachments-fetch    Download all attachments")
+      );
+      content.push(
+        chalk.white("  attachments-sync     Sync new attachments only")
+      );
+      content.push(
+        chalk.white("  attachments-stats    View attachment statistics\n")
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Download all attachments"));
+      content.push(chalk.white("  emailmaster attachments-fetch"));
+      content.push(chalk.gray("  # Sync only new attachments"));
+      content.push(chalk.white("  emailmaster attachments-sync"));
+      break;
+
+    case "view":
+      content.push(createTitleBox("👁️ View Command Help"));
+      content.push(
+        chalk.white(
+          "Display detailed email content with unique identifier support\n"
+        )
+      );
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster view <identifier>"));
+      content.push(chalk.white("  emailmaster view --id <uniqueId>\n"));
+      content.push(chalk.cyan.bold("PARAMETERS:"));
+      content.push(
+        chalk.white(
+          "  <identifier>         Email number (e.g., 1, 2, 3) or unique ID"
+        )
+      );
+      content.push(
+        chalk.white(
+          "                       Prefix with an account from a unified list (work:3)"
+        )
+      );
+      content.push(
+        chalk.white("  --id <uniqueId>      View by specific unique ID")
+      );
+      content.push(
+        chalk.white(
+          "  --account <name>     Use this account instead of the current one\n"
+        )
       );
       content.push(chalk.cyan.bold("FEATURES:"));
       content.push(
@@ -508,6 +1101,9 @@ function generateCommandHelp(command) {
         chalk.white("  • Persistent email references across fetches")
       );
       content.push(chalk.white("  • AI analysis integration when available"));
+      content.push(
+        chalk.white("  • Thread summary for emails in a conversation")
+      );
       content.push(chalk.white("  • Suggested response generation\n"));
       content.push(chalk.cyan.bold("EXAMPLES:"));
       content.push(chalk.gray("  # View email by number"));
@@ -518,6 +1114,193 @@ function generateCommandHelp(command) {
       content.push(chalk.white("  emailmaster view 1m8g9jk2l"));
       break;
 
+    case "thread":
+      content.push(createTitleBox("🧵 Thread Command Help"));
+      content.push(
+        chalk.white(
+          "Show a whole conversation, oldest message first, with an AI summary\n"
+        )
+      );
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(
+        chalk.white("  emailmaster thread <identifier> [options]\n")
+      );
+      content.push(chalk.cyan.bold("PARAMETERS:"));
+      content.push(
+        chalk.white(
+          "  <identifier>         Email number, unique ID or Gmail thread ID"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --full               Show quoted text instead of collapsing it"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --refresh            Fetch the latest messages from Gmail"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --account <name>     Use this account instead of the current one\n"
+        )
+      );
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white("  • Every message of the thread, including your replies")
+      );
+      content.push(chalk.white("  • Quoted history collapsed in each message"));
+      content.push(
+        chalk.white(
+          "  • Summary of decisions, open questions and who owes what"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Summaries are kept and redone when new messages arrive\n"
+        )
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Conversation of email #3"));
+      content.push(chalk.white("  emailmaster thread 3"));
+      content.push(chalk.gray("  # With quoted text and the latest replies"));
+      content.push(chalk.white("  emailmaster thread 3 --full --refresh"));
+      break;
+
+    case "search":
+      content.push(createTitleBox("🔎 Search Command Help"));
+      content.push(
+        chalk.white(
+          "Find emails by meaning, ranked by score with the matching passage\n"
+        )
+      );
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster search <query> [options]"));
+      content.push(chalk.white("  emailmaster search --run <name>\n"));
+      content.push(chalk.cyan.bold("OPTIONS:"));
+      content.push(
+        chalk.white("  --limit, -l <number> Maximum results (default: 10)")
+      );
+      content.push(
+        chalk.white("  --keyword            Use keyword (BM25) search only")
+      );
+      content.push(
+        chalk.white("  --reindex            Embed every email again first")
+      );
+      content.push(
+        chalk.white("  --save <name>        Save the query under a name")
+      );
+      content.push(chalk.white("  --run <name>         Run a saved search"));
+      content.push(chalk.white("  --help, -h           Show command help\n"));
+      content.push(chalk.cyan.bold("FILTERS:"));
+      content.push(
+        chalk.white(
+          "  from:, to:, subject:  Text in the header, e.g. from:alice"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  priority:, type:      Classification, e.g. priority:Urgent"
+        )
+      );
+      content.push(
+        chalk.white("  tag:                  Local tag, e.g. tag:Invoices")
+      );
+      content.push(
+        chalk.white("  has:attachment        Emails with attachments")
+      );
+      content.push(
+        chalk.white(
+          "  is:actionable         Emails that need action (also is:unread, is:read)"
+        )
+      );
+      content.push(chalk.white("  before:, after:       Date as YYYY-MM-DD\n"));
+      content.push(chalk.cyan.bold("QUERY SYNTAX:"));
+      content.push(chalk.white('  • "quoted text" matches an exact phrase'));
+      content.push(
+        chalk.white("  • Terms must all match; combine them with OR and ( )")
+      );
+      content.push(
+        chalk.white(
+          "  • NOT or a leading - excludes, e.g. -from:newsletter or -(a OR b)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Plain words rank the filtered emails; without them the newest come first\n"
+        )
+      );
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white("  • Emails are embedded at fetch and analyze time")
+      );
+      content.push(
+        chalk.white("  • Full bodies searched passage by passage, not snippets")
+      );
+      content.push(
+        chalk.white(
+          "  • Keyword search when no AI provider or embedding model is available"
+        )
+      );
+      content.push(
+        chalk.white("  • Query words highlighted in the matching passage\n")
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Find emails about a topic"));
+      content.push(chalk.white('  emailmaster search "server problems"'));
+      content.push(chalk.gray("  # Exact words only, top 5"));
+      content.push(chalk.white("  emailmaster search invoice --keyword -l 5"));
+      content.push(chalk.gray("  # Filters, phrases and operators"));
+      content.push(
+        chalk.white(
+          `  emailmaster search 'from:alice after:2024-01-01 (budget OR "cost report")'`
+        )
+      );
+      content.push(chalk.gray("  # Save a search and run it later"));
+      content.push(
+        chalk.white(
+          "  emailmaster search 'priority:Urgent is:actionable' --save urgent"
+        )
+      );
+      content.push(chalk.white("  emailmaster search --run urgent"));
+      content.push(chalk.gray("  # Use a different embedding model"));
+      content.push(
+        chalk.white(
+          "  emailmaster config --embedding-model text-embedding-3-large"
+        )
+      );
+      break;
+
+    case "searches":
+      content.push(createTitleBox("🔖 Searches Command Help"));
+      content.push(chalk.white("List and delete saved searches\n"));
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster searches [options]\n"));
+      content.push(chalk.cyan.bold("OPTIONS:"));
+      content.push(chalk.white("  --delete <name>      Delete a saved search"));
+      content.push(chalk.white("  --help, -h           Show command help\n"));
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white(
+          "  • Searches are saved with: emailmaster search <query> --save <name>"
+        )
+      );
+      content.push(
+        chalk.white("  • Each search shows how often and when it last ran")
+      );
+      content.push(
+        chalk.white("  • Saved searches belong to the current account\n")
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # List saved searches"));
+      content.push(chalk.white("  emailmaster searches"));
+      content.push(chalk.gray("  # Run one"));
+      content.push(chalk.white("  emailmaster search --run urgent"));
+      content.push(chalk.gray("  # Delete one"));
+      content.push(chalk.white("  emailmaster searches --delete urgent"));
+      break;
+
     case "list":
       content.push(createTitleBox("📋 List Command Help"));
       content.push(
@@ -533,6 +1316,19 @@ function generateCommandHelp(command) {
           "  --limit <number>     Maximum emails to display (default: 20)"
         )
       );
+      content.push(
+        chalk.white("  --tag <tag>          Only list emails with this tag")
+      );
+      content.push(
+        chalk.white(
+          "  --account <name>     Use this account instead of the current one"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --all-accounts       Unified list across accounts (e.g. work:3)"
+        )
+      );
       content.push(chalk.white("  --help, -h           Show command help\n"));
       content.push(chalk.cyan.bold("FEATURES:"));
       content.push(chalk.white("  • Persistent email numbering"));
@@ -544,6 +1340,172 @@ function generateCommandHelp(command) {
       content.push(chalk.white("  emailmaster list"));
       content.push(chalk.gray("  # List first 50 emails"));
       content.push(chalk.white("  emailmaster list --limit 50"));
+      content.push(chalk.gray("  # List emails from every account"));
+      content.push(chalk.white("  emailmaster list --all-accounts"));
+      content.push(chalk.gray("  # List emails tagged as invoices"));
+      content.push(chalk.white("  emailmaster list --tag Invoices"));
+      break;
+
+    case "tag":
+      content.push(createTitleBox("📌 Tag Command Help"));
+      content.push(
+        chalk.white(
+          "Tag cached emails with AI and apply the tags as Gmail labels\n"
+        )
+      );
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster tag [options]\n"));
+      content.push(chalk.cyan.bold("OPTIONS:"));
+      content.push(
+        chalk.white("  --limit, -l <number>       Only tag the newest emails")
+      );
+      content.push(
+        chalk.white(
+          "  --min-confidence <number>  Lowest confidence to apply tags (default: 60)"
+        )
+      );
+      content.push(
+        chalk.white(
+          '  --label-prefix <prefix>    Parent label (default: EmailMaster, "" for none)'
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --dry-run                  Show suggested tags without applying them"
+        )
+      );
+      content.push(
+        chalk.white("  --help, -h                 Show command help\n")
+      );
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white("  • Tags come from the taxonomy (emailmaster taxonomy)")
+      );
+      content.push(
+        chalk.white("  • Missing labels are created, e.g. EmailMaster/Invoices")
+      );
+      content.push(
+        chalk.white("  • Labels are added in batches; existing labels are kept")
+      );
+      content.push(
+        chalk.white(
+          "  • Tags are stored locally for list --tag, dashboard --tag and search tag:\n"
+        )
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Preview the tags for the newest 20 emails"));
+      content.push(chalk.white("  emailmaster tag -l 20 --dry-run"));
+      content.push(chalk.gray("  # Only apply tags the AI is sure about"));
+      content.push(chalk.white("  emailmaster tag --min-confidence 85"));
+      content.push(chalk.gray("  # Show tagged emails"));
+      content.push(chalk.white("  emailmaster dashboard --tag Invoices"));
+      break;
+
+    case "mood":
+      content.push(createTitleBox("😊 Mood Command Help"));
+      content.push(
+        chalk.white(
+          "Track the sentiment and stress of your emails week by week\n"
+        )
+      );
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster mood [options]\n"));
+      content.push(chalk.cyan.bold("OPTIONS:"));
+      content.push(
+        chalk.white("  --weeks, -w <number> Weeks to show (default: 8)")
+      );
+      content.push(
+        chalk.white("  --export             Save the report as Markdown")
+      );
+      content.push(chalk.white("  --help, -h           Show command help\n"));
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(
+        chalk.white("  • New emails are analyzed once; results are kept by day")
+      );
+      content.push(
+        chalk.white(
+          "  • History outlasts the email cache, so trends keep growing"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Trend lines for sentiment and stress, overall and per sender"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • This week compared with the previous and earlier weeks"
+        )
+      );
+      content.push(
+        chalk.white("  • Without an AI provider, the saved history is shown\n")
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Mood of the last 8 weeks"));
+      content.push(chalk.white("  emailmaster mood"));
+      content.push(chalk.gray("  # A quarter, saved to reports/"));
+      content.push(chalk.white("  emailmaster mood --weeks 13 --export"));
+      break;
+
+    case "followups":
+      content.push(createTitleBox("📨 Followups Command Help"));
+      content.push(
+        chalk.white(
+          "List threads where you owe a reply or are waiting on someone\n"
+        )
+      );
+      content.push(chalk.cyan.bold("USAGE:"));
+      content.push(chalk.white("  emailmaster followups [options]\n"));
+      content.push(chalk.cyan.bold("OPTIONS:"));
+      content.push(
+        chalk.white(
+          "  --days, -d <number>      Days of mail to check (default: 14)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --nudge-days <number>    Days until a reply is due (default: 3)"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  --mark-done <thread>     Hide a thread until it gets a new message"
+        )
+      );
+      content.push(
+        chalk.white("  --help, -h               Show command help\n")
+      );
+      content.push(chalk.cyan.bold("FEATURES:"));
+      content.push(chalk.white("  • Last message from them: a reply you owe"));
+      content.push(
+        chalk.white(
+          "  • Last message from you (sent folder included): waiting on them"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • AI drops threads that need no reply and suggests a follow-up"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Age, due date and deadlines, with nudges for overdue threads"
+        )
+      );
+      content.push(
+        chalk.white(
+          "  • Without an AI provider, open threads are listed except bulk mail\n"
+        )
+      );
+      content.push(chalk.cyan.bold("EXAMPLES:"));
+      content.push(chalk.gray("  # Open threads of the last two weeks"));
+      content.push(chalk.white("  emailmaster followups"));
+      content.push(chalk.gray("  # Last month, due after a week"));
+      content.push(
+        chalk.white("  emailmaster followups --days 30 --nudge-days 7")
+      );
+      content.push(chalk.gray("  # Done with email #3's thread"));
+      content.push(chalk.white("  emailmaster followups --mark-done 3"));
       break;
 
     default:
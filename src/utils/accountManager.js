@@ -12,11 +12,18 @@ const {
   getUserProfile,
   TOKENS_DIR,
 } = require("../auth/gmailAuth");
+const { loadConfig } = require("./configUtils");
 require("dotenv").config();
 
 // Get accounts config path
 const ACCOUNTS_CONFIG_PATH = path.join(process.cwd(), "accounts.json");
 
+// Account selected with --account for the current command only
+let accountOverride = null;
+
+// Names that would resolve to the accounts directory or its parent
+const RESERVED_ACCOUNT_NAMES = ["", ".", ".."];
+
 /**
  * Load accounts configuration
  * @returns {Promise<Object>} Accounts configuration
@@ -96,6 +103,7 @@ async function addAccount(nickname) {
 
     // Use email as name if no nickname provided
     const accountName = nickname || email.split("@")[0];
+    getAccountDirName(accountName);
 
     // Check if account with same name or email already exists
     if (config.accounts.some((account) => account.name === accountName)) {
@@ -174,6 +182,15 @@ async function removeAccount(nameOrEmail) {
       );
     }
 
+    // Remove the account's cached emails and analysis results
+    try {
+      await fs.remove(await getAccountDataDir(account));
+    } catch (err) {
+      console.log(
+        chalk.yellow(`Note: Could not remove cached data for ${account.name}`)
+      );
+    }
+
     await saveAccountsConfig(config);
     return true;
   } catch (error) {
@@ -211,6 +228,26 @@ async function switchAccount(nameOrEmail) {
   }
 }
 
+/**
+ * Use a different account for the rest of this command without switching
+ * @param {string} nameOrEmail Account name or email
+ * @returns {Promise<Object>} Selected account
+ */
+async function setAccountOverride(nameOrEmail) {
+  const config = await loadAccountsConfig();
+
+  const account = config.accounts.find(
+    (account) => account.name === nameOrEmail || account.email === nameOrEmail
+  );
+
+  if (!account) {
+    throw new Error(`Account "${nameOrEmail}" not found`);
+  }
+
+  accountOverride = account.name;
+  return account;
+}
+
 /**
  * Get current Gmail account
  * @returns {Promise<Object>} Current account
@@ -219,6 +256,16 @@ async function getCurrentAccount() {
   try {
     const config = await loadAccountsConfig();
 
+    if (accountOverride) {
+      const account = config.accounts.find(
+        (account) => account.name === accountOverride
+      );
+      if (!account) {
+        throw new Error(`Account "${accountOverride}" not found`);
+      }
+      return account;
+    }
+
     if (!config.currentAccount) {
       if (config.accounts.length > 0) {
         // Set first account as current if there's no current account but accounts exist
@@ -246,6 +293,60 @@ async function getCurrentAccount() {
   }
 }
 
+/**
+ * Get the directory name of an account's data
+ * Names are percent-encoded, so different names never share a directory.
+ * @param {string} name Account name
+ * @returns {string} Directory name
+ */
+function getAccountDirName(name) {
+  if (RESERVED_ACCOUNT_NAMES.includes(String(name || "").trim())) {
+    const error = new Error(`Invalid account name "${name}"`);
+    error.code = "INVALID_ACCOUNT_NAME";
+    throw error;
+  }
+
+  // encodeURIComponent leaves a few characters that some filesystems reject
+  return encodeURIComponent(name).replace(
+    /[!'()*~]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Get the directory holding an account's cached emails and analysis results
+ * @param {Object} account Account object (defaults to the current account)
+ * @returns {Promise<string>} Absolute path of the account data directory
+ */
+async function getAccountDataDir(account = null) {
+  const targetAccount = account || (await getCurrentAccount());
+  const config = await loadConfig();
+  const tempDir = path.join(process.cwd(), config.tempDir || "./temp");
+
+  const accountsDir = path.join(tempDir, "accounts");
+  const dataDir = path.join(accountsDir, getAccountDirName(targetAccount.name));
+
+  // Directories used to replace unsafe characters with "_"; move one over
+  // unless another account's name mapped to the same directory
+  const legacyName = (name) => name.replace(/[^a-zA-Z0-9._-]/g, "_");
+  const legacyDir = path.join(accountsDir, legacyName(targetAccount.name));
+  if (
+    legacyDir !== dataDir &&
+    !(await fs.pathExists(dataDir)) &&
+    (await fs.pathExists(legacyDir))
+  ) {
+    const { accounts } = await loadAccountsConfig();
+    const sharedBy = accounts.filter(
+      (other) => legacyName(other.name) === legacyName(targetAccount.name)
+    );
+    if (sharedBy.length <= 1) {
+      await fs.move(legacyDir, dataDir);
+    }
+  }
+
+  return dataDir;
+}
+
 /**
  * Display accounts in CLI
  */
@@ -284,10 +385,15 @@ async function displayAccounts() {
 
 /**
  * Ensure an account exists, prompting for authentication if needed
+ * @param {string} nameOrEmail Optional account to use instead of the current one
  * @returns {Promise<Object>} Current account
  */
-async function ensureAccount() {
+async function ensureAccount(nameOrEmail = null) {
   try {
+    if (nameOrEmail) {
+      return await setAccountOverride(nameOrEmail);
+    }
+
     const config = await loadAccountsConfig();
 
     // If no accounts exist, prompt to add one
@@ -313,6 +419,8 @@ module.exports = {
   removeAccount,
   switchAccount,
   getCurrentAccount,
+  setAccountOverride,
+  getAccountDataDir,
   displayAccounts,
   ensureAccount,
 };
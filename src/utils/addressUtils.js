@@ -0,0 +1,18 @@
+/**
+ * Address Utilities Module
+ * Helpers for reading email addresses from message headers
+ */
+
+/**
+ * Extract the bare email address from a From header
+ * @param {string} from From header value
+ * @returns {string} Sender address
+ */
+function getSenderAddress(from) {
+  const match = (from || "").match(/<([^>]+)>/);
+  return (match ? match[1] : from || "unknown").trim().toLowerCase();
+}
+
+module.exports = {
+  getSenderAddress,
+};
@@ -0,0 +1,31 @@
+/**
+ * Concurrency Utilities Module
+ * Helpers for running async work with a bounded number of parallel tasks
+ */
+
+/**
+ * Map over items with an async function, running at most `limit` at a time
+ * @param {Array} items Items to process
+ * @param {number} limit Maximum number of concurrent tasks
+ * @param {Function} fn Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as the input items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -4,8 +4,18 @@ const path = require('path');
 // Default configuration
 const DEFAULT_CONFIG = {
   batchSize: 20,
+  aiBatchTokens: 8000,
+  aiConcurrency: 3,
+  aiMaxEmailTokens: 2000,
+  longEmailStrategy: 'truncate',
+  aiCacheMaxAgeDays: 30,
+  redactPII: true,
+  taxonomyFile: './taxonomy.json',
+  promptDir: './prompts',
+  provider: 'gemini',
   model: 'gemini-2.0-flash',
-  tempDir: './temp'
+  tempDir: './temp',
+  fetchConcurrency: 10
 };
 
 // Configuration file path
@@ -34,6 +44,24 @@ async function loadConfig() {
   }
 }
 
+/**
+ * Load configuration synchronously, for modules that need settings outside
+ * async code (e.g. display helpers)
+ * @returns {Object} Configuration object (defaults when missing or unreadable)
+ */
+function loadConfigSync() {
+  try {
+    if (!fs.existsSync(CONFIG_PATH)) {
+      return { ...DEFAULT_CONFIG };
+    }
+    const configData = fs.readFileSync(CONFIG_PATH, 'utf8');
+    return configData.trim() ? JSON.parse(configData) : { ...DEFAULT_CONFIG };
+  } catch (error) {
+    console.warn('Could not read configuration:', error.message);
+    return { ...DEFAULT_CONFIG };
+  }
+}
+
 /**
  * Save configuration
  * @param {Object} config Configuration object
@@ -84,6 +112,7 @@ async function getConfigValue(key, defaultValue = null) {
 
 module.exports = {
   loadConfig,
+  loadConfigSync,
   saveConfig,
   updateConfig,
   getConfigValue,
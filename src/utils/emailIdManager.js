@@ -1,7 +1,9 @@
 const crypto = require("crypto");
-const fs = require("fs-extra");
-const path = require("path");
-const { loadConfig } = require("./configUtils");
+const {
+  loadEmails,
+  loadIdMapping,
+  saveIdMapping,
+} = require("../storage/mailStore");
 
 /**
  * Generate a unique identifier for an email
@@ -25,20 +27,12 @@ function generateEmailId(email) {
 }
 
 /**
- * Load email ID mapping from cache
+ * Load email ID mapping from the mail store
  * @returns {Promise<Object>} Email ID mapping
  */
 async function loadEmailIdMapping() {
   try {
-    const config = await loadConfig();
-    const tempDir = path.join(process.cwd(), config.tempDir || "./temp");
-    const mappingPath = path.join(tempDir, "email_id_mapping.json");
-
-    if (await fs.pathExists(mappingPath)) {
-      return await fs.readJson(mappingPath);
-    }
-
-    return { indexToId: {}, idToIndex: {}, nextIndex: 1 };
+    return await loadIdMapping();
   } catch (error) {
     console.error("Error loading email ID mapping:", error);
     return { indexToId: {}, idToIndex: {}, nextIndex: 1 };
@@ -46,18 +40,13 @@ async function loadEmailIdMapping() {
 }
 
 /**
- * Save email ID mapping to cache
+ * Save email ID mapping to the mail store
  * @param {Object} mapping Email ID mapping
  * @returns {Promise<void>}
  */
 async function saveEmailIdMapping(mapping) {
   try {
-    const config = await loadConfig();
-    const tempDir = path.join(process.cwd(), config.tempDir || "./temp");
-    const mappingPath = path.join(tempDir, "email_id_mapping.json");
-
-    await fs.ensureDir(tempDir);
-    await fs.writeJson(mappingPath, mapping, { spaces: 2 });
+    await saveIdMapping(mapping);
   } catch (error) {
     console.error("Error saving email ID mapping:", error);
     throw error;
@@ -150,6 +139,19 @@ function findEmailByIdentifier(identifier, emails, mapping) {
   return null;
 }
 
+/**
+ * Split an account-qualified identifier such as "work:12" into its parts
+ * @param {string} identifier User provided identifier
+ * @returns {Object} Account name (or null) and the remaining identifier
+ */
+function parseAccountIdentifier(identifier) {
+  const match = String(identifier).match(/^([^:]+):(.+)$/);
+  if (match) {
+    return { account: match[1], identifier: match[2] };
+  }
+  return { account: null, identifier: String(identifier) };
+}
+
 /**
  * Get email reference display (both index and ID)
  * @param {Object} email Email object
@@ -169,18 +171,15 @@ function getEmailReference(email) {
  */
 async function resolveEmailIdentifier(identifier) {
   try {
-    const config = await loadConfig();
-    const tempDir = path.join(process.cwd(), config.tempDir || "./temp");
-    const emailsPath = path.join(tempDir, "emails.json");
+    const emails = await loadEmails();
 
-    if (!(await fs.pathExists(emailsPath))) {
+    if (emails.length === 0) {
       return {
         success: false,
         error: 'No emails found. Run "emailmaster fetch" first.',
       };
     }
 
-    const emails = await fs.readJson(emailsPath);
     const mapping = await loadEmailIdMapping();
 
     const result = findEmailByIdentifier(identifier, emails, mapping);
@@ -212,6 +211,7 @@ module.exports = {
   saveEmailIdMapping,
   updateEmailMapping,
   findEmailByIdentifier,
+  parseAccountIdentifier,
   getEmailReference,
   resolveEmailIdentifier,
 };
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const moment = require('moment');
+const { countByPriority } = require('./taxonomyUtils');
 require('dotenv').config();
 
 // Get reports directory from env or use default
@@ -64,23 +65,16 @@ async function exportToMarkdown(emails) {
   markdown += `| Priority | Count |\n`;
   markdown += `| -------- | ----- |\n`;
   
-  const priorityCounts = {
-    Urgent: 0,
-    Important: 0,
-    Normal: 0
-  };
+  // Priorities in taxonomy order, followed by any outside the taxonomy
+  const priorityCounts = countByPriority(emails);
   
-  emails.forEach(email => {
-    priorityCounts[email.classification.priority]++;
+  Object.entries(priorityCounts).forEach(([priority, count]) => {
+    markdown += `| ${priority} | ${count} |\n`;
   });
-  
-  markdown += `| Urgent | ${priorityCounts.Urgent} |\n`;
-  markdown += `| Important | ${priorityCounts.Important} |\n`;
-  markdown += `| Normal | ${priorityCounts.Normal} |\n`;
   markdown += `| **Total** | **${emails.length}** |\n\n`;
   
   // Add emails by priority
-  ['Urgent', 'Important', 'Normal'].forEach(priority => {
+  Object.keys(priorityCounts).forEach(priority => {
     const priorityEmails = emails.filter(email => email.classification.priority === priority);
     
     if (priorityEmails.length > 0) {
@@ -152,9 +146,9 @@ async function exportDailySummary(summary) {
   markdown += `Date: ${summary.date.toLocaleDateString()}\n\n`;
   
   markdown += `## Email Counts\n\n`;
-  markdown += `- Urgent: ${summary.priorityCounts.Urgent}\n`;
-  markdown += `- Important: ${summary.priorityCounts.Important}\n`;
-  markdown += `- Normal: ${summary.priorityCounts.Normal}\n`;
+  Object.entries(summary.priorityCounts).forEach(([priority, count]) => {
+    markdown += `- ${priority}: ${count}\n`;
+  });
   markdown += `- **Total: ${summary.totalEmails}**\n\n`;
   
   if (summary.actionableEmails.length > 0) {
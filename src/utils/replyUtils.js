@@ -2,71 +2,260 @@
  * Reply Utilities Module
  * Handles email reply functionality
  */
-const fs = require('fs-extra');
 const path = require('path');
 const readline = require('readline');
 const chalk = require('chalk');
 const { getCurrentAccount } = require('./accountManager');
 const { getGmailClient } = require('../auth/gmailAuth');
 const { generateFullReplyDraft } = require('../ai/geminiAI');
-const { loadConfig } = require('./configUtils');
+const { resolveEmailIdentifier } = require('./emailIdManager');
+const { executeGmailRequest } = require('./requestExecutor');
+
+// Headers a reply is built from, looked up in Gmail for emails cached before
+// the fetcher kept them
+const REPLY_HEADERS = {
+  messageId: 'Message-ID',
+  references: 'References',
+  replyTo: 'Reply-To',
+  cc: 'Cc'
+};
+
+// UTF-8 bytes per RFC 2047 encoded word, which keeps each word under 75 characters
+const ENCODED_WORD_BYTES = 45;
+
+// Header text that can be sent as-is
+const PRINTABLE_ASCII_PATTERN = /^[\x20-\x7e]*$/;
 
 /**
- * Load cached emails
- * @returns {Promise<Array>} Cached emails
+ * Encode a header value as RFC 2047 encoded words unless it is plain ASCII
+ * Words are split between characters and folded onto continuation lines.
+ * @param {string} value Header value
+ * @returns {string} Value safe to use in a header
  */
-async function loadCachedEmails() {
-  try {
-    const config = await loadConfig();
-    const tempDir = path.join(process.cwd(), config.tempDir || './temp');
-    const emailsPath = path.join(tempDir, 'emails.json');
-    
-    if (await fs.pathExists(emailsPath)) {
-      return await fs.readJson(emailsPath);
+function encodeHeaderValue(value) {
+  const text = String(value || '');
+  if (PRINTABLE_ASCII_PATTERN.test(text)) {
+    return text;
+  }
+
+  const words = [''];
+  for (const char of text) {
+    if (Buffer.byteLength(words[words.length - 1] + char) > ENCODED_WORD_BYTES) {
+      words.push('');
+    }
+    words[words.length - 1] += char;
+  }
+
+  return words
+    .map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`)
+    .join('\r\n ');
+}
+
+/**
+ * Split an address list header into addresses
+ * Commas inside quoted display names or angle brackets do not split.
+ * @param {string} value Header value, e.g. '"Doe, Jane" <jane@example.com>, bob@example.com'
+ * @returns {Array} Addresses with name and address
+ */
+function parseAddressList(value) {
+  const entries = [''];
+  let quoted = false;
+  let bracketed = false;
+
+  for (const char of String(value || '')) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '<' || char === '>')) {
+      bracketed = char === '<';
+    }
+
+    if (char === ',' && !quoted && !bracketed) {
+      entries.push('');
+    } else {
+      entries[entries.length - 1] += char;
     }
-    
-    return [];
-  } catch (error) {
-    console.error(chalk.red('Error loading cached emails:'), error.message);
-    return [];
   }
+
+  return entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(.*?)\s*<([^>]+)>$/);
+      return match
+        ? { name: match[1].replace(/^"(.*)"$/, '$1').trim(), address: match[2].trim() }
+        : { name: '', address: entry };
+    });
 }
 
 /**
- * Create a reply email in RFC 2822 format
+ * Format addresses for an address list header
+ * Non-ASCII display names are RFC 2047 encoded and names with special
+ * characters are quoted.
+ * @param {Array} addresses Addresses with name and address
+ * @returns {string} Header value
+ */
+function formatAddressList(addresses) {
+  return addresses
+    .map(({ name, address }) => {
+      if (!name) {
+        return address;
+      }
+      if (!PRINTABLE_ASCII_PATTERN.test(name)) {
+        return `${encodeHeaderValue(name)} <${address}>`;
+      }
+      return /[(),.:;<>@[\]\\"]/.test(name)
+        ? `"${name.replace(/(["\\])/g, '\\$1')}" <${address}>`
+        : `${name} <${address}>`;
+    })
+    .join(', ');
+}
+
+/**
+ * Work out who a reply goes to
+ * Replies go to the Reply-To address when the original has one and to its
+ * sender otherwise; a reply to your own message goes to its recipients.
+ * Reply-all adds the original To and Cc recipients. Your own address is
+ * left out and each address appears once.
+ * @param {Object} originalEmail The original email
+ * @param {Object} headers Reply headers of the original (replyTo, cc)
+ * @param {string} selfAddress Address of the account sending the reply
+ * @param {boolean} replyAll Whether to reply to every recipient
+ * @returns {Object} { to, cc } lists of addresses
+ */
+function getReplyRecipients(originalEmail, headers, selfAddress, replyAll) {
+  const self = String(selfAddress || '').toLowerCase();
+  const sender = parseAddressList(originalEmail.from);
+  const originalTo = parseAddressList(originalEmail.to);
+  const fromSelf = sender.length > 0 && sender.every(({ address }) => address.toLowerCase() === self);
+
+  let to = fromSelf ? originalTo : parseAddressList(headers.replyTo || originalEmail.from);
+  let cc = [];
+  if (replyAll) {
+    to = fromSelf ? to : [...to, ...originalTo];
+    cc = parseAddressList(headers.cc);
+  }
+
+  // Leave out your own address and repeated addresses
+  const seen = new Set([self]);
+  const unique = addresses => addresses.filter(({ address }) => {
+    const key = address.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+  to = unique(to);
+  cc = unique(cc);
+
+  return to.length > 0 ? { to, cc } : { to: cc, cc: [] };
+}
+
+/**
+ * Create the subject of a reply (adds Re: if not already present)
+ * @param {Object} originalEmail The original email
+ * @returns {string} Reply subject
+ */
+function getReplySubject(originalEmail) {
+  const subject = originalEmail.subject || '';
+  return /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+}
+
+/**
+ * Create a reply email in RFC 5322 format
+ * In-Reply-To and References point at the original's Message-ID, so the
+ * reply threads in every client; non-ASCII subjects and names are RFC 2047
+ * encoded.
  * @param {Object} originalEmail The original email to reply to
  * @param {string} replyMessage The reply message content
+ * @param {Object} options Reply details
+ * @param {string} options.from Address of the account sending the reply
+ * @param {Object} options.recipients { to, cc } lists of addresses
+ * @param {Object} options.headers Reply headers of the original (messageId, references)
  * @returns {string} The formatted email
  */
-function createReplyEmail(originalEmail, replyMessage) {
-  // Extract the sender's email address from the "from" field
-  const fromMatch = originalEmail.from.match(/<([^>]+)>/) || [null, originalEmail.from];
-  const toEmail = fromMatch[1];
-  
-  // Create reply subject (add Re: if not already present)
-  const subject = originalEmail.subject.startsWith('Re:') 
-    ? originalEmail.subject 
-    : `Re: ${originalEmail.subject}`;
-  
+function createReplyEmail(originalEmail, replyMessage, options) {
+  const { from, recipients, headers } = options;
+  const subject = getReplySubject(originalEmail);
+
+  // The thread's earlier references, then the original itself
+  const references = [headers.references, headers.messageId]
+    .filter(Boolean)
+    .join(' ')
+    .split(/\s+/);
+
   // Format the date for the email header
   const date = new Date().toUTCString();
-  
+
   // Create email headers
-  const headers = [
-    `From: ${process.env.USER_EMAIL || 'me'}`,
-    `To: ${toEmail}`,
-    `Subject: ${subject}`,
-    `In-Reply-To: ${originalEmail.id}`,
-    `References: ${originalEmail.id}`,
+  const lines = [
+    `From: ${from}`,
+    `To: ${formatAddressList(recipients.to)}`,
+    ...(recipients.cc.length > 0 ? [`Cc: ${formatAddressList(recipients.cc)}`] : []),
+    `Subject: ${encodeHeaderValue(subject)}`,
+    ...(headers.messageId
+      ? [`In-Reply-To: ${headers.messageId}`, `References: ${references.join('\r\n ')}`]
+      : []),
     `Date: ${date}`,
+    'MIME-Version: 1.0',
     'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
     '',
-    replyMessage
-  ].join('\r\n');
-  
+    String(replyMessage).replace(/\r?\n/g, '\r\n')
+  ];
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Get the headers a reply is built from
+ * Emails cached before these headers were kept are looked up in Gmail.
+ * @param {Object} gmail Gmail API client
+ * @param {Object} email The original email
+ * @returns {Promise<Object>} Headers with messageId, references, replyTo and cc
+ */
+async function getReplyHeaders(gmail, email) {
+  const cached = email.headers || {};
+  if (cached.messageId) {
+    return cached;
+  }
+
+  const response = await executeGmailRequest('messages.get', () =>
+    gmail.users.messages.get({
+      userId: 'me',
+      id: email.id,
+      format: 'metadata',
+      metadataHeaders: Object.values(REPLY_HEADERS)
+    })
+  );
+  const found = (response.data.payload && response.data.payload.headers) || [];
+
+  const headers = { ...cached };
+  Object.entries(REPLY_HEADERS).forEach(([key, name]) => {
+    const header = found.find(h => h.name.toLowerCase() === name.toLowerCase());
+    if (header) {
+      headers[key] = header.value;
+    }
+  });
   return headers;
 }
 
+/**
+ * Get the address of the account, as stored from its Gmail profile
+ * @param {Object} gmail Gmail API client
+ * @param {Object} account Current account
+ * @returns {Promise<string>} Email address
+ */
+async function getAccountAddress(gmail, account) {
+  if (account.email) {
+    return account.email;
+  }
+  const profile = await executeGmailRequest('getProfile', () =>
+    gmail.users.getProfile({ userId: 'me' })
+  );
+  return profile.data.emailAddress;
+}
+
 /**
  * Prompt user for manual reply input
  * @returns {Promise<string>} User's reply message
@@ -113,33 +302,26 @@ async function generateAIReply(email) {
 
 /**
  * Send a reply to an email
- * @param {number} emailNumber The index of the email to reply to (1-based)
+ * @param {number|string} emailNumber Email number or unique ID shown by "list"
  * @param {Object} options Reply options
  * @param {boolean} options.ai Whether to use AI to generate the reply
  * @param {boolean} options.send Whether to send the AI-generated reply
  * @param {boolean} options.manual Whether to manually compose the reply
  * @param {string} options.message Custom message for the reply
  * @param {boolean} options.draft Whether to save as draft instead of sending
+ * @param {boolean} options.all Whether to reply to every recipient, keeping Cc
  * @returns {Promise<Object>} Result of the operation
  */
 async function replyToEmail(emailNumber, options = {}) {
   try {
-    // Load cached emails
-    const emails = await loadCachedEmails();
+    // Resolve the email by its list number or unique ID
+    const resolved = await resolveEmailIdentifier(emailNumber);
     
-    // Check if email exists
-    if (!emails || emails.length === 0) {
-      throw new Error('No emails found. Run "emailmaster fetch" first.');
+    if (!resolved.success) {
+      throw new Error(resolved.error);
     }
     
-    // Convert 1-based index to 0-based
-    const index = emailNumber - 1;
-    
-    if (index < 0 || index >= emails.length) {
-      throw new Error(`Email #${emailNumber} not found. Available range: 1-${emails.length}`);
-    }
-    
-    const originalEmail = emails[index];
+    const originalEmail = resolved.email;
     let replyMessage = '';
     
     // Determine reply content based on options
@@ -156,18 +338,45 @@ async function replyToEmail(emailNumber, options = {}) {
       throw new Error('No reply content specified. Use --ai, --manual, or --message options.');
     }
     
+    // Get current account
+    const account = await getCurrentAccount();
+    
+    // Get token path for the current account
+    const tokenPath = path.join(process.cwd(), account.tokenPath);
+    
+    // Get Gmail client
+    const gmail = await getGmailClient(tokenPath);
+    
+    // Address the reply from the original's headers
+    const from = await getAccountAddress(gmail, account);
+    const headers = await getReplyHeaders(gmail, originalEmail);
+    const recipients = getReplyRecipients(originalEmail, headers, from, !!options.all);
+    if (recipients.to.length === 0) {
+      throw new Error('No one to reply to: every recipient is your own address.');
+    }
+    const addressed = {
+      to: formatAddressList(recipients.to),
+      cc: formatAddressList(recipients.cc)
+    };
+    
     // If we're just generating an AI draft without sending, return it
     if (options.ai && !options.send && !options.draft) {
       return {
         success: true,
         type: 'draft-preview',
         message: replyMessage,
-        email: originalEmail
+        email: originalEmail,
+        recipients: addressed,
+        subject: getReplySubject(originalEmail)
       };
     }
     
     // Create reply email
-    const rawEmail = createReplyEmail(originalEmail, replyMessage);
+    const rawEmail = createReplyEmail(originalEmail, replyMessage, {
+      from,
+      recipients,
+      headers
+    });
     
     // Base64 encode the email
     const encodedEmail = Buffer.from(rawEmail).toString('base64')
@@ -175,48 +384,45 @@ async function replyToEmail(emailNumber, options = {}) {
       .replace(/\//g, '_')
       .replace(/=+$/, '');
     
-    // Get current account
-    const account = await getCurrentAccount();
-    
-    // Get token path for the current account
-    const tokenPath = path.join(process.cwd(), account.tokenPath);
-    
-    // Get Gmail client
-    const gmail = await getGmailClient(tokenPath);
-    
     if (options.draft) {
       // Create a draft
-      const response = await gmail.users.drafts.create({
-        userId: 'me',
-        requestBody: {
-          message: {
-            raw: encodedEmail,
-            threadId: originalEmail.threadId
+      const response = await executeGmailRequest('drafts.create', () =>
+        gmail.users.drafts.create({
+          userId: 'me',
+          requestBody: {
+            message: {
+              raw: encodedEmail,
+              threadId: originalEmail.threadId
+            }
           }
-        }
-      });
+        })
+      );
       
       return {
         success: true,
         type: 'draft',
         id: response.data.id,
-        email: originalEmail
+        email: originalEmail,
+        recipients: addressed
       };
     } else {
       // Send the email
-      const response = await gmail.users.messages.send({
-        userId: 'me',
-        requestBody: {
-          raw: encodedEmail,
-          threadId: originalEmail.threadId
-        }
-      });
+      const response = await executeGmailRequest('messages.send', () =>
+        gmail.users.messages.send({
+          userId: 'me',
+          requestBody: {
+            raw: encodedEmail,
+            threadId: originalEmail.threadId
+          }
+        })
+      );
       
       return {
         success: true,
         type: 'sent',
         id: response.data.id,
-        email: originalEmail
+        email: originalEmail,
+        recipients: addressed
       };
     }
   } catch (error) {
@@ -0,0 +1,384 @@
+/**
+ * Request Executor Module
+ * Shared retry with exponential backoff, Retry-After handling, per-service
+ * rate limits and circuit breaking for Gmail and AI requests
+ */
+
+// Retries after the first attempt for transient failures
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Retry-After waits longer than this fail the request instead
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Consecutive failures that open a circuit, and how long it stays open
+const FAILURE_THRESHOLD = 5;
+const COOLDOWN_MS = 60000;
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network error codes worth retrying
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+// Gmail 403 reasons that mean "slow down" rather than "forbidden"
+const RATE_LIMIT_REASONS = ["rateLimitExceeded", "userRateLimitExceeded"];
+
+// Gmail methods that are not safe to repeat; a failed attempt may already have
+// taken effect, so only requests rejected by a rate limit are retried
+const NON_IDEMPOTENT_GMAIL_METHODS = ["messages.send", "drafts.create"];
+
+// Default rate limits per service; other services are not limited by default.
+// The Gemini limit matches the free tier; paid keys should raise it or turn it
+// off with aiRequestsPerMinute
+const SERVICE_RATE_LIMITS = {
+  gmail: { limit: 250, intervalMs: 1000 }, // Gmail quota units per user per second
+  gemini: { limit: 15, intervalMs: 60000 }, // Gemini free tier requests per minute
+};
+
+// Gmail API quota units per method
+const GMAIL_QUOTA_UNITS = {
+  "messages.list": 5,
+  "messages.get": 5,
+  "messages.attachments.get": 5,
+  "messages.send": 100,
+  "messages.batchModify": 50,
+  "labels.list": 1,
+  "labels.create": 5,
+  "threads.get": 10,
+  "drafts.create": 10,
+  "history.list": 2,
+  getProfile: 1,
+};
+
+// Rate limiters and circuit breakers keyed by service name
+const limiters = new Map();
+const circuits = new Map();
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the HTTP status of a Gmail or AI provider error
+ * @param {Error} error Request error
+ * @returns {number|undefined} HTTP status
+ */
+function getErrorStatus(error) {
+  const status =
+    error.status ||
+    (error.response && error.response.status) ||
+    (typeof error.code === "number" ? error.code : Number(error.code));
+  return Number.isInteger(status) ? status : undefined;
+}
+
+/**
+ * Get the Gmail error reasons of an error
+ * @param {Error} error Request error
+ * @returns {Array} Reason strings
+ */
+function getErrorReasons(error) {
+  const data = error.response && error.response.data;
+  const errors =
+    error.errors || (data && data.error && data.error.errors) || [];
+  return errors.map((item) => item && item.reason).filter(Boolean);
+}
+
+/**
+ * Check whether a failed request should be retried
+ * @param {Error} error Request error
+ * @returns {boolean} True for rate limits, server errors and network errors
+ */
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status === 403) {
+    return getErrorReasons(error).some((reason) =>
+      RATE_LIMIT_REASONS.includes(reason)
+    );
+  }
+  if (status) {
+    return RETRYABLE_STATUSES.includes(status);
+  }
+  return (
+    RETRYABLE_CODES.includes(error.code) ||
+    /fetch failed|socket hang up/i.test(error.message || "")
+  );
+}
+
+/**
+ * Check whether an error is a rate limit rejection
+ * The server refused the request without processing it, so even requests that
+ * are not safe to repeat can be retried.
+ * @param {Error} error Request error
+ * @returns {boolean} True for 429 responses and Gmail rate limit 403s
+ */
+function isRateLimitError(error) {
+  const status = getErrorStatus(error);
+  if (status === 403) {
+    return getErrorReasons(error).some((reason) =>
+      RATE_LIMIT_REASONS.includes(reason)
+    );
+  }
+  return status === 429;
+}
+
+/**
+ * Read the server's requested wait from Retry-After or Gemini RetryInfo
+ * @param {Error} error Request error
+ * @returns {number|null} Wait in milliseconds, or null if none was given
+ */
+function getRetryAfterMs(error) {
+  const headers =
+    error.headers || (error.response && error.response.headers) || {};
+  const value =
+    typeof headers.get === "function"
+      ? headers.get("retry-after")
+      : headers["retry-after"] || headers["Retry-After"];
+
+  if (value) {
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(date - Date.now(), 0);
+    }
+  }
+
+  // Gemini reports the wait as a RetryInfo detail, e.g. { retryDelay: "17s" }
+  const retryInfo = (error.errorDetails || []).find(
+    (detail) => detail && detail.retryDelay
+  );
+  if (retryInfo) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the backoff delay for a retry, with full jitter
+ * @param {number} attempt Retry number (1 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Get the token bucket rate limiter for a service
+ * @param {string} service Service name
+ * @param {Object} rateLimit Limit override ({ limit, intervalMs })
+ * @returns {Object|null} Limiter, or null when the service is not limited
+ */
+function getLimiter(service, rateLimit) {
+  const settings = rateLimit || SERVICE_RATE_LIMITS[service];
+  if (!settings || !settings.limit) {
+    return null;
+  }
+
+  let limiter = limiters.get(service);
+  if (
+    !limiter ||
+    limiter.limit !== settings.limit ||
+    limiter.intervalMs !== settings.intervalMs
+  ) {
+    limiter = {
+      limit: settings.limit,
+      intervalMs: settings.intervalMs,
+      tokens: settings.limit,
+      updatedAt: Date.now(),
+      queue: Promise.resolve(),
+    };
+    limiters.set(service, limiter);
+  }
+  return limiter;
+}
+
+/**
+ * Wait until a limiter has enough capacity for a request
+ * Requests are queued so they are served in order.
+ * @param {Object} limiter Token bucket limiter
+ * @param {number} cost Units used by the request
+ * @returns {Promise<void>}
+ */
+function acquire(limiter, cost) {
+  const units = Math.min(cost, limiter.limit);
+
+  limiter.queue = limiter.queue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      limiter.tokens = Math.min(
+        limiter.limit,
+        limiter.tokens +
+          ((now - limiter.updatedAt) * limiter.limit) / limiter.intervalMs
+      );
+      limiter.updatedAt = now;
+
+      if (limiter.tokens >= units) {
+        limiter.tokens -= units;
+        return;
+      }
+      await sleep(
+        Math.ceil(
+          ((units - limiter.tokens) * limiter.intervalMs) / limiter.limit
+        )
+      );
+    }
+  });
+
+  return limiter.queue;
+}
+
+/**
+ * Get the circuit breaker state for a service
+ * @param {string} service Service name
+ * @returns {Object} Circuit state
+ */
+function getCircuit(service) {
+  if (!circuits.has(service)) {
+    circuits.set(service, { failures: 0, openUntil: 0 });
+  }
+  return circuits.get(service);
+}
+
+/**
+ * Check whether a service's circuit is open after repeated failures
+ * While open, requests fail fast so callers can fall back to offline paths.
+ * @param {string} service Service name
+ * @returns {boolean} True while the circuit is open
+ */
+function isCircuitOpen(service) {
+  return getCircuit(service).openUntil > Date.now();
+}
+
+/**
+ * Record a transient failure, opening the circuit at the threshold
+ * @param {string} service Service name
+ */
+function recordFailure(service) {
+  const circuit = getCircuit(service);
+  circuit.failures++;
+  if (circuit.failures >= FAILURE_THRESHOLD) {
+    circuit.openUntil = Date.now() + COOLDOWN_MS;
+    console.warn(
+      `⚠️  ${service} is failing repeatedly; pausing requests for ${
+        COOLDOWN_MS / 1000
+      } seconds.`
+    );
+  }
+}
+
+/**
+ * Run a request with rate limiting, retries and circuit breaking
+ * Rate limits, server errors and network errors are retried with exponential
+ * backoff and jitter, honouring Retry-After; other errors are thrown at once.
+ * @param {Function} fn Request function, called with the attempt number (0 first)
+ * @param {Object} options Request options
+ * @param {string} options.service Service name (e.g. "gmail", "gemini")
+ * @param {number} options.cost Rate limit units used by the request
+ * @param {Object} options.rateLimit Rate limit override ({ limit, intervalMs })
+ * @param {number} options.maxRetries Retries after the first attempt
+ * @param {Function} options.isRetryable Decides which errors are retried
+ *   (defaults to isRetryableError)
+ * @param {string} options.name Request name used in log messages
+ * @returns {Promise<*>} Request result
+ * @throws {Error} With code CIRCUIT_OPEN while the service's circuit is open
+ */
+async function executeRequest(fn, options = {}) {
+  const { service = "default", cost = 1, name = service } = options;
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const isRetryable = options.isRetryable || isRetryableError;
+  const circuit = getCircuit(service);
+
+  for (let attempt = 0; ; attempt++) {
+    if (isCircuitOpen(service)) {
+      const error = new Error(
+        `${service} is temporarily unavailable after repeated failures`
+      );
+      error.code = "CIRCUIT_OPEN";
+      throw error;
+    }
+
+    const limiter = getLimiter(service, options.rateLimit);
+    if (limiter) {
+      await acquire(limiter, cost);
+    }
+
+    try {
+      const result = await fn(attempt);
+      circuit.failures = 0;
+      return result;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        throw error;
+      }
+      recordFailure(service);
+
+      const retryAfter = getRetryAfterMs(error);
+      if (
+        attempt >= maxRetries ||
+        isCircuitOpen(service) ||
+        retryAfter > MAX_RETRY_AFTER_MS
+      ) {
+        throw error;
+      }
+
+      const delay = retryAfter ?? getBackoffDelay(attempt + 1);
+      const status = getErrorStatus(error) || error.code || "network error";
+      console.log(
+        `🔄 ${name} failed (${status}), retrying in ${(delay / 1000).toFixed(
+          1
+        )} seconds... (attempt ${attempt + 1}/${maxRetries})`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Run a Gmail API request with the Gmail quota and retry policy
+ * Sends and draft creation are retried only after a rate limit, so a timeout
+ * or server error never delivers the same message twice.
+ * @param {string} method Gmail method (e.g. "messages.get")
+ * @param {Function} fn Request function
+ * @returns {Promise<*>} Request result
+ */
+function executeGmailRequest(method, fn) {
+  return executeRequest(fn, {
+    service: "gmail",
+    cost: GMAIL_QUOTA_UNITS[method] || 5,
+    name: `Gmail ${method}`,
+    isRetryable: NON_IDEMPOTENT_GMAIL_METHODS.includes(method)
+      ? isRateLimitError
+      : isRetryableError,
+  });
+}
+
+module.exports = {
+  executeRequest,
+  executeGmailRequest,
+  isCircuitOpen,
+  isRetryableError,
+  isRateLimitError,
+  getRetryAfterMs,
+  SERVICE_RATE_LIMITS,
+  GMAIL_QUOTA_UNITS,
+};
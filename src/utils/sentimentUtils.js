@@ -1,11 +1,190 @@
 const fs = require('fs-extra');
 const path = require('path');
 const moment = require('moment');
+const { getSenderAddress } = require('./addressUtils');
 require('dotenv').config();
 
 // Get reports directory from env or use default
 const REPORTS_DIR = process.env.REPORTS_DIR || path.join(__dirname, '../../reports');
 
+// Values accepted from the sentiment prompt; anything else is neutral or other
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const SENTIMENT_TYPES = ['appreciation', 'complaint', 'request', 'information', 'other'];
+
+// Weeks shown in trend reports when no number is given
+const DEFAULT_TREND_WEEKS = 8;
+
+// Senders listed in trend reports, most emails first
+const MAX_TREND_SENDERS = 10;
+
+// Characters used to draw trend lines, lowest to highest
+const TREND_LINE_LEVELS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+/**
+ * Limit a number to a range
+ * @param {*} value Value to convert
+ * @param {number} min Lowest value
+ * @param {number} max Highest value
+ * @param {number} fallback Value used when the input is not a number
+ * @returns {number} Number within the range
+ */
+function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Turn sentiment results into entries for the sentiment history
+ * Each entry is dated by its email, so trends follow when emails arrived
+ * rather than when they were analyzed.
+ * @param {Array} emails Analyzed emails
+ * @param {Array} results Results from analyzeEmailSentiment
+ * @returns {Array} Entries with emailId, sender, day, sentiment, score, type and stressLevel
+ */
+function buildSentimentEntries(emails, results) {
+  const emailsById = new Map(emails.map(email => [String(email.id), email]));
+
+  return results
+    .filter(result => emailsById.has(String(result.id)))
+    .map(result => {
+      const email = emailsById.get(String(result.id));
+      const sentiment = String(result.sentiment || '').toLowerCase();
+      const type = String(result.type || '').toLowerCase();
+      return {
+        emailId: email.id,
+        sender: getSenderAddress(email.from),
+        day: moment(email.date || undefined).format('YYYY-MM-DD'),
+        sentiment: SENTIMENTS.includes(sentiment) ? sentiment : 'neutral',
+        score: clamp(result.sentimentScore, -1, 1, 0),
+        type: SENTIMENT_TYPES.includes(type) ? type : 'other',
+        stressLevel: clamp(result.stressLevel, 0, 10, 5)
+      };
+    });
+}
+
+/**
+ * Get the first day covered by a trend report
+ * @param {number} weeks Number of weeks, including the current one
+ * @returns {string} Monday of the first week (YYYY-MM-DD)
+ */
+function getTrendStartDay(weeks = DEFAULT_TREND_WEEKS) {
+  return moment().startOf('isoWeek').subtract(weeks - 1, 'weeks').format('YYYY-MM-DD');
+}
+
+/**
+ * Summarize a set of sentiment entries
+ * @param {Array} entries Sentiment entries
+ * @returns {Object} Email count, average score and stress (null without emails) and sentiment counts
+ */
+function summarizeSentiments(entries) {
+  const average = field => entries.length > 0 ?
+    entries.reduce((total, entry) => total + entry[field], 0) / entries.length : null;
+  const count = sentiment => entries.filter(entry => entry.sentiment === sentiment).length;
+
+  return {
+    emails: entries.length,
+    averageScore: average('score'),
+    averageStress: average('stressLevel'),
+    positive: count('positive'),
+    neutral: count('neutral'),
+    negative: count('negative')
+  };
+}
+
+/**
+ * Build weekly mood trends, overall and per sender
+ * @param {Array} entries Sentiment entries from the history
+ * @param {Object} options Trend options
+ * @param {number} options.weeks Number of weeks, including the current one
+ * @returns {Object} Weekly summaries, the current week compared with the previous week and earlier weeks, and the busiest senders' trends
+ */
+function buildMoodTrends(entries, options = {}) {
+  const weeks = options.weeks || DEFAULT_TREND_WEEKS;
+  const startDay = getTrendStartDay(weeks);
+  const weekStarts = Array.from({ length: weeks }, (_, index) =>
+    moment(startDay, 'YYYY-MM-DD').add(index, 'weeks').format('YYYY-MM-DD'));
+  const weekOf = day => moment(day, 'YYYY-MM-DD').startOf('isoWeek').format('YYYY-MM-DD');
+
+  const inRange = entries.filter(entry => entry.day >= startDay);
+  const byWeek = rows => weekStarts.map(start => ({
+    start,
+    ...summarizeSentiments(rows.filter(row => weekOf(row.day) === start))
+  }));
+
+  // Group by sender and keep the senders with the most emails
+  const bySender = new Map();
+  inRange.forEach(entry => {
+    const sender = entry.sender || 'unknown';
+    bySender.set(sender, [...(bySender.get(sender) || []), entry]);
+  });
+  const senders = [...bySender.entries()]
+    .sort(([, a], [, b]) => b.length - a.length)
+    .slice(0, MAX_TREND_SENDERS)
+    .map(([sender, rows]) => ({
+      sender,
+      ...summarizeSentiments(rows),
+      weeks: byWeek(rows)
+    }));
+
+  const currentWeek = weekStarts[weekStarts.length - 1];
+  const previousWeek = weekStarts[weekStarts.length - 2];
+
+  return {
+    startDay,
+    weeks: byWeek(inRange),
+    overall: summarizeSentiments(inRange),
+    comparison: {
+      current: summarizeSentiments(inRange.filter(entry => weekOf(entry.day) === currentWeek)),
+      previous: summarizeSentiments(inRange.filter(entry => weekOf(entry.day) === previousWeek)),
+      // Weeks before the previous one, so no week is counted twice
+      earlier: summarizeSentiments(inRange.filter(entry => previousWeek && weekOf(entry.day) < previousWeek))
+    },
+    senders
+  };
+}
+
+/**
+ * Draw a trend line from a series of values
+ * @param {Array} values Values, with null for periods without data
+ * @param {number} min Value drawn as the lowest level
+ * @param {number} max Value drawn as the highest level
+ * @returns {string} One character per value, "·" where there is no data
+ */
+function formatTrendLine(values, min, max) {
+  return values.map(value => {
+    if (value === null || value === undefined) {
+      return '·';
+    }
+    const level = Math.round(((value - min) / (max - min)) * (TREND_LINE_LEVELS.length - 1));
+    return TREND_LINE_LEVELS[Math.min(TREND_LINE_LEVELS.length - 1, Math.max(0, level))];
+  }).join('');
+}
+
+/**
+ * Format a sentiment score with its sign
+ * @param {number|null} score Average score (-1 to 1)
+ * @returns {string} Score such as "+0.25", or "n/a" without data
+ */
+function formatScore(score) {
+  if (score === null || score === undefined) {
+    return 'n/a';
+  }
+  return `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+}
+
+/**
+ * Format a count as a share of a total
+ * @param {number} count Count
+ * @param {number} total Total
+ * @returns {string} Percentage with one decimal
+ */
+function formatShare(count, total) {
+  return `${total > 0 ? ((count / total) * 100).toFixed(1) : '0.0'}%`;
+}
+
 /**
  * Generate mood trend report
  * @param {Array} sentimentResults Array of email sentiment analysis results
@@ -32,9 +211,9 @@ function generateMoodTrendReport(sentimentResults) {
   let totalStressLevel = 0;
   
   sentimentResults.forEach(result => {
-    sentimentCounts[result.sentiment]++;
-    typeCounts[result.type]++;
-    totalStressLevel += result.stressLevel;
+    sentimentCounts[SENTIMENTS.includes(result.sentiment) ? result.sentiment : 'neutral']++;
+    typeCounts[SENTIMENT_TYPES.includes(result.type) ? result.type : 'other']++;
+    totalStressLevel += Number(result.stressLevel) || 0;
   });
   
   const averageStressLevel = sentimentResults.length > 0 ? 
@@ -73,10 +252,13 @@ function generateMoodTrendReport(sentimentResults) {
 
 /**
  * Export mood trend report to Markdown
+ * With trends, the report also compares the weeks it covers and lists the
+ * busiest senders' trends.
  * @param {Object} report Mood trend report
+ * @param {Object} trends Weekly trends from buildMoodTrends (optional)
  * @returns {Promise<string>} Path to exported file
  */
-async function exportMoodTrendReport(report) {
+async function exportMoodTrendReport(report, trends = null) {
   // Ensure reports directory exists
   await fs.ensureDir(REPORTS_DIR);
   
@@ -84,26 +266,64 @@ async function exportMoodTrendReport(report) {
   const timestamp = moment().format('YYYY-MM-DD_HH-mm-ss');
   const filename = `mood_trend_${timestamp}.md`;
   const filePath = path.join(REPORTS_DIR, filename);
+  const total = report.totalEmails;
   
   let markdown = `# Email Mood Trend Report\n\n`;
-  markdown += `Generated: ${moment().format('MMMM D, YYYY [at] h:mm A')}\n\n`;
+  markdown += `Generated: ${moment().format('MMMM D, YYYY [at] h:mm A')}\n`;
+  if (trends) {
+    markdown += `Period: ${moment(trends.startDay, 'YYYY-MM-DD').format('MMMM D, YYYY')} to today (${trends.weeks.length} weeks)\n`;
+  }
+  markdown += `\n`;
   
   markdown += `## Summary\n\n`;
   markdown += `- **Overall Trend:** ${report.overallTrend}\n`;
   markdown += `- **Stress Level:** ${report.stressCategory} (${report.averageStressLevel.toFixed(1)}/10)\n`;
-  markdown += `- **Total Emails Analyzed:** ${report.totalEmails}\n\n`;
+  markdown += `- **Total Emails Analyzed:** ${total}\n\n`;
+  
+  if (trends) {
+    const { current, previous, earlier } = trends.comparison;
+    markdown += `## Compared With Earlier Weeks\n\n`;
+    markdown += `| Period | Emails | Avg Sentiment | Avg Stress | Negative |\n`;
+    markdown += `| --- | --- | --- | --- | --- |\n`;
+    [['This week', current], ['Previous week', previous], ['Earlier weeks', earlier]].forEach(([label, summary]) => {
+      const stress = summary.averageStress === null ? 'n/a' : summary.averageStress.toFixed(1);
+      markdown += `| ${label} | ${summary.emails} | ${formatScore(summary.averageScore)} | ${stress} | ${formatShare(summary.negative, summary.emails)} |\n`;
+    });
+    markdown += `\n`;
+    
+    markdown += `## Week by Week\n\n`;
+    markdown += `Sentiment: \`${formatTrendLine(trends.weeks.map(week => week.averageScore), -1, 1)}\`  \n`;
+    markdown += `Stress: \`${formatTrendLine(trends.weeks.map(week => week.averageStress), 0, 10)}\`\n\n`;
+    markdown += `| Week of | Emails | Avg Sentiment | Avg Stress | Positive | Negative |\n`;
+    markdown += `| --- | --- | --- | --- | --- | --- |\n`;
+    trends.weeks.forEach(week => {
+      const stress = week.averageStress === null ? 'n/a' : week.averageStress.toFixed(1);
+      markdown += `| ${week.start} | ${week.emails} | ${formatScore(week.averageScore)} | ${stress} | ${formatShare(week.positive, week.emails)} | ${formatShare(week.negative, week.emails)} |\n`;
+    });
+    markdown += `\n`;
+    
+    if (trends.senders.length > 0) {
+      markdown += `## Senders\n\n`;
+      markdown += `| Sender | Emails | Avg Sentiment | Trend | Avg Stress |\n`;
+      markdown += `| --- | --- | --- | --- | --- |\n`;
+      trends.senders.forEach(sender => {
+        markdown += `| ${sender.sender} | ${sender.emails} | ${formatScore(sender.averageScore)} | \`${formatTrendLine(sender.weeks.map(week => week.averageScore), -1, 1)}\` | ${sender.averageStress.toFixed(1)} |\n`;
+      });
+      markdown += `\n`;
+    }
+  }
   
   markdown += `## Sentiment Distribution\n\n`;
-  markdown += `- Positive: ${report.sentimentCounts.positive} (${((report.sentimentCounts.positive / report.totalEmails) * 100).toFixed(1)}%)\n`;
-  markdown += `- Neutral: ${report.sentimentCounts.neutral} (${((report.sentimentCounts.neutral / report.totalEmails) * 100).toFixed(1)}%)\n`;
-  markdown += `- Negative: ${report.sentimentCounts.negative} (${((report.sentimentCounts.negative / report.totalEmails) * 100).toFixed(1)}%)\n\n`;
+  markdown += `- Positive: ${report.sentimentCounts.positive} (${formatShare(report.sentimentCounts.positive, total)})\n`;
+  markdown += `- Neutral: ${report.sentimentCounts.neutral} (${formatShare(report.sentimentCounts.neutral, total)})\n`;
+  markdown += `- Negative: ${report.sentimentCounts.negative} (${formatShare(report.sentimentCounts.negative, total)})\n\n`;
   
   markdown += `## Email Type Distribution\n\n`;
-  markdown += `- Appreciation: ${report.typeCounts.appreciation} (${((report.typeCounts.appreciation / report.totalEmails) * 100).toFixed(1)}%)\n`;
-  markdown += `- Requests: ${report.typeCounts.request} (${((report.typeCounts.request / report.totalEmails) * 100).toFixed(1)}%)\n`;
-  markdown += `- Complaints: ${report.typeCounts.complaint} (${((report.typeCounts.complaint / report.totalEmails) * 100).toFixed(1)}%)\n`;
-  markdown += `- Information: ${report.typeCounts.information} (${((report.typeCounts.information / report.totalEmails) * 100).toFixed(1)}%)\n`;
-  markdown += `- Other: ${report.typeCounts.other} (${((report.typeCounts.other / report.totalEmails) * 100).toFixed(1)}%)\n\n`;
+  markdown += `- Appreciation: ${report.typeCounts.appreciation} (${formatShare(report.typeCounts.appreciation, total)})\n`;
+  markdown += `- Requests: ${report.typeCounts.request} (${formatShare(report.typeCounts.request, total)})\n`;
+  markdown += `- Complaints: ${report.typeCounts.complaint} (${formatShare(report.typeCounts.complaint, total)})\n`;
+  markdown += `- Information: ${report.typeCounts.information} (${formatShare(report.typeCounts.information, total)})\n`;
+  markdown += `- Other: ${report.typeCounts.other} (${formatShare(report.typeCounts.other, total)})\n\n`;
   
   markdown += `## Insights\n\n`;
   
@@ -124,11 +344,29 @@ async function exportMoodTrendReport(report) {
     markdown += `- You're receiving a significant number of complaints, which might require attention.\n`;
   }
   
+  if (trends) {
+    const { current, earlier } = trends.comparison;
+    if (current.averageScore !== null && earlier.averageScore !== null) {
+      const change = current.averageScore - earlier.averageScore;
+      if (change <= -0.2) {
+        markdown += `- This week's emails are noticeably more negative than in earlier weeks (${formatScore(change)}).\n`;
+      } else if (change >= 0.2) {
+        markdown += `- This week's emails are noticeably more positive than in earlier weeks (${formatScore(change)}).\n`;
+      }
+    }
+  }
+  
   await fs.writeFile(filePath, markdown);
   return filePath;
 }
 
 module.exports = {
   generateMoodTrendReport,
-  exportMoodTrendReport
+  exportMoodTrendReport,
+  buildSentimentEntries,
+  buildMoodTrends,
+  getTrendStartDay,
+  formatTrendLine,
+  formatScore,
+  DEFAULT_TREND_WEEKS
 };
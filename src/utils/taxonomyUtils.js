@@ -0,0 +1,278 @@
+/**
+ * Taxonomy Utilities Module
+ * Loads the priorities, email types and tags used for classification, from
+ * taxonomy.json when present, and provides ordering and counting helpers
+ */
+const fs = require("fs-extra");
+const path = require("path");
+const { loadConfigSync } = require("./configUtils");
+
+// Built-in taxonomy, used for any list taxonomy.json does not define
+const DEFAULT_TAXONOMY = {
+  // Most to least urgent
+  priorities: [
+    {
+      name: "Urgent",
+      description:
+        "Needs attention today: deadlines, outages or direct requests that block someone",
+    },
+    {
+      name: "Important",
+      description: "Needs a response or action soon, but not today",
+    },
+    {
+      name: "Normal",
+      description: "Informational or low-stakes, can wait",
+    },
+  ],
+  types: [
+    { name: "Personal", description: "Friends, family and personal matters" },
+    { name: "Work", description: "Colleagues, clients and work projects" },
+    {
+      name: "Marketing",
+      description: "Newsletters, promotions and advertising",
+    },
+    {
+      name: "Updates",
+      description: "Notifications, receipts and automated messages",
+    },
+    { name: "Others", description: "Anything that fits no other type" },
+  ],
+  tags: [
+    { name: "Invoices", description: "Bills, invoices and payment requests" },
+    { name: "Leads", description: "Potential customers or business leads" },
+    { name: "Personal", description: "Personal correspondence" },
+    { name: "Projects", description: "Ongoing project work" },
+    { name: "Follow-up", description: "Needs a follow-up from you" },
+  ],
+};
+
+const TAXONOMY_LISTS = Object.keys(DEFAULT_TAXONOMY);
+
+// Loaded taxonomy, reloaded when the file changes
+let cached = null;
+
+/**
+ * Normalize a taxonomy entry to { name, description, examples }
+ * @param {string|Object} entry Category name or definition
+ * @returns {Object|null} Category, or null if it has no name
+ */
+function normalizeCategory(entry) {
+  const category = typeof entry === "string" ? { name: entry } : entry;
+  if (!category || typeof category.name !== "string" || !category.name.trim()) {
+    return null;
+  }
+  return {
+    name: category.name.trim(),
+    description: category.description || "",
+    examples: Array.isArray(category.examples) ? category.examples : [],
+  };
+}
+
+/**
+ * Get the path of the taxonomy file
+ * @returns {string} Absolute path (taxonomyFile in config.json)
+ */
+function getTaxonomyPath() {
+  const config = loadConfigSync();
+  return path.resolve(process.cwd(), config.taxonomyFile || "./taxonomy.json");
+}
+
+/**
+ * Load the taxonomy
+ * Each list in taxonomy.json replaces the built-in one; lists it leaves out,
+ * or that contain no valid categories, keep the defaults.
+ * @returns {Object} Taxonomy with priorities, types and tags
+ */
+function loadTaxonomy() {
+  const filePath = getTaxonomyPath();
+  let mtime = 0;
+  try {
+    mtime = fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    // No taxonomy file: use the defaults
+  }
+
+  if (cached && cached.filePath === filePath && cached.mtime === mtime) {
+    return cached.taxonomy;
+  }
+
+  let custom = {};
+  if (mtime) {
+    try {
+      custom = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.warn(
+        `Could not read taxonomy from ${filePath}, using the defaults:`,
+        error.message
+      );
+    }
+  }
+
+  const taxonomy = {};
+  TAXONOMY_LISTS.forEach((list) => {
+    const categories = Array.isArray(custom[list])
+      ? custom[list].map(normalizeCategory).filter(Boolean)
+      : [];
+    taxonomy[list] =
+      categories.length > 0
+        ? categories
+        : DEFAULT_TAXONOMY[list].map(normalizeCategory);
+  });
+
+  cached = { filePath, mtime, taxonomy };
+  return taxonomy;
+}
+
+/**
+ * Get priority names, most urgent first
+ * @returns {Array} Priority names
+ */
+function getPriorityNames() {
+  return loadTaxonomy().priorities.map((category) => category.name);
+}
+
+/**
+ * Get email type names
+ * @returns {Array} Type names
+ */
+function getTypeNames() {
+  return loadTaxonomy().types.map((category) => category.name);
+}
+
+/**
+ * Get tag names
+ * @returns {Array} Tag names
+ */
+function getTagNames() {
+  return loadTaxonomy().tags.map((category) => category.name);
+}
+
+/**
+ * Get the sort rank of a priority
+ * @param {string} priority Priority name
+ * @returns {number} 0 for the most urgent; unknown priorities sort last
+ */
+function getPriorityRank(priority) {
+  const names = getPriorityNames();
+  const rank = names.indexOf(priority);
+  return rank === -1 ? names.length : rank;
+}
+
+/**
+ * Compare two priorities for sorting, most urgent first
+ * @param {string} a Priority name
+ * @param {string} b Priority name
+ * @returns {number} Sort order
+ */
+function comparePriorities(a, b) {
+  return getPriorityRank(a) - getPriorityRank(b);
+}
+
+/**
+ * Check whether a priority is the most urgent one
+ * @param {string} priority Priority name
+ * @returns {boolean} True for the first priority in the taxonomy
+ */
+function isTopPriority(priority) {
+  return getPriorityRank(priority) === 0;
+}
+
+/**
+ * Get the display level of a priority
+ * The first priority is "high", the last is "low" and any in between are
+ * "medium", so custom priorities get the same colors as the built-in ones.
+ * @param {string} priority Priority name
+ * @returns {string|null} high, medium or low, or null if unknown
+ */
+function getPriorityLevel(priority) {
+  const count = getPriorityNames().length;
+  const rank = getPriorityRank(priority);
+  if (rank >= count) {
+    return null;
+  }
+  if (rank === 0) {
+    return "high";
+  }
+  return rank === count - 1 ? "low" : "medium";
+}
+
+/**
+ * Map a heuristic urgency level to a priority in the taxonomy
+ * @param {number} level 0 (high), 1 (medium) or 2 (low)
+ * @returns {string} Priority name
+ */
+function getPriorityForLevel(level) {
+  const names = getPriorityNames();
+  return names[Math.round((level / 2) * (names.length - 1))];
+}
+
+/**
+ * Map a built-in type to a type in the taxonomy
+ * @param {string} type Type name
+ * @returns {string} The type if defined, otherwise the last type
+ */
+function resolveType(type) {
+  const names = getTypeNames();
+  return names.includes(type) ? type : names[names.length - 1];
+}
+
+/**
+ * Count emails per priority, in taxonomy order
+ * Priorities outside the taxonomy (e.g. from an older taxonomy) are counted
+ * after the defined ones.
+ * @param {Array} emails Analyzed emails
+ * @returns {Object} Counts keyed by priority name
+ */
+function countByPriority(emails) {
+  const counts = {};
+  getPriorityNames().forEach((name) => {
+    counts[name] = 0;
+  });
+  emails.forEach((email) => {
+    const priority = email.classification && email.classification.priority;
+    if (priority) {
+      counts[priority] = (counts[priority] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Describe a taxonomy list for use in a prompt
+ * @param {string} list priorities, types or tags
+ * @returns {string} One line per category, with description and examples
+ */
+function describeCategories(list) {
+  const categories = loadTaxonomy()[list];
+  return categories
+    .map((category) => {
+      let line = `- ${category.name}`;
+      if (category.description) {
+        line += `: ${category.description}`;
+      }
+      if (category.examples.length > 0) {
+        const examples = category.examples.map((example) => `"${example}"`);
+        line += ` (e.g. ${examples.join(", ")})`;
+      }
+      return line;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  loadTaxonomy,
+  getTaxonomyPath,
+  getPriorityNames,
+  getTypeNames,
+  getTagNames,
+  getPriorityRank,
+  comparePriorities,
+  isTopPriority,
+  getPriorityLevel,
+  getPriorityForLevel,
+  resolveType,
+  countByPriority,
+  describeCategories,
+  DEFAULT_TAXONOMY,
+};